@@ -0,0 +1,131 @@
+// scripts/benchmarkRedirect.js
+// Compares redirect throughput with the link cache and click buffer off ("before") and on
+// ("after"). Each run boots the app in a child process against a fresh SQLite file, then keeps
+// BENCH_CONNECTIONS requests in flight against one short link for BENCH_DURATION_MS.
+//
+//   npm run bench
+//   BENCH_DURATION_MS=10000 BENCH_CONNECTIONS=100 npm run bench
+
+const { fork } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DURATION_MS = parseInt(process.env.BENCH_DURATION_MS || '5000', 10);
+const CONNECTIONS = parseInt(process.env.BENCH_CONNECTIONS || '50', 10);
+const WARMUP_MS = 1000;
+const SHORTCODE = 'bench1';
+
+const SCENARIOS = [
+    { name: 'before (no cache, direct click writes)', env: { LINK_CACHE_SIZE: '0', CLICK_FLUSH_INTERVAL_MS: '0' } },
+    { name: 'after (link cache, buffered click writes)', env: {} }
+];
+
+// Child: serve the app on a random port and report it; close the database (writing any
+// buffered clicks) when told to stop.
+async function serve() {
+    const app = require('../src/app');
+    const { initDb, closeDb } = require('../src/db');
+    const repository = await initDb('sqlite');
+    await repository.insertLink({
+        shortcode: SHORTCODE,
+        original_url: 'https://example.com/benchmark',
+        created_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        owner: 'bench'
+    });
+
+    const server = app.listen(0, '127.0.0.1', () => process.send({ port: server.address().port }));
+    process.on('message', async () => {
+        server.closeAllConnections();
+        server.close();
+        // Counting writes out buffered clicks first, so every served redirect shows up here.
+        const clicks = await repository.countClicks(SHORTCODE);
+        await closeDb();
+        process.send({ clicks }, () => process.exit(0));
+    });
+}
+
+// Keeps `connections` requests in flight until `until`; returns how many redirects were served.
+async function hammer(url, connections, until) {
+    let redirects = 0;
+    let errors = 0;
+    const worker = async () => {
+        while (Date.now() < until) {
+            try {
+                const response = await fetch(url, { redirect: 'manual' });
+                await response.arrayBuffer();
+                if (response.status === 302) redirects++;
+                else errors++;
+            } catch (err) {
+                errors++;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: connections }, worker));
+    return { redirects, errors };
+}
+
+async function runScenario(scenario) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shortener-bench-'));
+    const child = fork(__filename, ['--serve'], {
+        env: {
+            ...process.env,
+            STORAGE_BACKEND: 'sqlite',
+            DATABASE_PATH: path.join(dir, 'bench.db'),
+            // Only fatal entries would reach the log server, so the Logger stays out of the numbers.
+            LOG_LEVEL: 'fatal',
+            LOG_API_BASE_URL: process.env.LOG_API_BASE_URL || 'http://127.0.0.1:9',
+            RATE_LIMIT_REDIRECT_PER_IP: '0',
+            RETENTION_SWEEP_INTERVAL_MS: '0',
+            WEBHOOK_INTERVAL_MS: '0',
+            ...scenario.env
+        },
+        stdio: ['ignore', 'ignore', 'inherit', 'ipc']
+    });
+    const nextMessage = () => new Promise((resolve, reject) => {
+        child.once('message', resolve);
+        child.once('exit', (code) => reject(new Error(`Benchmark server exited with code ${code}.`)));
+    });
+
+    try {
+        const { port } = await nextMessage();
+        const url = `http://127.0.0.1:${port}/${SHORTCODE}`;
+
+        await hammer(url, CONNECTIONS, Date.now() + WARMUP_MS);
+        const startedAt = Date.now();
+        const { redirects, errors } = await hammer(url, CONNECTIONS, startedAt + DURATION_MS);
+        const elapsedMs = Date.now() - startedAt;
+
+        child.send('stop');
+        const { clicks } = await nextMessage();
+        return { name: scenario.name, redirects, errors, clicks, perSecond: redirects / (elapsedMs / 1000) };
+    } finally {
+        if (child.exitCode === null) child.kill();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function main() {
+    console.log(`Redirect benchmark: ${CONNECTIONS} connections, ${DURATION_MS}ms per run (after ${WARMUP_MS}ms warm-up).\n`);
+    const results = [];
+    for (const scenario of SCENARIOS) {
+        const result = await runScenario(scenario);
+        results.push(result);
+        console.log(`${result.name}: ${result.perSecond.toFixed(0)} redirects/s (${result.redirects} served, ${result.errors} errors, ${result.clicks} clicks stored incl. warm-up)`);
+    }
+    const [before, after] = results;
+    console.log(`\nSpeed-up: ${(after.perSecond / before.perSecond).toFixed(2)}x`);
+}
+
+if (process.argv.includes('--serve')) {
+    serve().catch((err) => {
+        console.error('Benchmark server failed:', err.message);
+        process.exit(1);
+    });
+} else {
+    main().catch((err) => {
+        console.error('Benchmark failed:', err.message);
+        process.exit(1);
+    });
+}
@@ -1,12 +1,35 @@
 // server.js
 const app = require('./src/app');
 const config = require('./src/config');
-const { initDb } = require('./src/db');
+const { initDb, getRepository, closeDb } = require('./src/db');
+const { logEvent } = require('./src/middleware/logger');
+const { RetentionSweeper } = require('./src/services/retentionSweeper');
+const { webhooks } = require('./src/services/webhookDispatcher');
 
-// Initialize the database
-initDb();
+if (config.apiKeys.size === 0) {
+    console.warn('No API keys configured (API_KEYS); every /shorturls request will be rejected with 401.');
+}
 
-app.listen(config.port, () => {
-    console.log(`URL Shortener Microservice listening on port ${config.port}`);
-    console.log(`Base URL for shortlinks: http://${config.hostname}`);
-});
\ No newline at end of file
+// Initialize the database before accepting requests
+initDb()
+    .then(() => {
+        app.listen(config.port, () => {
+            console.log(`URL Shortener Microservice listening on port ${config.port}`);
+            console.log(`Base URL for shortlinks: http://${config.hostname}`);
+        });
+        new RetentionSweeper({ ...config.retention, getRepository, logEvent }).start();
+        webhooks.start();
+
+        // Write out buffered clicks before exiting.
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+            process.once(signal, () => {
+                closeDb()
+                    .catch((err) => console.error('Error closing the database:', err.message))
+                    .finally(() => process.exit(0));
+            });
+        }
+    })
+    .catch((err) => {
+        console.error('Failed to start:', err.message);
+        process.exit(1);
+    });
@@ -1,21 +1,32 @@
 // src/app.js
 const express = require('express');
-const shortUrlRoutes = require('./routes/shortUrlRoutes');
+const config = require('./config');
+const shortUrlRoutes = require('./route/shortUrlRoutes');
+const clientLogRoutes = require('./route/clientLogRoutes');
+const webhookRoutes = require('./route/webhookRoutes');
 const errorHandler = require('./middleware/errorHandler'); // Custom error handler
 const logger = require('./middleware/logger'); // Custom logger middleware
+const { requireApiKey } = require('./middleware/auth');
 
 const app = express();
+// req.ip (and so getClientIp) only honours X-Forwarded-For from the configured proxies.
+app.set('trust proxy', config.trustProxy);
 
-app.use(express.json());
-app.use(logger.requestLogger); // Example of request logging middleware
+app.use(logger.requestContext); // Request ID for every log line of the request; must come first
+app.use(logger.requestLogger); // Logs method, path, status and latency; before the body parser so rejected bodies are logged too
+app.use(express.json({ limit: config.batchBodyLimit }));
 
-// Route for the main redirection (must be before specific /shorturls routes)
-app.use('/:shortcode', shortUrlRoutes.redirect);
+// Main API routes (must be before the catch-all /:shortcode redirect)
+app.use('/shorturls', requireApiKey, shortUrlRoutes.api); // All /shorturls endpoints, scoped to the key's owner
+app.use('/webhooks', requireApiKey, webhookRoutes); // Webhook subscriptions and their deliveries, scoped the same way
+
+// Log relay for the browser build of the Logger (public, rate limited per IP)
+app.use('/client-logs', clientLogRoutes);
 
-// Main API routes
-app.use('/shorturls', shortUrlRoutes.api); // All /shorturls endpoints
+// Route for the main redirection (public, no API key needed)
+app.use('/:shortcode', shortUrlRoutes.redirect);
 
 // Global error handling middleware (should be last)
 app.use(errorHandler);
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
@@ -1,8 +1,148 @@
 // src/config/index.js
+
+/**
+ * Parses API_KEYS, a comma-separated list of "owner:key" pairs, into a key -> owner map.
+ * @param {string} value - e.g. "marketing:k3y1,ops:k3y2"
+ * @returns {Map<string, string>}
+ */
+function parseApiKeys(value) {
+    const keys = new Map();
+    for (const pair of value.split(',')) {
+        const separator = pair.indexOf(':');
+        if (separator <= 0) continue;
+        const owner = pair.slice(0, separator).trim();
+        const key = pair.slice(separator + 1).trim();
+        if (owner && key) keys.set(key, owner);
+    }
+    return keys;
+}
+
+/**
+ * Parses a comma-separated list of "name:value" pairs, e.g. LOG_PACKAGE_LEVELS="repository:debug,route:warn".
+ * @param {string} value
+ * @param {(raw: string) => *} [parseValue] - Converts each value; strings are kept by default.
+ * @returns {Object<string, *>}
+ */
+function parsePairs(value, parseValue = (raw) => raw) {
+    const pairs = {};
+    for (const pair of value.split(',')) {
+        const separator = pair.indexOf(':');
+        if (separator <= 0) continue;
+        const name = pair.slice(0, separator).trim();
+        const raw = pair.slice(separator + 1).trim();
+        if (name && raw) pairs[name] = parseValue(raw);
+    }
+    return pairs;
+}
+
+/**
+ * Parses TRUST_PROXY into Express's "trust proxy" setting: "true" trusts every hop, a number
+ * trusts that many hops, anything else is a comma-separated list of addresses, subnets or
+ * Express's presets ("loopback", "linklocal", "uniquelocal"). Empty trusts no proxy at all.
+ * @param {string} value
+ * @returns {boolean|number|string[]}
+ */
+function parseTrustProxy(value) {
+    const trimmed = value.trim();
+    if (trimmed === '' || trimmed === 'false') return false;
+    if (trimmed === 'true') return true;
+    if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+    return trimmed.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
 module.exports = {
+    // 'sqlite' (persistent, uses databasePath) or 'memory' (lost on restart).
+    storage: process.env.STORAGE_BACKEND || 'sqlite',
     databasePath: process.env.DATABASE_PATH || 'shortener.db',
     shortcodeLength: parseInt(process.env.SHORTCODE_LENGTH || '7', 10),
     defaultValidityMinutes: parseInt(process.env.DEFAULT_VALIDITY_MINUTES || '30', 10),
+    maxBatchSize: parseInt(process.env.MAX_BATCH_SIZE || '500', 10),
+    batchBodyLimit: process.env.BATCH_BODY_LIMIT || '1mb',
+    // One domain per line; subdomains of a listed domain are blocked too.
+    urlBlocklistPath: process.env.URL_BLOCKLIST_PATH || 'url-blocklist.txt',
+    // Salt for hashing visitor IPs; keep it stable or unique-visitor counts reset.
+    visitorHashSalt: process.env.VISITOR_HASH_SALT || 'url-shortener',
+    maxAnalyticsBuckets: parseInt(process.env.MAX_ANALYTICS_BUCKETS || '2000', 10),
+    apiKeys: parseApiKeys(process.env.API_KEYS || ''),
+    // Most entries the frontend may relay through POST /client-logs in one request.
+    clientLogMaxBatch: parseInt(process.env.CLIENT_LOG_MAX_BATCH || '50', 10),
+    // QR codes for short links: default and largest allowed width in pixels.
+    qrDefaultSize: parseInt(process.env.QR_DEFAULT_SIZE || '256', 10),
+    qrMaxSize: parseInt(process.env.QR_MAX_SIZE || '1024', 10),
+    // Background retention sweep (see services/retentionSweeper). Expired links are archived,
+    // purged or kept once past the grace period; clicks older than clickRetentionDays are
+    // trimmed (0 keeps them forever), optionally leaving daily counts behind; finished webhook
+    // deliveries are deleted after deliveryRetentionDays.
+    retention: {
+        intervalMs: parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS || '3600000', 10),
+        expiredLinks: process.env.RETENTION_EXPIRED_LINKS || 'archive',
+        expiredGraceMinutes: parseInt(process.env.RETENTION_EXPIRED_GRACE_MINUTES || '10080', 10),
+        clickRetentionDays: parseInt(process.env.RETENTION_CLICK_DAYS || '0', 10),
+        rollupClicks: process.env.RETENTION_ROLLUP_CLICKS === 'true',
+        // Delivered and failed webhook deliveries are deleted after this many days; 0 keeps them.
+        deliveryRetentionDays: parseInt(process.env.RETENTION_DELIVERY_DAYS || '30', 10)
+    },
+    // Outbound webhooks (see services/webhookDispatcher). Failed deliveries are retried with
+    // exponential backoff; "expiring" events fire expiringWithinMinutes before a link expires.
+    webhooks: {
+        intervalMs: parseInt(process.env.WEBHOOK_INTERVAL_MS || '30000', 10),
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10),
+        // Receivers delivered to at the same time.
+        concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY || '4', 10),
+        retries: parseInt(process.env.WEBHOOK_RETRIES || '6', 10),
+        baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS || '30000', 10),
+        maxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS || '3600000', 10),
+        expiringWithinMinutes: parseInt(process.env.WEBHOOK_EXPIRING_WITHIN_MINUTES || '60', 10),
+        maxPerOwner: parseInt(process.env.WEBHOOK_MAX_PER_OWNER || '10', 10),
+        // Receivers on loopback/private addresses are refused unless this is set (e.g. for local testing).
+        allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+    },
+    // Redirect hot path (see model/cachedShortUrlRepository). Links are cached in-process for up
+    // to ttlMs; clicks are buffered and written every flushIntervalMs, or sooner once maxBatch
+    // are waiting. A size or interval of 0 turns that part off.
+    linkCache: {
+        size: parseInt(process.env.LINK_CACHE_SIZE || '10000', 10),
+        ttlMs: parseInt(process.env.LINK_CACHE_TTL_MS || '60000', 10)
+    },
+    clickBuffer: {
+        flushIntervalMs: parseInt(process.env.CLICK_FLUSH_INTERVAL_MS || '1000', 10),
+        maxBatch: parseInt(process.env.CLICK_FLUSH_BATCH || '500', 10)
+    },
+    // Which log entries the backend sends: a minimum level, per-package overrides
+    // ("repository:debug,route:warn") and per-level sample rates ("debug:0.1").
+    logging: {
+        level: process.env.LOG_LEVEL || 'debug',
+        packageLevels: parsePairs(process.env.LOG_PACKAGE_LEVELS || ''),
+        sampling: parsePairs(process.env.LOG_SAMPLING || '', Number)
+    },
+    // Which proxies may set X-Forwarded-For. Client IPs (rate limits, click analytics) come
+    // from the header only when the request arrives through a trusted proxy.
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY || ''),
+    // Limits are per window; 0 disables a limit.
+    rateLimits: {
+        create: {
+            windowMs: parseInt(process.env.RATE_LIMIT_CREATE_WINDOW_MS || '60000', 10),
+            perIp: parseInt(process.env.RATE_LIMIT_CREATE_PER_IP || '30', 10),
+            perKey: parseInt(process.env.RATE_LIMIT_CREATE_PER_KEY || '600', 10)
+        },
+        redirect: {
+            windowMs: parseInt(process.env.RATE_LIMIT_REDIRECT_WINDOW_MS || '60000', 10),
+            perIp: parseInt(process.env.RATE_LIMIT_REDIRECT_PER_IP || '120', 10)
+        },
+        password: {
+            windowMs: parseInt(process.env.RATE_LIMIT_PASSWORD_WINDOW_MS || '900000', 10),
+            perIp: parseInt(process.env.RATE_LIMIT_PASSWORD_PER_IP || '10', 10),
+            // Wrong passwords per link from one client.
+            perClient: parseInt(process.env.RATE_LIMIT_PASSWORD_PER_CLIENT || '5', 10),
+            // Wrong passwords per link from all clients together: a backstop against guesses spread
+            // over many addresses, set high so a few clients can't lock a link for everyone.
+            perLink: parseInt(process.env.RATE_LIMIT_PASSWORD_PER_LINK || '300', 10)
+        },
+        clientLogs: {
+            windowMs: parseInt(process.env.RATE_LIMIT_CLIENT_LOGS_WINDOW_MS || '60000', 10),
+            perIp: parseInt(process.env.RATE_LIMIT_CLIENT_LOGS_PER_IP || '60', 10)
+        }
+    },
     hostname: process.env.HOSTNAME || "localhost:3000",
     port: process.env.PORT || 3000,
     urlRegex: new RegExp(
@@ -0,0 +1,47 @@
+// src/controllers/clientLogController.js
+const config = require('../config');
+const { clientLogger, logEvent } = require('../middleware/logger');
+
+/**
+ * Relays log entries from the browser build of the Logger to the log server.
+ * The browser can't hold the log API credentials, so it posts here instead and the backend's
+ * Logger forwards the entries. Accepts one entry or an array (the shape sendBeacon batches use);
+ * only the frontend stack and its packages are allowed.
+ */
+async function relayClientLogs(req, res) {
+    const entries = Array.isArray(req.body) ? req.body : [req.body];
+
+    if (!req.body || typeof req.body !== 'object' || entries.length === 0) {
+        logEvent("error", null, { status: 400, message: "Client log body must be an entry or an array of entries." });
+        return res.status(400).json({ error: "Bad Request", message: "Body must be a log entry or an array of log entries." });
+    }
+    if (entries.length > config.clientLogMaxBatch) {
+        logEvent("error", null, { status: 400, message: `Too many client log entries: ${entries.length}` });
+        return res.status(400).json({ error: "Bad Request", message: `At most ${config.clientLogMaxBatch} entries can be sent at once.` });
+    }
+
+    const rejected = [];
+    let accepted = 0;
+    entries.forEach((entry, index) => {
+        const { stack, level, package: packageName, message } = entry || {};
+        try {
+            if (String(stack).toLowerCase() !== 'frontend') {
+                throw new Error("Only 'frontend' entries can be relayed.");
+            }
+            clientLogger.validate(stack, level, packageName, message, { checkLength: false });
+        } catch (err) {
+            rejected.push({ index, message: err.message });
+            return;
+        }
+        // Fire-and-forget, like every other log call: the browser doesn't wait on the log server.
+        clientLogger.Log(stack, level, packageName, message);
+        accepted++;
+    });
+
+    if (rejected.length > 0) {
+        logEvent("client_logs_rejected", null, { rejected: rejected.length, accepted });
+    }
+    res.status(202).json({ accepted, rejected });
+}
+
+module.exports = { relayClientLogs };
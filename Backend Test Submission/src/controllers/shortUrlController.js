@@ -1,44 +1,120 @@
 // src/controllers/shortUrlController.js
-const { getDb } = require('../db');
+const { getRepository } = require('../db');
 const config = require('../config');
 const { logEvent } = require('../middleware/logger');
-const { generateUniqueShortcode, isShortcodeValid, getClientIp } = require('../services/shortcodeService'); // New service
+const { generateUniqueShortcode, isShortcodeValid, getClientIp } = require('../services/shortcodeService');
+const { parseCsv, toCsv } = require('../services/csvService');
+const { checkUrlPolicy } = require('../services/urlPolicy');
+const { parseUserAgent } = require('../services/userAgentParser');
+const { hashVisitor, fillBuckets, countBuckets, INTERVALS } = require('../services/analyticsService');
+const { renderQrCode, QR_FORMATS, QR_ERROR_CORRECTION } = require('../services/qrService');
+const { hashPassword, verifyPassword } = require('../services/passwordService');
+const { parseTargets, selectTarget } = require('../services/targetRules');
+const { webhooks } = require('../services/webhookDispatcher');
+const { createFailureLimiter } = require('../middleware/rateLimiter');
+const { renderPasswordPage } = require('../views/passwordPage');
+
+const badRequest = (message, shortcode = null) => {
+    logEvent("error", shortcode, { status: 400, message });
+    return { status: 400, body: { error: "Bad Request", message } };
+};
 
-// Helper for async DB operations with promises
-const dbRun = (query, params) => new Promise((resolve, reject) => {
-    getDb().run(query, params, function (err) {
-        if (err) reject(err);
-        resolve(this);
-    });
-});
+// Builds the 400 for a destination URL rejected by the URL policy; `reason` lets clients tell the cases apart.
+const rejectedByPolicy = (policy, url, shortcode = null) => {
+    logEvent("url_rejected", shortcode, { reason: policy.reason, url });
+    return { status: 400, body: { error: "Bad Request", reason: policy.reason, message: policy.message } };
+};
 
-const dbGet = (query, params) => new Promise((resolve, reject) => {
-    getDb().get(query, params, (err, row) => {
-        if (err) reject(err);
-        resolve(row);
-    });
-});
+// Responds 403 when the authenticated owner tries to touch someone else's link.
+const forbidden = (req, res, shortcode, action) => {
+    logEvent("access_denied", shortcode, { owner: req.owner, action });
+    return res.status(403).json({ error: "Forbidden", message: "You do not have access to this short link." });
+};
 
-const dbAll = (query, params) => new Promise((resolve, reject) => {
-    getDb().all(query, params, (err, rows) => {
-        if (err) reject(err);
-        resolve(rows);
-    });
-});
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 128;
+
+/**
+ * Why a link can no longer be followed, or null if it still can. The redirect, the password
+ * form and QR codes all give the same answers.
+ * @param {import('../model/shortUrl').LinkRecord} link
+ * @param {Date} now
+ * @returns {Promise<'expired'|'click_limit_reached'|null>}
+ */
+async function unavailableReason(link, now) {
+    if (new Date(link.expires_at) < now) return "expired";
+    if (link.max_clicks !== null && link.max_clicks !== undefined
+        && await getRepository().countClicks(link.shortcode) >= link.max_clicks) {
+        return "click_limit_reached";
+    }
+    return null;
+}
+
+/**
+ * Checks a `targets` list: its rules via targetRules, and each target URL against the same
+ * format and policy rules as original_url.
+ * @returns {{targets?: object[]|null, result?: {status: number, body: object}}} `result` is the 400 to send.
+ */
+function validateTargets(input, shortcode = null) {
+    const { targets, error } = parseTargets(input);
+    if (error) return { result: badRequest(error, shortcode) };
+
+    for (const [index, target] of (targets || []).entries()) {
+        if (!config.urlRegex.test(target.url)) {
+            return { result: badRequest(`targets[${index}]: invalid 'url'. Must be a valid URL format.`, shortcode) };
+        }
+        const policy = checkUrlPolicy(target.url);
+        if (!policy.allowed) return { result: rejectedByPolicy(policy, target.url, shortcode) };
+    }
+    return { targets };
+}
 
+const GONE_MESSAGES = {
+    expired: "Short link has expired.",
+    click_limit_reached: "Short link has reached its click limit."
+};
 
-exports.createShortUrl = async (req, res) => {
-    const { url, validity, shortcode: customShortcode } = req.body;
+/**
+ * Validates and stores a single short link. Shared by the single and batch create endpoints,
+ * so both apply the same 400/409 rules.
+ * @param {object} input - The { url, validity, shortcode, password, max_clicks, targets } fields of one link.
+ * @param {string} owner - The API key owner the link will belong to.
+ * @returns {Promise<{status: number, body: object}>} The HTTP status and JSON body for this link.
+ */
+async function createLink(input, owner) {
+    const { url, validity, shortcode: customShortcode, password, max_clicks: maxClicksInput, targets: targetsInput } = input || {};
 
     if (!url || !config.urlRegex.test(url)) {
-        logEvent("error", null, { status: 400, message: "Invalid or missing 'url'. Must be a valid URL format." });
-        return res.status(400).json({ error: "Bad Request", message: "Invalid or missing 'url'. Must be a valid URL format." });
+        return badRequest("Invalid or missing 'url'. Must be a valid URL format.");
     }
 
-    let validityMinutes = validity !== undefined ? parseInt(validity, 10) : config.defaultValidityMinutes;
+    const policy = checkUrlPolicy(url);
+    if (!policy.allowed) {
+        return rejectedByPolicy(policy, url);
+    }
+
+    let validityMinutes = validity !== undefined && validity !== "" ? parseInt(validity, 10) : config.defaultValidityMinutes;
     if (isNaN(validityMinutes) || validityMinutes <= 0) {
-        logEvent("error", null, { status: 400, message: "'validity' must be a positive integer representing minutes." });
-        return res.status(400).json({ error: "Bad Request", message: "'validity' must be a positive integer representing minutes." });
+        return badRequest("'validity' must be a positive integer representing minutes.");
+    }
+
+    // Empty values (e.g. blank CSV cells) mean "not set".
+    const hasPassword = password !== undefined && password !== null && password !== "";
+    if (hasPassword && (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH)) {
+        return badRequest(`'password' must be a string of ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters.`);
+    }
+
+    const hasMaxClicks = maxClicksInput !== undefined && maxClicksInput !== null && maxClicksInput !== "";
+    const maxClicks = hasMaxClicks ? Number(maxClicksInput) : null;
+    if (hasMaxClicks && (!Number.isInteger(maxClicks) || maxClicks <= 0)) {
+        return badRequest("'max_clicks' must be a positive integer.");
+    }
+
+    let targets = null;
+    if (targetsInput !== undefined && targetsInput !== "") {
+        const validated = validateTargets(targetsInput);
+        if (validated.result) return validated.result;
+        targets = validated.targets;
     }
 
     let finalShortcode;
@@ -48,24 +124,32 @@ exports.createShortUrl = async (req, res) => {
     try {
         if (customShortcode) {
             if (!isShortcodeValid(customShortcode)) {
-                logEvent("error", null, { status: 400, message: "Custom shortcode must be alphanumeric and between 3 and 15 characters long." });
-                return res.status(400).json({ error: "Bad Request", message: "Custom shortcode must be alphanumeric and between 3 and 15 characters long." });
+                return badRequest("Custom shortcode must be alphanumeric, between 3 and 15 characters long and not a reserved path.");
             }
 
-            const existingRow = await dbGet("SELECT 1 FROM shortened_urls WHERE shortcode = ?", [customShortcode]);
+            const existingRow = await getRepository().findLink(customShortcode);
             if (existingRow) {
                 logEvent("error", customShortcode, { status: 409, message: `Custom shortcode '${customShortcode}' is already in use.` });
-                return res.status(409).json({ error: "Conflict", message: `Custom shortcode '${customShortcode}' is already in use.` });
+                return { status: 409, body: { error: "Conflict", message: `Custom shortcode '${customShortcode}' is already in use.` } };
             }
             finalShortcode = customShortcode;
         } else {
-            finalShortcode = await generateUniqueShortcode(getDb(), config.shortcodeLength);
+            finalShortcode = await generateUniqueShortcode(getRepository(), config.shortcodeLength);
         }
 
-        await dbRun(
-            "INSERT INTO shortened_urls (shortcode, original_url, created_at, expires_at) VALUES (?, ?, ?, ?)",
-            [finalShortcode, url, createdAt.toISOString(), expiresAt.toISOString()]
-        );
+        const link = {
+            shortcode: finalShortcode,
+            original_url: url,
+            created_at: createdAt.toISOString(),
+            expires_at: expiresAt.toISOString(),
+            owner: owner,
+            // Only the hash is stored; the password itself is never persisted or logged.
+            password_hash: hasPassword ? await hashPassword(password) : null,
+            max_clicks: maxClicks,
+            targets: targets
+        };
+        await getRepository().insertLink(link);
+        webhooks.emit("link.created", link, { password_protected: hasPassword, max_clicks: maxClicks });
 
         const shortlink = `http://${config.hostname}/${finalShortcode}`;
         const expiryIso = expiresAt.toISOString();
@@ -74,65 +158,235 @@ exports.createShortUrl = async (req, res) => {
             original_url: url,
             validity_minutes: validityMinutes,
             custom_shortcode_used: !!customShortcode,
+            password_protected: hasPassword,
+            max_clicks: maxClicks,
+            targets: targets ? targets.length : 0,
             shortlink: shortlink,
             expiry: expiryIso
         });
 
-        return res.status(201).json({
-            shortlink: shortlink,
-            expiry: expiryIso
-        });
+        const body = { shortlink: shortlink, expiry: expiryIso };
+        if (hasPassword) body.password_protected = true;
+        if (maxClicks !== null) body.max_clicks = maxClicks;
+        if (targets) body.targets = targets;
+        return { status: 201, body };
 
     } catch (err) {
         console.error("Error creating short URL:", err.message);
         logEvent("error", null, { event: "db_insert_failed", exception: err.message });
-        return res.status(500).json({ error: "Internal Server Error", message: "Could not save the short URL due to a database error." });
+        return { status: 500, body: { error: "Internal Server Error", message: "Could not save the short URL due to a database error." } };
     }
+}
+
+exports.createShortUrl = async (req, res) => {
+    const { status, body } = await createLink(req.body, req.owner);
+    return res.status(status).json(body);
 };
 
+exports.createShortUrlsBatch = async (req, res) => {
+    let entries;
+    if (typeof req.body === "string") {
+        try {
+            entries = parseCsv(req.body);
+        } catch (err) {
+            const { body } = badRequest(`Invalid CSV: ${err.message}`);
+            return res.status(400).json(body);
+        }
+    } else {
+        entries = Array.isArray(req.body) ? req.body : req.body && req.body.items;
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        const { body } = badRequest("Provide a non-empty array of links, either as the JSON body, as 'items', or as a CSV upload.");
+        return res.status(400).json(body);
+    }
+    if (entries.length > config.maxBatchSize) {
+        const { body } = badRequest(`A batch may contain at most ${config.maxBatchSize} links.`);
+        return res.status(400).json(body);
+    }
+
+    // Entries are created one at a time so a custom shortcode repeated within the batch
+    // gets a 409 on its second occurrence, exactly as it would across two requests.
+    const results = [];
+    for (const [index, entry] of entries.entries()) {
+        const { status, body } = await createLink(entry, req.owner);
+        results.push({ index, url: entry && entry.url, status, ...body });
+    }
+
+    const succeeded = results.filter(result => result.status === 201).length;
+    logEvent("batch_created", null, { total: results.length, succeeded, failed: results.length - succeeded });
+
+    return res.status(200).json({
+        total: results.length,
+        succeeded: succeeded,
+        failed: results.length - succeeded,
+        results: results
+    });
+};
+
+/**
+ * Records the click and redirects to the destination. For links with targets the destination
+ * is picked by their rules and the click records which variant was served. For links with a
+ * click limit the click is only recorded while the limit allows it, so concurrent visitors
+ * can't overshoot it.
+ */
+async function followLink(req, res, urlData, currentTime, redirectStatus) {
+    const { shortcode } = urlData;
+    const referrer = req.headers.referer || null;
+    const ipAddress = getClientIp(req);
+    const userAgent = req.headers['user-agent'] || null;
+    const { browser, os, device_type: deviceType } = parseUserAgent(userAgent);
+    const clickTimestamp = currentTime.toISOString();
+    const visitorHash = hashVisitor(ipAddress);
+    const { url: destination, variant } = selectTarget(urlData, {
+        deviceType: deviceType,
+        acceptLanguage: req.headers['accept-language'],
+        visitorId: visitorHash,
+        now: currentTime
+    });
+
+    try {
+        const recorded = await getRepository().insertClick({
+            shortcode: shortcode,
+            timestamp: clickTimestamp,
+            referrer: referrer,
+            ip_address: ipAddress,
+            user_agent: userAgent,
+            browser: browser,
+            os: os,
+            device_type: deviceType,
+            visitor_hash: visitorHash,
+            variant: variant
+        }, { maxClicks: urlData.max_clicks ?? null });
+
+        if (!recorded) {
+            logEvent("redirect_failed", shortcode, { reason: "click_limit_reached" });
+            return res.status(410).json({ error: "Gone", message: GONE_MESSAGES.click_limit_reached });
+        }
+        logEvent("url_clicked", shortcode, {
+            referrer: referrer,
+            ip_address: ipAddress,
+            device_type: deviceType,
+            ...(variant ? { variant } : {})
+        });
+        // The visitor's IP address stays out of webhook payloads.
+        webhooks.emit("link.clicked", urlData, {
+            clicked_at: clickTimestamp,
+            referrer: referrer,
+            browser: browser,
+            os: os,
+            device_type: deviceType,
+            variant: variant
+        });
+    } catch (clickErr) {
+        console.error("Error logging click:", clickErr.message);
+        logEvent("error", shortcode, { event: "click_log_failed", exception: clickErr.message });
+    }
+
+    return res.redirect(redirectStatus, destination);
+}
+
+/**
+ * Looks up a link for the redirect endpoints, answering 404/410 itself when it can't be followed.
+ * @returns {Promise<import('../model/shortUrl').LinkRecord|null>} null once a response was sent.
+ */
+async function findFollowableLink(res, shortcode, currentTime) {
+    const urlData = await getRepository().findLink(shortcode);
+
+    if (!urlData) {
+        logEvent("redirect_failed", shortcode, { reason: "not_found" });
+        res.status(404).json({ error: "Not Found", message: "Short link not found." });
+        return null;
+    }
+
+    const reason = await unavailableReason(urlData, currentTime);
+    if (reason) {
+        logEvent("redirect_failed", shortcode, { reason });
+        res.status(410).json({ error: "Gone", message: GONE_MESSAGES[reason] });
+        return null;
+    }
+    return urlData;
+}
+
+// The password form must never be cached: a shared cache could otherwise serve it stale.
+const sendPasswordPage = (res, status, shortcode, error) =>
+    res.status(status).set("Cache-Control", "no-store").type("html").send(renderPasswordPage({ shortcode, error }));
+
 exports.redirectShortUrl = async (req, res) => {
     const { shortcode } = req.params;
 
     try {
-        const urlData = await dbGet("SELECT original_url, expires_at FROM shortened_urls WHERE shortcode = ?", [shortcode]);
+        const currentTime = new Date();
+        const urlData = await findFollowableLink(res, shortcode, currentTime);
+        if (!urlData) return;
 
-        if (!urlData) {
-            logEvent("redirect_failed", shortcode, { reason: "not_found" });
-            return res.status(404).json({ error: "Not Found", message: "Short link not found." });
+        // Protected links show the password form; the click is recorded once it is unlocked.
+        if (urlData.password_hash) {
+            return sendPasswordPage(res, 200, shortcode);
         }
 
-        const originalUrl = urlData.original_url;
-        const expiresAt = new Date(urlData.expires_at);
-        const currentTime = new Date();
+        return await followLink(req, res, urlData, currentTime, 302);
 
-        if (expiresAt < currentTime) {
-            logEvent("redirect_failed", shortcode, { reason: "expired" });
-            return res.status(410).json({ error: "Gone", message: "Short link has expired." });
-        }
+    } catch (err) {
+        console.error("Error during redirection:", err.message);
+        logEvent("error", shortcode, { event: "redirect_error", exception: err.message });
+        return res.status(500).json({ error: "Internal Server Error", message: "An unexpected error occurred." });
+    }
+};
 
-        const referrer = req.headers.referer || null;
-        const ipAddress = getClientIp(req);
-        const clickTimestamp = currentTime.toISOString();
+// Wrong passwords per link from one client, and (much looser) from all clients together.
+const clientPasswordFailures = createFailureLimiter({
+    name: 'password-client',
+    windowMs: config.rateLimits.password.windowMs,
+    limit: config.rateLimits.password.perClient
+});
+const linkPasswordFailures = createFailureLimiter({
+    name: 'password',
+    windowMs: config.rateLimits.password.windowMs,
+    limit: config.rateLimits.password.perLink
+});
 
-        try {
-            await dbRun(
-                "INSERT INTO clicks (shortcode, timestamp, referrer, ip_address) VALUES (?, ?, ?, ?)",
-                [shortcode, clickTimestamp, referrer, ipAddress]
-            );
-            logEvent("url_clicked", shortcode, {
-                referrer: referrer,
-                ip_address: ipAddress
-            });
-        } catch (clickErr) {
-            console.error("Error logging click:", clickErr.message);
-            logEvent("error", shortcode, { event: "click_log_failed", exception: clickErr.message });
+/**
+ * Handles the password form of a protected link. Attempts are throttled per IP by the route's
+ * rate limiter, and wrong passwords are limited per link and client, so one client guessing
+ * doesn't lock out the others. The per-link limit catches guesses spread over many IPs; once
+ * a limit is reached, attempts it covers get a 429 until the window ends. Wrong passwords are
+ * logged as "password_failed" and get the form again with a 401.
+ */
+exports.unlockShortUrl = async (req, res) => {
+    const { shortcode } = req.params;
+    const password = req.body && typeof req.body.password === "string" ? req.body.password : "";
+
+    try {
+        const currentTime = new Date();
+        const urlData = await findFollowableLink(res, shortcode, currentTime);
+        if (!urlData) return;
+
+        if (urlData.password_hash) {
+            const clientKey = `${shortcode}:${getClientIp(req)}`;
+            const retryAfterSeconds = await clientPasswordFailures.blockedFor(clientKey)
+                || await linkPasswordFailures.blockedFor(shortcode);
+            if (retryAfterSeconds) {
+                logEvent("password_limited", shortcode, { ip_address: getClientIp(req) });
+                return res.status(429).set('Retry-After', String(retryAfterSeconds)).json({
+                    error: "Too Many Requests",
+                    message: `Too many wrong passwords for this link. Try again in ${retryAfterSeconds} seconds.`
+                });
+            }
+            if (!(await verifyPassword(password, urlData.password_hash))) {
+                await clientPasswordFailures.recordFailure(clientKey);
+                await linkPasswordFailures.recordFailure(shortcode);
+                logEvent("password_failed", shortcode, { ip_address: getClientIp(req) });
+                return sendPasswordPage(res, 401, shortcode, "Incorrect password. Please try again.");
+            }
         }
 
-        return res.redirect(302, originalUrl);
+        // 303 so the browser follows up with a GET rather than re-posting the form.
+        return await followLink(req, res, urlData, currentTime, 303);
 
     } catch (err) {
-        console.error("Error during redirection:", err.message);
-        logEvent("error", shortcode, { event: "redirect_error", exception: err.message });
+        console.error("Error unlocking short URL:", err.message);
+        logEvent("error", shortcode, { event: "unlock_error", exception: err.message });
         return res.status(500).json({ error: "Internal Server Error", message: "An unexpected error occurred." });
     }
 };
@@ -141,23 +395,44 @@ exports.getShortUrlStats = async (req, res) => {
     const { shortcode } = req.params;
 
     try {
-        const urlData = await dbGet("SELECT shortcode, original_url, created_at, expires_at FROM shortened_urls WHERE shortcode = ?", [shortcode]);
+        const urlData = await getRepository().findLink(shortcode);
 
         if (!urlData) {
             logEvent("stats_retrieval_failed", shortcode, { reason: "not_found" });
             return res.status(404).json({ error: "Not Found", message: "Short link statistics not found." });
         }
 
-        const clicksData = await dbAll("SELECT timestamp, referrer, ip_address FROM clicks WHERE shortcode = ?", [shortcode]);
+        if (urlData.owner !== req.owner) {
+            return forbidden(req, res, shortcode, "stats");
+        }
+
+        const clicksData = await getRepository().findClicks(shortcode);
+        // Clicks past the retention window survive only as daily counts; they still count as clicks.
+        const rollups = await getRepository().findClickRollups(shortcode);
+        const rolledUpClicks = rollups.reduce((sum, rollup) => sum + rollup.clicks, 0);
 
         const detailedClicks = clicksData.map(click => ({
             timestamp: click.timestamp,
             referrer: click.referrer,
-            location_ip: click.ip_address
+            location_ip: click.ip_address,
+            browser: click.browser,
+            os: click.os,
+            device_type: click.device_type,
+            variant: click.variant ?? null
         }));
+        const uniqueVisitors = new Set(clicksData.map(click => click.visitor_hash).filter(Boolean)).size;
+
+        // Per-variant click counts; every target is listed, even before its first click.
+        let variants = null;
+        if (urlData.targets) {
+            variants = Object.fromEntries(urlData.targets.map(target => [target.name, 0]));
+            for (const click of clicksData) {
+                if (click.variant) variants[click.variant] = (variants[click.variant] || 0) + 1;
+            }
+        }
 
         logEvent("stats_retrieved", shortcode, {
-            total_clicks: detailedClicks.length,
+            total_clicks: detailedClicks.length + rolledUpClicks,
             shortcode: urlData.shortcode
         });
 
@@ -166,8 +441,14 @@ exports.getShortUrlStats = async (req, res) => {
             original_url: urlData.original_url,
             creation_date: urlData.created_at,
             expiry_date: urlData.expires_at,
-            total_clicks: detailedClicks.length,
-            detailed_clicks: detailedClicks
+            password_protected: !!urlData.password_hash,
+            max_clicks: urlData.max_clicks ?? null,
+            targets: urlData.targets ?? null,
+            total_clicks: detailedClicks.length + rolledUpClicks,
+            unique_visitors: uniqueVisitors,
+            variants: variants,
+            detailed_clicks: detailedClicks,
+            daily_rollups: rollups
         });
 
     } catch (err) {
@@ -175,4 +456,369 @@ exports.getShortUrlStats = async (req, res) => {
         logEvent("error", shortcode, { event: "stats_retrieval_error", exception: err.message });
         return res.status(500).json({ error: "Internal Server Error", message: "An unexpected error occurred while retrieving statistics." });
     }
-};
\ No newline at end of file
+};
+
+exports.getShortUrlAnalytics = async (req, res) => {
+    const { shortcode } = req.params;
+    const interval = req.query.interval || "day";
+
+    if (!INTERVALS.includes(interval)) {
+        logEvent("error", shortcode, { status: 400, message: "Invalid analytics interval." });
+        return res.status(400).json({ error: "Bad Request", message: `'interval' must be one of: ${INTERVALS.join(", ")}.` });
+    }
+
+    const to = req.query.to !== undefined ? new Date(req.query.to) : new Date();
+    const fromInput = req.query.from !== undefined ? new Date(req.query.from) : null;
+    if (isNaN(to.getTime()) || (fromInput && isNaN(fromInput.getTime()))) {
+        logEvent("error", shortcode, { status: 400, message: "Invalid analytics range." });
+        return res.status(400).json({ error: "Bad Request", message: "'from' and 'to' must be valid ISO 8601 dates." });
+    }
+
+    try {
+        const urlData = await getRepository().findLink(shortcode);
+
+        if (!urlData) {
+            logEvent("stats_retrieval_failed", shortcode, { reason: "not_found" });
+            return res.status(404).json({ error: "Not Found", message: "Short link statistics not found." });
+        }
+
+        if (urlData.owner !== req.owner) {
+            return forbidden(req, res, shortcode, "analytics");
+        }
+
+        // Without an explicit start the range covers the link's whole life.
+        const from = fromInput || new Date(urlData.created_at);
+        if (from >= to) {
+            logEvent("error", shortcode, { status: 400, message: "Analytics 'from' is not before 'to'." });
+            return res.status(400).json({ error: "Bad Request", message: "'from' must be earlier than 'to'." });
+        }
+        if (countBuckets(interval, from, to) > config.maxAnalyticsBuckets) {
+            logEvent("error", shortcode, { status: 400, message: "Analytics range too large." });
+            return res.status(400).json({ error: "Bad Request", message: `The requested range spans more than ${config.maxAnalyticsBuckets} ${interval} buckets; use a coarser interval or a shorter range.` });
+        }
+
+        const aggregate = await getRepository().aggregateClicks(shortcode, {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            interval: interval
+        });
+
+        const result = {
+            shortcode: shortcode,
+            interval: interval,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            total_clicks: aggregate.clicks,
+            unique_visitors: aggregate.unique_visitors,
+            buckets: fillBuckets(aggregate.buckets, interval, from, to),
+            browsers: aggregate.browsers,
+            operating_systems: aggregate.operating_systems,
+            device_types: aggregate.device_types
+        };
+
+        logEvent("analytics_retrieved", shortcode, { interval, total_clicks: result.total_clicks });
+
+        return res.status(200).json(result);
+
+    } catch (err) {
+        console.error("Error retrieving analytics:", err.message);
+        logEvent("error", shortcode, { event: "analytics_retrieval_error", exception: err.message });
+        return res.status(500).json({ error: "Internal Server Error", message: "An unexpected error occurred while retrieving analytics." });
+    }
+};
+
+const MIN_QR_SIZE = 64;
+const MAX_QR_MARGIN = 16;
+
+/**
+ * Reads and checks the QR code query options: format (png|svg), size (pixels),
+ * margin (modules) and error_correction (L|M|Q|H).
+ * @returns {{options?: object, error?: string}}
+ */
+function parseQrOptions(query) {
+    const format = String(query.format || "png").toLowerCase();
+    if (!QR_FORMATS.includes(format)) {
+        return { error: `'format' must be one of: ${QR_FORMATS.join(", ")}.` };
+    }
+
+    const size = query.size !== undefined ? Number(query.size) : config.qrDefaultSize;
+    if (!Number.isInteger(size) || size < MIN_QR_SIZE || size > config.qrMaxSize) {
+        return { error: `'size' must be an integer from ${MIN_QR_SIZE} to ${config.qrMaxSize}.` };
+    }
+
+    const margin = query.margin !== undefined ? Number(query.margin) : 4;
+    if (!Number.isInteger(margin) || margin < 0 || margin > MAX_QR_MARGIN) {
+        return { error: `'margin' must be an integer from 0 to ${MAX_QR_MARGIN}.` };
+    }
+
+    const errorCorrection = String(query.error_correction || "M").toUpperCase();
+    if (!QR_ERROR_CORRECTION.includes(errorCorrection)) {
+        return { error: `'error_correction' must be one of: ${QR_ERROR_CORRECTION.join(", ")}.` };
+    }
+
+    return { options: { format, size, margin, errorCorrection } };
+}
+
+exports.getShortUrlQrCode = async (req, res) => {
+    const { shortcode } = req.params;
+
+    const { options, error } = parseQrOptions(req.query);
+    if (error) {
+        const result = badRequest(error, shortcode);
+        return res.status(result.status).json(result.body);
+    }
+
+    try {
+        const urlData = await getRepository().findLink(shortcode);
+
+        // Same answers as the redirect itself: a code for a dead link would only disappoint.
+        if (!urlData) {
+            logEvent("qr_failed", shortcode, { reason: "not_found" });
+            return res.status(404).json({ error: "Not Found", message: "Short link not found." });
+        }
+
+        if (urlData.owner !== req.owner) {
+            return forbidden(req, res, shortcode, "qr");
+        }
+
+        const reason = await unavailableReason(urlData, new Date());
+        if (reason) {
+            logEvent("qr_failed", shortcode, { reason });
+            return res.status(410).json({ error: "Gone", message: GONE_MESSAGES[reason] });
+        }
+
+        const qr = await renderQrCode(`http://${config.hostname}/${shortcode}`, options);
+
+        logEvent("qr_generated", shortcode, { format: options.format, size: options.size });
+
+        res.set("Content-Type", qr.contentType);
+        res.set("Content-Disposition", `inline; filename="${shortcode}.${options.format}"`);
+        return res.status(200).send(qr.body);
+
+    } catch (err) {
+        console.error("Error generating QR code:", err.message);
+        logEvent("error", shortcode, { event: "qr_error", exception: err.message });
+        return res.status(500).json({ error: "Internal Server Error", message: "An unexpected error occurred while generating the QR code." });
+    }
+};
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 20;
+
+// Shapes a shortened_urls row (joined with its click count) for the list and export endpoints.
+const toLinkSummary = (row, nowIso) => ({
+    shortcode: row.shortcode,
+    shortlink: `http://${config.hostname}/${row.shortcode}`,
+    original_url: row.original_url,
+    creation_date: row.created_at,
+    expiry_date: row.expires_at,
+    status: row.expires_at < nowIso ? "expired" : "active",
+    password_protected: !!row.password_hash,
+    max_clicks: row.max_clicks ?? null,
+    targets: row.targets ? row.targets.length : 0,
+    total_clicks: row.total_clicks
+});
+
+exports.listShortUrls = async (req, res) => {
+    const { status, created_after: createdAfter } = req.query;
+    const page = req.query.page !== undefined ? parseInt(req.query.page, 10) : 1;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : DEFAULT_PAGE_SIZE;
+
+    if (isNaN(page) || page < 1 || isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        logEvent("error", null, { status: 400, message: "Invalid pagination parameters." });
+        return res.status(400).json({ error: "Bad Request", message: `'page' must be a positive integer and 'limit' between 1 and ${MAX_PAGE_SIZE}.` });
+    }
+
+    if (status !== undefined && status !== "active" && status !== "expired") {
+        logEvent("error", null, { status: 400, message: "Invalid status filter." });
+        return res.status(400).json({ error: "Bad Request", message: "'status' must be either 'active' or 'expired'." });
+    }
+
+    const createdAfterDate = createdAfter !== undefined ? new Date(createdAfter) : null;
+    if (createdAfterDate && isNaN(createdAfterDate.getTime())) {
+        logEvent("error", null, { status: 400, message: "Invalid created_after filter." });
+        return res.status(400).json({ error: "Bad Request", message: "'created_after' must be a valid ISO 8601 date." });
+    }
+
+    const nowIso = new Date().toISOString();
+
+    try {
+        const { total, items } = await getRepository().listLinks({
+            owner: req.owner,
+            status: status,
+            createdAfter: createdAfterDate ? createdAfterDate.toISOString() : undefined,
+            now: nowIso,
+            limit: limit,
+            offset: (page - 1) * limit
+        });
+
+        logEvent("urls_listed", null, { page, limit, total, status: status || "all" });
+
+        return res.status(200).json({
+            page: page,
+            limit: limit,
+            total: total,
+            items: items.map(row => toLinkSummary(row, nowIso))
+        });
+
+    } catch (err) {
+        console.error("Error listing short URLs:", err.message);
+        logEvent("error", null, { event: "list_error", exception: err.message });
+        return res.status(500).json({ error: "Internal Server Error", message: "An unexpected error occurred while listing short URLs." });
+    }
+};
+
+exports.updateShortUrl = async (req, res) => {
+    const { shortcode } = req.params;
+    const { url, validity, expires_at: expiresAtInput, targets: targetsInput } = req.body || {};
+
+    if (url === undefined && validity === undefined && expiresAtInput === undefined && targetsInput === undefined) {
+        logEvent("error", shortcode, { status: 400, message: "Nothing to update." });
+        return res.status(400).json({ error: "Bad Request", message: "Provide at least one of 'url', 'validity', 'expires_at' or 'targets'." });
+    }
+
+    if (url !== undefined && !config.urlRegex.test(url)) {
+        logEvent("error", shortcode, { status: 400, message: "Invalid 'url'. Must be a valid URL format." });
+        return res.status(400).json({ error: "Bad Request", message: "Invalid 'url'. Must be a valid URL format." });
+    }
+
+    if (url !== undefined) {
+        const policy = checkUrlPolicy(url);
+        if (!policy.allowed) {
+            const { body } = rejectedByPolicy(policy, url, shortcode);
+            return res.status(400).json(body);
+        }
+    }
+
+    // null or [] removes the targets, so the link goes back to always using 'url'.
+    let newTargets;
+    if (targetsInput !== undefined) {
+        const validated = validateTargets(targetsInput, shortcode);
+        if (validated.result) return res.status(validated.result.status).json(validated.result.body);
+        newTargets = validated.targets;
+    }
+
+    if (validity !== undefined && expiresAtInput !== undefined) {
+        logEvent("error", shortcode, { status: 400, message: "Both 'validity' and 'expires_at' given." });
+        return res.status(400).json({ error: "Bad Request", message: "Provide either 'validity' or 'expires_at', not both." });
+    }
+
+    let newExpiresAt = null;
+    if (validity !== undefined) {
+        const validityMinutes = parseInt(validity, 10);
+        if (isNaN(validityMinutes) || validityMinutes <= 0) {
+            logEvent("error", shortcode, { status: 400, message: "'validity' must be a positive integer representing minutes." });
+            return res.status(400).json({ error: "Bad Request", message: "'validity' must be a positive integer representing minutes." });
+        }
+        newExpiresAt = new Date(Date.now() + validityMinutes * 60 * 1000);
+    } else if (expiresAtInput !== undefined) {
+        newExpiresAt = new Date(expiresAtInput);
+        if (isNaN(newExpiresAt.getTime()) || newExpiresAt <= new Date()) {
+            logEvent("error", shortcode, { status: 400, message: "'expires_at' must be a future date." });
+            return res.status(400).json({ error: "Bad Request", message: "'expires_at' must be a valid ISO 8601 date in the future." });
+        }
+    }
+
+    try {
+        const urlData = await getRepository().findLink(shortcode);
+
+        if (!urlData) {
+            logEvent("update_failed", shortcode, { reason: "not_found" });
+            return res.status(404).json({ error: "Not Found", message: "Short link not found." });
+        }
+
+        if (urlData.owner !== req.owner) {
+            return forbidden(req, res, shortcode, "update");
+        }
+
+        const updated = {
+            original_url: url !== undefined ? url : urlData.original_url,
+            expires_at: newExpiresAt ? newExpiresAt.toISOString() : urlData.expires_at,
+            targets: newTargets !== undefined ? newTargets : urlData.targets ?? null
+        };
+        // A new expiry date earns the link new expiry webhooks.
+        if (updated.expires_at !== urlData.expires_at) updated.expiry_notice = null;
+
+        await getRepository().updateLink(shortcode, updated);
+
+        logEvent("url_updated", shortcode, {
+            url_changed: updated.original_url !== urlData.original_url,
+            previous_expiry: urlData.expires_at,
+            expiry: updated.expires_at,
+            targets_changed: newTargets !== undefined
+        });
+
+        return res.status(200).json({
+            shortcode: shortcode,
+            shortlink: `http://${config.hostname}/${shortcode}`,
+            original_url: updated.original_url,
+            creation_date: urlData.created_at,
+            expiry_date: updated.expires_at,
+            targets: updated.targets
+        });
+
+    } catch (err) {
+        console.error("Error updating short URL:", err.message);
+        logEvent("error", shortcode, { event: "update_error", exception: err.message });
+        return res.status(500).json({ error: "Internal Server Error", message: "Could not update the short URL due to a database error." });
+    }
+};
+
+exports.deleteShortUrl = async (req, res) => {
+    const { shortcode } = req.params;
+
+    try {
+        const urlData = await getRepository().findLink(shortcode);
+
+        if (!urlData) {
+            logEvent("delete_failed", shortcode, { reason: "not_found" });
+            return res.status(404).json({ error: "Not Found", message: "Short link not found." });
+        }
+
+        if (urlData.owner !== req.owner) {
+            return forbidden(req, res, shortcode, "delete");
+        }
+
+        const { clicksDeleted } = await getRepository().deleteLink(shortcode);
+
+        logEvent("url_deleted", shortcode, { clicks_deleted: clicksDeleted });
+
+        return res.status(204).end();
+
+    } catch (err) {
+        console.error("Error deleting short URL:", err.message);
+        logEvent("error", shortcode, { event: "delete_error", exception: err.message });
+        return res.status(500).json({ error: "Internal Server Error", message: "Could not delete the short URL due to a database error." });
+    }
+};
+
+const EXPORT_COLUMNS = ["shortcode", "shortlink", "original_url", "creation_date", "expiry_date", "status", "total_clicks"];
+
+exports.exportShortUrls = async (req, res) => {
+    try {
+        // A repeated parameter (?format=csv&format=json) arrives as an array, not a string.
+        const formatInput = req.query.format || "json";
+        const format = typeof formatInput === "string" ? formatInput.toLowerCase() : null;
+        if (format !== "json" && format !== "csv") {
+            logEvent("error", null, { status: 400, message: "Invalid export format." });
+            return res.status(400).json({ error: "Bad Request", message: "'format' must be either 'json' or 'csv'." });
+        }
+
+        const nowIso = new Date().toISOString();
+        const { items: rows } = await getRepository().listLinks({ owner: req.owner, now: nowIso });
+        const items = rows.map(row => toLinkSummary(row, nowIso));
+
+        logEvent("urls_exported", null, { format, total: items.length });
+
+        res.attachment(`shorturls.${format}`);
+        if (format === "csv") {
+            return res.type("text/csv").send(toCsv(items, EXPORT_COLUMNS));
+        }
+        return res.status(200).json(items);
+
+    } catch (err) {
+        console.error("Error exporting short URLs:", err.message);
+        logEvent("error", null, { event: "export_error", exception: err.message });
+        return res.status(500).json({ error: "Internal Server Error", message: "An unexpected error occurred while exporting short URLs." });
+    }
+};
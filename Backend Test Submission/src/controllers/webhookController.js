@@ -0,0 +1,161 @@
+// src/controllers/webhookController.js
+const crypto = require('crypto');
+const { getRepository } = require('../db');
+const config = require('../config');
+const { logEvent } = require('../middleware/logger');
+const { isPrivateHost } = require('../services/urlPolicy');
+const { WEBHOOK_EVENTS } = require('../services/webhookDispatcher');
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_SECRET_LENGTH = 256;
+const DEFAULT_DELIVERY_LIMIT = 20;
+const MAX_DELIVERY_LIMIT = 100;
+
+const badRequest = (res, message) => {
+    logEvent("error", null, { status: 400, message });
+    return res.status(400).json({ error: "Bad Request", message });
+};
+
+// Webhooks are only visible to the owner that created them; others get the same 404 as for a missing one.
+const notFound = (res, id) => {
+    logEvent("webhook_lookup_failed", null, { webhook: id, reason: "not_found" });
+    return res.status(404).json({ error: "Not Found", message: "Webhook not found." });
+};
+
+// The secret is only ever returned by the create call.
+const toWebhookResponse = (webhook) => ({
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    created_at: webhook.created_at
+});
+
+/**
+ * Checks a receiver URL: http(s) only and, unless allowPrivateUrls is set, no loopback or
+ * private hosts, so webhooks can't be pointed at internal services. This only catches the
+ * obvious cases up front; the dispatcher checks the resolved address before every delivery.
+ * @returns {string|null} The problem, or null if the URL is fine.
+ */
+function checkWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        return "'url' must be a valid http or https URL.";
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return "'url' must be a valid http or https URL.";
+    }
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    if (!config.webhooks.allowPrivateUrls && isPrivateHost(hostname)) {
+        return "'url' must not point at a loopback, private or internal address.";
+    }
+    return null;
+}
+
+exports.createWebhook = async (req, res) => {
+    const { url, events = WEBHOOK_EVENTS, secret } = req.body || {};
+
+    const urlProblem = typeof url === 'string' ? checkWebhookUrl(url) : "'url' is required.";
+    if (urlProblem) return badRequest(res, urlProblem);
+
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+        return badRequest(res, `'events' must be a non-empty array of: ${WEBHOOK_EVENTS.join(", ")}.`);
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH || secret.length > MAX_SECRET_LENGTH)) {
+        return badRequest(res, `'secret' must be a string of ${MIN_SECRET_LENGTH} to ${MAX_SECRET_LENGTH} characters.`);
+    }
+
+    try {
+        const webhook = {
+            id: `wh_${crypto.randomBytes(8).toString('hex')}`,
+            owner: req.owner,
+            url: url,
+            events: [...new Set(events)],
+            secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+            created_at: new Date().toISOString()
+        };
+        // The limit is checked by the insert itself, so concurrent requests can't exceed it.
+        if (!(await getRepository().insertWebhook(webhook, { maxPerOwner: config.webhooks.maxPerOwner }))) {
+            return badRequest(res, `At most ${config.webhooks.maxPerOwner} webhooks can be registered per API key.`);
+        }
+
+        logEvent("webhook_created", null, { webhook: webhook.id, events: webhook.events.join(",") });
+
+        return res.status(201).json({ ...toWebhookResponse(webhook), secret: webhook.secret });
+
+    } catch (err) {
+        console.error("Error creating webhook:", err.message);
+        logEvent("error", null, { event: "webhook_create_error", exception: err.message });
+        return res.status(500).json({ error: "Internal Server Error", message: "Could not save the webhook due to a database error." });
+    }
+};
+
+exports.listWebhooks = async (req, res) => {
+    try {
+        const webhooks = await getRepository().listWebhooks(req.owner);
+        return res.status(200).json({ items: webhooks.map(toWebhookResponse) });
+
+    } catch (err) {
+        console.error("Error listing webhooks:", err.message);
+        logEvent("error", null, { event: "webhook_list_error", exception: err.message });
+        return res.status(500).json({ error: "Internal Server Error", message: "An unexpected error occurred while listing webhooks." });
+    }
+};
+
+exports.deleteWebhook = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const webhook = await getRepository().findWebhook(id);
+        if (!webhook || webhook.owner !== req.owner) return notFound(res, id);
+
+        await getRepository().deleteWebhook(id);
+        logEvent("webhook_deleted", null, { webhook: id });
+
+        return res.status(204).end();
+
+    } catch (err) {
+        console.error("Error deleting webhook:", err.message);
+        logEvent("error", null, { event: "webhook_delete_error", exception: err.message });
+        return res.status(500).json({ error: "Internal Server Error", message: "Could not delete the webhook due to a database error." });
+    }
+};
+
+exports.listDeliveries = async (req, res) => {
+    const { id } = req.params;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_DELIVERY_LIMIT;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+        return badRequest(res, `'limit' must be an integer from 1 to ${MAX_DELIVERY_LIMIT}.`);
+    }
+
+    try {
+        const webhook = await getRepository().findWebhook(id);
+        if (!webhook || webhook.owner !== req.owner) return notFound(res, id);
+
+        const deliveries = await getRepository().listDeliveries(id, limit);
+
+        return res.status(200).json({
+            webhook: toWebhookResponse(webhook),
+            items: deliveries.map(delivery => ({
+                id: delivery.id,
+                event: delivery.event,
+                status: delivery.status,
+                attempts: delivery.attempts,
+                response_status: delivery.response_status,
+                last_error: delivery.last_error,
+                next_attempt_at: delivery.next_attempt_at,
+                created_at: delivery.created_at,
+                updated_at: delivery.updated_at,
+                payload: JSON.parse(delivery.payload)
+            }))
+        });
+
+    } catch (err) {
+        console.error("Error listing webhook deliveries:", err.message);
+        logEvent("error", null, { event: "webhook_deliveries_error", exception: err.message });
+        return res.status(500).json({ error: "Internal Server Error", message: "An unexpected error occurred while listing deliveries." });
+    }
+};
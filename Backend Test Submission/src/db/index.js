@@ -1,58 +1,67 @@
 // src/db/index.js
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
 const config = require('../config');
 const logger = require('../middleware/logger');
+const { isRepository } = require('../model/shortUrl');
+const { SqliteShortUrlRepository } = require('../model/sqliteShortUrlRepository');
+const { MemoryShortUrlRepository } = require('../model/memoryShortUrlRepository');
+const { CachedShortUrlRepository } = require('../model/cachedShortUrlRepository');
 
-let db;
+let repository;
 
-function initDb() {
-    db = new sqlite3.Database(config.databasePath, (err) => {
-        if (err) {
-            console.error('Error opening database', err.message);
-            logger.logEvent("database_error", null, { message: "Error opening database", error: err.message });
-        } else {
+/**
+ * Opens the configured storage backend and makes it available through getRepository(), behind
+ * the link cache and click buffer unless both are disabled.
+ * @param {'sqlite'|'memory'|import('../model/shortUrl').ShortUrlRepository} [storage=config.storage]
+ *   A backend name, or a ready-made repository object implementing the ShortUrlRepository contract.
+ * @returns {Promise<import('../model/shortUrl').ShortUrlRepository>}
+ */
+async function initDb(storage = config.storage) {
+    try {
+        if (isRepository(storage)) {
+            repository = storage;
+        } else if (storage === 'memory') {
+            repository = new MemoryShortUrlRepository();
+        } else if (storage === 'sqlite') {
+            repository = await SqliteShortUrlRepository.open(config.databasePath);
             console.log('Connected to the SQLite database.');
-            db.serialize(() => {
-                db.run(`
-                    CREATE TABLE IF NOT EXISTS shortened_urls (
-                        shortcode TEXT PRIMARY KEY,
-                        original_url TEXT NOT NULL,
-                        created_at TEXT NOT NULL,
-                        expires_at TEXT NOT NULL
-                    );
-                `, (err) => {
-                    if (err) {
-                        console.error('Error creating shortened_urls table', err.message);
-                        logger.logEvent("database_error", null, { message: "Error creating shortened_urls table", error: err.message });
-                    }
-                });
-
-                db.run(`
-                    CREATE TABLE IF NOT EXISTS clicks (
-                        id INTEGER PRIMARY KEY AUTOINCREMENT,
-                        shortcode TEXT NOT NULL,
-                        timestamp TEXT NOT NULL,
-                        referrer TEXT,
-                        ip_address TEXT,
-                        FOREIGN KEY (shortcode) REFERENCES shortened_urls(shortcode)
-                    );
-                `, (err) => {
-                    if (err) {
-                        console.error('Error creating clicks table', err.message);
-                        logger.logEvent("database_error", null, { message: "Error creating clicks table", error: err.message });
-                    } else {
-                        logger.logEvent("database_initialized");
-                        console.log("Database initialized.");
-                    }
-                });
+            if (repository.appliedMigrations.length > 0) {
+                console.log(`Applied schema migrations: ${repository.appliedMigrations.join(', ')}`);
+            }
+        } else {
+            throw new Error(`Unknown storage backend '${storage}'. Use 'sqlite' or 'memory'.`);
+        }
+        if (config.linkCache.size > 0 || config.clickBuffer.flushIntervalMs > 0) {
+            repository = new CachedShortUrlRepository(repository, {
+                cacheSize: config.linkCache.size,
+                cacheTtlMs: config.linkCache.ttlMs,
+                flushIntervalMs: config.clickBuffer.flushIntervalMs,
+                maxBatch: config.clickBuffer.maxBatch,
+                logEvent: logger.logEvent
             });
         }
-    });
+    } catch (err) {
+        console.error('Error initializing the database', err.message);
+        logger.logEvent("database_error", null, { message: "Error initializing the database", error: err.message });
+        throw err;
+    }
+
+    logger.logEvent("database_initialized");
+    console.log("Database initialized.");
+    return repository;
+}
+
+/**
+ * @returns {import('../model/shortUrl').ShortUrlRepository} The repository opened by initDb().
+ */
+function getRepository() {
+    return repository;
 }
 
-function getDb() {
-    return db;
+async function closeDb() {
+    if (repository) {
+        await repository.close();
+        repository = null;
+    }
 }
 
-module.exports = { initDb, getDb };
\ No newline at end of file
+module.exports = { initDb, getRepository, closeDb };
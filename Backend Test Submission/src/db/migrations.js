@@ -0,0 +1,194 @@
+// src/db/migrations.js
+// Versioned schema changes for the SQLite backend. Each migration runs once, inside a transaction,
+// and is recorded in schema_migrations. To change the schema, append a migration with the next
+// version number; never edit one that has already shipped.
+
+/**
+ * Adds a column unless it is already there. Databases created before migrations existed
+ * may already have some of the later columns.
+ */
+async function addColumnIfMissing(db, table, column, type) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(existing => existing.name === column)) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'create_shortened_urls_and_clicks',
+        up: async (db) => {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS shortened_urls (
+                    shortcode TEXT PRIMARY KEY,
+                    original_url TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    expires_at TEXT NOT NULL
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS clicks (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    shortcode TEXT NOT NULL,
+                    timestamp TEXT NOT NULL,
+                    referrer TEXT,
+                    ip_address TEXT,
+                    FOREIGN KEY (shortcode) REFERENCES shortened_urls(shortcode)
+                )
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'add_link_owner',
+        up: async (db) => {
+            await addColumnIfMissing(db, 'shortened_urls', 'owner', 'TEXT');
+            await db.run("CREATE INDEX IF NOT EXISTS idx_shortened_urls_owner_created ON shortened_urls (owner, created_at)");
+        }
+    },
+    {
+        version: 3,
+        name: 'add_click_analytics',
+        up: async (db) => {
+            for (const column of ['user_agent', 'browser', 'os', 'device_type', 'visitor_hash']) {
+                await addColumnIfMissing(db, 'clicks', column, 'TEXT');
+            }
+            await db.run("CREATE INDEX IF NOT EXISTS idx_clicks_shortcode_timestamp ON clicks (shortcode, timestamp)");
+        }
+    },
+    {
+        version: 4,
+        name: 'add_link_password_and_click_limit',
+        up: async (db) => {
+            await addColumnIfMissing(db, 'shortened_urls', 'password_hash', 'TEXT');
+            await addColumnIfMissing(db, 'shortened_urls', 'max_clicks', 'INTEGER');
+        }
+    },
+    {
+        version: 5,
+        name: 'add_redirect_targets',
+        up: async (db) => {
+            // targets holds the JSON rule list (see services/targetRules); variant records which one was served.
+            await addColumnIfMissing(db, 'shortened_urls', 'targets', 'TEXT');
+            await addColumnIfMissing(db, 'clicks', 'variant', 'TEXT');
+        }
+    },
+    {
+        version: 6,
+        name: 'add_link_archive_and_click_rollups',
+        up: async (db) => {
+            // Written by the retention sweeper: expired links it archived, and the daily click
+            // counts it keeps when raw clicks are trimmed.
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS archived_links (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    shortcode TEXT NOT NULL,
+                    original_url TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    expires_at TEXT NOT NULL,
+                    owner TEXT,
+                    total_clicks INTEGER NOT NULL,
+                    archived_at TEXT NOT NULL
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS click_rollups (
+                    shortcode TEXT NOT NULL,
+                    day TEXT NOT NULL,
+                    clicks INTEGER NOT NULL,
+                    unique_visitors INTEGER NOT NULL,
+                    PRIMARY KEY (shortcode, day)
+                )
+            `);
+            await db.run("CREATE INDEX IF NOT EXISTS idx_shortened_urls_expires_at ON shortened_urls (expires_at)");
+            await db.run("CREATE INDEX IF NOT EXISTS idx_clicks_timestamp ON clicks (timestamp)");
+        }
+    },
+    {
+        version: 7,
+        name: 'add_webhooks',
+        up: async (db) => {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS webhooks (
+                    id TEXT PRIMARY KEY,
+                    owner TEXT NOT NULL,
+                    url TEXT NOT NULL,
+                    events TEXT NOT NULL,
+                    secret TEXT NOT NULL,
+                    created_at TEXT NOT NULL
+                )
+            `);
+            await db.run("CREATE INDEX IF NOT EXISTS idx_webhooks_owner ON webhooks (owner)");
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                    id TEXT PRIMARY KEY,
+                    webhook_id TEXT NOT NULL,
+                    event TEXT NOT NULL,
+                    payload TEXT NOT NULL,
+                    status TEXT NOT NULL,
+                    attempts INTEGER NOT NULL,
+                    next_attempt_at TEXT,
+                    response_status INTEGER,
+                    last_error TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL,
+                    FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+                )
+            `);
+            await db.run("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)");
+            await db.run("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at)");
+            // Which expiry webhook ("expiring", then "expired") a link has already triggered.
+            await addColumnIfMissing(db, 'shortened_urls', 'expiry_notice', 'TEXT');
+        }
+    },
+    {
+        version: 8,
+        name: 'index_finished_webhook_deliveries',
+        up: async (db) => {
+            // Lets the retention sweep find old delivered/failed deliveries without a full scan.
+            await db.run("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_finished ON webhook_deliveries (status, updated_at)");
+        }
+    }
+];
+
+/**
+ * Applies every migration newer than the database's recorded version, in order.
+ * @param {{run: Function, get: Function, all: Function}} db - Promise-based query helpers.
+ * @param {object[]} [migrations=MIGRATIONS]
+ * @returns {Promise<number[]>} The versions that were applied by this call.
+ */
+async function runMigrations(db, migrations = MIGRATIONS) {
+    await db.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+
+    const { current } = await db.get("SELECT COALESCE(MAX(version), 0) AS current FROM schema_migrations");
+    const pending = migrations
+        .filter(migration => migration.version > current)
+        .sort((a, b) => a.version - b.version);
+
+    const applied = [];
+    for (const migration of pending) {
+        await db.run("BEGIN");
+        try {
+            await migration.up(db);
+            await db.run(
+                "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)",
+                [migration.version, migration.name, new Date().toISOString()]
+            );
+            await db.run("COMMIT");
+        } catch (err) {
+            await db.run("ROLLBACK");
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`);
+        }
+        applied.push(migration.version);
+    }
+    return applied;
+}
+
+module.exports = { runMigrations, MIGRATIONS };
@@ -0,0 +1,60 @@
+// src/middleware/auth.js
+const crypto = require('crypto');
+const config = require('../config');
+const { logEvent } = require('./logger');
+
+/**
+ * Extracts the API key from either the X-API-Key header or an "Authorization: Bearer <key>" header.
+ * @param {object} req - The Express request object.
+ * @returns {string|null} The presented key, or null if none was sent.
+ */
+function getPresentedKey(req) {
+    const headerKey = req.headers['x-api-key'];
+    if (headerKey) {
+        return headerKey.trim();
+    }
+    const authorization = req.headers.authorization || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Looks up the owner of an API key. Every configured key is compared in constant time
+ * so response timing does not reveal how close a guess was.
+ * @param {string} presented - The key sent by the client.
+ * @returns {string|null} The owner name, or null if the key is unknown.
+ */
+function findOwner(presented) {
+    const presentedHash = crypto.createHash('sha256').update(presented).digest();
+    let owner = null;
+    for (const [key, keyOwner] of config.apiKeys) {
+        const keyHash = crypto.createHash('sha256').update(key).digest();
+        if (crypto.timingSafeEqual(presentedHash, keyHash)) {
+            owner = keyOwner;
+        }
+    }
+    return owner;
+}
+
+/**
+ * Express middleware that requires a valid API key and sets req.owner to the key's owner.
+ */
+function requireApiKey(req, res, next) {
+    const presented = getPresentedKey(req);
+
+    if (!presented) {
+        logEvent("auth_failed", null, { status: 401, reason: "missing_api_key" });
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: "Unauthorized", message: "An API key is required. Send it in the 'X-API-Key' header or as a Bearer token." });
+    }
+
+    const owner = findOwner(presented);
+    if (!owner) {
+        logEvent("auth_failed", null, { status: 401, reason: "invalid_api_key" });
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: "Unauthorized", message: "Invalid API key." });
+    }
+
+    req.owner = owner;
+    next();
+}
+
+module.exports = { requireApiKey };
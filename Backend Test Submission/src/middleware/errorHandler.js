@@ -0,0 +1,23 @@
+// src/middleware/errorHandler.js
+const { STATUS_CODES } = require('http');
+const { logEvent } = require('./logger');
+
+/**
+ * Last-resort Express error handler. Errors raised by body parsing carry their own
+ * 4xx status; anything else is reported as a 500.
+ * Express only treats a middleware as an error handler when it declares all four arguments.
+ */
+function errorHandler(err, req, res, next) {
+    const status = err.status || err.statusCode || 500;
+
+    if (status >= 500) {
+        console.error("Unhandled error:", err.message);
+        logEvent("error", null, { event: "unhandled_error", exception: err.message });
+        return res.status(500).json({ error: "Internal Server Error", message: "An unexpected error occurred." });
+    }
+
+    logEvent("error", null, { status, message: err.message });
+    return res.status(status).json({ error: STATUS_CODES[status], message: err.expose ? err.message : "Malformed request." });
+}
+
+module.exports = errorHandler;
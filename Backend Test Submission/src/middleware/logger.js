@@ -0,0 +1,36 @@
+// src/middleware/logger.js
+const { Logger, createEventLogger, createRequestContext, createRequestLogger } = require('@your-roll-number/logging-middleware');
+const config = require('../config');
+
+// One Logger (and so one token cache) shared by every log line the backend emits.
+// Entries logged while handling a request carry its requestId (see requestContext below).
+const logger = new Logger(config.logging);
+
+// Events whose level differs from what the package infers from the event name
+// ("*_error" → error, "*_failed"/"*_denied"/"*_rejected"/"*_limited" → warn, else info).
+const EVENT_LEVELS = {
+    database_error: 'fatal',
+    webhook_delivery_retrying: 'warn',
+    cache_clicks_flushed: 'debug',
+    cache_link_stats: 'debug'
+};
+
+// Events logged outside a request handler, tagged with the package that emits them.
+const EVENT_PACKAGES = {
+    webhook_delivered: 'service',
+    webhook_delivery_retrying: 'service',
+    webhook_delivery_failed: 'service',
+    webhook_error: 'service'
+};
+
+const logEvent = createEventLogger({ logger, stack: 'backend', levels: EVENT_LEVELS, packages: EVENT_PACKAGES });
+const requestLogger = createRequestLogger({ logger, stack: 'backend' });
+
+// Gives each request an ID (reusing a well-formed X-Request-ID) that every log line of the
+// request carries and that is echoed back in the X-Request-ID response header.
+const requestContext = createRequestContext();
+
+// Relays entries from the browser as they were sent, without the relaying request's ID.
+const clientLogger = logger.child({}, { useAsyncContext: false });
+
+module.exports = { logger, clientLogger, logEvent, requestContext, requestLogger };
@@ -0,0 +1,103 @@
+// src/middleware/rateLimiter.js
+const { getClientIp } = require('../services/shortcodeService');
+const { MemoryRateLimitStore } = require('../services/rateLimitStore');
+const { logEvent } = require('./logger');
+
+// Shared by every limiter unless one is given its own store.
+const defaultStore = new MemoryRateLimitStore();
+
+/**
+ * Creates an Express middleware that enforces per-IP and, for authenticated requests, per-API-key limits.
+ * A limit of 0 disables that dimension. Requests over either limit get a 429 with Retry-After.
+ *
+ * @param {object} options
+ * @param {string} options.name - Identifies the limiter in store keys and log events (e.g. "create").
+ * @param {number} options.windowMs - Length of the fixed window in milliseconds.
+ * @param {number} [options.perIp=0] - Maximum cost per client IP per window.
+ * @param {number} [options.perKey=0] - Maximum cost per API key owner (req.owner) per window.
+ * @param {(req: object) => number} [options.cost] - How much a request counts; defaults to 1.
+ * @param {import('../services/rateLimitStore').RateLimitStore} [options.store] - Where counters are kept.
+ * @returns {Function} Express middleware.
+ */
+function createRateLimiter({ name, windowMs, perIp = 0, perKey = 0, cost = () => 1, store = defaultStore }) {
+    return async function rateLimiter(req, res, next) {
+        const checks = [];
+        if (perIp > 0) checks.push({ scope: 'ip', id: getClientIp(req), limit: perIp });
+        if (perKey > 0 && req.owner) checks.push({ scope: 'key', id: req.owner, limit: perKey });
+
+        if (checks.length === 0) return next();
+
+        try {
+            const weight = Math.max(1, cost(req));
+            for (const check of checks) {
+                const { count, resetAt } = await store.increment(`${name}:${check.scope}:${check.id}`, windowMs, weight);
+                const retryAfterSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+                res.set('RateLimit-Limit', String(check.limit));
+                res.set('RateLimit-Remaining', String(Math.max(0, check.limit - count)));
+                res.set('RateLimit-Reset', String(retryAfterSeconds));
+
+                if (count > check.limit) {
+                    logEvent("rate_limited", req.params.shortcode || null, { limiter: name, scope: check.scope, id: check.id, count, limit: check.limit });
+                    return res.status(429).set('Retry-After', String(retryAfterSeconds)).json({
+                        error: "Too Many Requests",
+                        message: `Rate limit exceeded. Try again in ${retryAfterSeconds} seconds.`
+                    });
+                }
+            }
+        } catch (err) {
+            // A broken store must not take the service down; let the request through.
+            console.error("Rate limiter store error:", err.message);
+            logEvent("error", null, { event: "rate_limit_store_error", exception: err.message });
+        }
+
+        next();
+    };
+}
+
+/**
+ * Limits failed attempts at one target (e.g. wrong passwords for one link, or for one link from
+ * one client). Only failures count, so successful attempts never use up the budget; once it is
+ * spent, though, every attempt at the target is refused until the window ends, so a target
+ * shared by all clients should get a budget no handful of them can exhaust.
+ *
+ * @param {object} options
+ * @param {string} options.name - Identifies the limiter in store keys (e.g. "password").
+ * @param {number} options.windowMs - Length of the fixed window in milliseconds.
+ * @param {number} [options.limit=0] - Failures allowed per target per window; 0 disables the limit.
+ * @param {import('../services/rateLimitStore').RateLimitStore} [options.store]
+ * @returns {{blockedFor: (id: string) => Promise<number|null>, recordFailure: (id: string) => Promise<void>}}
+ *   blockedFor resolves with the seconds until attempts are allowed again, or null if they are now.
+ */
+function createFailureLimiter({ name, windowMs, limit = 0, store = defaultStore }) {
+    const keyFor = (id) => `${name}:failures:${id}`;
+
+    // Like createRateLimiter, a broken store lets attempts through rather than failing them.
+    const guarded = async (work, fallback) => {
+        try {
+            return await work();
+        } catch (err) {
+            console.error("Rate limiter store error:", err.message);
+            logEvent("error", null, { event: "rate_limit_store_error", exception: err.message });
+            return fallback;
+        }
+    };
+
+    return {
+        async blockedFor(id) {
+            if (!(limit > 0)) return null;
+            return guarded(async () => {
+                // A cost of 0 reads the current window without counting anything.
+                const { count, resetAt } = await store.increment(keyFor(id), windowMs, 0);
+                return count >= limit ? Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)) : null;
+            }, null);
+        },
+
+        async recordFailure(id) {
+            if (!(limit > 0)) return;
+            await guarded(() => store.increment(keyFor(id), windowMs, 1), null);
+        }
+    };
+}
+
+module.exports = { createRateLimiter, createFailureLimiter, defaultStore };
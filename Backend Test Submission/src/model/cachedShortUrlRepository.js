@@ -0,0 +1,152 @@
+// src/model/cachedShortUrlRepository.js
+const { REPOSITORY_METHODS } = require('./shortUrl');
+const { LruCache } = require('../services/lruCache');
+const { ClickBuffer } = require('../services/clickBuffer');
+
+// Methods that read clicks: buffered clicks are written first, so callers always see their own clicks.
+const CLICK_READERS = ['listLinks', 'countClicks', 'findClicks', 'aggregateClicks', 'findClickRollups', 'trimClicks'];
+
+/**
+ * Wraps another repository to take the database off the redirect's hot path:
+ * - findLink is served from an in-process LRU cache. Every write through this repository
+ *   invalidates the affected entries; writes by other processes show up once entries expire.
+ * - Clicks without a click limit are buffered and written in batches by a timer. Clicks of
+ *   links with a limit still go straight through, since the limit check must be atomic.
+ * Either part can be switched off (cacheSize 0, flushIntervalMs 0).
+ * @implements {import('./shortUrl').ShortUrlRepository}
+ */
+class CachedShortUrlRepository {
+    #timer = null;
+    // Bumped before and after every write that invalidates entries. A lookup only fills the cache
+    // if no write started or finished while it was reading, so it can't re-cache the old row.
+    #generation = 0;
+
+    /**
+     * @param {import('./shortUrl').ShortUrlRepository} inner
+     * @param {object} [options]
+     * @param {number} [options.cacheSize=10000] - Links kept in the cache; 0 disables it.
+     * @param {number} [options.cacheTtlMs=60000]
+     * @param {number} [options.flushIntervalMs=1000] - How often buffered clicks are written; 0 disables buffering.
+     * @param {number} [options.maxBatch=500] - Buffered clicks that trigger an early write.
+     * @param {(event: string, shortcode: string|null, details?: object) => void} [options.logEvent]
+     */
+    constructor(inner, { cacheSize = 10000, cacheTtlMs = 60 * 1000, flushIntervalMs = 1000, maxBatch = 500, logEvent = () => {} } = {}) {
+        this.inner = inner;
+        this.logEvent = logEvent;
+        this.cache = cacheSize > 0 ? new LruCache({ maxEntries: cacheSize, ttlMs: cacheTtlMs }) : null;
+        this.clickBuffer = flushIntervalMs > 0
+            ? new ClickBuffer({
+                write: (clicks) => inner.insertClicks(clicks),
+                maxBatch,
+                onEvent: (event, details) => logEvent(`cache_clicks_${event}`, null, details)
+            })
+            : null;
+
+        if (this.clickBuffer || this.cache) {
+            this.#timer = setInterval(() => this.#onTimer(), flushIntervalMs > 0 ? flushIntervalMs : cacheTtlMs);
+            // Never keep the process alive just to flush.
+            this.#timer.unref();
+        }
+    }
+
+    // Flushes clicks and reports the cache's hit rate since the last report, if it was used.
+    #onTimer() {
+        if (this.clickBuffer) this.clickBuffer.flush().catch(() => {});
+        if (this.cache) {
+            const stats = this.cache.takeStats();
+            if (stats.hits + stats.misses > 0) {
+                this.logEvent("cache_link_stats", null, { ...stats, hit_rate: (stats.hits / (stats.hits + stats.misses)).toFixed(2) });
+            }
+        }
+    }
+
+    #invalidate(shortcode) {
+        this.#generation++;
+        if (!this.cache) return;
+        if (shortcode === undefined) this.cache.clear();
+        else this.cache.delete(shortcode);
+    }
+
+    // Runs a write, invalidating the entry (or, without a shortcode, the whole cache) around it.
+    async #write(shortcode, work) {
+        this.#invalidate(shortcode);
+        try {
+            return await work();
+        } finally {
+            this.#invalidate(shortcode);
+        }
+    }
+
+    async #flushClicks() {
+        if (this.clickBuffer) await this.clickBuffer.flush();
+    }
+
+    async findLink(shortcode) {
+        if (!this.cache) return this.inner.findLink(shortcode);
+
+        const cached = this.cache.get(shortcode);
+        if (cached) return { ...cached };
+        const generation = this.#generation;
+        const link = await this.inner.findLink(shortcode);
+        // Misses aren't cached, so a newly created link is found right away.
+        if (link && generation === this.#generation) this.cache.set(shortcode, link);
+        return link && { ...link };
+    }
+
+    insertLink(link) {
+        return this.#write(link.shortcode, () => this.inner.insertLink(link));
+    }
+
+    updateLink(shortcode, changes) {
+        return this.#write(shortcode, () => this.inner.updateLink(shortcode, changes));
+    }
+
+    deleteLink(shortcode) {
+        // The entry goes first, so redirects stop finding the link from the cache. Clicks buffered
+        // until then are written and deleted with the link; those of redirects that still found
+        // it while the delete ran are dropped.
+        return this.#write(shortcode, () => (this.clickBuffer
+            ? this.clickBuffer.flushAndRun(() => this.inner.deleteLink(shortcode), click => click.shortcode === shortcode)
+            : this.inner.deleteLink(shortcode)));
+    }
+
+    async purgeExpiredLinks(options) {
+        await this.#flushClicks();
+        // Which links went isn't reported, and purges are rare: start over.
+        return this.#write(undefined, () => this.inner.purgeExpiredLinks(options));
+    }
+
+    async insertClick(click, options = {}) {
+        const maxClicks = options.maxClicks ?? null;
+        if (!this.clickBuffer || maxClicks !== null) return this.inner.insertClick(click, options);
+        this.clickBuffer.add({ ...click });
+        return true;
+    }
+
+    async close() {
+        clearInterval(this.#timer);
+        this.#timer = null;
+        try {
+            await this.#flushClicks();
+        } finally {
+            await this.inner.close();
+        }
+    }
+
+    // Everything not overridden above goes straight to the wrapped repository.
+    static {
+        for (const method of REPOSITORY_METHODS) {
+            if (Object.prototype.hasOwnProperty.call(this.prototype, method)) continue;
+            this.prototype[method] = CLICK_READERS.includes(method)
+                ? async function (...args) {
+                    await this.#flushClicks();
+                    return this.inner[method](...args);
+                }
+                : function (...args) {
+                    return this.inner[method](...args);
+                };
+        }
+    }
+}
+
+module.exports = { CachedShortUrlRepository };
@@ -0,0 +1,282 @@
+// src/model/memoryShortUrlRepository.js
+const { floorToInterval } = require('../services/analyticsService');
+
+/**
+ * ShortUrlRepository that keeps everything in process memory. Data is lost on restart;
+ * intended for tests and local development without SQLite.
+ * @implements {import('./shortUrl').ShortUrlRepository}
+ */
+class MemoryShortUrlRepository {
+    constructor() {
+        this.links = new Map();
+        this.clicks = [];
+        // "shortcode|day" -> ClickRollup
+        this.rollups = new Map();
+        this.archivedLinks = [];
+        this.webhooks = new Map();
+        this.deliveries = [];
+    }
+
+    #rolledUpClicks(shortcode) {
+        let total = 0;
+        for (const [key, rollup] of this.rollups) {
+            if (key.startsWith(`${shortcode}|`)) total += rollup.clicks;
+        }
+        return total;
+    }
+
+    #deleteRollups(shortcode) {
+        for (const key of [...this.rollups.keys()]) {
+            if (key.startsWith(`${shortcode}|`)) this.rollups.delete(key);
+        }
+    }
+
+    async findLink(shortcode) {
+        const link = this.links.get(shortcode);
+        return link ? { ...link, targets: link.targets && structuredClone(link.targets) } : null;
+    }
+
+    async insertLink(link) {
+        if (this.links.has(link.shortcode)) {
+            throw new Error(`UNIQUE constraint failed: shortened_urls.shortcode (${link.shortcode})`);
+        }
+        this.links.set(link.shortcode, {
+            shortcode: link.shortcode,
+            original_url: link.original_url,
+            created_at: link.created_at,
+            expires_at: link.expires_at,
+            owner: link.owner === undefined ? null : link.owner,
+            password_hash: link.password_hash || null,
+            max_clicks: link.max_clicks ?? null,
+            targets: link.targets && link.targets.length > 0 ? structuredClone(link.targets) : null,
+            expiry_notice: link.expiry_notice || null
+        });
+    }
+
+    async updateLink(shortcode, changes) {
+        const link = this.links.get(shortcode);
+        if (!link) return false;
+        if (changes.original_url !== undefined) link.original_url = changes.original_url;
+        if (changes.expires_at !== undefined) link.expires_at = changes.expires_at;
+        if (changes.expiry_notice !== undefined) link.expiry_notice = changes.expiry_notice;
+        if (changes.targets !== undefined) {
+            link.targets = changes.targets && changes.targets.length > 0 ? structuredClone(changes.targets) : null;
+        }
+        return true;
+    }
+
+    async deleteLink(shortcode) {
+        const before = this.clicks.length;
+        this.clicks = this.clicks.filter(click => click.shortcode !== shortcode);
+        this.#deleteRollups(shortcode);
+        return { deleted: this.links.delete(shortcode), clicksDeleted: before - this.clicks.length };
+    }
+
+    async listLinks({ owner, status, createdAfter, now, limit, offset = 0 }) {
+        const matching = [...this.links.values()]
+            .filter(link => link.owner === owner)
+            .filter(link => status !== "active" || link.expires_at >= now)
+            .filter(link => status !== "expired" || link.expires_at < now)
+            .filter(link => !createdAfter || link.created_at > createdAfter)
+            .sort((a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0));
+
+        const page = limit === undefined ? matching.slice(offset) : matching.slice(offset, offset + limit);
+        const items = page.map(link => ({
+            ...link,
+            total_clicks: this.clicks.filter(click => click.shortcode === link.shortcode).length + this.#rolledUpClicks(link.shortcode)
+        }));
+        return { total: matching.length, items };
+    }
+
+    async insertClick(click, { maxClicks = null } = {}) {
+        // No await between the check and the push, so concurrent clicks can't both pass the check.
+        if (maxClicks !== null && this.#countClicks(click.shortcode) >= maxClicks) {
+            return false;
+        }
+        this.clicks.push({ ...click, variant: click.variant ?? null });
+        return true;
+    }
+
+    async insertClicks(clicks) {
+        for (const click of clicks) {
+            this.clicks.push({ ...click, variant: click.variant ?? null });
+        }
+    }
+
+    #countClicks(shortcode) {
+        return this.clicks.filter(click => click.shortcode === shortcode).length + this.#rolledUpClicks(shortcode);
+    }
+
+    async countClicks(shortcode) {
+        return this.#countClicks(shortcode);
+    }
+
+    async findClicks(shortcode) {
+        return this.clicks.filter(click => click.shortcode === shortcode).map(click => ({ ...click }));
+    }
+
+    async aggregateClicks(shortcode, { from, to, interval }) {
+        const inRange = this.clicks.filter(click =>
+            click.shortcode === shortcode && click.timestamp >= from && click.timestamp < to
+        );
+        const distinctVisitors = (clicks) => new Set(clicks.map(click => click.visitor_hash).filter(Boolean)).size;
+
+        const byBucket = new Map();
+        for (const click of inRange) {
+            const bucket = floorToInterval(new Date(click.timestamp), interval).toISOString();
+            if (!byBucket.has(bucket)) byBucket.set(bucket, []);
+            byBucket.get(bucket).push(click);
+        }
+
+        const breakdown = (column) => {
+            const counts = {};
+            for (const click of inRange) {
+                const value = click[column] || 'unknown';
+                counts[value] = (counts[value] || 0) + 1;
+            }
+            return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+        };
+
+        return {
+            clicks: inRange.length,
+            unique_visitors: distinctVisitors(inRange),
+            buckets: [...byBucket.keys()].sort().map(bucket => ({
+                bucket,
+                clicks: byBucket.get(bucket).length,
+                unique_visitors: distinctVisitors(byBucket.get(bucket))
+            })),
+            browsers: breakdown("browser"),
+            operating_systems: breakdown("os"),
+            device_types: breakdown("device_type")
+        };
+    }
+
+    async findClickRollups(shortcode) {
+        return [...this.rollups.entries()]
+            .filter(([key]) => key.startsWith(`${shortcode}|`))
+            .map(([, rollup]) => ({ ...rollup }))
+            .sort((a, b) => (a.day < b.day ? -1 : 1));
+    }
+
+    async purgeExpiredLinks({ expiredBefore, archive, archivedAt, limit }) {
+        const expired = [...this.links.values()]
+            .filter(link => link.expires_at < expiredBefore)
+            .sort((a, b) => (a.expires_at < b.expires_at ? -1 : 1))
+            .slice(0, limit);
+
+        let clicks = 0;
+        for (const link of expired) {
+            if (archive) {
+                const { shortcode, original_url, created_at, expires_at, owner } = link;
+                this.archivedLinks.push({
+                    shortcode, original_url, created_at, expires_at, owner,
+                    total_clicks: this.#countClicks(shortcode),
+                    archived_at: archivedAt
+                });
+            }
+            clicks += (await this.deleteLink(link.shortcode)).clicksDeleted;
+        }
+        return { links: expired.length, clicks };
+    }
+
+    async trimClicks({ before, rollup }) {
+        const limited = new Set([...this.links.values()].filter(link => link.max_clicks !== null).map(link => link.shortcode));
+        const old = this.clicks.filter(click => click.timestamp < before);
+        const toRollUp = old.filter(click => rollup || limited.has(click.shortcode));
+
+        const groups = new Map();
+        for (const click of toRollUp) {
+            const key = `${click.shortcode}|${click.timestamp.slice(0, 10)}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(click);
+        }
+        for (const [key, clicks] of groups) {
+            const existing = this.rollups.get(key) || { day: key.split('|')[1], clicks: 0, unique_visitors: 0 };
+            this.rollups.set(key, {
+                day: existing.day,
+                clicks: existing.clicks + clicks.length,
+                unique_visitors: existing.unique_visitors + new Set(clicks.map(click => click.visitor_hash).filter(Boolean)).size
+            });
+        }
+
+        this.clicks = this.clicks.filter(click => click.timestamp >= before);
+        return { deleted: old.length, rolledUp: toRollUp.length };
+    }
+
+    async findLinksForExpiryNotice({ now, expiringBefore, expiredAfter, limit }) {
+        const owners = new Set([...this.webhooks.values()].map(webhook => webhook.owner));
+        return [...this.links.values()]
+            .filter(link => owners.has(link.owner))
+            .filter(link =>
+                (link.expires_at >= now && link.expires_at < expiringBefore && !link.expiry_notice)
+                || (link.expires_at < now && link.expires_at >= expiredAfter && link.expiry_notice !== 'expired'))
+            .sort((a, b) => (a.expires_at < b.expires_at ? -1 : 1))
+            .slice(0, limit)
+            .map(link => ({ ...link }));
+    }
+
+    async insertWebhook(webhook, { maxPerOwner = null } = {}) {
+        // No await between the check and the insert, as in insertClick.
+        if (maxPerOwner !== null && [...this.webhooks.values()].filter(existing => existing.owner === webhook.owner).length >= maxPerOwner) {
+            return false;
+        }
+        this.webhooks.set(webhook.id, { ...webhook, events: [...webhook.events] });
+        return true;
+    }
+
+    async findWebhook(id) {
+        const webhook = this.webhooks.get(id);
+        return webhook ? { ...webhook, events: [...webhook.events] } : null;
+    }
+
+    async listWebhooks(owner) {
+        return [...this.webhooks.values()]
+            .filter(webhook => webhook.owner === owner)
+            .map(webhook => ({ ...webhook, events: [...webhook.events] }));
+    }
+
+    async deleteWebhook(id) {
+        this.deliveries = this.deliveries.filter(delivery => delivery.webhook_id !== id);
+        return this.webhooks.delete(id);
+    }
+
+    async insertDelivery(delivery) {
+        this.deliveries.push({ response_status: null, last_error: null, ...delivery });
+    }
+
+    async updateDelivery(id, changes) {
+        const delivery = this.deliveries.find(existing => existing.id === id);
+        if (!delivery) return;
+        for (const [column, value] of Object.entries(changes)) {
+            if (column !== 'id' && value !== undefined) delivery[column] = value;
+        }
+    }
+
+    async findDueDeliveries(now, limit) {
+        return this.deliveries
+            .filter(delivery => delivery.status === 'pending' && delivery.next_attempt_at <= now)
+            .sort((a, b) => (a.next_attempt_at < b.next_attempt_at ? -1 : a.next_attempt_at > b.next_attempt_at ? 1 : 0))
+            .slice(0, limit)
+            .map(delivery => ({ ...delivery }));
+    }
+
+    async listDeliveries(webhookId, limit) {
+        return this.deliveries
+            .filter(delivery => delivery.webhook_id === webhookId)
+            .reverse()
+            .slice(0, limit)
+            .map(delivery => ({ ...delivery }));
+    }
+
+    async purgeDeliveries({ finishedBefore, limit }) {
+        const purged = new Set(this.deliveries
+            .filter(delivery => delivery.status !== 'pending' && delivery.updated_at < finishedBefore)
+            .slice(0, limit));
+        this.deliveries = this.deliveries.filter(delivery => !purged.has(delivery));
+        return purged.size;
+    }
+
+    async close() {}
+}
+
+module.exports = { MemoryShortUrlRepository };
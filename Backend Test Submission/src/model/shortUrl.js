@@ -0,0 +1,158 @@
+// src/model/shortUrl.js
+// The storage contract for short links, their clicks, and the webhooks that report on them. Controllers only talk to a repository
+// through these methods, so any backend (SQLite, in-memory, or another database) can be plugged in.
+
+/**
+ * A row of the shortened_urls table.
+ * @typedef {object} LinkRecord
+ * @property {string} shortcode
+ * @property {string} original_url
+ * @property {string} created_at - ISO 8601 timestamp.
+ * @property {string} expires_at - ISO 8601 timestamp.
+ * @property {string|null} owner - The API key owner that created the link.
+ * @property {string|null} password_hash - Set for password-protected links (see passwordService).
+ * @property {number|null} max_clicks - Clicks after which the link stops working; null for no limit.
+ * @property {object[]|null} targets - Conditional redirect targets (see targetRules); null when the
+ *   link always goes to original_url. Stored as JSON by backends that need a string.
+ * @property {'expiring'|'expired'|null} expiry_notice - The last expiry webhook event the link triggered.
+ */
+
+/**
+ * A LinkRecord together with its click count (rolled-up clicks included), as returned by listLinks.
+ * @typedef {LinkRecord & {total_clicks: number}} LinkSummaryRecord
+ */
+
+/**
+ * A row of the clicks table.
+ * @typedef {object} ClickRecord
+ * @property {string} shortcode
+ * @property {string} timestamp - ISO 8601 timestamp.
+ * @property {string|null} referrer
+ * @property {string|null} ip_address
+ * @property {string|null} user_agent
+ * @property {string|null} browser
+ * @property {string|null} os
+ * @property {string|null} device_type
+ * @property {string|null} visitor_hash
+ * @property {string|null} variant - Name of the target that was served; null for links without targets.
+ */
+
+/**
+ * Daily click counts kept in place of raw clicks trimmed by the retention sweeper.
+ * @typedef {object} ClickRollup
+ * @property {string} day - UTC date, YYYY-MM-DD.
+ * @property {number} clicks
+ * @property {number} unique_visitors - Distinct visitors on that day.
+ */
+
+/**
+ * A webhook subscription. Only events of links belonging to `owner` are delivered to it.
+ * @typedef {object} WebhookRecord
+ * @property {string} id
+ * @property {string} owner
+ * @property {string} url
+ * @property {string[]} events - Event types, e.g. "link.created".
+ * @property {string} secret - Key for the HMAC signature of each delivery.
+ * @property {string} created_at - ISO 8601 timestamp.
+ */
+
+/**
+ * One event sent (or to be sent) to one webhook.
+ * @typedef {object} DeliveryRecord
+ * @property {string} id
+ * @property {string} webhook_id
+ * @property {string} event
+ * @property {string} payload - The exact JSON body that is signed and sent.
+ * @property {'pending'|'delivered'|'failed'} status - pending until delivered, or failed once retries run out.
+ * @property {number} attempts
+ * @property {string|null} next_attempt_at - ISO 8601; set while pending.
+ * @property {number|null} response_status - HTTP status of the last attempt, if it got a response.
+ * @property {string|null} last_error
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * Filters for listLinks. Omitting `limit` returns every matching link.
+ * @typedef {object} LinkQuery
+ * @property {string} owner - Only links belonging to this owner.
+ * @property {'active'|'expired'} [status] - Compared against `now`.
+ * @property {string} [createdAfter] - ISO 8601; only links created strictly after it.
+ * @property {string} now - ISO 8601 reference time for the status filter.
+ * @property {number} [limit]
+ * @property {number} [offset]
+ */
+
+/**
+ * Click aggregates over [from, to). Buckets are UTC hours or days and only non-empty ones are returned.
+ * @typedef {object} ClickAggregate
+ * @property {number} clicks
+ * @property {number} unique_visitors - Distinct visitor_hash values.
+ * @property {{bucket: string, clicks: number, unique_visitors: number}[]} buckets - `bucket` is the ISO start time.
+ * @property {Object<string, number>} browsers
+ * @property {Object<string, number>} operating_systems
+ * @property {Object<string, number>} device_types
+ */
+
+/**
+ * @typedef {object} ShortUrlRepository
+ * @property {(shortcode: string) => Promise<LinkRecord|null>} findLink
+ * @property {(link: LinkRecord) => Promise<void>} insertLink
+ * @property {(shortcode: string, changes: {original_url?: string, expires_at?: string, targets?: object[]|null, expiry_notice?: string|null}) => Promise<boolean>} updateLink
+ *   Resolves false when no link has that shortcode.
+ * @property {(shortcode: string) => Promise<{deleted: boolean, clicksDeleted: number}>} deleteLink
+ *   Removes the link and all of its clicks and rollups.
+ * @property {(query: LinkQuery) => Promise<{total: number, items: LinkSummaryRecord[]}>} listLinks
+ *   Newest first; `total` ignores limit/offset.
+ * @property {(click: ClickRecord, options?: {maxClicks?: number|null}) => Promise<boolean>} insertClick
+ *   With `maxClicks`, the click is only stored while the link has fewer clicks than that; the
+ *   check and the insert are atomic. Resolves false when the limit prevented the insert.
+ * @property {(clicks: ClickRecord[]) => Promise<void>} insertClicks - Stores a batch of clicks (no click limits apply).
+ * @property {(shortcode: string) => Promise<number>} countClicks - Rolled-up clicks included.
+ * @property {(shortcode: string) => Promise<ClickRecord[]>} findClicks - Oldest first.
+ * @property {(shortcode: string, range: {from: string, to: string, interval: 'hour'|'day'}) => Promise<ClickAggregate>} aggregateClicks
+ * @property {(shortcode: string) => Promise<ClickRollup[]>} findClickRollups - Oldest first.
+ * @property {(options: {expiredBefore: string, archive: boolean, archivedAt: string, limit: number}) => Promise<{links: number, clicks: number}>} purgeExpiredLinks
+ *   Deletes up to `limit` links that expired before `expiredBefore`, with their clicks and rollups.
+ *   With `archive`, each link is first copied to the archive with its click count.
+ * @property {(options: {before: string, rollup: boolean}) => Promise<{deleted: number, rolledUp: number}>} trimClicks
+ *   Deletes clicks older than `before` (a UTC midnight). Clicks of links with a click limit are
+ *   always rolled up into daily counts first, so the limit keeps holding; with `rollup`, all are.
+ * @property {(query: {now: string, expiringBefore: string, expiredAfter: string, limit: number}) => Promise<LinkRecord[]>} findLinksForExpiryNotice
+ *   Links of owners with a webhook that are due an expiry notice: expiring before `expiringBefore`
+ *   without any notice yet, or expired after `expiredAfter` without an "expired" notice.
+ * @property {(webhook: WebhookRecord, options?: {maxPerOwner?: number|null}) => Promise<boolean>} insertWebhook
+ *   With `maxPerOwner`, the webhook is only stored while its owner has fewer webhooks than that;
+ *   the check and the insert are atomic. Resolves false when the limit prevented the insert.
+ * @property {(id: string) => Promise<WebhookRecord|null>} findWebhook
+ * @property {(owner: string) => Promise<WebhookRecord[]>} listWebhooks - Oldest first.
+ * @property {(id: string) => Promise<boolean>} deleteWebhook - Removes its deliveries too.
+ * @property {(delivery: DeliveryRecord) => Promise<void>} insertDelivery
+ * @property {(id: string, changes: Partial<DeliveryRecord>) => Promise<void>} updateDelivery
+ * @property {(now: string, limit: number) => Promise<DeliveryRecord[]>} findDueDeliveries
+ *   Pending deliveries whose next_attempt_at has passed, oldest first.
+ * @property {(webhookId: string, limit: number) => Promise<DeliveryRecord[]>} listDeliveries - Newest first.
+ * @property {(options: {finishedBefore: string, limit: number}) => Promise<number>} purgeDeliveries
+ *   Deletes up to `limit` delivered or failed deliveries last updated before `finishedBefore`;
+ *   pending ones are kept. Resolves with the number deleted.
+ * @property {() => Promise<void>} close
+ */
+
+const REPOSITORY_METHODS = [
+    'findLink', 'insertLink', 'updateLink', 'deleteLink', 'listLinks',
+    'insertClick', 'insertClicks', 'countClicks', 'findClicks', 'aggregateClicks',
+    'findClickRollups', 'purgeExpiredLinks', 'trimClicks', 'findLinksForExpiryNotice',
+    'insertWebhook', 'findWebhook', 'listWebhooks', 'deleteWebhook',
+    'insertDelivery', 'updateDelivery', 'findDueDeliveries', 'listDeliveries', 'purgeDeliveries', 'close'
+];
+
+/**
+ * Checks that an object implements every ShortUrlRepository method.
+ * @param {object} candidate
+ * @returns {boolean}
+ */
+function isRepository(candidate) {
+    return !!candidate && REPOSITORY_METHODS.every(method => typeof candidate[method] === 'function');
+}
+
+module.exports = { REPOSITORY_METHODS, isRepository };
@@ -0,0 +1,444 @@
+// src/model/sqliteShortUrlRepository.js
+const sqlite3 = require('sqlite3').verbose();
+const { runMigrations } = require('../db/migrations');
+
+// targets is stored as JSON text; callers always see the parsed list (or null).
+const parseLinkRow = (row) => (row ? { ...row, targets: row.targets ? JSON.parse(row.targets) : null } : null);
+const serializeTargets = (targets) => (targets && targets.length > 0 ? JSON.stringify(targets) : null);
+const parseWebhookRow = (row) => (row ? { ...row, events: JSON.parse(row.events) } : null);
+
+const LINK_COLUMNS = "shortcode, original_url, created_at, expires_at, owner, password_hash, max_clicks, targets, expiry_notice";
+const CLICK_COLUMNS = ['shortcode', 'timestamp', 'referrer', 'ip_address', 'user_agent', 'browser', 'os',
+    'device_type', 'visitor_hash', 'variant'];
+// Rows per multi-row INSERT, keeping the bound parameters well under SQLite's limit.
+const CLICK_INSERT_CHUNK = 50;
+const DELIVERY_COLUMNS = ['id', 'webhook_id', 'event', 'payload', 'status', 'attempts', 'next_attempt_at',
+    'response_status', 'last_error', 'created_at', 'updated_at'];
+
+// Truncates the ISO-8601 `timestamp` column to the start of its UTC hour or day.
+const BUCKET_EXPRESSIONS = {
+    hour: "substr(timestamp, 1, 13) || ':00:00.000Z'",
+    day: "substr(timestamp, 1, 10) || 'T00:00:00.000Z'"
+};
+
+/**
+ * ShortUrlRepository backed by a sqlite3 database file (or ":memory:").
+ * @implements {import('./shortUrl').ShortUrlRepository}
+ */
+class SqliteShortUrlRepository {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Opens the database and brings its schema up to date.
+     * @param {string} databasePath - File path, or ":memory:".
+     * @returns {Promise<SqliteShortUrlRepository>}
+     */
+    static async open(databasePath) {
+        const db = await new Promise((resolve, reject) => {
+            const database = new sqlite3.Database(databasePath, (err) => (err ? reject(err) : resolve(database)));
+        });
+        const repository = new SqliteShortUrlRepository(db);
+        repository.appliedMigrations = await runMigrations(repository);
+        return repository;
+    }
+
+    // Settles once every transaction queued so far has finished.
+    #transactions = Promise.resolve();
+    // Statements sent outside a transaction that haven't completed yet.
+    #inFlight = new Set();
+
+    // Promise wrapper around the sqlite3 callback API.
+    #execute(method, query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db[method](query, params, function (err, result) {
+                if (err) return reject(err);
+                resolve(method === 'run' ? this : result);
+            });
+        });
+    }
+
+    /**
+     * Runs one statement outside any transaction. All statements share one connection, so a
+     * statement sent while a transaction is open would become part of it (and be undone by its
+     * rollback); statements therefore wait until queued transactions have finished.
+     */
+    async #statement(method, query, params) {
+        let barrier;
+        do {
+            barrier = this.#transactions;
+            await barrier;
+        } while (barrier !== this.#transactions);
+
+        const pending = this.#execute(method, query, params);
+        this.#inFlight.add(pending);
+        try {
+            return await pending;
+        } finally {
+            this.#inFlight.delete(pending);
+        }
+    }
+
+    // Promise-based query helpers; also used by the migration runner.
+    run(query, params) {
+        return this.#statement('run', query, params);
+    }
+
+    get(query, params) {
+        return this.#statement('get', query, params);
+    }
+
+    all(query, params) {
+        return this.#statement('all', query, params);
+    }
+
+    /**
+     * Runs `work` inside a transaction, rolling back if it throws. Transactions run one at a
+     * time, after the statements already sent have completed; `work` must issue its queries
+     * through the helpers it is given, since run/get/all would wait for the transaction itself.
+     * @template T
+     * @param {(tx: {run: Function, get: Function, all: Function}) => Promise<T>} work
+     * @returns {Promise<T>}
+     */
+    #transaction(work) {
+        const previous = this.#transactions;
+        const tx = {
+            run: (query, params) => this.#execute('run', query, params),
+            get: (query, params) => this.#execute('get', query, params),
+            all: (query, params) => this.#execute('all', query, params)
+        };
+        const result = (async () => {
+            await previous;
+            await Promise.allSettled([...this.#inFlight]);
+            await tx.run("BEGIN");
+            try {
+                const value = await work(tx);
+                await tx.run("COMMIT");
+                return value;
+            } catch (err) {
+                // SQLite may already have rolled back on its own (e.g. when the disk is full).
+                await tx.run("ROLLBACK").catch(() => {});
+                throw err;
+            }
+        })();
+        this.#transactions = result.then(() => {}, () => {});
+        return result;
+    }
+
+    async findLink(shortcode) {
+        const row = await this.get(
+            `SELECT ${LINK_COLUMNS} FROM shortened_urls WHERE shortcode = ?`,
+            [shortcode]
+        );
+        return parseLinkRow(row);
+    }
+
+    async insertLink(link) {
+        await this.run(
+            `INSERT INTO shortened_urls (${LINK_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [link.shortcode, link.original_url, link.created_at, link.expires_at, link.owner,
+                link.password_hash || null, link.max_clicks ?? null, serializeTargets(link.targets), link.expiry_notice || null]
+        );
+    }
+
+    async updateLink(shortcode, changes) {
+        const columns = ['original_url', 'expires_at', 'targets', 'expiry_notice'].filter(column => changes[column] !== undefined);
+        if (columns.length === 0) {
+            return !!(await this.findLink(shortcode));
+        }
+        const { changes: updated } = await this.run(
+            `UPDATE shortened_urls SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE shortcode = ?`,
+            [...columns.map(column => (column === 'targets' ? serializeTargets(changes.targets) : changes[column])), shortcode]
+        );
+        return updated > 0;
+    }
+
+    async deleteLink(shortcode) {
+        // Clicks reference the link, so they go first; all in one transaction, so a failure
+        // halfway never leaves a link without its clicks.
+        return this.#transaction(async (tx) => {
+            const { changes: clicksDeleted } = await tx.run("DELETE FROM clicks WHERE shortcode = ?", [shortcode]);
+            await tx.run("DELETE FROM click_rollups WHERE shortcode = ?", [shortcode]);
+            const { changes: deleted } = await tx.run("DELETE FROM shortened_urls WHERE shortcode = ?", [shortcode]);
+            return { deleted: deleted > 0, clicksDeleted };
+        });
+    }
+
+    async listLinks({ owner, status, createdAfter, now, limit, offset = 0 }) {
+        // Timestamps are stored as ISO strings, so lexical comparison matches chronological order.
+        const conditions = ["u.owner = ?"];
+        const params = [owner];
+        if (status === "active") {
+            conditions.push("u.expires_at >= ?");
+            params.push(now);
+        } else if (status === "expired") {
+            conditions.push("u.expires_at < ?");
+            params.push(now);
+        }
+        if (createdAfter) {
+            conditions.push("u.created_at > ?");
+            params.push(createdAfter);
+        }
+        const where = `WHERE ${conditions.join(" AND ")}`;
+
+        const { total } = await this.get(`SELECT COUNT(*) AS total FROM shortened_urls u ${where}`, params);
+        const items = await this.all(
+            `SELECT u.shortcode, u.original_url, u.created_at, u.expires_at, u.owner, u.password_hash, u.max_clicks, u.targets, u.expiry_notice,
+                    COUNT(c.id) + (SELECT COALESCE(SUM(r.clicks), 0) FROM click_rollups r WHERE r.shortcode = u.shortcode) AS total_clicks
+             FROM shortened_urls u LEFT JOIN clicks c ON c.shortcode = u.shortcode
+             ${where}
+             GROUP BY u.shortcode
+             ORDER BY u.created_at DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit === undefined ? -1 : limit, offset]
+        );
+        return { total, items: items.map(parseLinkRow) };
+    }
+
+    async insertClick(click, { maxClicks = null } = {}) {
+        const values = CLICK_COLUMNS.map(column => click[column] ?? null);
+        const columns = CLICK_COLUMNS.join(", ");
+
+        if (maxClicks === null) {
+            await this.run(`INSERT INTO clicks (${columns}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, values);
+            return true;
+        }
+        // A single statement, so concurrent clicks cannot both slip in under the limit.
+        const { changes } = await this.run(
+            `INSERT INTO clicks (${columns})
+             SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+             WHERE (SELECT COUNT(*) FROM clicks WHERE shortcode = ?)
+                 + (SELECT COALESCE(SUM(clicks), 0) FROM click_rollups WHERE shortcode = ?) < ?`,
+            [...values, click.shortcode, click.shortcode, maxClicks]
+        );
+        return changes > 0;
+    }
+
+    async insertClicks(clicks) {
+        if (clicks.length === 0) return;
+        const row = `(${CLICK_COLUMNS.map(() => "?").join(", ")})`;
+        await this.#transaction(async (tx) => {
+            for (let i = 0; i < clicks.length; i += CLICK_INSERT_CHUNK) {
+                const chunk = clicks.slice(i, i + CLICK_INSERT_CHUNK);
+                await tx.run(
+                    `INSERT INTO clicks (${CLICK_COLUMNS.join(", ")}) VALUES ${chunk.map(() => row).join(", ")}`,
+                    chunk.flatMap(click => CLICK_COLUMNS.map(column => click[column] ?? null))
+                );
+            }
+        });
+    }
+
+    async countClicks(shortcode) {
+        const { total } = await this.get(
+            `SELECT (SELECT COUNT(*) FROM clicks WHERE shortcode = ?)
+                  + (SELECT COALESCE(SUM(clicks), 0) FROM click_rollups WHERE shortcode = ?) AS total`,
+            [shortcode, shortcode]
+        );
+        return total;
+    }
+
+    findClicks(shortcode) {
+        return this.all(
+            `SELECT shortcode, timestamp, referrer, ip_address, user_agent, browser, os, device_type, visitor_hash, variant
+             FROM clicks WHERE shortcode = ? ORDER BY id`,
+            [shortcode]
+        );
+    }
+
+    async aggregateClicks(shortcode, { from, to, interval }) {
+        const rangeFilter = "shortcode = ? AND timestamp >= ? AND timestamp < ?";
+        const rangeParams = [shortcode, from, to];
+
+        const totals = await this.get(
+            `SELECT COUNT(*) AS clicks, COUNT(DISTINCT visitor_hash) AS unique_visitors FROM clicks WHERE ${rangeFilter}`,
+            rangeParams
+        );
+        const buckets = await this.all(
+            `SELECT ${BUCKET_EXPRESSIONS[interval]} AS bucket, COUNT(*) AS clicks, COUNT(DISTINCT visitor_hash) AS unique_visitors
+             FROM clicks WHERE ${rangeFilter}
+             GROUP BY bucket ORDER BY bucket`,
+            rangeParams
+        );
+
+        const breakdown = async (column) => {
+            const rows = await this.all(
+                `SELECT COALESCE(${column}, 'unknown') AS value, COUNT(*) AS clicks
+                 FROM clicks WHERE ${rangeFilter}
+                 GROUP BY value ORDER BY clicks DESC`,
+                rangeParams
+            );
+            return Object.fromEntries(rows.map(row => [row.value, row.clicks]));
+        };
+
+        return {
+            clicks: totals.clicks,
+            unique_visitors: totals.unique_visitors,
+            buckets: buckets,
+            browsers: await breakdown("browser"),
+            operating_systems: await breakdown("os"),
+            device_types: await breakdown("device_type")
+        };
+    }
+
+    findClickRollups(shortcode) {
+        return this.all(
+            "SELECT day, clicks, unique_visitors FROM click_rollups WHERE shortcode = ? ORDER BY day",
+            [shortcode]
+        );
+    }
+
+    async purgeExpiredLinks({ expiredBefore, archive, archivedAt, limit }) {
+        const rows = await this.all(
+            "SELECT shortcode FROM shortened_urls WHERE expires_at < ? ORDER BY expires_at LIMIT ?",
+            [expiredBefore, limit]
+        );
+        if (rows.length === 0) return { links: 0, clicks: 0 };
+
+        // The expiry is checked again in every statement: a link extended since the SELECT stays.
+        const placeholders = rows.map(() => "?").join(", ");
+        const expired = `shortcode IN (SELECT shortcode FROM shortened_urls WHERE shortcode IN (${placeholders}) AND expires_at < ?)`;
+        const params = [...rows.map(row => row.shortcode), expiredBefore];
+
+        return this.#transaction(async (tx) => {
+            if (archive) {
+                await tx.run(
+                    `INSERT INTO archived_links (shortcode, original_url, created_at, expires_at, owner, total_clicks, archived_at)
+                     SELECT u.shortcode, u.original_url, u.created_at, u.expires_at, u.owner,
+                            (SELECT COUNT(*) FROM clicks c WHERE c.shortcode = u.shortcode)
+                          + (SELECT COALESCE(SUM(r.clicks), 0) FROM click_rollups r WHERE r.shortcode = u.shortcode),
+                            ?
+                     FROM shortened_urls u WHERE u.${expired}`,
+                    [archivedAt, ...params]
+                );
+            }
+            const { changes: clicks } = await tx.run(`DELETE FROM clicks WHERE ${expired}`, params);
+            await tx.run(`DELETE FROM click_rollups WHERE ${expired}`, params);
+            const { changes: links } = await tx.run(`DELETE FROM shortened_urls WHERE ${expired}`, params);
+            return { links, clicks };
+        });
+    }
+
+    async trimClicks({ before, rollup }) {
+        const scope = rollup ? "" : "AND shortcode IN (SELECT shortcode FROM shortened_urls WHERE max_clicks IS NOT NULL)";
+
+        return this.#transaction(async (tx) => {
+            const { rolledUp } = await tx.get(
+                `SELECT COUNT(*) AS rolledUp FROM clicks WHERE timestamp < ? ${scope}`,
+                [before]
+            );
+            // Whole UTC days are trimmed at once, so each day is rolled up in a single run and its
+            // unique-visitor count is exact; adding to an existing row only guards against reruns.
+            await tx.run(
+                `INSERT INTO click_rollups (shortcode, day, clicks, unique_visitors)
+                 SELECT shortcode, substr(timestamp, 1, 10), COUNT(*), COUNT(DISTINCT visitor_hash)
+                 FROM clicks WHERE timestamp < ? ${scope}
+                 GROUP BY shortcode, substr(timestamp, 1, 10)
+                 ON CONFLICT (shortcode, day) DO UPDATE SET
+                     clicks = clicks + excluded.clicks,
+                     unique_visitors = unique_visitors + excluded.unique_visitors`,
+                [before]
+            );
+            const { changes: deleted } = await tx.run("DELETE FROM clicks WHERE timestamp < ?", [before]);
+            return { deleted, rolledUp };
+        });
+    }
+
+    async findLinksForExpiryNotice({ now, expiringBefore, expiredAfter, limit }) {
+        const rows = await this.all(
+            `SELECT ${LINK_COLUMNS} FROM shortened_urls
+             WHERE owner IN (SELECT owner FROM webhooks)
+               AND ((expires_at >= ? AND expires_at < ? AND expiry_notice IS NULL)
+                 OR (expires_at < ? AND expires_at >= ? AND (expiry_notice IS NULL OR expiry_notice != 'expired')))
+             ORDER BY expires_at LIMIT ?`,
+            [now, expiringBefore, now, expiredAfter, limit]
+        );
+        return rows.map(parseLinkRow);
+    }
+
+    async insertWebhook(webhook, { maxPerOwner = null } = {}) {
+        const values = [webhook.id, webhook.owner, webhook.url, JSON.stringify(webhook.events), webhook.secret, webhook.created_at];
+        if (maxPerOwner === null) {
+            await this.run("INSERT INTO webhooks (id, owner, url, events, secret, created_at) VALUES (?, ?, ?, ?, ?, ?)", values);
+            return true;
+        }
+        // A single statement, like insertClick's, so concurrent requests can't both slip in under the limit.
+        const { changes } = await this.run(
+            `INSERT INTO webhooks (id, owner, url, events, secret, created_at)
+             SELECT ?, ?, ?, ?, ?, ?
+             WHERE (SELECT COUNT(*) FROM webhooks WHERE owner = ?) < ?`,
+            [...values, webhook.owner, maxPerOwner]
+        );
+        return changes > 0;
+    }
+
+    async findWebhook(id) {
+        return parseWebhookRow(await this.get("SELECT * FROM webhooks WHERE id = ?", [id]));
+    }
+
+    async listWebhooks(owner) {
+        const rows = await this.all("SELECT * FROM webhooks WHERE owner = ? ORDER BY created_at, id", [owner]);
+        return rows.map(parseWebhookRow);
+    }
+
+    async deleteWebhook(id) {
+        // Like deleteLink: deliveries first, and both in one transaction.
+        return this.#transaction(async (tx) => {
+            await tx.run("DELETE FROM webhook_deliveries WHERE webhook_id = ?", [id]);
+            const { changes } = await tx.run("DELETE FROM webhooks WHERE id = ?", [id]);
+            return changes > 0;
+        });
+    }
+
+    async insertDelivery(delivery) {
+        await this.run(
+            `INSERT INTO webhook_deliveries (${DELIVERY_COLUMNS.join(', ')}) VALUES (${DELIVERY_COLUMNS.map(() => '?').join(', ')})`,
+            DELIVERY_COLUMNS.map(column => delivery[column] ?? null)
+        );
+    }
+
+    async updateDelivery(id, changes) {
+        const columns = DELIVERY_COLUMNS.filter(column => column !== 'id' && changes[column] !== undefined);
+        if (columns.length === 0) return;
+        await this.run(
+            `UPDATE webhook_deliveries SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => changes[column]), id]
+        );
+    }
+
+    findDueDeliveries(now, limit) {
+        return this.all(
+            `SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ?
+             ORDER BY next_attempt_at, created_at LIMIT ?`,
+            [now, limit]
+        );
+    }
+
+    listDeliveries(webhookId, limit) {
+        return this.all(
+            "SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?",
+            [webhookId, limit]
+        );
+    }
+
+    async purgeDeliveries({ finishedBefore, limit }) {
+        const { changes } = await this.run(
+            `DELETE FROM webhook_deliveries WHERE id IN (
+                 SELECT id FROM webhook_deliveries
+                 WHERE status IN ('delivered', 'failed') AND updated_at < ?
+                 ORDER BY updated_at LIMIT ?
+             )`,
+            [finishedBefore, limit]
+        );
+        return changes;
+    }
+
+    async close() {
+        await this.#transactions;
+        return new Promise((resolve, reject) => {
+            this.db.close((err) => (err ? reject(err) : resolve()));
+        });
+    }
+}
+
+module.exports = { SqliteShortUrlRepository };
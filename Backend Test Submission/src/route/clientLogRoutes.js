@@ -0,0 +1,13 @@
+// src/route/clientLogRoutes.js
+const express = require('express');
+const config = require('../config');
+const controller = require('../controllers/clientLogController');
+const { createRateLimiter } = require('../middleware/rateLimiter');
+
+// Public, so browsers can report errors before (or without) an API key; limited per IP instead.
+const clientLogLimiter = createRateLimiter({ name: 'client-logs', ...config.rateLimits.clientLogs });
+
+const router = express.Router();
+router.post('/', clientLogLimiter, controller.relayClientLogs);
+
+module.exports = router;
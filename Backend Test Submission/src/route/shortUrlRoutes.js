@@ -0,0 +1,49 @@
+// src/route/shortUrlRoutes.js
+const express = require('express');
+const config = require('../config');
+const controller = require('../controllers/shortUrlController');
+const { createRateLimiter } = require('../middleware/rateLimiter');
+const { parseCsv } = require('../services/csvService');
+
+// Each link in a batch counts against the creation limit, so batches cannot be used to bypass it.
+// CSV uploads are charged by the records they parse into (quoted fields may span lines); one
+// that doesn't parse costs a single request, since it is rejected without creating anything.
+const batchCost = (req) => {
+    if (typeof req.body === 'string') {
+        try {
+            return parseCsv(req.body).length;
+        } catch {
+            return 1;
+        }
+    }
+    if (Array.isArray(req.body)) return req.body.length;
+    return req.body && Array.isArray(req.body.items) ? req.body.items.length : 1;
+};
+
+const createLimiter = createRateLimiter({ name: 'create', ...config.rateLimits.create });
+const batchLimiter = createRateLimiter({ name: 'create', ...config.rateLimits.create, cost: batchCost });
+const redirectLimiter = createRateLimiter({ name: 'redirect', ...config.rateLimits.redirect });
+// Password attempts get their own, much tighter budget so passwords can't be brute-forced.
+// Wrong passwords are also limited per client and link, and more loosely per link (see unlockShortUrl).
+const passwordLimiter = createRateLimiter({ name: 'password', windowMs: config.rateLimits.password.windowMs, perIp: config.rateLimits.password.perIp });
+
+// Management API, mounted at /shorturls
+const api = express.Router();
+api.post('/', createLimiter, controller.createShortUrl);
+api.get('/', controller.listShortUrls);
+// CSV uploads arrive as raw text; JSON batches are already parsed by express.json() in app.js.
+api.post('/batch', express.text({ type: ['text/csv', 'text/plain'], limit: config.batchBodyLimit }), batchLimiter, controller.createShortUrlsBatch);
+api.get('/export', controller.exportShortUrls);
+api.get('/:shortcode', controller.getShortUrlStats);
+api.get('/:shortcode/analytics', controller.getShortUrlAnalytics);
+api.get('/:shortcode/qr', controller.getShortUrlQrCode);
+api.patch('/:shortcode', controller.updateShortUrl);
+api.delete('/:shortcode', controller.deleteShortUrl);
+
+// Public redirect, mounted at /:shortcode
+const redirect = express.Router({ mergeParams: true });
+redirect.get('/', redirectLimiter, controller.redirectShortUrl);
+// The password form of protected links posts back here.
+redirect.post('/', passwordLimiter, express.urlencoded({ extended: false, limit: '4kb' }), controller.unlockShortUrl);
+
+module.exports = { api, redirect, batchCost };
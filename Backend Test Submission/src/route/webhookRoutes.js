@@ -0,0 +1,12 @@
+// src/route/webhookRoutes.js
+const express = require('express');
+const controller = require('../controllers/webhookController');
+
+// Mounted at /webhooks behind the API key check; every webhook belongs to the key's owner.
+const router = express.Router();
+router.post('/', controller.createWebhook);
+router.get('/', controller.listWebhooks);
+router.delete('/:id', controller.deleteWebhook);
+router.get('/:id/deliveries', controller.listDeliveries);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+// src/services/analyticsService.js
+const crypto = require('crypto');
+const config = require('../config');
+
+const INTERVAL_MS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Hashes a client IP with the configured salt so unique visitors can be counted
+ * without the analytics queries needing raw addresses.
+ * @param {string|undefined} ipAddress - The client IP.
+ * @returns {string|null} Hex SHA-256 digest, or null when the IP is unknown.
+ */
+function hashVisitor(ipAddress) {
+    if (!ipAddress) return null;
+    return crypto.createHash('sha256').update(`${config.visitorHashSalt}:${ipAddress}`).digest('hex');
+}
+
+/**
+ * Truncates a date to the start of its UTC hour or day.
+ * @param {Date} date
+ * @param {'hour'|'day'} interval
+ * @returns {Date}
+ */
+function floorToInterval(date, interval) {
+    const size = INTERVAL_MS[interval];
+    return new Date(Math.floor(date.getTime() / size) * size);
+}
+
+/**
+ * Expands sparse per-bucket rows into a continuous series from `from` to `to`, with zeros for empty buckets.
+ * @param {{bucket: string, clicks: number, unique_visitors: number}[]} rows - Rows keyed by bucket start (ISO).
+ * @param {'hour'|'day'} interval
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {{start: string, clicks: number, unique_visitors: number}[]}
+ */
+function fillBuckets(rows, interval, from, to) {
+    const byStart = new Map(rows.map(row => [row.bucket, row]));
+    const buckets = [];
+    for (let t = floorToInterval(from, interval).getTime(); t < to.getTime(); t += INTERVAL_MS[interval]) {
+        const start = new Date(t).toISOString();
+        const row = byStart.get(start);
+        buckets.push({ start, clicks: row ? row.clicks : 0, unique_visitors: row ? row.unique_visitors : 0 });
+    }
+    return buckets;
+}
+
+/**
+ * Number of buckets a range would produce, used to reject ranges that are too fine-grained.
+ * @returns {number}
+ */
+function countBuckets(interval, from, to) {
+    return Math.ceil((to.getTime() - floorToInterval(from, interval).getTime()) / INTERVAL_MS[interval]);
+}
+
+module.exports = { hashVisitor, floorToInterval, fillBuckets, countBuckets, INTERVALS: Object.keys(INTERVAL_MS) };
@@ -0,0 +1,104 @@
+// src/services/clickBuffer.js
+
+/**
+ * Collects clicks in memory and writes them in batches, so a redirect doesn't wait on the
+ * database. Batches are written when the buffer reaches `maxBatch` clicks and by the owner's
+ * timer (see CachedShortUrlRepository). Clicks still buffered when the process dies are lost,
+ * which is the price of not waiting; close() writes whatever is left.
+ */
+class ClickBuffer {
+    #pending = [];
+    #flushing = null;
+
+    /**
+     * @param {object} options
+     * @param {(clicks: object[]) => Promise<void>} options.write - Stores one batch.
+     * @param {number} [options.maxBatch=500]
+     * @param {number} [options.maxPending=10000] - Clicks kept while writes fail; older ones are dropped beyond it.
+     * @param {(event: string, details: object) => void} [options.onEvent] - Reports flushes, failures and drops.
+     */
+    constructor({ write, maxBatch = 500, maxPending = 10000, onEvent = () => {} }) {
+        this.write = write;
+        this.maxBatch = maxBatch;
+        this.maxPending = maxPending;
+        this.onEvent = onEvent;
+    }
+
+    get size() {
+        return this.#pending.length;
+    }
+
+    add(click) {
+        this.#pending.push(click);
+        if (this.#pending.length >= this.maxBatch) this.flush().catch(() => {});
+    }
+
+    /**
+     * Writes everything buffered so far. Concurrent calls wait for the write in progress and
+     * then write what arrived in the meantime, so once the promise resolves every click added
+     * before the call has been stored.
+     * @returns {Promise<void>} Rejects if a write failed; the clicks stay buffered for the next flush.
+     */
+    async flush() {
+        while (this.#flushing) await this.#flushing.catch(() => {});
+        if (this.#pending.length === 0) return;
+
+        const batch = this.#pending.splice(0, this.#pending.length);
+        const startedAt = Date.now();
+        this.#flushing = (async () => {
+            for (let i = 0; i < batch.length; i += this.maxBatch) {
+                try {
+                    await this.write(batch.slice(i, i + this.maxBatch));
+                } catch (err) {
+                    this.#requeue(batch.slice(i), err);
+                    throw err;
+                }
+            }
+            this.onEvent("flushed", { clicks: batch.length, duration_ms: Date.now() - startedAt });
+        })();
+
+        try {
+            await this.#flushing;
+        } finally {
+            this.#flushing = null;
+        }
+    }
+
+    /**
+     * Writes everything buffered so far, then runs `work` with no flush alongside it. If `work`
+     * succeeds, clicks matching `discard` that were added in the meantime are dropped instead of
+     * written; deleting a link this way leaves none of its clicks behind.
+     * @template T
+     * @param {() => Promise<T>} work
+     * @param {(click: object) => boolean} discard
+     * @returns {Promise<T>}
+     */
+    async flushAndRun(work, discard) {
+        await this.flush();
+        // Another flush may have started since; the next one waits for `work` to finish.
+        while (this.#flushing) await this.#flushing.catch(() => {});
+
+        let result;
+        this.#flushing = (async () => {
+            result = await work();
+            this.#pending = this.#pending.filter(click => !discard(click));
+        })();
+
+        try {
+            await this.#flushing;
+        } finally {
+            this.#flushing = null;
+        }
+        return result;
+    }
+
+    // Puts an unwritten batch back in front of newer clicks, dropping the oldest beyond maxPending.
+    #requeue(clicks, err) {
+        this.#pending.unshift(...clicks);
+        const dropped = this.#pending.length - this.maxPending;
+        if (dropped > 0) this.#pending.splice(0, dropped);
+        this.onEvent("flush_failed", { clicks: clicks.length, exception: err.message, ...(dropped > 0 ? { dropped } : {}) });
+    }
+}
+
+module.exports = { ClickBuffer };
@@ -0,0 +1,81 @@
+// src/services/csvService.js
+
+/**
+ * Parses RFC 4180 style CSV text into objects keyed by the header row.
+ * Supports quoted fields containing commas, newlines and escaped ("") quotes.
+ * @param {string} text - The raw CSV content.
+ * @returns {object[]} One object per data row; blank lines are skipped.
+ * @throws {Error} If a quoted field is never closed or the header row is missing.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        throw new Error('missing header row');
+    }
+
+    const headers = nonEmpty[0].map(header => header.trim().toLowerCase());
+    return nonEmpty.slice(1).map(values =>
+        Object.fromEntries(headers.map((header, index) => [header, (values[index] || '').trim()]))
+    );
+}
+
+/**
+ * Serializes objects to CSV, quoting only the values that need it.
+ * @param {object[]} rows - The records to write.
+ * @param {string[]} columns - Which keys to write, in order; also used as the header row.
+ * @returns {string} CSV text with CRLF line endings.
+ */
+function toCsv(rows, columns) {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const str = String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(escape).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,66 @@
+// src/services/lruCache.js
+
+/**
+ * A size-bounded LRU cache with a time-to-live per entry. A Map keeps insertion order, so
+ * re-inserting an entry on every hit keeps the least recently used one first in line for eviction.
+ */
+class LruCache {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxEntries=10000]
+     * @param {number} [options.ttlMs=60000] - Entries older than this are treated as missing, so
+     *   changes made by other server processes show up after at most this long.
+     * @param {() => number} [options.now]
+     */
+    constructor({ maxEntries = 10000, ttlMs = 60 * 1000, now = Date.now } = {}) {
+        this.maxEntries = maxEntries;
+        this.ttlMs = ttlMs;
+        this.now = now;
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    /** @returns {*} The cached value, or undefined. */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= this.now()) {
+            if (entry) this.entries.delete(key);
+            this.stats.misses++;
+            return undefined;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return entry.value;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: this.now() + this.ttlMs });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /** Returns the hit/miss/eviction counters and starts counting afresh. */
+    takeStats() {
+        const stats = { ...this.stats, size: this.entries.size };
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+        return stats;
+    }
+}
+
+module.exports = { LruCache };
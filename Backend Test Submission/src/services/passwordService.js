@@ -0,0 +1,36 @@
+// src/services/passwordService.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+const SALT_BYTES = 16;
+
+/**
+ * Hashes a link password with scrypt and a random salt.
+ * @param {string} password
+ * @returns {Promise<string>} "scrypt:<salt>:<hash>", both base64; safe to store.
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+/**
+ * Checks a password against a value produced by hashPassword, in constant time.
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<boolean>} False for a wrong password or an unrecognized stored value.
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, saltBase64, hashBase64] = String(stored).split(':');
+    if (scheme !== 'scrypt' || !saltBase64 || !hashBase64) return false;
+
+    const expected = Buffer.from(hashBase64, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(saltBase64, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = { hashPassword, verifyPassword };
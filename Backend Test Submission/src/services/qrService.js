@@ -0,0 +1,30 @@
+// src/services/qrService.js
+const QRCode = require('qrcode');
+
+const QR_FORMATS = ['png', 'svg'];
+const QR_ERROR_CORRECTION = ['L', 'M', 'Q', 'H'];
+
+const QR_CONTENT_TYPES = {
+    png: 'image/png',
+    svg: 'image/svg+xml'
+};
+
+/**
+ * Renders a QR code for `text`.
+ * @param {string} text - What the code encodes, e.g. a short link.
+ * @param {object} options
+ * @param {'png'|'svg'} options.format
+ * @param {number} options.size - Width and height in pixels.
+ * @param {number} options.margin - Quiet zone around the code, in modules.
+ * @param {'L'|'M'|'Q'|'H'} options.errorCorrection - Higher levels survive more damage but make denser codes.
+ * @returns {Promise<{contentType: string, body: Buffer|string}>}
+ */
+async function renderQrCode(text, { format, size, margin, errorCorrection }) {
+    const qrOptions = { width: size, margin, errorCorrectionLevel: errorCorrection };
+    const body = format === 'svg'
+        ? await QRCode.toString(text, { ...qrOptions, type: 'svg' })
+        : await QRCode.toBuffer(text, { ...qrOptions, type: 'png' });
+    return { contentType: QR_CONTENT_TYPES[format], body };
+}
+
+module.exports = { renderQrCode, QR_FORMATS, QR_ERROR_CORRECTION };
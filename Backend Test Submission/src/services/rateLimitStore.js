@@ -0,0 +1,55 @@
+// src/services/rateLimitStore.js
+
+/**
+ * The contract a rate-limit store must fulfil. The in-memory store below is the default;
+ * a shared store (e.g. Redis with INCRBY + PEXPIRE) can implement the same two methods so that
+ * several server instances enforce one combined limit.
+ *
+ * @typedef {object} RateLimitStore
+ * @property {(key: string, windowMs: number, cost?: number) => Promise<{count: number, resetAt: number}>} increment
+ *   Adds `cost` hits to `key` in the current fixed window and resolves with the running total and
+ *   the epoch-millisecond time at which the window resets.
+ * @property {(key: string) => Promise<void>} reset - Forgets all hits recorded for `key`.
+ */
+
+/**
+ * Fixed-window counter kept in process memory. Expired windows are swept periodically so
+ * one-off clients do not accumulate forever.
+ * @implements {RateLimitStore}
+ */
+class MemoryRateLimitStore {
+    constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+        this.windows = new Map();
+        this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+        // Never keep the process alive just to sweep counters.
+        this.sweepTimer.unref();
+    }
+
+    async increment(key, windowMs, cost = 1) {
+        const now = Date.now();
+        let entry = this.windows.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            this.windows.set(key, entry);
+        }
+        entry.count += cost;
+        return { count: entry.count, resetAt: entry.resetAt };
+    }
+
+    async reset(key) {
+        this.windows.delete(key);
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.windows) {
+            if (entry.resetAt <= now) this.windows.delete(key);
+        }
+    }
+
+    close() {
+        clearInterval(this.sweepTimer);
+    }
+}
+
+module.exports = { MemoryRateLimitStore };
@@ -0,0 +1,148 @@
+// src/services/retentionSweeper.js
+// Background data retention. Expired links are otherwise only noticed when someone follows them,
+// and neither links nor clicks are ever removed; the sweeper runs on a timer inside the server
+// process and:
+// - purges or archives links once they have been expired for longer than a grace period, and
+// - deletes clicks older than the retention window, optionally rolling them up into daily
+//   counts first (links with a click limit are always rolled up so the limit keeps holding), and
+// - deletes webhook deliveries that were delivered or failed long enough ago (every click of a
+//   link with a webhook adds one, so they would otherwise pile up). Pending ones are kept.
+// Every run is logged as a cron_* event, which goes to the `cron` log package.
+
+const EXPIRED_LINK_ACTIONS = ['archive', 'purge', 'keep'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Start of the UTC day containing `date`.
+const startOfUtcDay = (date) => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+class RetentionSweeper {
+    #timer = null;
+    #running = null;
+
+    /**
+     * @param {object} options
+     * @param {() => import('../model/shortUrl').ShortUrlRepository} options.getRepository
+     * @param {(event: string, shortcode: string|null, details?: object) => void} options.logEvent
+     * @param {number} [options.intervalMs=3600000] - Time between runs; 0 disables the timer.
+     * @param {'archive'|'purge'|'keep'} [options.expiredLinks='archive'] - What happens to expired links.
+     * @param {number} [options.expiredGraceMinutes=10080] - How long an expired link is kept first.
+     * @param {number} [options.clickRetentionDays=0] - Age after which clicks are trimmed; 0 keeps them.
+     * @param {boolean} [options.rollupClicks=false] - Keep daily counts of every trimmed click.
+     * @param {number} [options.deliveryRetentionDays=30] - Age after which finished webhook
+     *   deliveries are deleted; 0 keeps them.
+     * @param {number} [options.batchSize=500] - Links removed per repository call.
+     * @param {() => Date} [options.now]
+     */
+    constructor(options) {
+        this.options = {
+            intervalMs: 60 * MINUTE_MS,
+            expiredLinks: 'archive',
+            expiredGraceMinutes: 7 * 24 * 60,
+            clickRetentionDays: 0,
+            rollupClicks: false,
+            deliveryRetentionDays: 30,
+            batchSize: 500,
+            now: () => new Date(),
+            ...options
+        };
+        if (!EXPIRED_LINK_ACTIONS.includes(this.options.expiredLinks)) {
+            throw new Error(`Invalid expired link action '${this.options.expiredLinks}'. Use ${EXPIRED_LINK_ACTIONS.join(', ')}.`);
+        }
+    }
+
+    /**
+     * Starts the timer and runs a first sweep right away.
+     * @returns {boolean} false when sweeping is disabled (intervalMs is 0).
+     */
+    start() {
+        if (this.#timer || !(this.options.intervalMs > 0)) return false;
+        // Failures are logged by runOnce; the next tick simply tries again.
+        const tick = () => this.runOnce().catch(() => {});
+        this.#timer = setInterval(tick, this.options.intervalMs);
+        // Never keep the process alive just to sweep.
+        this.#timer.unref();
+        tick();
+        return true;
+    }
+
+    stop() {
+        clearInterval(this.#timer);
+        this.#timer = null;
+    }
+
+    /**
+     * Runs one sweep. A run that starts while another is in progress waits for it instead of
+     * sweeping concurrently.
+     * @returns {Promise<{links: number, link_clicks_deleted: number, clicks_deleted: number, clicks_rolled_up: number, deliveries_deleted: number}>}
+     *   `links` were archived or purged together with `link_clicks_deleted` of their clicks;
+     *   `clicks_deleted` were trimmed for age, `clicks_rolled_up` of them into daily counts;
+     *   `deliveries_deleted` finished webhook deliveries were removed.
+     */
+    runOnce() {
+        if (!this.#running) {
+            this.#running = this.#sweep().finally(() => { this.#running = null; });
+        }
+        return this.#running;
+    }
+
+    async #sweep() {
+        const { getRepository, logEvent, now } = this.options;
+        const startedAt = now();
+        const repository = getRepository();
+
+        try {
+            const summary = { links: 0, link_clicks_deleted: 0, clicks_deleted: 0, clicks_rolled_up: 0, deliveries_deleted: 0 };
+
+            if (this.options.expiredLinks !== 'keep') {
+                const expiredBefore = new Date(startedAt.getTime() - this.options.expiredGraceMinutes * MINUTE_MS).toISOString();
+                // Batches keep each transaction short; a short batch means nothing is left.
+                for (;;) {
+                    const { links, clicks } = await repository.purgeExpiredLinks({
+                        expiredBefore,
+                        archive: this.options.expiredLinks === 'archive',
+                        archivedAt: startedAt.toISOString(),
+                        limit: this.options.batchSize
+                    });
+                    summary.links += links;
+                    summary.link_clicks_deleted += clicks;
+                    if (links < this.options.batchSize) break;
+                }
+            }
+
+            if (this.options.clickRetentionDays > 0) {
+                // Trimming stops at a UTC midnight so every day is rolled up in one piece.
+                const before = startOfUtcDay(new Date(startedAt.getTime() - this.options.clickRetentionDays * DAY_MS));
+                const { deleted, rolledUp } = await repository.trimClicks({
+                    before: before.toISOString(),
+                    rollup: this.options.rollupClicks
+                });
+                summary.clicks_deleted = deleted;
+                summary.clicks_rolled_up = rolledUp;
+            }
+
+            if (this.options.deliveryRetentionDays > 0) {
+                const finishedBefore = new Date(startedAt.getTime() - this.options.deliveryRetentionDays * DAY_MS).toISOString();
+                for (;;) {
+                    const deleted = await repository.purgeDeliveries({ finishedBefore, limit: this.options.batchSize });
+                    summary.deliveries_deleted += deleted;
+                    if (deleted < this.options.batchSize) break;
+                }
+            }
+
+            logEvent("cron_sweep_completed", null, {
+                expired_links: this.options.expiredLinks,
+                ...summary,
+                duration_ms: now().getTime() - startedAt.getTime()
+            });
+            return summary;
+
+        } catch (err) {
+            console.error("Retention sweep failed:", err.message);
+            logEvent("cron_sweep_error", null, { exception: err.message });
+            throw err;
+        }
+    }
+}
+
+module.exports = { RetentionSweeper, EXPIRED_LINK_ACTIONS };
@@ -3,11 +3,11 @@ const config = require('../config');
 
 /**
  * Generates a unique random alphanumeric shortcode.
- * @param {sqlite3.Database} db - The database instance.
+ * @param {import('../model/shortUrl').ShortUrlRepository} repository - Where existing links are looked up.
  * @param {number} length - The desired length of the shortcode.
  * @returns {Promise<string>} A promise that resolves with a unique shortcode.
  */
-async function generateUniqueShortcode(db, length) {
+async function generateUniqueShortcode(repository, length) {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
     let shortcode;
     let isUnique = false;
@@ -17,12 +17,7 @@ async function generateUniqueShortcode(db, length) {
             chars[Math.floor(Math.random() * chars.length)]
         ).join('');
 
-        const row = await new Promise((resolve, reject) => {
-            db.get("SELECT 1 FROM shortened_urls WHERE shortcode = ?", [shortcode], (err, row) => {
-                if (err) reject(err);
-                resolve(row);
-            });
-        });
+        const row = await repository.findLink(shortcode);
 
         if (!row) {
             isUnique = true;
@@ -31,26 +26,30 @@ async function generateUniqueShortcode(db, length) {
     return shortcode;
 }
 
+// Top-level paths the app mounts its own routes on (see app.js). A link with one of these
+// shortcodes could be created but would never redirect. Express matches paths case-insensitively,
+// so the comparison is too.
+const RESERVED_SHORTCODES = new Set(['shorturls', 'webhooks', 'client-logs']);
+
 /**
- * Checks if a custom shortcode is alphanumeric and has reasonable length.
+ * Checks if a custom shortcode is alphanumeric, has reasonable length and isn't reserved.
  * @param {string} shortcode - The shortcode to validate.
  * @returns {boolean} True if valid, false otherwise.
  */
 function isShortcodeValid(shortcode) {
-    return /^[a-zA-Z0-9]+$/.test(shortcode) && shortcode.length >= 3 && shortcode.length <= 15;
+    return /^[a-zA-Z0-9]+$/.test(shortcode) && shortcode.length >= 3 && shortcode.length <= 15
+        && !RESERVED_SHORTCODES.has(shortcode.toLowerCase());
 }
 
 /**
- * Tries to get the client's IP address, considering proxies.
+ * Gets the client's IP address. X-Forwarded-For is only taken into account for hops through
+ * proxies trusted by the app's "trust proxy" setting (TRUST_PROXY); otherwise anyone could
+ * pick their own address by sending the header.
  * @param {object} req - The Express request object.
  * @returns {string|undefined} The client's IP address.
  */
 function getClientIp(req) {
-    const xForwardedFor = req.headers['x-forwarded-for'];
-    if (xForwardedFor) {
-        return xForwardedFor.split(',')[0].trim();
-    }
-    return req.ip || req.connection.remoteAddress;
+    return req.ip || req.socket.remoteAddress;
 }
 
 module.exports = { generateUniqueShortcode, isShortcodeValid, getClientIp };
\ No newline at end of file
@@ -0,0 +1,242 @@
+// src/services/targetRules.js
+// Conditional redirect targets. A link may carry an ordered list of targets, each with optional
+// conditions ("when") and an optional A/B weight:
+//
+//   [
+//     { "name": "app", "url": "https://m.example.com", "when": { "device": ["mobile", "tablet"] } },
+//     { "name": "de", "url": "https://example.de", "when": { "language": ["de"] } },
+//     { "name": "sale", "url": "https://example.com/sale", "when": { "dates": { "from": "2025-11-28T00:00:00Z", "to": "2025-12-01T00:00:00Z" } } },
+//     { "name": "a", "url": "https://example.com/a", "weight": 70 },
+//     { "name": "b", "url": "https://example.com/b", "weight": 30 }
+//   ]
+//
+// Targets are checked in order and the first whose conditions all match is served. Adjacent
+// targets with a weight form one A/B group: when the group is reached, one of its matching
+// members is picked by weight. Visitors are bucketed by a hash of their visitor hash, so the
+// same visitor keeps getting the same variant. When nothing matches, the link's original_url is
+// served as the "default" variant.
+
+const crypto = require('crypto');
+
+const DEFAULT_VARIANT = 'default';
+const MAX_TARGETS = 20;
+const DEVICE_TYPES = ['desktop', 'mobile', 'tablet', 'bot', 'unknown'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const LANGUAGE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+const isTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const minutesOf = (time) => {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Checks the conditions of one target and normalizes them (lowercased lists).
+ * @returns {{when?: object, error?: string}}
+ */
+function parseConditions(when, label) {
+    if (when === undefined || when === null) return { when: {} };
+    if (typeof when !== 'object' || Array.isArray(when)) return { error: `${label}: 'when' must be an object.` };
+
+    const known = ['device', 'language', 'time', 'dates'];
+    const unknown = Object.keys(when).filter(key => !known.includes(key));
+    if (unknown.length > 0) return { error: `${label}: unknown condition '${unknown[0]}'. Use ${known.join(', ')}.` };
+
+    const parsed = {};
+    if (when.device !== undefined) {
+        const devices = Array.isArray(when.device) ? when.device.map(device => String(device).toLowerCase()) : null;
+        if (!devices || devices.length === 0 || devices.some(device => !DEVICE_TYPES.includes(device))) {
+            return { error: `${label}: 'device' must be a non-empty array of ${DEVICE_TYPES.join(', ')}.` };
+        }
+        parsed.device = devices;
+    }
+    if (when.language !== undefined) {
+        const languages = Array.isArray(when.language) ? when.language : null;
+        if (!languages || languages.length === 0 || languages.some(tag => typeof tag !== 'string' || !LANGUAGE_PATTERN.test(tag))) {
+            return { error: `${label}: 'language' must be a non-empty array of language tags such as "de" or "pt-BR".` };
+        }
+        parsed.language = languages.map(tag => tag.toLowerCase());
+    }
+    if (when.time !== undefined) {
+        const { from, to, days, timezone = 'UTC' } = when.time || {};
+        if (typeof from !== 'string' || typeof to !== 'string' || !TIME_PATTERN.test(from) || !TIME_PATTERN.test(to)) {
+            return { error: `${label}: 'time' needs 'from' and 'to' as HH:MM.` };
+        }
+        if (days !== undefined && (!Array.isArray(days) || days.length === 0 || days.some(day => !WEEKDAYS.includes(String(day).toLowerCase())))) {
+            return { error: `${label}: 'time.days' must be a non-empty array of ${WEEKDAYS.join(', ')}.` };
+        }
+        if (typeof timezone !== 'string' || !isTimeZone(timezone)) {
+            return { error: `${label}: 'time.timezone' must be an IANA time zone such as "Europe/Berlin".` };
+        }
+        parsed.time = { from, to, timezone, ...(days ? { days: days.map(day => String(day).toLowerCase()) } : {}) };
+    }
+    if (when.dates !== undefined) {
+        const { from, to } = when.dates || {};
+        const bounds = [from, to].filter(bound => bound !== undefined);
+        if (bounds.length === 0 || bounds.some(bound => isNaN(new Date(bound).getTime()))) {
+            return { error: `${label}: 'dates' needs 'from' and/or 'to' as ISO 8601 dates.` };
+        }
+        if (from !== undefined && to !== undefined && new Date(from) >= new Date(to)) {
+            return { error: `${label}: 'dates.from' must be earlier than 'dates.to'.` };
+        }
+        parsed.dates = {
+            ...(from !== undefined ? { from: new Date(from).toISOString() } : {}),
+            ...(to !== undefined ? { to: new Date(to).toISOString() } : {})
+        };
+    }
+    return { when: parsed };
+}
+
+/**
+ * Validates a targets list from the API and returns it in stored form. URLs are only checked
+ * for presence here; the controller applies the same URL rules as for original_url.
+ * @param {*} input - The `targets` field of a request body.
+ * @returns {{targets?: object[]|null, error?: string}} `targets` is null for an empty list (no rules).
+ */
+function parseTargets(input) {
+    if (input === null || (Array.isArray(input) && input.length === 0)) return { targets: null };
+    if (!Array.isArray(input)) return { error: "'targets' must be an array." };
+    if (input.length > MAX_TARGETS) return { error: `A link may have at most ${MAX_TARGETS} targets.` };
+
+    const targets = [];
+    const names = new Set();
+    for (const [index, target] of input.entries()) {
+        const label = `targets[${index}]`;
+        if (!target || typeof target !== 'object') return { error: `${label} must be an object.` };
+
+        const name = target.name !== undefined ? target.name : `target${index + 1}`;
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name) || name === DEFAULT_VARIANT) {
+            return { error: `${label}: 'name' must be 1-32 letters, digits, '-' or '_', and not "${DEFAULT_VARIANT}".` };
+        }
+        if (names.has(name)) return { error: `${label}: duplicate target name '${name}'.` };
+        names.add(name);
+
+        if (typeof target.url !== 'string' || !target.url) return { error: `${label}: 'url' is required.` };
+
+        if (target.weight !== undefined && !(Number.isInteger(target.weight) && target.weight > 0)) {
+            return { error: `${label}: 'weight' must be a positive integer.` };
+        }
+
+        const { when, error } = parseConditions(target.when, label);
+        if (error) return { error };
+
+        targets.push({ name, url: target.url, when, ...(target.weight !== undefined ? { weight: target.weight } : {}) });
+    }
+    return { targets };
+}
+
+/**
+ * Returns the visitor's most preferred language from an Accept-Language header, lowercased.
+ * @param {string|undefined} header
+ * @returns {string|null}
+ */
+function preferredLanguage(header) {
+    if (!header) return null;
+    const ranked = header.split(',')
+        .map((part, position) => {
+            const [tag, ...params] = part.trim().split(';');
+            const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            return { tag: tag.trim().toLowerCase(), q: quality ? Number(quality.slice(2)) : 1, position };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.position - b.position);
+    return ranked.length > 0 ? ranked[0].tag : null;
+}
+
+// Weekday and minutes since midnight of `now` in `timeZone`.
+function localTime(now, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+    return { day: parts.weekday.toLowerCase(), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+function matchesTime({ from, to, days, timezone }, now) {
+    const { day, minutes } = localTime(now, timezone);
+    if (days && !days.includes(day)) return false;
+    const start = minutesOf(from);
+    const end = minutesOf(to);
+    // A window like 22:00-06:00 wraps past midnight.
+    return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Whether every condition of a target holds for the visitor.
+ * @param {object} when - Parsed conditions.
+ * @param {{deviceType: string, language: string|null, now: Date}} visitor
+ */
+function matchesConditions(when, visitor) {
+    if (when.device && !when.device.includes(visitor.deviceType)) return false;
+    if (when.language && !(visitor.language && when.language.some(tag => visitor.language === tag || visitor.language.startsWith(`${tag}-`)))) {
+        return false;
+    }
+    if (when.time && !matchesTime(when.time, visitor.now)) return false;
+    if (when.dates) {
+        const nowIso = visitor.now.toISOString();
+        if (when.dates.from && nowIso < when.dates.from) return false;
+        if (when.dates.to && nowIso >= when.dates.to) return false;
+    }
+    return true;
+}
+
+/**
+ * A stable number in [0, 1) for a visitor and link, so A/B assignment is sticky per visitor
+ * but independent between links.
+ */
+function visitorBucket(shortcode, visitorId) {
+    const digest = crypto.createHash('sha256').update(`${shortcode}:${visitorId || ''}`).digest();
+    return digest.readUInt32BE(0) / 2 ** 32;
+}
+
+/**
+ * Picks the destination for one visit.
+ * @param {{shortcode: string, original_url: string, targets?: object[]|null}} link
+ * @param {object} visitor
+ * @param {string} visitor.deviceType - From parseUserAgent.
+ * @param {string|undefined} visitor.acceptLanguage - The Accept-Language header.
+ * @param {string|null} visitor.visitorId - Stable per visitor, e.g. the visitor hash.
+ * @param {Date} visitor.now
+ * @returns {{url: string, variant: string|null}} `variant` is null for links without targets.
+ */
+function selectTarget(link, visitor) {
+    const targets = link.targets || [];
+    if (targets.length === 0) return { url: link.original_url, variant: null };
+
+    const context = { deviceType: visitor.deviceType, language: preferredLanguage(visitor.acceptLanguage), now: visitor.now };
+
+    for (let i = 0; i < targets.length; i++) {
+        if (targets[i].weight === undefined) {
+            if (matchesConditions(targets[i].when, context)) return { url: targets[i].url, variant: targets[i].name };
+            continue;
+        }
+
+        // An A/B group: this target and the weighted ones right after it.
+        let end = i;
+        while (end < targets.length && targets[end].weight !== undefined) end++;
+        const group = targets.slice(i, end).filter(target => matchesConditions(target.when, context));
+        i = end - 1;
+        if (group.length === 0) continue;
+
+        const total = group.reduce((sum, target) => sum + target.weight, 0);
+        let point = visitorBucket(link.shortcode, visitor.visitorId) * total;
+        for (const target of group) {
+            point -= target.weight;
+            if (point < 0) return { url: target.url, variant: target.name };
+        }
+        return { url: group[group.length - 1].url, variant: group[group.length - 1].name };
+    }
+
+    return { url: link.original_url, variant: DEFAULT_VARIANT };
+}
+
+module.exports = { parseTargets, selectTarget, preferredLanguage, DEFAULT_VARIANT };
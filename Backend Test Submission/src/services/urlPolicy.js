@@ -0,0 +1,139 @@
+// src/services/urlPolicy.js
+const fs = require('fs');
+const net = require('net');
+const config = require('../config');
+
+// IPv4 ranges that must never be a redirect target: "this" network, private (RFC 1918),
+// carrier-grade NAT, loopback, link-local, and multicast/reserved space.
+const BLOCKED_IPV4_RANGES = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.168.0.0', 16],
+    ['224.0.0.0', 3]
+];
+
+let blocklistCache = { path: null, mtimeMs: 0, domains: new Set() };
+
+function ipv4ToInt(ip) {
+    return ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet, 10), 0) >>> 0;
+}
+
+function isPrivateIpv4(ip) {
+    const value = ipv4ToInt(ip);
+    return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+        const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+        return (value & mask) === (ipv4ToInt(base) & mask);
+    });
+}
+
+function isPrivateIpv6(ip) {
+    const lower = ip.toLowerCase();
+    if (lower === '::' || lower === '::1') return true;
+    // IPv4-mapped addresses inherit the IPv4 verdict. The URL parser prints them in
+    // hex form, so ::ffff:127.0.0.1 arrives as ::ffff:7f00:1.
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateIpv4(mapped[1]);
+    const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+        const value = (parseInt(mappedHex[1], 16) << 16 | parseInt(mappedHex[2], 16)) >>> 0;
+        return isPrivateIpv4([value >>> 24, (value >>> 16) & 255, (value >>> 8) & 255, value & 255].join('.'));
+    }
+    // Unique local (fc00::/7) and link-local (fe80::/10).
+    return /^f[cd][0-9a-f]{0,2}:/.test(lower) || /^fe[89ab][0-9a-f]?:/.test(lower);
+}
+
+/**
+ * Checks whether a hostname is loopback, private or otherwise internal.
+ * Hostnames are expected in the canonical form produced by the WHATWG URL parser, which already
+ * rewrites shorthand such as "0x7f.1" or "2130706433" to dotted-quad IPv4.
+ * @param {string} hostname - The hostname from a parsed URL.
+ * @returns {boolean} True if the host must not be used as a redirect target.
+ */
+function isPrivateHost(hostname) {
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) return true;
+    if (net.isIPv4(hostname)) return isPrivateIpv4(hostname);
+    if (net.isIPv6(hostname)) return isPrivateIpv6(hostname);
+    return false;
+}
+
+/**
+ * Loads the domain blocklist file: one domain per line, "#" starts a comment.
+ * The file is re-read whenever its modification time changes, so it can be edited without a restart.
+ * @returns {Set<string>} Lowercased blocked domains.
+ */
+function loadBlocklist() {
+    const path = config.urlBlocklistPath;
+    if (!path) return new Set();
+
+    let stat;
+    try {
+        stat = fs.statSync(path);
+    } catch (err) {
+        if (err.code === 'ENOENT') return new Set();
+        throw err;
+    }
+
+    if (blocklistCache.path !== path || blocklistCache.mtimeMs !== stat.mtimeMs) {
+        const domains = fs.readFileSync(path, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.replace(/#.*/, '').trim().toLowerCase().replace(/\.$/, ''))
+            .filter(Boolean);
+        blocklistCache = { path, mtimeMs: stat.mtimeMs, domains: new Set(domains) };
+    }
+    return blocklistCache.domains;
+}
+
+/**
+ * Returns the blocklisted domain that matches the hostname or one of its parent domains, if any.
+ * @param {string} hostname - The hostname from a parsed URL.
+ * @returns {string|null}
+ */
+function findBlockedDomain(hostname) {
+    const blocklist = loadBlocklist();
+    const labels = hostname.split('.');
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join('.');
+        if (blocklist.has(candidate)) return candidate;
+    }
+    return null;
+}
+
+/**
+ * Decides whether a destination URL may be shortened.
+ * Rejects links that point back at this service, at loopback/private/internal addresses,
+ * or at a domain on the configured blocklist.
+ * @param {string} url - The destination URL (already matched against config.urlRegex).
+ * @returns {{allowed: true} | {allowed: false, reason: string, message: string}}
+ */
+function checkUrlPolicy(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        return { allowed: false, reason: 'invalid_url', message: "The 'url' could not be parsed." };
+    }
+
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    const serviceHost = new URL(`http://${config.hostname}`).hostname.toLowerCase();
+
+    if (hostname === serviceHost) {
+        return { allowed: false, reason: 'self_reference', message: "The 'url' must not point back at this URL shortener." };
+    }
+
+    if (isPrivateHost(hostname)) {
+        return { allowed: false, reason: 'private_address', message: "The 'url' must not point at a loopback, private or internal address." };
+    }
+
+    const blockedDomain = findBlockedDomain(hostname);
+    if (blockedDomain) {
+        return { allowed: false, reason: 'blocked_domain', message: `The domain '${blockedDomain}' is not allowed.` };
+    }
+
+    return { allowed: true };
+}
+
+module.exports = { checkUrlPolicy, isPrivateHost };
@@ -0,0 +1,54 @@
+// src/services/userAgentParser.js
+
+// Order matters: many browsers include the tokens of the ones they are based on
+// (Edge and Opera say "Chrome", Chrome says "Safari"), so the more specific ones come first.
+const BROWSERS = [
+    ['Edge', /Edg(?:e|A|iOS)?\/[\d.]+/],
+    ['Opera', /OPR\/[\d.]+|Opera/],
+    ['Samsung Internet', /SamsungBrowser\/[\d.]+/],
+    ['Firefox', /Firefox\/[\d.]+|FxiOS\/[\d.]+/],
+    ['Chrome', /Chrome\/[\d.]+|CriOS\/[\d.]+/],
+    ['Safari', /Version\/[\d.]+.*Safari\//],
+    ['Internet Explorer', /MSIE [\d.]+|Trident\/.*rv:[\d.]+/]
+];
+
+const OPERATING_SYSTEMS = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Chrome OS', /CrOS/],
+    ['Linux', /Linux/]
+];
+
+const BOT_PATTERN = /bot|crawler|spider|crawling|slurp|facebookexternalhit|preview|curl|wget|python-requests|httpclient/i;
+const TABLET_PATTERN = /iPad|Tablet|Nexus (?:7|9|10)|SM-T\d+|Android(?!.*Mobile)/i;
+const MOBILE_PATTERN = /Mobi|iPhone|iPod|Android.*Mobile|Windows Phone/i;
+
+/**
+ * Extracts browser, operating system and device type from a User-Agent header.
+ * This is a lightweight heuristic meant for analytics grouping, not feature detection.
+ * @param {string|undefined} userAgent - The raw User-Agent header.
+ * @returns {{browser: string, os: string, device_type: string}} Unrecognized values are "Other"/"unknown".
+ */
+function parseUserAgent(userAgent) {
+    if (!userAgent) {
+        return { browser: 'Other', os: 'Other', device_type: 'unknown' };
+    }
+
+    const browser = (BROWSERS.find(([, pattern]) => pattern.test(userAgent)) || ['Other'])[0];
+    const os = (OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent)) || ['Other'])[0];
+
+    let deviceType = 'desktop';
+    if (BOT_PATTERN.test(userAgent)) {
+        deviceType = 'bot';
+    } else if (TABLET_PATTERN.test(userAgent)) {
+        deviceType = 'tablet';
+    } else if (MOBILE_PATTERN.test(userAgent)) {
+        deviceType = 'mobile';
+    }
+
+    return { browser, os, device_type: deviceType };
+}
+
+module.exports = { parseUserAgent };
@@ -0,0 +1,367 @@
+// src/services/webhookDispatcher.js
+// Outbound webhooks for link lifecycle events. An event is stored as one pending delivery per
+// matching subscription and sent right away; failed deliveries stay pending and are retried by a
+// timer with exponential backoff until they succeed or run out of attempts. The same timer looks
+// for links that are about to expire or have just expired.
+//
+// Each delivery is a POST of a JSON body signed with the subscription's secret:
+//
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Receivers should recompute the HMAC over the raw body and reject stale timestamps.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { createRetryPolicy } = require('@your-roll-number/logging-middleware');
+const config = require('../config');
+const { getRepository } = require('../db');
+const { logEvent } = require('../middleware/logger');
+const { isPrivateHost } = require('./urlPolicy');
+
+const WEBHOOK_EVENTS = ['link.created', 'link.clicked', 'link.expiring', 'link.expired'];
+const MINUTE_MS = 60 * 1000;
+const BATCH_SIZE = 50;
+// Enough of a failing receiver's response to tell what went wrong, without storing whole pages.
+const MAX_ERROR_LENGTH = 200;
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+/**
+ * Computes the X-Webhook-Signature header for a body.
+ * @param {string} secret
+ * @param {string} body - The exact JSON text being sent.
+ * @param {number} timestamp - Unix seconds.
+ * @returns {string}
+ */
+function signPayload(secret, body, timestamp) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+// Errors that retrying can't fix: the receiver's address is off limits.
+const privateAddressError = (hostname, address) => Object.assign(
+    new Error(`${hostname} resolves to a loopback, private or internal address (${address}).`),
+    { code: 'EPRIVATEADDRESS', retryable: false }
+);
+
+/**
+ * Wraps a dns.lookup-style resolver for webhook requests so that it refuses names resolving to
+ * loopback, private or internal addresses. The connection is made to exactly the address checked
+ * here, so a name can't pass the check and then be resolved again to an internal address (DNS
+ * rebinding).
+ * @param {Function} resolve - dns.lookup or a stand-in with the same signature.
+ * @returns {Function} A `lookup` option for http.request.
+ */
+const publicOnlyLookup = (resolve) => (hostname, options, callback) => {
+    resolve(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(entry => isPrivateHost(entry.address));
+        if (blocked) return callback(privateAddressError(hostname, blocked.address));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// The public view of a link in event payloads.
+const linkData = (link) => ({
+    shortcode: link.shortcode,
+    shortlink: `http://${config.hostname}/${link.shortcode}`,
+    original_url: link.original_url,
+    created_at: link.created_at,
+    expires_at: link.expires_at
+});
+
+class WebhookDispatcher {
+    #timer = null;
+    #running = null;
+    #runAgain = false;
+
+    /**
+     * @param {object} options
+     * @param {() => import('../model/shortUrl').ShortUrlRepository} options.getRepository
+     * @param {(event: string, shortcode: string|null, details?: object) => void} options.logEvent
+     * @param {number} [options.intervalMs=30000] - How often retries and expiry notices are checked; 0 disables the timer.
+     * @param {number} [options.timeoutMs=5000] - Per-attempt request timeout.
+     * @param {number} [options.concurrency=4] - Webhooks delivered to at the same time, so one slow
+     *   receiver doesn't hold up everyone else's deliveries.
+     * @param {number} [options.retries=6] - Total attempts per delivery.
+     * @param {number} [options.baseDelayMs=30000] - Delay before the second attempt; doubles each time.
+     * @param {number} [options.maxDelayMs=3600000]
+     * @param {number} [options.expiringWithinMinutes=60] - How early "link.expiring" fires. Links that
+     *   expired longer ago than this (e.g. while the server was down) get no "link.expired".
+     * @param {boolean} [options.allowPrivateUrls=false] - Deliver to loopback/private addresses too.
+     * @param {Function} [options.lookup=dns.lookup] - Resolves receiver hostnames.
+     * @param {() => Date} [options.now]
+     */
+    constructor(options) {
+        this.options = {
+            intervalMs: 30 * 1000,
+            timeoutMs: 5000,
+            concurrency: 4,
+            retries: 6,
+            baseDelayMs: 30 * 1000,
+            maxDelayMs: 60 * MINUTE_MS,
+            expiringWithinMinutes: 60,
+            allowPrivateUrls: false,
+            lookup: dns.lookup,
+            now: () => new Date(),
+            ...options
+        };
+        // Same backoff rules as the Logger's own retries: 408/429/5xx and network errors are
+        // retried, other 4xx responses fail the delivery at once.
+        this.retryPolicy = createRetryPolicy({
+            retries: this.options.retries,
+            baseDelayMs: this.options.baseDelayMs,
+            maxDelayMs: this.options.maxDelayMs,
+            jitter: 'equal'
+        });
+    }
+
+    /** Starts the retry/expiry timer. @returns {boolean} false when disabled (intervalMs is 0). */
+    start() {
+        if (this.#timer || !(this.options.intervalMs > 0)) return false;
+        this.#timer = setInterval(() => this.tick().catch(() => {}), this.options.intervalMs);
+        // Never keep the process alive just for webhooks.
+        this.#timer.unref();
+        return true;
+    }
+
+    stop() {
+        clearInterval(this.#timer);
+        this.#timer = null;
+    }
+
+    /** One timer run: queue expiry notices, then send everything that is due. */
+    async tick() {
+        await this.notifyExpiringLinks();
+        await this.processDue();
+    }
+
+    /**
+     * Queues `event` for every subscription of the link's owner that wants it and starts sending.
+     * Never rejects: callers fire and forget, like logEvent.
+     * @param {string} event - One of WEBHOOK_EVENTS.
+     * @param {import('../model/shortUrl').LinkRecord} link
+     * @param {object} [data] - Extra event fields, merged into the payload's `data`.
+     * @returns {Promise<number>} How many deliveries were queued.
+     */
+    async emit(event, link, data = {}) {
+        const { getRepository, logEvent, now } = this.options;
+        try {
+            if (!link.owner) return 0;
+            const webhooks = (await getRepository().listWebhooks(link.owner))
+                .filter(webhook => webhook.events.includes(event));
+            if (webhooks.length === 0) return 0;
+
+            const createdAt = now().toISOString();
+            for (const webhook of webhooks) {
+                const id = newId('dlv');
+                await getRepository().insertDelivery({
+                    id,
+                    webhook_id: webhook.id,
+                    event,
+                    payload: JSON.stringify({ id, event, created_at: createdAt, data: { ...linkData(link), ...data } }),
+                    status: 'pending',
+                    attempts: 0,
+                    next_attempt_at: createdAt,
+                    created_at: createdAt,
+                    updated_at: createdAt
+                });
+            }
+            this.processDue().catch(() => {});
+            return webhooks.length;
+        } catch (err) {
+            logEvent("webhook_error", link.shortcode, { event, exception: err.message });
+            return 0;
+        }
+    }
+
+    /**
+     * Sends every due delivery. Calls made while a run is in progress make it go round once more
+     * (so freshly queued deliveries aren't left for the timer) and share its promise.
+     * @returns {Promise<void>}
+     */
+    processDue() {
+        if (this.#running) {
+            this.#runAgain = true;
+            return this.#running;
+        }
+        this.#running = (async () => {
+            try {
+                do {
+                    this.#runAgain = false;
+                    let due;
+                    do {
+                        due = await this.options.getRepository().findDueDeliveries(this.options.now().toISOString(), BATCH_SIZE);
+                        await this.#deliverAll(due);
+                    } while (due.length === BATCH_SIZE);
+                } while (this.#runAgain);
+            } catch (err) {
+                this.options.logEvent("webhook_error", null, { exception: err.message });
+            } finally {
+                this.#running = null;
+            }
+        })();
+        return this.#running;
+    }
+
+    /**
+     * Sends a batch of deliveries, each webhook's in order, up to `concurrency` webhooks at a time.
+     * A receiver that is slow or times out only delays its own deliveries.
+     */
+    async #deliverAll(deliveries) {
+        const byWebhook = new Map();
+        for (const delivery of deliveries) {
+            if (!byWebhook.has(delivery.webhook_id)) byWebhook.set(delivery.webhook_id, []);
+            byWebhook.get(delivery.webhook_id).push(delivery);
+        }
+        const queues = [...byWebhook.values()];
+        const worker = async () => {
+            for (let queue = queues.shift(); queue; queue = queues.shift()) {
+                for (const delivery of queue) {
+                    await this.#attempt(delivery);
+                }
+            }
+        };
+        const workers = Math.max(1, Math.min(this.options.concurrency, queues.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+    }
+
+    /**
+     * Queues "link.expiring" for links about to expire and "link.expired" for links that just did,
+     * once each per link.
+     * @returns {Promise<number>} Links that got a notice.
+     */
+    async notifyExpiringLinks() {
+        const { getRepository, logEvent, now: getNow, expiringWithinMinutes } = this.options;
+        const now = getNow();
+        const window = expiringWithinMinutes * MINUTE_MS;
+        try {
+            const links = await getRepository().findLinksForExpiryNotice({
+                now: now.toISOString(),
+                expiringBefore: new Date(now.getTime() + window).toISOString(),
+                expiredAfter: new Date(now.getTime() - window).toISOString(),
+                limit: 500
+            });
+            for (const link of links) {
+                const notice = link.expires_at < now.toISOString() ? 'expired' : 'expiring';
+                // Marked first: a notice that is skipped on a crash beats one sent twice.
+                await getRepository().updateLink(link.shortcode, { expiry_notice: notice });
+                await this.emit(`link.${notice}`, link);
+            }
+            return links.length;
+        } catch (err) {
+            logEvent("webhook_error", null, { exception: err.message });
+            return 0;
+        }
+    }
+
+    /**
+     * POSTs one delivery. Unless allowPrivateUrls is set, the receiver's address is checked on
+     * every attempt, not just when the webhook was registered, since DNS can change in between.
+     * Redirects are not followed.
+     * @returns {Promise<{status: number, text: string}>} The status and the start of the body.
+     */
+    #post(url, headers, body) {
+        const { timeoutMs, allowPrivateUrls, lookup } = this.options;
+        return new Promise((resolve, reject) => {
+            const target = new URL(url);
+            const hostname = target.hostname.replace(/^\[|\]$/g, '');
+            // IP literals are connected to directly, without a lookup.
+            if (!allowPrivateUrls && net.isIP(hostname) && isPrivateHost(hostname)) {
+                return reject(privateAddressError(hostname, hostname));
+            }
+
+            const transport = target.protocol === 'https:' ? https : http;
+            const request = transport.request(target, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                lookup: allowPrivateUrls ? lookup : publicOnlyLookup(lookup)
+            }, (response) => {
+                let text = '';
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => {
+                    if (text.length < MAX_ERROR_LENGTH) text += chunk;
+                });
+                response.on('end', () => {
+                    clearTimeout(timer);
+                    resolve({ status: response.statusCode, text });
+                });
+                response.on('error', reject);
+            });
+            const timer = setTimeout(() => request.destroy(new Error(`No response within ${timeoutMs}ms`)), timeoutMs);
+            request.on('error', (err) => {
+                clearTimeout(timer);
+                reject(err);
+            });
+            request.end(body);
+        });
+    }
+
+    async #attempt(delivery) {
+        const { getRepository, logEvent, now, timeoutMs } = this.options;
+        const repository = getRepository();
+        const webhook = await repository.findWebhook(delivery.webhook_id);
+        const attempts = delivery.attempts + 1;
+
+        if (!webhook) {
+            await repository.updateDelivery(delivery.id, {
+                status: 'failed', attempts: delivery.attempts, next_attempt_at: null,
+                last_error: 'Webhook was deleted.', updated_at: now().toISOString()
+            });
+            return;
+        }
+
+        let responseStatus = null;
+        let error = null;
+        try {
+            const timestamp = Math.floor(now().getTime() / 1000);
+            const response = await this.#post(webhook.url, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'url-shortener-webhooks',
+                'X-Webhook-Id': webhook.id,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Signature': signPayload(webhook.secret, delivery.payload, timestamp)
+            }, delivery.payload);
+            responseStatus = response.status;
+            if (response.status < 200 || response.status >= 300) {
+                error = new Error(`Receiver responded with ${response.status}${response.text ? `: ${response.text.slice(0, MAX_ERROR_LENGTH)}` : ''}`);
+                error.status = response.status;
+            }
+        } catch (err) {
+            error = err;
+        }
+
+        const updatedAt = now();
+        if (!error) {
+            await repository.updateDelivery(delivery.id, {
+                status: 'delivered', attempts, next_attempt_at: null, response_status: responseStatus,
+                last_error: null, updated_at: updatedAt.toISOString()
+            });
+            logEvent("webhook_delivered", null, { delivery: delivery.id, event: delivery.event, attempts });
+            return;
+        }
+
+        const retry = attempts < this.retryPolicy.maxAttempts && this.retryPolicy.shouldRetry(error);
+        await repository.updateDelivery(delivery.id, {
+            status: retry ? 'pending' : 'failed',
+            attempts,
+            next_attempt_at: retry ? new Date(updatedAt.getTime() + this.retryPolicy.delayFor(attempts)).toISOString() : null,
+            response_status: responseStatus,
+            last_error: error.message,
+            updated_at: updatedAt.toISOString()
+        });
+        logEvent(retry ? "webhook_delivery_retrying" : "webhook_delivery_failed", null, {
+            delivery: delivery.id, event: delivery.event, attempts, error: error.message
+        });
+    }
+}
+
+// The dispatcher the controllers emit to.
+const webhooks = new WebhookDispatcher({ ...config.webhooks, getRepository, logEvent });
+
+module.exports = { WebhookDispatcher, webhooks, signPayload, WEBHOOK_EVENTS };
@@ -0,0 +1,45 @@
+// src/views/passwordPage.js
+// The interstitial served instead of a redirect for password-protected links.
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+/**
+ * Renders the password form for a protected link. It posts back to the link itself.
+ * @param {object} options
+ * @param {string} options.shortcode
+ * @param {string} [options.error] - Shown above the form, e.g. after a wrong password.
+ * @returns {string} A complete HTML document.
+ */
+function renderPasswordPage({ shortcode, error }) {
+    const action = `/${encodeURIComponent(shortcode)}`;
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>Password required</title>
+<style>
+  body { font-family: system-ui, sans-serif; display: grid; place-items: center; min-height: 100vh; margin: 0; background: #f4f4f6; }
+  form { display: flex; flex-direction: column; gap: 0.75rem; padding: 2rem; background: #fff; border-radius: 8px; box-shadow: 0 2px 12px #0002; min-width: 280px; }
+  h1 { font-size: 1.25rem; margin: 0; }
+  .error { color: #e5484d; margin: 0; }
+  input, button { font: inherit; padding: 0.5rem 0.75rem; }
+</style>
+</head>
+<body>
+<form method="post" action="${escapeHtml(action)}">
+  <h1>This link is password protected</h1>
+  ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+  <label for="password">Password</label>
+  <input id="password" name="password" type="password" autocomplete="current-password" required autofocus>
+  <button type="submit">Continue</button>
+</form>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderPasswordPage };
@@ -0,0 +1,119 @@
+// test/batchExport.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestApp();
+});
+
+after(() => ctx.close());
+
+const uploadCsv = (text) => ctx.request('POST', '/shorturls/batch', { body: text, headers: { 'Content-Type': 'text/csv' } });
+
+describe('POST /shorturls/batch', () => {
+    it('creates the valid links of a mixed batch and reports each failure', async () => {
+        const res = await ctx.request('POST', '/shorturls/batch', {
+            body: [
+                { url: 'https://example.com/one', shortcode: 'batch1' },
+                { url: 'not a url' },
+                { url: 'https://example.com/again', shortcode: 'batch1' },
+                { url: 'https://example.com/two', validity: 60 }
+            ]
+        });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual([res.body.total, res.body.succeeded, res.body.failed], [4, 2, 2]);
+        assert.deepEqual(res.body.results.map(result => [result.index, result.status]), [[0, 201], [1, 400], [2, 409], [3, 201]]);
+        assert.equal(res.body.results[0].shortlink, 'http://sho.rt/batch1');
+        assert.equal(res.body.results[1].error, 'Bad Request');
+        assert.equal(res.body.results[2].url, 'https://example.com/again');
+        assert.equal((await ctx.request('GET', '/shorturls/batch1')).body.original_url, 'https://example.com/one');
+    });
+
+    it('rejects reserved shortcodes in a batch', async () => {
+        const res = await ctx.request('POST', '/shorturls/batch', {
+            body: [{ url: 'https://example.com/hooks', shortcode: 'webhooks' }, { url: 'https://example.com/urls', shortcode: 'shorturls' }]
+        });
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.results.map(result => [result.status, result.error]), [[400, 'Bad Request'], [400, 'Bad Request']]);
+        assert.equal(await ctx.repository.findLink('webhooks'), null);
+    });
+
+    it("accepts the links wrapped in 'items' and rejects empty batches", async () => {
+        const wrapped = await ctx.request('POST', '/shorturls/batch', { body: { items: [{ url: 'https://example.com/wrapped' }] } });
+        assert.equal(wrapped.status, 200);
+        assert.equal(wrapped.body.succeeded, 1);
+
+        for (const body of [[], { items: [] }, { url: 'https://example.com/single' }]) {
+            assert.equal((await ctx.request('POST', '/shorturls/batch', { body })).status, 400, JSON.stringify(body));
+        }
+    });
+
+    it('creates links from a CSV upload with quoted fields', async () => {
+        const res = await uploadCsv([
+            'URL, Shortcode ,validity',
+            '"https://example.com/search?q=a,b",csv1,15',
+            '',
+            '"https://example.com/say?text=""hi""",csv2,',
+            'https://example.com/plain,csv3,0'
+        ].join('\r\n'));
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.results.map(result => result.status), [201, 201, 400]);
+        assert.equal((await ctx.request('GET', '/shorturls/csv1')).body.original_url, 'https://example.com/search?q=a,b');
+        assert.equal((await ctx.request('GET', '/shorturls/csv2')).body.original_url, 'https://example.com/say?text="hi"');
+        assert.match(res.body.results[2].message, /validity/);
+    });
+
+    it('rejects malformed CSV', async () => {
+        const res = await uploadCsv('url,shortcode\n"https://example.com/open,csv4\n');
+
+        assert.equal(res.status, 400);
+        assert.match(res.body.message, /Invalid CSV: unterminated quoted field/);
+    });
+});
+
+describe('GET /shorturls/export', () => {
+    before(async () => {
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/a,b', shortcode: 'export1' } });
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/bobs', shortcode: 'export2' }, as: 'bob' });
+    });
+
+    it("exports the caller's links as JSON", async () => {
+        const res = await ctx.request('GET', '/shorturls/export');
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-disposition'), /attachment; filename="shorturls\.json"/);
+        const exported = res.body.find(item => item.shortcode === 'export1');
+        assert.equal(exported.original_url, 'https://example.com/a,b');
+        assert.equal(exported.shortlink, 'http://sho.rt/export1');
+        assert.equal(exported.status, 'active');
+        assert.ok(!res.body.some(item => item.shortcode === 'export2'), "bob's link is not exported");
+    });
+
+    it('exports the same links as CSV, quoting values that need it', async () => {
+        const json = await ctx.request('GET', '/shorturls/export');
+        const res = await ctx.request('GET', '/shorturls/export?format=CSV');
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/csv/);
+        assert.match(res.headers.get('content-disposition'), /filename="shorturls\.csv"/);
+        const lines = res.text.trimEnd().split('\r\n');
+        assert.equal(lines[0], 'shortcode,shortlink,original_url,creation_date,expiry_date,status,total_clicks');
+        assert.equal(lines.length, json.body.length + 1);
+        assert.ok(lines.some(line => line.startsWith('export1,http://sho.rt/export1,"https://example.com/a,b",')));
+        assert.ok(!res.text.includes('export2'));
+    });
+
+    it('rejects unknown and repeated formats', async () => {
+        for (const query of ['?format=xml', '?format=csv&format=json']) {
+            const res = await ctx.request('GET', `/shorturls/export${query}`);
+            assert.equal(res.status, 400, query);
+            assert.equal(res.body.error, 'Bad Request');
+        }
+    });
+});
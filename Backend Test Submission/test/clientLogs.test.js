@@ -0,0 +1,67 @@
+// test/clientLogs.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestApp();
+});
+
+after(() => ctx.close());
+
+// Relayed entries are sent in the background; wait until the stub log server has them.
+async function waitForLog(predicate) {
+    for (let i = 0; i < 50; i++) {
+        const found = ctx.logServer.logs.find(predicate);
+        if (found) return found;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return null;
+}
+
+describe('POST /client-logs', () => {
+    it('relays a batch of frontend entries without an API key', async () => {
+        const res = await ctx.request('POST', '/client-logs', {
+            as: null,
+            body: [
+                { stack: 'frontend', level: 'error', package: 'middleware', message: 'uncaught error' },
+                { stack: 'frontend', level: 'info', package: 'config', message: 'api base set' }
+            ]
+        });
+
+        assert.equal(res.status, 202);
+        assert.deepEqual(res.body, { accepted: 2, rejected: [] });
+        assert.ok(await waitForLog((entry) => entry.stack === 'frontend' && entry.message === 'uncaught error'));
+    });
+
+    it('accepts a single entry and rejects entries outside the frontend rules', async () => {
+        const single = await ctx.request('POST', '/client-logs', {
+            as: null,
+            body: { stack: 'frontend', level: 'warn', package: 'auth', message: 'api key missing' }
+        });
+        assert.deepEqual(single.body, { accepted: 1, rejected: [] });
+
+        const mixed = await ctx.request('POST', '/client-logs', {
+            as: null,
+            body: [
+                { stack: 'backend', level: 'info', package: 'handler', message: 'spoofed' },
+                { stack: 'frontend', level: 'info', package: 'handler', message: 'wrong package' },
+                { stack: 'frontend', level: 'info', package: 'config', message: 'fine' }
+            ]
+        });
+        const body = mixed.body;
+        assert.equal(body.accepted, 1);
+        assert.deepEqual(body.rejected.map((rejection) => rejection.index), [0, 1]);
+    });
+
+    it('rejects empty and oversized batches with 400', async () => {
+        const empty = await ctx.request('POST', '/client-logs', { as: null, body: [] });
+        assert.equal(empty.status, 400);
+
+        const entry = { stack: 'frontend', level: 'debug', package: 'config', message: 'x' };
+        const tooMany = await ctx.request('POST', '/client-logs', { as: null, body: Array(51).fill(entry) });
+        assert.equal(tooMany.status, 400);
+    });
+});
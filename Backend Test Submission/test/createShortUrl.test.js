@@ -0,0 +1,75 @@
+// test/createShortUrl.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestApp();
+});
+
+after(() => ctx.close());
+
+describe('POST /shorturls', () => {
+    it('creates a link with a generated shortcode and the default validity', async () => {
+        const before = Date.now();
+        const res = await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/some/path' } });
+
+        assert.equal(res.status, 201);
+        assert.match(res.body.shortlink, /^http:\/\/sho\.rt\/[A-Za-z0-9]{7}$/);
+        const expiry = new Date(res.body.expiry).getTime();
+        assert.ok(expiry >= before + 30 * 60 * 1000 && expiry <= Date.now() + 30 * 60 * 1000);
+    });
+
+    it('uses a valid custom shortcode and validity', async () => {
+        const res = await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com', validity: 5, shortcode: 'custom1' } });
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.shortlink, 'http://sho.rt/custom1');
+        const link = await ctx.repository.findLink('custom1');
+        assert.equal(link.owner, 'alice');
+        assert.equal(new Date(link.expires_at) - new Date(link.created_at), 5 * 60 * 1000);
+    });
+
+    it('returns 409 when the custom shortcode is already in use', async () => {
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com', shortcode: 'taken1' } });
+        const res = await ctx.request('POST', '/shorturls', { body: { url: 'https://example.org', shortcode: 'taken1' }, as: 'bob' });
+
+        assert.equal(res.status, 409);
+        assert.equal(res.body.error, 'Conflict');
+        assert.equal((await ctx.repository.findLink('taken1')).original_url, 'https://example.com');
+    });
+
+    for (const [name, body, message] of [
+        ['a missing url', {}, /Invalid or missing 'url'/],
+        ['a malformed url', { url: 'not a url' }, /Invalid or missing 'url'/],
+        ['a non-positive validity', { url: 'https://example.com', validity: 0 }, /'validity' must be a positive integer/],
+        ['a non-numeric validity', { url: 'https://example.com', validity: 'soon' }, /'validity' must be a positive integer/],
+        ['a shortcode with symbols', { url: 'https://example.com', shortcode: 'bad-code' }, /alphanumeric/],
+        ['a too-short shortcode', { url: 'https://example.com', shortcode: 'ab' }, /between 3 and 15/],
+        ['a shortcode naming an API path', { url: 'https://example.com', shortcode: 'webhooks' }, /reserved/],
+        ['a reserved shortcode in other letter case', { url: 'https://example.com', shortcode: 'ShortURLs' }, /reserved/]
+    ]) {
+        it(`returns 400 for ${name}`, async () => {
+            const res = await ctx.request('POST', '/shorturls', { body });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Bad Request');
+            assert.match(res.body.message, message);
+        });
+    }
+
+    it('returns 400 with a reason code for URLs rejected by the URL policy', async () => {
+        const res = await ctx.request('POST', '/shorturls', { body: { url: 'http://127.0.0.1/admin' } });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.reason, 'private_address');
+    });
+
+    it('returns 401 without an API key', async () => {
+        const res = await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com' }, as: null });
+
+        assert.equal(res.status, 401);
+    });
+});
@@ -0,0 +1,111 @@
+// test/helpers/testApp.js
+// Boots the app against the in-memory repository, with the Logger pointed at a local stub log server.
+
+const http = require('http');
+
+const API_KEYS = { alice: 'alice-key', bob: 'bob-key' };
+
+/**
+ * Starts a stub of the log server's /auth and /logs endpoints that accepts and records everything.
+ * @returns {Promise<{url: string, logs: object[], close: Function}>}
+ */
+function startStubLogServer() {
+    const logs = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            if (req.url === '/auth') {
+                return res.end(JSON.stringify({ access_token: 'stub-token', expires_in: Math.floor(Date.now() / 1000) + 3600 }));
+            }
+            logs.push(JSON.parse(body || '{}'));
+            res.end(JSON.stringify({ logID: `log-${logs.length}` }));
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            logs,
+            close() {
+                server.closeAllConnections();
+                return new Promise((done) => server.close(done));
+            }
+        }));
+    });
+}
+
+/**
+ * Starts the stub log server and the app. Configuration is read from the environment when
+ * modules are first required, so the environment is set up before the app is loaded.
+ * @returns {Promise<object>} `{ baseUrl, logServer, repository, request, close }`
+ */
+async function startTestApp() {
+    const logServer = await startStubLogServer();
+
+    Object.assign(process.env, {
+        LOG_API_BASE_URL: logServer.url,
+        MY_EMAIL: 'test@example.com',
+        MY_NAME: 'test',
+        MY_ROLL_NO: '0000',
+        MY_ACCESS_CODE: 'code',
+        MY_CLIENT_ID: 'client',
+        MY_CLIENT_SECRET: 'secret',
+        STORAGE_BACKEND: 'memory',
+        // Requests come from loopback; X-Forwarded-For chains may pass private-network proxies.
+        TRUST_PROXY: 'loopback, uniquelocal',
+        HOSTNAME: 'sho.rt',
+        API_KEYS: Object.entries(API_KEYS).map(([owner, key]) => `${owner}:${key}`).join(','),
+        RATE_LIMIT_CREATE_PER_IP: '0',
+        RATE_LIMIT_CREATE_PER_KEY: '0',
+        RATE_LIMIT_REDIRECT_PER_IP: '0',
+        RATE_LIMIT_CLIENT_LOGS_PER_IP: '0'
+    });
+
+    const app = require('../../src/app');
+    const { initDb, closeDb } = require('../../src/db');
+    const repository = await initDb();
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Sends a request to the app as `as` (an owner name from API_KEYS, or null for no key).
+     * Redirects are not followed so 302 responses can be inspected. A string body is sent as it
+     * is (pass its Content-Type in `headers`); anything else is sent as JSON.
+     */
+    async function request(method, path, { body, headers = {}, as = 'alice' } = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            redirect: 'manual',
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(as ? { 'X-API-Key': API_KEYS[as] } : {}),
+                ...headers
+            },
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let json = null;
+        try {
+            json = text ? JSON.parse(text) : null;
+        } catch (err) {
+            json = null;
+        }
+        return { status: response.status, headers: response.headers, body: json, text };
+    }
+
+    async function close() {
+        server.closeAllConnections();
+        await new Promise((done) => server.close(done));
+        await closeDb();
+        await logServer.close();
+    }
+
+    return { baseUrl, logServer, repository, request, close };
+}
+
+module.exports = { startTestApp, API_KEYS };
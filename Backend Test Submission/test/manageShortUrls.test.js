@@ -0,0 +1,138 @@
+// test/manageShortUrls.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestApp();
+});
+
+after(() => ctx.close());
+
+const hour = 60 * 60 * 1000;
+const create = (shortcode, as = 'alice') =>
+    ctx.request('POST', '/shorturls', { body: { url: `https://example.com/${shortcode}`, shortcode }, as });
+
+describe('GET /shorturls', () => {
+    // Bob's links are written directly, so their creation order and expiry are known.
+    before(async () => {
+        const insert = (shortcode, createdHoursAgo, expiresIn) => ctx.repository.insertLink({
+            shortcode, original_url: `https://example.com/${shortcode}`,
+            created_at: new Date(Date.now() - createdHoursAgo * hour).toISOString(),
+            expires_at: new Date(Date.now() + expiresIn * hour).toISOString(), owner: 'bob'
+        });
+        await insert('list1', 5, 1);
+        await insert('list2', 4, -1);
+        await insert('list3', 3, 1);
+        await insert('list4', 2, -1);
+        await insert('list5', 1, 1);
+    });
+
+    const list = async (query) => {
+        const res = await ctx.request('GET', `/shorturls${query}`, { as: 'bob' });
+        assert.equal(res.status, 200);
+        return res.body;
+    };
+
+    it("pages through the owner's links, newest first", async () => {
+        const first = await list('?limit=2');
+        assert.deepEqual([first.page, first.limit, first.total], [1, 2, 5]);
+        assert.deepEqual(first.items.map(item => item.shortcode), ['list5', 'list4']);
+
+        const last = await list('?limit=2&page=3');
+        assert.deepEqual(last.items.map(item => item.shortcode), ['list1']);
+        assert.deepEqual((await list('?limit=2&page=4')).items, []);
+    });
+
+    it('filters by status and creation date', async () => {
+        const active = await list('?status=active');
+        assert.equal(active.total, 3);
+        assert.deepEqual(active.items.map(item => item.shortcode), ['list5', 'list3', 'list1']);
+        assert.ok(active.items.every(item => item.status === 'active'));
+
+        const expired = await list('?status=expired&limit=1');
+        assert.deepEqual([expired.total, expired.items[0].shortcode, expired.items[0].status], [2, 'list4', 'expired']);
+
+        const recent = await list(`?created_after=${encodeURIComponent(new Date(Date.now() - 2.5 * hour).toISOString())}`);
+        assert.deepEqual(recent.items.map(item => item.shortcode), ['list5', 'list4']);
+    });
+
+    it('rejects invalid paging and filters', async () => {
+        for (const query of ['?page=0', '?limit=0', '?limit=101', '?page=abc', '?status=deleted', '?created_after=yesterday']) {
+            const res = await ctx.request('GET', `/shorturls${query}`, { as: 'bob' });
+            assert.equal(res.status, 400, query);
+            assert.equal(res.body.error, 'Bad Request');
+        }
+    });
+
+    it("does not list other owners' links", async () => {
+        await create('list6');
+        const res = await ctx.request('GET', '/shorturls?limit=100', { as: 'bob' });
+        assert.ok(!res.body.items.some(item => item.shortcode === 'list6'));
+    });
+});
+
+describe('PATCH /shorturls/:shortcode', () => {
+    const patch = (shortcode, body, as) => ctx.request('PATCH', `/shorturls/${shortcode}`, { body, as });
+
+    it('changes the destination and expiry', async () => {
+        await create('edit1');
+        const expiresAt = new Date(Date.now() + 48 * hour).toISOString();
+
+        const res = await patch('edit1', { url: 'https://example.com/elsewhere', expires_at: expiresAt });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.original_url, 'https://example.com/elsewhere');
+        assert.equal(res.body.expiry_date, expiresAt);
+
+        const link = await ctx.repository.findLink('edit1');
+        assert.deepEqual([link.original_url, link.expires_at], ['https://example.com/elsewhere', expiresAt]);
+    });
+
+    it('rejects invalid changes and leaves the link as it was', async () => {
+        await create('edit2');
+        const invalid = [
+            [{}, /at least one/],
+            [{ url: 'not a url' }, /valid URL/],
+            [{ validity: 10, expires_at: new Date(Date.now() + hour).toISOString() }, /not both/],
+            [{ validity: -5 }, /positive integer/],
+            [{ expires_at: new Date(Date.now() - hour).toISOString() }, /in the future/]
+        ];
+        for (const [body, message] of invalid) {
+            const res = await patch('edit2', body);
+            assert.equal(res.status, 400, JSON.stringify(body));
+            assert.match(res.body.message, message);
+        }
+        assert.equal((await ctx.repository.findLink('edit2')).original_url, 'https://example.com/edit2');
+    });
+
+    it("returns 404 for unknown links and 403 for other owners' links", async () => {
+        await create('edit3');
+        assert.equal((await patch('missing1', { validity: 10 })).status, 404);
+        assert.equal((await patch('edit3', { validity: 10 }, 'bob')).status, 403);
+    });
+});
+
+describe('DELETE /shorturls/:shortcode', () => {
+    it('removes the link together with its clicks', async () => {
+        await create('del1');
+        await ctx.request('GET', '/del1', { as: null });
+        await ctx.request('GET', '/del1', { as: null });
+        assert.equal(await ctx.repository.countClicks('del1'), 2);
+
+        const res = await ctx.request('DELETE', '/shorturls/del1');
+        assert.equal(res.status, 204);
+        assert.equal(res.text, '');
+        assert.equal(await ctx.repository.findLink('del1'), null);
+        assert.equal(await ctx.repository.countClicks('del1'), 0);
+        assert.equal((await ctx.request('GET', '/shorturls/del1')).status, 404);
+    });
+
+    it("returns 404 for unknown links and leaves other owners' links alone", async () => {
+        await create('del2');
+        assert.equal((await ctx.request('DELETE', '/shorturls/missing2')).status, 404);
+        assert.equal((await ctx.request('DELETE', '/shorturls/del2', { as: 'bob' })).status, 403);
+        assert.ok(await ctx.repository.findLink('del2'));
+    });
+});
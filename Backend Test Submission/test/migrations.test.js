@@ -0,0 +1,123 @@
+// test/migrations.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { runMigrations, MIGRATIONS } = require('../src/db/migrations');
+const { SqliteShortUrlRepository } = require('../src/model/sqliteShortUrlRepository');
+
+const ALL_VERSIONS = MIGRATIONS.map(migration => migration.version);
+
+// A repository over a database that only has the given migrations applied.
+async function openAt(databasePath, migrations) {
+    const db = await new Promise((resolve, reject) => {
+        const database = new sqlite3.Database(databasePath, (err) => (err ? reject(err) : resolve(database)));
+    });
+    const repository = new SqliteShortUrlRepository(db);
+    await runMigrations(repository, migrations);
+    return repository;
+}
+
+const columnsOf = async (repository, table) => (await repository.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+const tables = async (repository) =>
+    (await repository.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")).map(row => row.name);
+
+describe('runMigrations', () => {
+    let dir;
+    let databasePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shortener-migrations-'));
+        databasePath = path.join(dir, 'test.db');
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('creates the whole schema in an empty database', async () => {
+        const repository = await SqliteShortUrlRepository.open(':memory:');
+
+        assert.deepEqual(repository.appliedMigrations, ALL_VERSIONS);
+        assert.deepEqual(await tables(repository), [
+            'archived_links', 'click_rollups', 'clicks', 'schema_migrations', 'shortened_urls', 'webhook_deliveries', 'webhooks'
+        ]);
+        assert.deepEqual(await columnsOf(repository, 'shortened_urls'), [
+            'shortcode', 'original_url', 'created_at', 'expires_at', 'owner', 'password_hash', 'max_clicks', 'targets', 'expiry_notice'
+        ]);
+        const recorded = await repository.all("SELECT version, name FROM schema_migrations ORDER BY version");
+        assert.deepEqual(recorded, MIGRATIONS.map(({ version, name }) => ({ version, name })));
+        await repository.close();
+    });
+
+    it('applies nothing when run again and keeps the data', async () => {
+        const first = await SqliteShortUrlRepository.open(databasePath);
+        await first.insertLink({
+            shortcode: 'kept1', original_url: 'https://example.com/kept1', created_at: '2025-01-01T00:00:00.000Z',
+            expires_at: '2025-02-01T00:00:00.000Z', owner: 'alice'
+        });
+        await first.close();
+
+        const second = await SqliteShortUrlRepository.open(databasePath);
+        assert.deepEqual(second.appliedMigrations, []);
+        assert.deepEqual(await runMigrations(second), []);
+        assert.equal((await second.findLink('kept1')).original_url, 'https://example.com/kept1');
+        assert.equal((await second.get("SELECT COUNT(*) AS count FROM schema_migrations")).count, ALL_VERSIONS.length);
+        await second.close();
+    });
+
+    it('brings a database from an older version up to date', async () => {
+        const old = await openAt(databasePath, MIGRATIONS.filter(migration => migration.version <= 4));
+        await old.run(
+            `INSERT INTO shortened_urls (shortcode, original_url, created_at, expires_at, owner, max_clicks)
+             VALUES ('old1', 'https://example.com/old1', '2025-01-01T00:00:00.000Z', '2099-01-01T00:00:00.000Z', 'alice', 5)`
+        );
+        await old.run("INSERT INTO clicks (shortcode, timestamp, visitor_hash) VALUES ('old1', '2025-01-02T00:00:00.000Z', 'v1')");
+        assert.ok(!(await columnsOf(old, 'shortened_urls')).includes('targets'));
+        await old.close();
+
+        const upgraded = await SqliteShortUrlRepository.open(databasePath);
+        assert.deepEqual(upgraded.appliedMigrations, ALL_VERSIONS.filter(version => version > 4));
+        assert.deepEqual(await upgraded.findLink('old1'), {
+            shortcode: 'old1', original_url: 'https://example.com/old1', created_at: '2025-01-01T00:00:00.000Z',
+            expires_at: '2099-01-01T00:00:00.000Z', owner: 'alice', password_hash: null, max_clicks: 5, targets: null, expiry_notice: null
+        });
+        const [oldClick] = await upgraded.findClicks('old1');
+        assert.deepEqual([oldClick.visitor_hash, oldClick.variant], ['v1', null]);
+        assert.equal(await upgraded.insertClick({ shortcode: 'old1', timestamp: '2025-01-03T00:00:00.000Z', variant: 'b' }, { maxClicks: 5 }), true);
+        await upgraded.close();
+    });
+
+    it('upgrades a database created before migrations existed', async () => {
+        const legacy = await openAt(databasePath, []);
+        // No record of any migration: just the original tables, with the owner column added by hand.
+        await legacy.run("DROP TABLE schema_migrations");
+        await legacy.run("CREATE TABLE shortened_urls (shortcode TEXT PRIMARY KEY, original_url TEXT NOT NULL, created_at TEXT NOT NULL, expires_at TEXT NOT NULL, owner TEXT)");
+        await legacy.run("CREATE TABLE clicks (id INTEGER PRIMARY KEY AUTOINCREMENT, shortcode TEXT NOT NULL, timestamp TEXT NOT NULL, referrer TEXT, ip_address TEXT)");
+        await legacy.run("INSERT INTO shortened_urls VALUES ('legacy1', 'https://example.com/legacy1', '2025-01-01T00:00:00.000Z', '2099-01-01T00:00:00.000Z', 'alice')");
+        await legacy.close();
+
+        const upgraded = await SqliteShortUrlRepository.open(databasePath);
+        assert.deepEqual(upgraded.appliedMigrations, ALL_VERSIONS);
+        assert.equal((await upgraded.findLink('legacy1')).owner, 'alice');
+        assert.equal((await upgraded.listLinks({ owner: 'alice', now: '2025-06-01T00:00:00.000Z' })).total, 1);
+        await upgraded.close();
+    });
+
+    it('rolls back a failing migration and records nothing for it', async () => {
+        const repository = await openAt(':memory:', MIGRATIONS.filter(migration => migration.version <= 1));
+        const broken = {
+            version: 2,
+            name: 'broken',
+            up: async (db) => {
+                await db.run("ALTER TABLE shortened_urls ADD COLUMN owner TEXT");
+                await db.run("SELECT * FROM no_such_table");
+            }
+        };
+
+        await assert.rejects(runMigrations(repository, [broken]), /Migration 2 \(broken\) failed: .*no such table/);
+        assert.ok(!(await columnsOf(repository, 'shortened_urls')).includes('owner'));
+        assert.deepEqual(await runMigrations(repository, MIGRATIONS), ALL_VERSIONS.filter(version => version > 1));
+        await repository.close();
+    });
+});
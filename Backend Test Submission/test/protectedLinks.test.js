@@ -0,0 +1,180 @@
+// test/protectedLinks.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+
+let ctx;
+
+before(async () => {
+    // Small password budgets so throttling can be exercised (startTestApp keeps these settings).
+    process.env.RATE_LIMIT_PASSWORD_PER_IP = '4';
+    process.env.RATE_LIMIT_PASSWORD_PER_CLIENT = '3';
+    process.env.RATE_LIMIT_PASSWORD_PER_LINK = '6';
+    ctx = await startTestApp();
+});
+
+after(() => ctx.close());
+
+// Submits the interstitial form the way a browser does.
+async function submitPassword(shortcode, password, headers = {}) {
+    const response = await fetch(`${ctx.baseUrl}/${shortcode}`, {
+        method: 'POST',
+        redirect: 'manual',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+        body: new URLSearchParams({ password })
+    });
+    return { status: response.status, headers: response.headers, text: await response.text() };
+}
+
+describe('POST /shorturls with password and max_clicks', () => {
+    it('stores only a hash of the password and reports the options', async () => {
+        const res = await ctx.request('POST', '/shorturls', {
+            body: { url: 'https://example.com/internal', shortcode: 'secret1', password: 'hunter22', max_clicks: 5 }
+        });
+
+        assert.equal(res.status, 201);
+        assert.equal(res.body.password_protected, true);
+        assert.equal(res.body.max_clicks, 5);
+
+        const link = await ctx.repository.findLink('secret1');
+        assert.match(link.password_hash, /^scrypt:/);
+        assert.ok(!link.password_hash.includes('hunter22'));
+
+        const stats = await ctx.request('GET', '/shorturls/secret1');
+        assert.equal(stats.body.password_protected, true);
+        assert.equal(stats.body.max_clicks, 5);
+        assert.equal(stats.body.password_hash, undefined);
+    });
+
+    it('rejects invalid passwords and click limits', async () => {
+        for (const body of [{ password: 'abc' }, { password: 42 }, { max_clicks: 0 }, { max_clicks: 1.5 }, { max_clicks: 'many' }]) {
+            const res = await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/x', ...body } });
+            assert.equal(res.status, 400, JSON.stringify(body));
+        }
+    });
+});
+
+describe('password-protected redirects', () => {
+    before(async () => {
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/doc', shortcode: 'locked1', password: 'open sesame' } });
+    });
+
+    it('serves the password form instead of redirecting, without counting a click', async () => {
+        const res = await ctx.request('GET', '/locked1', { as: null });
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/html/);
+        assert.equal(res.headers.get('cache-control'), 'no-store');
+        assert.match(res.text, /<form method="post" action="\/locked1">/);
+        assert.ok(!res.text.includes('example.com/doc'));
+        assert.equal(await ctx.repository.countClicks('locked1'), 0);
+    });
+
+    it('redirects and records the click once the right password is posted', async () => {
+        const res = await submitPassword('locked1', 'open sesame');
+
+        assert.equal(res.status, 303);
+        assert.equal(res.headers.get('location'), 'https://example.com/doc');
+        assert.equal(await ctx.repository.countClicks('locked1'), 1);
+    });
+
+    it('answers a wrong password with the form again and logs the failure', async () => {
+        const res = await submitPassword('locked1', 'guess');
+
+        assert.equal(res.status, 401);
+        assert.match(res.text, /Incorrect password/);
+        assert.equal(await ctx.repository.countClicks('locked1'), 1);
+
+        // Log entries are sent in the background.
+        for (let i = 0; i < 50 && !ctx.logServer.logs.some(entry => entry.message.includes('password_failed')); i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        const entry = ctx.logServer.logs.find(entry => entry.message.includes('password_failed'));
+        assert.equal(entry.level, 'warn');
+    });
+
+    it('throttles password attempts per IP, right or wrong', async () => {
+        const statuses = [];
+        for (let i = 0; i < 6; i++) {
+            const password = i % 2 ? 'open sesame' : 'guess';
+            statuses.push((await submitPassword('locked1', password, { 'X-Forwarded-For': '198.51.100.9' })).status);
+        }
+
+        assert.deepEqual(statuses.slice(0, 4), [401, 303, 401, 303]);
+        assert.deepEqual(statuses.slice(4), [429, 429]);
+        // Another client still gets its own budget.
+        assert.equal((await submitPassword('locked1', 'open sesame', { 'X-Forwarded-For': '198.51.100.10' })).status, 303);
+    });
+
+    it('locks out a client after too many wrong passwords, but not the others', async () => {
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/team', shortcode: 'locked4', password: 'team pass' } });
+
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            statuses.push((await submitPassword('locked4', `guess${i}`, { 'X-Forwarded-For': '198.51.100.20' })).status);
+        }
+        assert.deepEqual(statuses, [401, 401, 401]);
+
+        // Still within its per-IP budget, but out of wrong passwords for this link.
+        const blocked = await submitPassword('locked4', 'team pass', { 'X-Forwarded-For': '198.51.100.20' });
+        assert.equal(blocked.status, 429);
+        assert.match(blocked.text, /Too many wrong passwords/);
+
+        const other = await submitPassword('locked4', 'team pass', { 'X-Forwarded-For': '198.51.100.21' });
+        assert.equal(other.status, 303);
+        assert.equal(await ctx.repository.countClicks('locked4'), 1);
+    });
+
+    it('limits wrong passwords per link however many IPs they come from', async () => {
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/vault', shortcode: 'locked2', password: 'right one' } });
+
+        // Each guess claims another client address, so the per-IP budget never runs out.
+        const statuses = [];
+        for (let i = 0; i < 6; i++) {
+            statuses.push((await submitPassword('locked2', `guess${i}`, { 'X-Forwarded-For': `203.0.113.${i + 1}` })).status);
+        }
+        assert.deepEqual(statuses, [401, 401, 401, 401, 401, 401]);
+
+        const blocked = await submitPassword('locked2', 'right one', { 'X-Forwarded-For': '203.0.113.50' });
+        assert.equal(blocked.status, 429);
+        assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+        assert.equal(await ctx.repository.countClicks('locked2'), 0);
+        // Without a trusted proxy the header isn't even looked at (see rateLimiter.test.js).
+    });
+
+    it('does not count successful unlocks against the link', async () => {
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/popular', shortcode: 'locked3', password: 'shared pw' } });
+
+        for (let i = 0; i < 8; i++) {
+            const res = await submitPassword('locked3', 'shared pw', { 'X-Forwarded-For': `203.0.113.${100 + i}` });
+            assert.equal(res.status, 303);
+        }
+    });
+});
+
+describe('click-limited redirects', () => {
+    before(async () => {
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/once', shortcode: 'twice1', max_clicks: 2 } });
+    });
+
+    it('redirects until the limit is reached, then answers 410 like an expired link', async () => {
+        assert.equal((await ctx.request('GET', '/twice1', { as: null })).status, 302);
+        assert.equal((await ctx.request('GET', '/twice1', { as: null })).status, 302);
+
+        const res = await ctx.request('GET', '/twice1', { as: null });
+        assert.equal(res.status, 410);
+        assert.equal(res.body.error, 'Gone');
+        assert.match(res.body.message, /click limit/);
+        assert.equal(await ctx.repository.countClicks('twice1'), 2);
+        assert.equal((await ctx.request('GET', '/shorturls/twice1/qr')).status, 410);
+    });
+
+    it('never records more clicks than the limit under concurrent visits', async () => {
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/rush', shortcode: 'rush1', max_clicks: 3 } });
+
+        const statuses = await Promise.all(Array.from({ length: 8 }, () => ctx.request('GET', '/rush1', { as: null })));
+
+        assert.equal(statuses.filter(res => res.status === 302).length, 3);
+        assert.equal(await ctx.repository.countClicks('rush1'), 3);
+    });
+});
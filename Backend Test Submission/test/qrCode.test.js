@@ -0,0 +1,75 @@
+// test/qrCode.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, API_KEYS } = require('./helpers/testApp');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestApp();
+    await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/poster', shortcode: 'poster1' } });
+    await ctx.repository.insertLink({
+        shortcode: 'gone1',
+        original_url: 'https://example.com/old',
+        created_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+        expires_at: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+        owner: 'alice'
+    });
+});
+
+after(() => ctx.close());
+
+// PNG responses are binary, so read them as bytes rather than through ctx.request().
+async function fetchPng(path) {
+    const response = await fetch(`${ctx.baseUrl}${path}`, { headers: { 'X-API-Key': API_KEYS.alice } });
+    return { status: response.status, headers: response.headers, bytes: Buffer.from(await response.arrayBuffer()) };
+}
+
+// Width and height from a PNG's IHDR chunk.
+const pngSize = (bytes) => [bytes.readUInt32BE(16), bytes.readUInt32BE(20)];
+
+describe('GET /shorturls/:shortcode/qr', () => {
+    it('returns a PNG of the requested size by default', async () => {
+        const res = await fetchPng('/shorturls/poster1/qr?size=300');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('content-type'), 'image/png');
+        assert.deepEqual([...res.bytes.subarray(0, 4)], [0x89, 0x50, 0x4e, 0x47]);
+        assert.deepEqual(pngSize(res.bytes), [300, 300]);
+    });
+
+    it('returns an SVG when asked', async () => {
+        const res = await ctx.request('GET', '/shorturls/poster1/qr?format=svg&margin=0&error_correction=h');
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^image\/svg\+xml/);
+        assert.match(res.text, /^<svg [^>]*width="256"/);
+    });
+
+    it('uses denser codes for higher error correction', async () => {
+        const low = await ctx.request('GET', '/shorturls/poster1/qr?format=svg&error_correction=L');
+        const high = await ctx.request('GET', '/shorturls/poster1/qr?format=svg&error_correction=H');
+        const modules = (svg) => Number(svg.match(/viewBox="0 0 (\d+)/)[1]);
+
+        assert.ok(modules(high.text) > modules(low.text));
+    });
+
+    it('rejects invalid options with 400', async () => {
+        for (const query of ['format=gif', 'size=10', 'size=99999', 'margin=-1', 'error_correction=X']) {
+            const res = await ctx.request('GET', `/shorturls/poster1/qr?${query}`);
+            assert.equal(res.status, 400, query);
+            assert.equal(res.body.error, 'Bad Request');
+        }
+    });
+
+    it('answers like the redirect for unknown and expired links', async () => {
+        assert.equal((await ctx.request('GET', '/shorturls/nothere/qr')).status, 404);
+        const gone = await ctx.request('GET', '/shorturls/gone1/qr');
+        assert.equal(gone.status, 410);
+        assert.equal(gone.body.error, 'Gone');
+    });
+
+    it("returns 403 for another owner's link", async () => {
+        assert.equal((await ctx.request('GET', '/shorturls/poster1/qr', { as: 'bob' })).status, 403);
+    });
+});
@@ -0,0 +1,143 @@
+// test/rateLimiter.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { startTestApp } = require('./helpers/testApp');
+
+let ctx;
+let createRateLimiter;
+let MemoryRateLimitStore;
+let batchCost;
+
+before(async () => {
+    // Started for its environment and stub log server: rate_limited events are logged.
+    ctx = await startTestApp();
+    ({ createRateLimiter } = require('../src/middleware/rateLimiter'));
+    ({ MemoryRateLimitStore } = require('../src/services/rateLimitStore'));
+    ({ batchCost } = require('../src/route/shortUrlRoutes'));
+});
+
+after(() => ctx.close());
+
+/**
+ * Serves one limiter on a bare app. The X-Owner header stands in for an authenticated API key.
+ * @returns {Promise<{request: Function, close: Function, store: MemoryRateLimitStore}>}
+ */
+async function startLimitedApp(options, { trustProxy = false } = {}) {
+    const store = new MemoryRateLimitStore();
+    const app = express();
+    app.set('trust proxy', trustProxy);
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.owner = req.get('X-Owner');
+        next();
+    });
+    app.post('/', createRateLimiter({ name: 'test', windowMs: 60 * 1000, store, ...options }), (req, res) => res.json({ ok: true }));
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const request = (headers = {}, body = {}) => fetch(`http://127.0.0.1:${server.address().port}/`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    return {
+        request,
+        store,
+        close() {
+            store.close();
+            server.closeAllConnections();
+            return new Promise((done) => server.close(done));
+        }
+    };
+}
+
+describe('createRateLimiter', () => {
+    it('answers 429 with Retry-After once the per-IP limit is used up', async () => {
+        const limited = await startLimitedApp({ perIp: 2 });
+        try {
+            const first = await limited.request();
+            assert.equal(first.status, 200);
+            assert.equal(first.headers.get('ratelimit-limit'), '2');
+            assert.equal(first.headers.get('ratelimit-remaining'), '1');
+            assert.ok(Number(first.headers.get('ratelimit-reset')) > 0);
+
+            assert.equal((await limited.request()).status, 200);
+            const rejected = await limited.request();
+            assert.equal(rejected.status, 429);
+            assert.equal(rejected.headers.get('ratelimit-remaining'), '0');
+            assert.ok(Number(rejected.headers.get('retry-after')) >= 1);
+            assert.equal((await rejected.json()).error, 'Too Many Requests');
+        } finally {
+            await limited.close();
+        }
+    });
+
+    it('ignores X-Forwarded-For unless the proxy is trusted', async () => {
+        const direct = await startLimitedApp({ perIp: 1 });
+        try {
+            assert.equal((await direct.request({ 'X-Forwarded-For': '198.51.100.1' })).status, 200);
+            assert.equal((await direct.request({ 'X-Forwarded-For': '198.51.100.2' })).status, 429);
+        } finally {
+            await direct.close();
+        }
+
+        const proxied = await startLimitedApp({ perIp: 1 }, { trustProxy: 'loopback' });
+        try {
+            assert.equal((await proxied.request({ 'X-Forwarded-For': '198.51.100.1' })).status, 200);
+            assert.equal((await proxied.request({ 'X-Forwarded-For': '198.51.100.1' })).status, 429);
+            assert.equal((await proxied.request({ 'X-Forwarded-For': '198.51.100.2' })).status, 200);
+            // Only the hop added by the trusted proxy counts; what the client put in front is ignored.
+            assert.equal((await proxied.request({ 'X-Forwarded-For': '203.0.113.5, 198.51.100.2' })).status, 429);
+        } finally {
+            await proxied.close();
+        }
+    });
+
+    it('limits each API key separately and only for authenticated requests', async () => {
+        const limited = await startLimitedApp({ perKey: 1 });
+        try {
+            assert.equal((await limited.request({ 'X-Owner': 'alice' })).status, 200);
+            assert.equal((await limited.request({ 'X-Owner': 'alice' })).status, 429);
+            assert.equal((await limited.request({ 'X-Owner': 'bob' })).status, 200);
+            assert.equal((await limited.request()).status, 200);
+        } finally {
+            await limited.close();
+        }
+    });
+
+    it('weights requests by their cost, counting batches per link', async () => {
+        const limited = await startLimitedApp({ perIp: 5, cost: batchCost });
+        try {
+            const batch = await limited.request({}, { items: [{}, {}, {}] });
+            assert.equal(batch.status, 200);
+            assert.equal(batch.headers.get('ratelimit-remaining'), '2');
+            assert.equal((await limited.request({}, [{}, {}, {}])).status, 429);
+            assert.equal((await limited.store.increment('test:ip:127.0.0.1', 60 * 1000, 0)).count, 6);
+        } finally {
+            await limited.close();
+        }
+    });
+
+    it('counts a CSV upload by its records', () => {
+        assert.equal(batchCost({ body: 'url,shortcode\nhttps://a.example/,\n\nhttps://b.example/,\n' }), 2);
+        assert.equal(batchCost({ body: 'url,note\r\nhttps://a.example/,"two\r\nlines"\r\n\r\n\r\n' }), 1);
+        assert.equal(batchCost({ body: 'url\n"https://a.example/' }), 1);
+        assert.equal(batchCost({ body: { url: 'https://a.example/' } }), 1);
+    });
+
+    it('lets requests through when the store fails', async () => {
+        const limited = await startLimitedApp({ perIp: 1 });
+        limited.store.increment = async () => { throw new Error('store down'); };
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            assert.equal((await limited.request()).status, 200);
+            assert.equal((await limited.request()).status, 200);
+        } finally {
+            console.error = originalError;
+            await limited.close();
+        }
+    });
+});
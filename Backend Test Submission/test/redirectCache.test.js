@@ -0,0 +1,287 @@
+// test/redirectCache.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+const { LruCache } = require('../src/services/lruCache');
+const { ClickBuffer } = require('../src/services/clickBuffer');
+const { CachedShortUrlRepository } = require('../src/model/cachedShortUrlRepository');
+const { SqliteShortUrlRepository } = require('../src/model/sqliteShortUrlRepository');
+
+let ctx;
+
+before(async () => {
+    // A long flush interval, so only reads (and close) write buffered clicks during these tests.
+    process.env.CLICK_FLUSH_INTERVAL_MS = '60000';
+    ctx = await startTestApp();
+});
+
+after(() => ctx.close());
+
+const click = (shortcode, n) => ({ shortcode, timestamp: new Date(Date.UTC(2025, 0, 1, 0, 0, n)).toISOString() });
+
+describe('LruCache', () => {
+    it('evicts the least recently used entry', () => {
+        const cache = new LruCache({ maxEntries: 2 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+
+        assert.equal(cache.get('b'), undefined);
+        assert.equal(cache.get('a'), 1);
+        assert.equal(cache.get('c'), 3);
+        assert.deepEqual(cache.takeStats(), { hits: 3, misses: 1, evictions: 1, size: 2 });
+        assert.deepEqual(cache.takeStats(), { hits: 0, misses: 0, evictions: 0, size: 2 });
+    });
+
+    it('drops entries once their time-to-live has passed', () => {
+        let now = 0;
+        const cache = new LruCache({ ttlMs: 1000, now: () => now });
+        cache.set('a', 1);
+        now = 999;
+        assert.equal(cache.get('a'), 1);
+        now = 1000;
+        assert.equal(cache.get('a'), undefined);
+        assert.equal(cache.size, 0);
+    });
+});
+
+describe('ClickBuffer', () => {
+    it('writes in batches of maxBatch and reports each flush', async () => {
+        const batches = [];
+        const events = [];
+        const buffer = new ClickBuffer({
+            write: async (clicks) => batches.push(clicks.length),
+            maxBatch: 3,
+            onEvent: (event, details) => events.push([event, details.clicks])
+        });
+        for (let i = 0; i < 7; i++) buffer.add(click('buf1', i));
+        await buffer.flush();
+
+        assert.deepEqual(batches, [3, 3, 1]);
+        assert.equal(buffer.size, 0);
+        // Clicks that arrive while a write is in progress are written by the next flush together.
+        assert.ok(events.every(([event]) => event === 'flushed'));
+        assert.equal(events.reduce((sum, [, clicks]) => sum + clicks, 0), 7);
+    });
+
+    it('keeps clicks of a failed write for the next flush, in order', async () => {
+        const written = [];
+        let failing = true;
+        const events = [];
+        const buffer = new ClickBuffer({
+            write: async (clicks) => {
+                if (failing) throw new Error('database is locked');
+                written.push(...clicks);
+            },
+            maxPending: 3,
+            onEvent: (event, details) => events.push({ event, ...details })
+        });
+        buffer.add(click('buf2', 0));
+        buffer.add(click('buf2', 1));
+        await assert.rejects(buffer.flush(), /database is locked/);
+        assert.equal(buffer.size, 2);
+
+        buffer.add(click('buf2', 2));
+        buffer.add(click('buf2', 3));
+        await assert.rejects(buffer.flush());
+        assert.deepEqual(events.at(-1), { event: 'flush_failed', clicks: 4, exception: 'database is locked', dropped: 1 });
+
+        failing = false;
+        await buffer.flush();
+        assert.deepEqual(written.map(item => item.timestamp), [1, 2, 3].map(n => click('buf2', n).timestamp));
+    });
+});
+
+describe('CachedShortUrlRepository', () => {
+    // An inner repository whose reads and writes wait until released, to interleave them.
+    function slowRepository() {
+        let row = { shortcode: 'slow1', original_url: 'https://example.com/old' };
+        const gate = () => {
+            let release;
+            const opened = new Promise((resolve) => release = resolve);
+            return { opened, release };
+        };
+        const inner = {
+            readGate: null,
+            writeGate: null,
+            written: [],
+            async findLink() {
+                const seen = row && { ...row };
+                if (inner.readGate) await inner.readGate.opened;
+                return seen;
+            },
+            async updateLink(shortcode, changes) {
+                await inner.writeGate.opened;
+                row = { ...row, ...changes };
+                return true;
+            },
+            async deleteLink() {
+                await inner.writeGate.opened;
+                row = null;
+                return { deleted: true, clicksDeleted: 0 };
+            },
+            async insertClicks(clicks) {
+                inner.written.push(...clicks);
+            },
+            async close() {}
+        };
+        return { inner, gate };
+    }
+
+    it('does not re-cache the old row read while an update is running', async () => {
+        const { inner, gate } = slowRepository();
+        const repository = new CachedShortUrlRepository(inner, { flushIntervalMs: 0 });
+
+        inner.writeGate = gate();
+        const update = repository.updateLink('slow1', { original_url: 'https://example.com/new' });
+        assert.equal((await repository.findLink('slow1')).original_url, 'https://example.com/old');
+        inner.writeGate.release();
+        await update;
+
+        assert.equal((await repository.findLink('slow1')).original_url, 'https://example.com/new');
+        await repository.close();
+    });
+
+    it('does not cache a row read before a delete that finished first', async () => {
+        const { inner, gate } = slowRepository();
+        const repository = new CachedShortUrlRepository(inner, { flushIntervalMs: 0 });
+
+        inner.readGate = gate();
+        const staleRead = repository.findLink('slow1');
+        inner.writeGate = gate();
+        inner.writeGate.release();
+        await repository.deleteLink('slow1');
+        inner.readGate.release();
+        assert.equal((await staleRead).original_url, 'https://example.com/old');
+
+        inner.readGate = null;
+        assert.equal(await repository.findLink('slow1'), null);
+        await repository.close();
+    });
+
+    it('writes buffered clicks before a delete and drops those buffered while it runs', async () => {
+        const { inner, gate } = slowRepository();
+        const repository = new CachedShortUrlRepository(inner, { flushIntervalMs: 60000 });
+        await repository.findLink('slow1');
+        await repository.insertClick(click('slow1', 0));
+
+        inner.writeGate = gate();
+        const deleted = repository.deleteLink('slow1');
+        assert.equal(repository.cache.get('slow1'), undefined);
+        await new Promise(resolve => setImmediate(resolve));
+        // A redirect that found the link just before it went.
+        await repository.insertClick(click('slow1', 1));
+        await repository.insertClick(click('other1', 2));
+        const flushed = repository.clickBuffer.flush();
+        inner.writeGate.release();
+        await Promise.all([deleted, flushed]);
+
+        await repository.close();
+        assert.deepEqual(inner.written.map(found => [found.shortcode, found.timestamp]), [
+            ['slow1', click('slow1', 0).timestamp],
+            ['other1', click('other1', 2).timestamp]
+        ]);
+    });
+});
+
+describe('CachedShortUrlRepository over sqlite', () => {
+    it('flushes clicks while a sweep runs without failing or losing writes', async () => {
+        const inner = await SqliteShortUrlRepository.open(':memory:');
+        const events = [];
+        const repository = new CachedShortUrlRepository(inner, {
+            flushIntervalMs: 60 * 1000,
+            logEvent: (event) => events.push(event)
+        });
+        const hour = 60 * 60 * 1000;
+        const link = (shortcode, expiresIn) => repository.insertLink({
+            shortcode, original_url: `https://example.com/${shortcode}`, created_at: new Date().toISOString(),
+            expires_at: new Date(Date.now() + expiresIn).toISOString(), owner: 'alice'
+        });
+        await link('live2', hour);
+        await link('gone2', -hour);
+        await inner.insertClick(click('live2', 0));
+
+        for (let i = 0; i < 120; i++) {
+            await repository.insertClick({ shortcode: 'live2', timestamp: new Date().toISOString(), visitor_hash: `v${i}` });
+        }
+        const flushes = [];
+        for (let i = 0; i < 3; i++) {
+            flushes.push(repository.clickBuffer.flush());
+            repository.clickBuffer.add({ shortcode: 'live2', timestamp: new Date().toISOString() });
+        }
+        const results = await Promise.allSettled([
+            ...flushes,
+            inner.purgeExpiredLinks({ expiredBefore: new Date().toISOString(), archive: true, archivedAt: new Date().toISOString(), limit: 10 }),
+            inner.trimClicks({ before: '2025-01-02T00:00:00.000Z', rollup: true }),
+            link('during3', hour)
+        ]);
+
+        assert.deepEqual(results.filter(result => result.status === 'rejected'), []);
+        assert.ok(!events.includes('cache_clicks_flush_failed'));
+        assert.equal(await inner.findLink('gone2'), null);
+        assert.ok(await repository.findLink('during3'));
+        // 120 buffered, 3 added during the flushes and 1 old click that became a daily count.
+        assert.equal(await repository.countClicks('live2'), 124);
+        assert.deepEqual(await inner.findClickRollups('live2'), [{ day: '2025-01-01', clicks: 1, unique_visitors: 0 }]);
+        await repository.close();
+    });
+});
+
+describe('cached redirects', () => {
+    const create = (shortcode, extra = {}) =>
+        ctx.request('POST', '/shorturls', { body: { url: `https://example.com/${shortcode}`, shortcode, ...extra } });
+    const follow = (shortcode) => ctx.request('GET', `/${shortcode}`, { as: null });
+
+    it('serves repeat lookups from the cache', async () => {
+        await create('cache1');
+        const { cache } = ctx.repository;
+        cache.takeStats();
+
+        await follow('cache1');
+        await follow('cache1');
+        const stats = cache.takeStats();
+        assert.equal(stats.misses, 1);
+        assert.equal(stats.hits, 1);
+    });
+
+    it('sees a new destination and expiry right after an update', async () => {
+        await create('cache2');
+        assert.equal((await follow('cache2')).headers.get('location'), 'https://example.com/cache2');
+
+        await ctx.request('PATCH', '/shorturls/cache2', { body: { url: 'https://example.com/moved' } });
+        assert.equal((await follow('cache2')).headers.get('location'), 'https://example.com/moved');
+
+        // The API only accepts future expiry dates.
+        await ctx.repository.updateLink('cache2', { expires_at: new Date(Date.now() - 1000).toISOString() });
+        assert.equal((await follow('cache2')).status, 410);
+    });
+
+    it('stops redirecting right after DELETE', async () => {
+        await create('cache3');
+        assert.equal((await follow('cache3')).status, 302);
+
+        assert.equal((await ctx.request('DELETE', '/shorturls/cache3')).status, 204);
+        assert.equal((await follow('cache3')).status, 404);
+        assert.equal(await ctx.repository.countClicks('cache3'), 0);
+    });
+
+    it('buffers clicks but includes them in stats', async () => {
+        await create('cache4');
+        await follow('cache4');
+        await follow('cache4');
+        assert.equal(ctx.repository.clickBuffer.size, 2);
+
+        const stats = await ctx.request('GET', '/shorturls/cache4');
+        assert.equal(stats.body.total_clicks, 2);
+        assert.equal(ctx.repository.clickBuffer.size, 0);
+    });
+
+    it('still enforces click limits exactly', async () => {
+        await create('cache5', { max_clicks: 2 });
+        const statuses = await Promise.all([1, 2, 3, 4].map(() => follow('cache5')));
+
+        assert.deepEqual(statuses.map(res => res.status).sort(), [302, 302, 410, 410]);
+        assert.equal(await ctx.repository.countClicks('cache5'), 2);
+    });
+});
@@ -0,0 +1,88 @@
+// test/redirectShortUrl.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestApp();
+    await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/target', shortcode: 'live1' } });
+    await ctx.repository.insertLink({
+        shortcode: 'old1',
+        original_url: 'https://example.com/old',
+        created_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+        expires_at: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+        owner: 'alice'
+    });
+});
+
+after(() => ctx.close());
+
+// Log entries are sent in the background and may be split into "[id i/n] " chunks;
+// waits until one matches and returns the matches with their chunks stitched back together.
+async function loggedMessages(predicate) {
+    for (let i = 0; i < 50; i++) {
+        const parts = new Map();
+        for (const { message } of ctx.logServer.logs) {
+            const chunk = message.match(/^\[(\w+) \d+\/\d+\] (.*)$/);
+            const key = chunk ? chunk[1] : Symbol();
+            parts.set(key, (parts.get(key) || '') + (chunk ? chunk[2] : message));
+        }
+        const found = [...parts.values()].filter(predicate);
+        if (found.length > 0) return found;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return [];
+}
+
+describe('GET /:shortcode', () => {
+    it('redirects with 302 to the original URL without an API key', async () => {
+        const res = await ctx.request('GET', '/live1', { as: null });
+
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.get('location'), 'https://example.com/target');
+    });
+
+    it('records the click with referrer, client IP and user-agent details', async () => {
+        await ctx.request('GET', '/live1', {
+            as: null,
+            headers: {
+                Referer: 'https://news.example/post',
+                'X-Forwarded-For': '203.0.113.7, 10.0.0.1',
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'
+            }
+        });
+
+        const click = (await ctx.repository.findClicks('live1')).at(-1);
+        assert.equal(click.referrer, 'https://news.example/post');
+        assert.equal(click.ip_address, '203.0.113.7');
+        assert.equal(click.browser, 'Chrome');
+        assert.equal(click.os, 'Windows');
+        assert.equal(click.device_type, 'desktop');
+        assert.match(click.visitor_hash, /^[0-9a-f]{64}$/);
+    });
+
+    it('returns 404 for an unknown shortcode', async () => {
+        const res = await ctx.request('GET', '/missing1', { as: null });
+
+        assert.equal(res.status, 404);
+        assert.equal(res.body.error, 'Not Found');
+    });
+
+    it('returns 410 for an expired link and does not record a click', async () => {
+        const res = await ctx.request('GET', '/old1', { as: null });
+
+        assert.equal(res.status, 410);
+        assert.equal(res.body.error, 'Gone');
+        assert.equal((await ctx.repository.findClicks('old1')).length, 0);
+    });
+
+    it("tags the controller's log entries with the request ID and echoes it", async () => {
+        const res = await ctx.request('GET', '/missing2', { as: null, headers: { 'X-Request-ID': 'req-42' } });
+
+        assert.equal(res.headers.get('x-request-id'), 'req-42');
+        const [message] = await loggedMessages((text) => text.startsWith('redirect_failed missing2') && text.includes('requestId'));
+        assert.equal(message, 'redirect_failed missing2 reason=not_found requestId=req-42');
+    });
+});
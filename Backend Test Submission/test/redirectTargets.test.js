@@ -0,0 +1,198 @@
+// test/redirectTargets.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+const { parseTargets, selectTarget, preferredLanguage } = require('../src/services/targetRules');
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+describe('targetRules', () => {
+    const parse = (targets) => {
+        const { targets: parsed, error } = parseTargets(targets);
+        assert.equal(error, undefined);
+        return parsed;
+    };
+    const visit = (targets, visitor = {}) => selectTarget(
+        { shortcode: 'abc', original_url: 'https://example.com/', targets: parse(targets) },
+        { deviceType: 'desktop', acceptLanguage: undefined, visitorId: 'v1', now: new Date('2025-06-02T12:00:00Z'), ...visitor }
+    );
+
+    it('rejects malformed targets', () => {
+        const invalid = [
+            'https://example.com',
+            [{ name: 'x' }],
+            [{ url: 'https://a.example', name: 'default' }],
+            [{ url: 'https://a.example', name: 'a' }, { url: 'https://b.example', name: 'a' }],
+            [{ url: 'https://a.example', weight: 0 }],
+            [{ url: 'https://a.example', when: { device: ['phone'] } }],
+            [{ url: 'https://a.example', when: { country: ['DE'] } }],
+            [{ url: 'https://a.example', when: { time: { from: '9:00', to: '17:00' } } }],
+            [{ url: 'https://a.example', when: { time: { from: '09:00', to: '17:00', timezone: 'Mars/Base' } } }],
+            [{ url: 'https://a.example', when: { dates: { from: '2025-02-01', to: '2025-01-01' } } }]
+        ];
+        for (const targets of invalid) {
+            assert.ok(parseTargets(targets).error, JSON.stringify(targets));
+        }
+        assert.deepEqual(parseTargets([]), { targets: null });
+    });
+
+    it('serves the first matching target and falls back to the default', () => {
+        const targets = [
+            { name: 'mobile', url: 'https://m.example.com/', when: { device: ['mobile', 'tablet'] } },
+            { name: 'german', url: 'https://example.de/', when: { language: ['de'] } }
+        ];
+        assert.deepEqual(visit(targets, { deviceType: 'mobile', acceptLanguage: 'de-DE' }), { url: 'https://m.example.com/', variant: 'mobile' });
+        assert.deepEqual(visit(targets, { acceptLanguage: 'en;q=0.5, de-AT' }), { url: 'https://example.de/', variant: 'german' });
+        assert.deepEqual(visit(targets, { acceptLanguage: 'en-US, de;q=0.8' }), { url: 'https://example.com/', variant: 'default' });
+        assert.deepEqual(selectTarget({ original_url: 'https://example.com/', targets: null }, {}), { url: 'https://example.com/', variant: null });
+    });
+
+    it('picks the preferred Accept-Language entry', () => {
+        assert.equal(preferredLanguage('fr;q=0.4, pt-BR, *;q=0.1'), 'pt-br');
+        assert.equal(preferredLanguage('*'), null);
+        assert.equal(preferredLanguage(undefined), null);
+    });
+
+    it('matches time-of-day windows in their time zone, including overnight ones', () => {
+        const targets = [
+            { name: 'night', url: 'https://example.com/night', when: { time: { from: '22:00', to: '06:00', timezone: 'Europe/Berlin' } } },
+            { name: 'weekend', url: 'https://example.com/weekend', when: { time: { from: '00:00', to: '23:59', days: ['sat', 'sun'] } } }
+        ];
+        // 21:30 UTC is 23:30 in Berlin in summer.
+        assert.equal(visit(targets, { now: new Date('2025-06-02T21:30:00Z') }).variant, 'night');
+        assert.equal(visit(targets, { now: new Date('2025-06-02T03:30:00Z') }).variant, 'night');
+        assert.equal(visit(targets, { now: new Date('2025-06-02T12:00:00Z') }).variant, 'default');
+        assert.equal(visit(targets, { now: new Date('2025-06-07T12:00:00Z') }).variant, 'weekend');
+    });
+
+    it('matches date windows with an exclusive end', () => {
+        const targets = [{ name: 'sale', url: 'https://example.com/sale', when: { dates: { from: '2025-11-28T00:00:00Z', to: '2025-12-01T00:00:00Z' } } }];
+        assert.equal(visit(targets, { now: new Date('2025-11-28T00:00:00Z') }).variant, 'sale');
+        assert.equal(visit(targets, { now: new Date('2025-12-01T00:00:00Z') }).variant, 'default');
+    });
+
+    it('splits weighted targets deterministically per visitor', () => {
+        const targets = [
+            { name: 'a', url: 'https://example.com/a', weight: 70 },
+            { name: 'b', url: 'https://example.com/b', weight: 30 }
+        ];
+        const counts = { a: 0, b: 0 };
+        for (let i = 0; i < 2000; i++) {
+            const first = visit(targets, { visitorId: `visitor-${i}` });
+            assert.deepEqual(visit(targets, { visitorId: `visitor-${i}` }), first);
+            counts[first.variant]++;
+        }
+        assert.ok(counts.a > 1250 && counts.a < 1550, JSON.stringify(counts));
+    });
+
+    it('only splits between the members of a group whose conditions match', () => {
+        const targets = [
+            { name: 'a', url: 'https://example.com/a', weight: 50, when: { device: ['mobile'] } },
+            { name: 'b', url: 'https://example.com/b', weight: 50 }
+        ];
+        for (let i = 0; i < 50; i++) {
+            assert.equal(visit(targets, { visitorId: `visitor-${i}` }).variant, 'b');
+        }
+    });
+});
+
+describe('links with redirect targets', () => {
+    let ctx;
+
+    before(async () => {
+        ctx = await startTestApp();
+    });
+
+    after(() => ctx.close());
+
+    const follow = (shortcode, headers) => ctx.request('GET', `/${shortcode}`, { as: null, headers });
+
+    it('stores targets and redirects by them, recording the variant of each click', async () => {
+        const created = await ctx.request('POST', '/shorturls', {
+            body: {
+                url: 'https://example.com/home',
+                shortcode: 'rules1',
+                targets: [
+                    { name: 'mobile', url: 'https://m.example.com/home', when: { device: ['mobile'] } },
+                    { name: 'german', url: 'https://example.de/home', when: { language: ['de'] } }
+                ]
+            }
+        });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.targets.length, 2);
+
+        const mobile = await follow('rules1', { 'User-Agent': IPHONE });
+        assert.equal(mobile.status, 302);
+        assert.equal(mobile.headers.get('location'), 'https://m.example.com/home');
+
+        const german = await follow('rules1', { 'User-Agent': DESKTOP, 'Accept-Language': 'de-DE,de;q=0.9' });
+        assert.equal(german.headers.get('location'), 'https://example.de/home');
+
+        const other = await follow('rules1', { 'User-Agent': DESKTOP, 'Accept-Language': 'en-GB' });
+        assert.equal(other.headers.get('location'), 'https://example.com/home');
+
+        const stats = await ctx.request('GET', '/shorturls/rules1');
+        assert.deepEqual(stats.body.variants, { mobile: 1, german: 1, default: 1 });
+        assert.deepEqual(stats.body.detailed_clicks.map(click => click.variant), ['mobile', 'german', 'default']);
+        assert.equal(stats.body.targets[0].name, 'mobile');
+    });
+
+    it('keeps a visitor on the same A/B variant', async () => {
+        await ctx.request('POST', '/shorturls', {
+            body: {
+                url: 'https://example.com/landing',
+                shortcode: 'split1',
+                targets: [
+                    { name: 'a', url: 'https://example.com/landing-a', weight: 50 },
+                    { name: 'b', url: 'https://example.com/landing-b', weight: 50 }
+                ]
+            }
+        });
+
+        const seen = new Set();
+        for (let visitor = 1; visitor <= 20; visitor++) {
+            const headers = { 'User-Agent': DESKTOP, 'X-Forwarded-For': `203.0.113.${visitor}` };
+            const first = await follow('split1', headers);
+            const second = await follow('split1', headers);
+            assert.equal(second.headers.get('location'), first.headers.get('location'));
+            seen.add(first.headers.get('location'));
+        }
+        assert.equal(seen.size, 2);
+
+        const stats = await ctx.request('GET', '/shorturls/split1');
+        assert.equal(stats.body.variants.a + stats.body.variants.b, 40);
+    });
+
+    it('validates targets, including their URLs', async () => {
+        const bodies = [
+            { targets: 'https://example.com' },
+            { targets: [{ url: 'not a url' }] },
+            { targets: [{ url: 'https://example.com', when: { device: ['fridge'] } }] }
+        ];
+        for (const body of bodies) {
+            const res = await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/x', ...body } });
+            assert.equal(res.status, 400, JSON.stringify(body));
+        }
+    });
+
+    it('replaces and clears targets through PATCH', async () => {
+        await ctx.request('POST', '/shorturls', {
+            body: { url: 'https://example.com/patch', shortcode: 'rules2', targets: [{ name: 'm', url: 'https://m.example.com/', when: { device: ['mobile'] } }] }
+        });
+
+        const replaced = await ctx.request('PATCH', '/shorturls/rules2', {
+            body: { targets: [{ name: 'de', url: 'https://example.de/', when: { language: ['de'] } }] }
+        });
+        assert.equal(replaced.status, 200);
+        assert.deepEqual(replaced.body.targets.map(target => target.name), ['de']);
+        assert.equal((await follow('rules2', { 'User-Agent': IPHONE })).headers.get('location'), 'https://example.com/patch');
+
+        const cleared = await ctx.request('PATCH', '/shorturls/rules2', { body: { targets: null } });
+        assert.equal(cleared.body.targets, null);
+        assert.equal((await ctx.repository.findLink('rules2')).targets, null);
+
+        const invalid = await ctx.request('PATCH', '/shorturls/rules2', { body: { targets: [{ url: 'https://example.de/', weight: -1 }] } });
+        assert.equal(invalid.status, 400);
+    });
+});
@@ -0,0 +1,289 @@
+// test/repositoryContract.test.js
+// The same ShortUrlRepository expectations, run against every backend.
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { isRepository } = require('../src/model/shortUrl');
+const { MemoryShortUrlRepository } = require('../src/model/memoryShortUrlRepository');
+const { SqliteShortUrlRepository } = require('../src/model/sqliteShortUrlRepository');
+
+const NOW = '2025-06-15T12:00:00.000Z';
+const at = (hours) => new Date(Date.parse(NOW) + hours * 60 * 60 * 1000).toISOString();
+
+const link = (shortcode, extra = {}) => ({
+    shortcode, original_url: `https://example.com/${shortcode}`, created_at: at(-48),
+    expires_at: at(24), owner: 'alice', ...extra
+});
+const click = (shortcode, timestamp, extra = {}) => ({
+    shortcode, timestamp, referrer: null, ip_address: null, user_agent: null,
+    browser: null, os: null, device_type: null, visitor_hash: null, ...extra
+});
+const delivery = (id, webhookId, extra = {}) => ({
+    id, webhook_id: webhookId, event: 'link.created', payload: `{"id":"${id}"}`, status: 'pending',
+    attempts: 0, next_attempt_at: NOW, created_at: NOW, updated_at: NOW, ...extra
+});
+
+for (const [name, open] of [
+    ['memory', async () => new MemoryShortUrlRepository()],
+    ['sqlite', () => SqliteShortUrlRepository.open(':memory:')]
+]) {
+    describe(`the ${name} repository`, () => {
+        let repository;
+
+        beforeEach(async () => {
+            repository = await open();
+        });
+
+        afterEach(() => repository.close());
+
+        it('implements every repository method', () => {
+            assert.ok(isRepository(repository));
+        });
+
+        describe('links', () => {
+            it('stores a link with its defaults and finds it again', async () => {
+                await repository.insertLink(link('find1'));
+
+                assert.deepEqual(await repository.findLink('find1'), {
+                    ...link('find1'), password_hash: null, max_clicks: null, targets: null, expiry_notice: null
+                });
+                assert.equal(await repository.findLink('missing'), null);
+                await assert.rejects(repository.insertLink(link('find1')), /UNIQUE constraint failed/);
+            });
+
+            it('keeps targets as a list and treats an empty list as none', async () => {
+                const targets = [{ url: 'https://example.com/ios', when: { os: 'iOS' } }];
+                await repository.insertLink(link('targets1', { targets }));
+                await repository.insertLink(link('targets2', { targets: [] }));
+
+                assert.deepEqual((await repository.findLink('targets1')).targets, targets);
+                assert.equal((await repository.findLink('targets2')).targets, null);
+            });
+
+            it('updates only the given columns and reports unknown links', async () => {
+                await repository.insertLink(link('update1', { max_clicks: 3 }));
+
+                assert.equal(await repository.updateLink('update1', { original_url: 'https://example.com/moved', expiry_notice: 'expiring' }), true);
+                assert.equal(await repository.updateLink('missing', { original_url: 'https://example.com/moved' }), false);
+
+                const updated = await repository.findLink('update1');
+                assert.deepEqual(
+                    [updated.original_url, updated.expires_at, updated.max_clicks, updated.expiry_notice],
+                    ['https://example.com/moved', at(24), 3, 'expiring']
+                );
+                assert.equal(await repository.updateLink('update1', {}), true);
+                await repository.updateLink('update1', { targets: [{ url: 'https://example.com/ios', when: { os: 'iOS' } }] });
+                assert.equal((await repository.findLink('update1')).targets.length, 1);
+                await repository.updateLink('update1', { targets: null, expiry_notice: null });
+                const cleared = await repository.findLink('update1');
+                assert.deepEqual([cleared.targets, cleared.expiry_notice], [null, null]);
+            });
+
+            it('deletes a link with its clicks and rollups', async () => {
+                await repository.insertLink(link('delete1'));
+                await repository.insertLink(link('keep1'));
+                await repository.insertClicks([click('delete1', at(-30)), click('delete1', at(-1)), click('keep1', at(-1))]);
+                await repository.trimClicks({ before: at(-12), rollup: true });
+
+                assert.deepEqual(await repository.deleteLink('delete1'), { deleted: true, clicksDeleted: 1 });
+                assert.equal(await repository.findLink('delete1'), null);
+                assert.deepEqual(await repository.findClickRollups('delete1'), []);
+                assert.equal(await repository.countClicks('delete1'), 0);
+                assert.equal(await repository.countClicks('keep1'), 1);
+                assert.deepEqual(await repository.deleteLink('delete1'), { deleted: false, clicksDeleted: 0 });
+            });
+
+            it("lists an owner's links newest first, with filters, paging and click totals", async () => {
+                await repository.insertLink(link('list1', { created_at: at(-3), expires_at: at(1) }));
+                await repository.insertLink(link('list2', { created_at: at(-2), expires_at: at(-1) }));
+                await repository.insertLink(link('list3', { created_at: at(-1), expires_at: at(1) }));
+                await repository.insertLink(link('other1', { owner: 'bob' }));
+                await repository.insertClicks([click('list1', '2025-06-01T08:00:00.000Z'), click('list1', at(-2))]);
+                await repository.trimClicks({ before: '2025-06-02T00:00:00.000Z', rollup: true });
+
+                const all = await repository.listLinks({ owner: 'alice', now: NOW });
+                assert.equal(all.total, 3);
+                assert.deepEqual(all.items.map(item => [item.shortcode, item.total_clicks]), [['list3', 0], ['list2', 0], ['list1', 2]]);
+
+                const page = await repository.listLinks({ owner: 'alice', now: NOW, limit: 1, offset: 1 });
+                assert.deepEqual([page.total, page.items.map(item => item.shortcode)], [3, ['list2']]);
+
+                const active = await repository.listLinks({ owner: 'alice', now: NOW, status: 'active' });
+                assert.deepEqual(active.items.map(item => item.shortcode), ['list3', 'list1']);
+                const expired = await repository.listLinks({ owner: 'alice', now: NOW, status: 'expired' });
+                assert.deepEqual(expired.items.map(item => item.shortcode), ['list2']);
+                const recent = await repository.listLinks({ owner: 'alice', now: NOW, createdAfter: at(-2) });
+                assert.deepEqual(recent.items.map(item => item.shortcode), ['list3']);
+            });
+            it('finds links due an expiry notice for owners with a webhook', async () => {
+                await repository.insertWebhook({ id: 'wh1', owner: 'alice', url: 'https://hooks.example.com', events: ['link.expiring'], secret: 's', created_at: NOW });
+                await repository.insertLink(link('soon1', { expires_at: at(2) }));
+                await repository.insertLink(link('soon2', { expires_at: at(1), expiry_notice: 'expiring' }));
+                await repository.insertLink(link('later1', { expires_at: at(48) }));
+                await repository.insertLink(link('gone1', { expires_at: at(-1), expiry_notice: 'expiring' }));
+                await repository.insertLink(link('gone2', { expires_at: at(-2), expiry_notice: 'expired' }));
+                await repository.insertLink(link('long1', { expires_at: at(-100) }));
+                await repository.insertLink(link('bobs1', { expires_at: at(2), owner: 'bob' }));
+
+                const due = await repository.findLinksForExpiryNotice({ now: NOW, expiringBefore: at(24), expiredAfter: at(-24), limit: 10 });
+                assert.deepEqual(due.map(found => found.shortcode), ['gone1', 'soon1']);
+                const first = await repository.findLinksForExpiryNotice({ now: NOW, expiringBefore: at(24), expiredAfter: at(-24), limit: 1 });
+                assert.deepEqual(first.map(found => found.shortcode), ['gone1']);
+            });
+        });
+
+        describe('clicks', () => {
+            beforeEach(() => repository.insertLink(link('click1')));
+
+            it('stores clicks and returns them oldest first', async () => {
+                await repository.insertClick(click('click1', at(-2), { browser: 'Firefox', variant: 'ios' }));
+                await repository.insertClicks([click('click1', at(-1)), click('click1', at(-1), { visitor_hash: 'v1' })]);
+                await repository.insertClicks([]);
+
+                const clicks = await repository.findClicks('click1');
+                assert.deepEqual(clicks.map(found => [found.timestamp, found.browser, found.variant, found.visitor_hash]), [
+                    [at(-2), 'Firefox', 'ios', null],
+                    [at(-1), null, null, null],
+                    [at(-1), null, null, 'v1']
+                ]);
+                assert.equal(await repository.countClicks('click1'), 3);
+                assert.deepEqual(await repository.findClicks('missing'), []);
+            });
+
+            it('never stores more clicks than the limit, even when they arrive together', async () => {
+                await repository.insertClick(click('click1', at(-3)));
+                const stored = await Promise.all(
+                    Array.from({ length: 5 }, (_, i) => repository.insertClick(click('click1', at(-2 + i / 10)), { maxClicks: 3 }))
+                );
+
+                assert.deepEqual(stored.filter(Boolean).length, 2);
+                assert.equal(await repository.countClicks('click1'), 3);
+                assert.equal(await repository.insertClick(click('click1', at(-1)), { maxClicks: null }), true);
+            });
+
+            it('counts rolled-up clicks against the limit', async () => {
+                await repository.insertClicks([click('click1', '2025-06-01T08:00:00.000Z'), click('click1', '2025-06-01T09:00:00.000Z')]);
+                await repository.trimClicks({ before: '2025-06-02T00:00:00.000Z', rollup: true });
+
+                assert.equal(await repository.insertClick(click('click1', at(-1)), { maxClicks: 2 }), false);
+                assert.equal(await repository.insertClick(click('click1', at(-1)), { maxClicks: 3 }), true);
+            });
+
+            it('aggregates clicks in a range into buckets and breakdowns', async () => {
+                await repository.insertClicks([
+                    click('click1', '2025-06-14T09:15:00.000Z', { browser: 'Chrome', os: 'Android', device_type: 'mobile', visitor_hash: 'v1' }),
+                    click('click1', '2025-06-14T09:45:00.000Z', { browser: 'Chrome', os: 'Android', device_type: 'mobile', visitor_hash: 'v1' }),
+                    click('click1', '2025-06-14T11:00:00.000Z', { browser: 'Firefox', visitor_hash: 'v2' }),
+                    click('click1', '2025-06-15T10:00:00.000Z', { browser: 'Chrome' })
+                ]);
+                const range = { from: '2025-06-14T00:00:00.000Z', to: '2025-06-15T00:00:00.000Z' };
+
+                assert.deepEqual(await repository.aggregateClicks('click1', { ...range, interval: 'hour' }), {
+                    clicks: 3,
+                    unique_visitors: 2,
+                    buckets: [
+                        { bucket: '2025-06-14T09:00:00.000Z', clicks: 2, unique_visitors: 1 },
+                        { bucket: '2025-06-14T11:00:00.000Z', clicks: 1, unique_visitors: 1 }
+                    ],
+                    browsers: { Chrome: 2, Firefox: 1 },
+                    operating_systems: { Android: 2, unknown: 1 },
+                    device_types: { mobile: 2, unknown: 1 }
+                });
+                const daily = await repository.aggregateClicks('click1', { ...range, interval: 'day' });
+                assert.deepEqual(daily.buckets, [{ bucket: '2025-06-14T00:00:00.000Z', clicks: 3, unique_visitors: 2 }]);
+            });
+        });
+        describe('webhooks and deliveries', () => {
+            const webhook = (id, owner, createdAt) => ({
+                id, owner, url: `https://hooks.example.com/${id}`, events: ['link.created', 'link.expired'], secret: `secret-${id}`, created_at: createdAt
+            });
+
+            beforeEach(async () => {
+                await repository.insertWebhook(webhook('wh1', 'alice', at(-2)));
+                await repository.insertWebhook(webhook('wh2', 'alice', at(-1)));
+                await repository.insertWebhook(webhook('wh3', 'bob', at(-1)));
+            });
+
+            it("finds and lists an owner's webhooks, oldest first", async () => {
+                assert.deepEqual(await repository.findWebhook('wh1'), webhook('wh1', 'alice', at(-2)));
+                assert.equal(await repository.findWebhook('missing'), null);
+                assert.deepEqual((await repository.listWebhooks('alice')).map(found => found.id), ['wh1', 'wh2']);
+                assert.deepEqual(await repository.listWebhooks('carol'), []);
+            });
+
+            it('never stores more webhooks per owner than the limit, even when they arrive together', async () => {
+                const stored = await Promise.all(
+                    Array.from({ length: 4 }, (_, i) => repository.insertWebhook(webhook(`new${i}`, 'alice', NOW), { maxPerOwner: 3 }))
+                );
+
+                assert.equal(stored.filter(Boolean).length, 1);
+                assert.equal((await repository.listWebhooks('alice')).length, 3);
+                assert.equal(await repository.insertWebhook(webhook('new9', 'bob', NOW), { maxPerOwner: 3 }), true);
+                assert.equal(await repository.insertWebhook(webhook('new10', 'alice', NOW)), true);
+            });
+
+            it('deletes a webhook together with its deliveries', async () => {
+                await repository.insertDelivery(delivery('d1', 'wh1'));
+                await repository.insertDelivery(delivery('d2', 'wh2'));
+
+                assert.equal(await repository.deleteWebhook('wh1'), true);
+                assert.equal(await repository.deleteWebhook('wh1'), false);
+                assert.deepEqual(await repository.listDeliveries('wh1', 10), []);
+                assert.deepEqual((await repository.findDueDeliveries(NOW, 10)).map(found => found.id), ['d2']);
+            });
+
+            it('finds due deliveries oldest first and lists them newest first', async () => {
+                await repository.insertDelivery(delivery('d1', 'wh1', { next_attempt_at: at(-1) }));
+                await repository.insertDelivery(delivery('d2', 'wh1', { next_attempt_at: at(-2), created_at: at(0.1) }));
+                await repository.insertDelivery(delivery('d3', 'wh1', { next_attempt_at: at(1), created_at: at(0.2) }));
+                await repository.insertDelivery(delivery('d4', 'wh1', { status: 'delivered', next_attempt_at: null, created_at: at(0.3) }));
+
+                assert.deepEqual((await repository.findDueDeliveries(NOW, 10)).map(found => found.id), ['d2', 'd1']);
+                assert.deepEqual((await repository.findDueDeliveries(NOW, 1)).map(found => found.id), ['d2']);
+                assert.deepEqual((await repository.listDeliveries('wh1', 3)).map(found => found.id), ['d4', 'd3', 'd2']);
+            });
+
+            it('updates a delivery without touching other columns', async () => {
+                await repository.insertDelivery(delivery('d1', 'wh1'));
+                await repository.updateDelivery('d1', { status: 'failed', attempts: 5, next_attempt_at: null, response_status: 500, last_error: 'HTTP 500', updated_at: at(1) });
+                await repository.updateDelivery('missing', { status: 'delivered' });
+
+                const [updated] = await repository.listDeliveries('wh1', 1);
+                assert.deepEqual(updated, {
+                    ...delivery('d1', 'wh1'), status: 'failed', attempts: 5, next_attempt_at: null,
+                    response_status: 500, last_error: 'HTTP 500', updated_at: at(1)
+                });
+                assert.deepEqual(await repository.findDueDeliveries(at(2), 10), []);
+            });
+        });
+    });
+}
+
+describe('SqliteShortUrlRepository', () => {
+    it('deletes a link and its clicks together or not at all', async () => {
+        const repository = await SqliteShortUrlRepository.open(':memory:');
+        await repository.insertLink(link('locked1'));
+        await repository.insertClick(click('locked1', at(-1)));
+        await repository.run(
+            "CREATE TEMP TRIGGER keep_locked1 BEFORE DELETE ON shortened_urls WHEN old.shortcode = 'locked1' BEGIN SELECT RAISE(ABORT, 'link is locked'); END"
+        );
+
+        await assert.rejects(repository.deleteLink('locked1'), /link is locked/);
+        assert.ok(await repository.findLink('locked1'));
+        assert.equal(await repository.countClicks('locked1'), 1);
+        await repository.close();
+    });
+
+    it('deletes a webhook and its deliveries together or not at all', async () => {
+        const repository = await SqliteShortUrlRepository.open(':memory:');
+        await repository.insertWebhook({ id: 'wh1', owner: 'alice', url: 'https://hooks.example.com', events: ['link.created'], secret: 's', created_at: NOW });
+        await repository.insertDelivery(delivery('d1', 'wh1'));
+        await repository.run(
+            "CREATE TEMP TRIGGER keep_wh1 BEFORE DELETE ON webhooks WHEN old.id = 'wh1' BEGIN SELECT RAISE(ABORT, 'webhook is locked'); END"
+        );
+
+        await assert.rejects(repository.deleteWebhook('wh1'), /webhook is locked/);
+        assert.ok(await repository.findWebhook('wh1'));
+        assert.deepEqual((await repository.listDeliveries('wh1', 10)).map(found => found.id), ['d1']);
+        await repository.close();
+    });
+});
@@ -0,0 +1,225 @@
+// test/retentionSweeper.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RetentionSweeper } = require('../src/services/retentionSweeper');
+const { MemoryShortUrlRepository } = require('../src/model/memoryShortUrlRepository');
+const { SqliteShortUrlRepository } = require('../src/model/sqliteShortUrlRepository');
+
+const NOW = new Date('2025-06-15T12:00:00.000Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+async function seed(repository) {
+    const link = (shortcode, expiresDaysAgo, extra = {}) => repository.insertLink({
+        shortcode, original_url: `https://example.com/${shortcode}`, created_at: daysAgo(120),
+        expires_at: daysAgo(expiresDaysAgo), owner: 'alice', ...extra
+    });
+    const click = (shortcode, timestamp, visitor) => repository.insertClick({
+        shortcode, timestamp, referrer: null, ip_address: null, user_agent: null,
+        browser: null, os: null, device_type: null, visitor_hash: visitor
+    });
+
+    await link('gone1', 30);
+    await link('recent1', 1);
+    await link('live1', -30);
+    await link('limited1', -30, { max_clicks: 4 });
+    await click('gone1', daysAgo(40), 'v1');
+    await click('live1', '2025-03-01T08:00:00.000Z', 'v1');
+    await click('live1', '2025-03-01T09:00:00.000Z', 'v2');
+    await click('live1', '2025-03-01T10:00:00.000Z', 'v1');
+    await click('live1', daysAgo(2), 'v3');
+    await click('limited1', '2025-03-02T08:00:00.000Z', 'v1');
+    await click('limited1', '2025-03-02T09:00:00.000Z', 'v2');
+}
+
+const sweeperFor = (repository, options = {}) => {
+    const events = [];
+    const sweeper = new RetentionSweeper({
+        getRepository: () => repository,
+        logEvent: (event, shortcode, details) => events.push({ event, details }),
+        now: () => NOW,
+        expiredGraceMinutes: 7 * 24 * 60,
+        clickRetentionDays: 30,
+        ...options
+    });
+    return { sweeper, events };
+};
+
+for (const [name, open] of [
+    ['memory', async () => new MemoryShortUrlRepository()],
+    ['sqlite', () => SqliteShortUrlRepository.open(':memory:')]
+]) {
+    describe(`RetentionSweeper with the ${name} repository`, () => {
+        it('archives links past the grace period and trims old clicks', async () => {
+            const repository = await open();
+            await seed(repository);
+            const { sweeper, events } = sweeperFor(repository);
+
+            const summary = await sweeper.runOnce();
+
+            assert.deepEqual(summary, { links: 1, link_clicks_deleted: 1, clicks_deleted: 5, clicks_rolled_up: 2, deliveries_deleted: 0 });
+            assert.equal(await repository.findLink('gone1'), null);
+            assert.ok(await repository.findLink('recent1'), 'still within the grace period');
+            assert.deepEqual((await repository.findClicks('live1')).map(click => click.timestamp), [daysAgo(2)]);
+            assert.equal(events[0].event, 'cron_sweep_completed');
+            assert.equal(events[0].details.links, 1);
+
+            if (name === 'sqlite') {
+                const archived = await repository.all("SELECT shortcode, total_clicks, archived_at FROM archived_links");
+                assert.deepEqual(archived.map(row => ({ ...row })), [{ shortcode: 'gone1', total_clicks: 1, archived_at: NOW.toISOString() }]);
+            } else {
+                assert.deepEqual(repository.archivedLinks.map(row => row.shortcode), ['gone1']);
+            }
+            await repository.close();
+        });
+
+        it('always keeps daily counts for click-limited links, so the limit still holds', async () => {
+            const repository = await open();
+            await seed(repository);
+            await sweeperFor(repository).sweeper.runOnce();
+
+            assert.deepEqual(await repository.findClickRollups('limited1'), [{ day: '2025-03-02', clicks: 2, unique_visitors: 2 }]);
+            assert.deepEqual(await repository.findClickRollups('live1'), []);
+            assert.equal(await repository.countClicks('limited1'), 2);
+
+            const click = { shortcode: 'limited1', timestamp: NOW.toISOString(), visitor_hash: 'v9' };
+            assert.equal(await repository.insertClick(click, { maxClicks: 4 }), true);
+            assert.equal(await repository.insertClick(click, { maxClicks: 4 }), true);
+            assert.equal(await repository.insertClick(click, { maxClicks: 4 }), false);
+            await repository.close();
+        });
+
+        it('rolls up every trimmed click in rollup mode and purges without archiving', async () => {
+            const repository = await open();
+            await seed(repository);
+            const { sweeper } = sweeperFor(repository, { expiredLinks: 'purge', rollupClicks: true });
+
+            const summary = await sweeper.runOnce();
+
+            assert.equal(summary.clicks_rolled_up, 5);
+            assert.deepEqual(await repository.findClickRollups('live1'), [{ day: '2025-03-01', clicks: 3, unique_visitors: 2 }]);
+            assert.equal(await repository.countClicks('live1'), 4);
+            assert.equal((await repository.listLinks({ owner: 'alice', now: NOW.toISOString() })).items
+                .find(link => link.shortcode === 'live1').total_clicks, 4);
+            if (name === 'sqlite') {
+                assert.deepEqual(await repository.all("SELECT * FROM archived_links"), []);
+            } else {
+                assert.deepEqual(repository.archivedLinks, []);
+            }
+            await repository.close();
+        });
+
+        it('deletes finished webhook deliveries past their retention and keeps pending ones', async () => {
+            const repository = await open();
+            const delivery = (id, status, updatedDaysAgo) => repository.insertDelivery({
+                id, webhook_id: 'wh_1', event: 'link.clicked', payload: '{}', status, attempts: 1,
+                next_attempt_at: status === 'pending' ? daysAgo(updatedDaysAgo) : null,
+                created_at: daysAgo(updatedDaysAgo), updated_at: daysAgo(updatedDaysAgo)
+            });
+            await delivery('old-delivered', 'delivered', 40);
+            await delivery('old-failed', 'failed', 31);
+            await delivery('old-pending', 'pending', 40);
+            await delivery('recent-delivered', 'delivered', 2);
+            await delivery('older-delivered', 'delivered', 50);
+
+            const summary = await sweeperFor(repository, { deliveryRetentionDays: 30, batchSize: 2 }).sweeper.runOnce();
+
+            assert.equal(summary.deliveries_deleted, 3);
+            assert.deepEqual((await repository.listDeliveries('wh_1', 10)).map(item => item.id).sort(), ['old-pending', 'recent-delivered']);
+            const kept = await sweeperFor(repository, { deliveryRetentionDays: 0 }).sweeper.runOnce();
+            assert.equal(kept.deliveries_deleted, 0);
+            await repository.close();
+        });
+
+        it('removes links in batches and keeps expired links in keep mode', async () => {
+            const repository = await open();
+            await seed(repository);
+
+            const kept = await sweeperFor(repository, { expiredLinks: 'keep', clickRetentionDays: 0 }).sweeper.runOnce();
+            assert.equal(kept.links, 0);
+            assert.ok(await repository.findLink('gone1'));
+
+            for (let i = 0; i < 5; i++) {
+                await repository.insertLink({
+                    shortcode: `old${i}`, original_url: 'https://example.com/', created_at: daysAgo(100),
+                    expires_at: daysAgo(50 + i), owner: 'alice'
+                });
+            }
+            const purged = await sweeperFor(repository, { batchSize: 2, clickRetentionDays: 0 }).sweeper.runOnce();
+            assert.equal(purged.links, 6);
+            await repository.close();
+        });
+    });
+}
+
+describe('RetentionSweeper', () => {
+    it('rejects an unknown expired link action', () => {
+        assert.throws(() => new RetentionSweeper({ expiredLinks: 'shred' }), /Invalid expired link action 'shred'/);
+    });
+
+    it('does not start when the interval is 0', () => {
+        assert.equal(new RetentionSweeper({ intervalMs: 0 }).start(), false);
+    });
+
+    it('logs failed runs and shares an in-progress run', async () => {
+        const { sweeper, events } = sweeperFor({
+            purgeExpiredLinks: () => new Promise((resolve, reject) => setTimeout(() => reject(new Error('disk full')), 10))
+        });
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            const first = sweeper.runOnce();
+            assert.equal(sweeper.runOnce(), first);
+            await assert.rejects(first, /disk full/);
+        } finally {
+            console.error = originalError;
+        }
+        assert.deepEqual(events, [{ event: 'cron_sweep_error', details: { exception: 'disk full' } }]);
+    });
+});
+
+describe('SqliteShortUrlRepository transactions', () => {
+    const newLink = (shortcode) => ({
+        shortcode, original_url: `https://example.com/${shortcode}`, created_at: NOW.toISOString(),
+        expires_at: daysAgo(-30), owner: 'alice'
+    });
+
+    it('keeps request writes made during a sweep out of its transaction', async () => {
+        const repository = await SqliteShortUrlRepository.open(':memory:');
+        await seed(repository);
+
+        const [summary] = await Promise.all([
+            sweeperFor(repository).sweeper.runOnce(),
+            repository.insertLink(newLink('during1')),
+            repository.insertClick({ shortcode: 'live1', timestamp: NOW.toISOString(), visitor_hash: 'v4' }),
+            repository.insertClicks([{ shortcode: 'live1', timestamp: NOW.toISOString(), visitor_hash: 'v5' }]),
+            repository.updateLink('recent1', { original_url: 'https://example.com/moved' })
+        ]);
+
+        assert.equal(summary.links, 1);
+        assert.ok(await repository.findLink('during1'));
+        assert.equal((await repository.findLink('recent1')).original_url, 'https://example.com/moved');
+        assert.equal(await repository.countClicks('live1'), 3);
+        await repository.close();
+    });
+
+    it('does not undo concurrent writes when a transaction rolls back', async () => {
+        const repository = await SqliteShortUrlRepository.open(':memory:');
+        await seed(repository);
+        const clicks = Array.from({ length: 60 }, (_, i) => ({ shortcode: 'live1', timestamp: NOW.toISOString(), visitor_hash: `b${i}` }));
+        // The second chunk fails on the missing shortcode after the first was inserted.
+        clicks.push({ shortcode: null, timestamp: NOW.toISOString() });
+
+        const [flush, , trim] = await Promise.allSettled([
+            repository.insertClicks(clicks),
+            repository.insertLink(newLink('during2')),
+            repository.trimClicks({ before: daysAgo(30), rollup: false })
+        ]);
+
+        assert.equal(flush.status, 'rejected');
+        assert.match(flush.reason.message, /NOT NULL/);
+        assert.equal(trim.status, 'fulfilled');
+        assert.ok(await repository.findLink('during2'));
+        assert.equal(await repository.countClicks('live1'), 1, 'only the recent seeded click is left');
+        await repository.close();
+    });
+});
@@ -0,0 +1,84 @@
+// test/shortUrlStats.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+const { RetentionSweeper } = require('../src/services/retentionSweeper');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestApp();
+    await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/stats', shortcode: 'stats1' } });
+    await ctx.request('GET', '/stats1', { as: null, headers: { 'X-Forwarded-For': '198.51.100.1' } });
+    await ctx.request('GET', '/stats1', { as: null, headers: { 'X-Forwarded-For': '198.51.100.1', Referer: 'https://a.example/' } });
+    await ctx.request('GET', '/stats1', { as: null, headers: { 'X-Forwarded-For': '198.51.100.2' } });
+});
+
+after(() => ctx.close());
+
+describe('GET /shorturls/:shortcode', () => {
+    it('returns link metadata and every click', async () => {
+        const res = await ctx.request('GET', '/shorturls/stats1');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.shortcode, 'stats1');
+        assert.equal(res.body.original_url, 'https://example.com/stats');
+        assert.ok(res.body.creation_date < res.body.expiry_date);
+        assert.equal(res.body.total_clicks, 3);
+        assert.equal(res.body.unique_visitors, 2);
+        assert.deepEqual(res.body.detailed_clicks.map(click => click.location_ip), ['198.51.100.1', '198.51.100.1', '198.51.100.2']);
+        assert.deepEqual(res.body.detailed_clicks.map(click => click.referrer), [null, 'https://a.example/', null]);
+    });
+
+    it('returns 404 for an unknown shortcode', async () => {
+        const res = await ctx.request('GET', '/shorturls/nothere');
+
+        assert.equal(res.status, 404);
+    });
+
+    it('returns 403 to an owner who did not create the link', async () => {
+        const res = await ctx.request('GET', '/shorturls/stats1', { as: 'bob' });
+
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('GET /shorturls/:shortcode/analytics', () => {
+    it('aggregates clicks into hourly buckets', async () => {
+        const res = await ctx.request('GET', '/shorturls/stats1/analytics?interval=hour');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.total_clicks, 3);
+        assert.equal(res.body.unique_visitors, 2);
+        assert.equal(res.body.buckets.reduce((sum, bucket) => sum + bucket.clicks, 0), 3);
+    });
+
+    it('rejects an unknown interval', async () => {
+        const res = await ctx.request('GET', '/shorturls/stats1/analytics?interval=week');
+
+        assert.equal(res.status, 400);
+    });
+});
+
+describe('stats after a retention sweep', () => {
+    it('counts rolled-up clicks and logs the run under the cron package', async () => {
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/old', shortcode: 'aged1' } });
+        await ctx.repository.insertClick({ shortcode: 'aged1', timestamp: '2020-01-01T10:00:00.000Z', visitor_hash: 'v1' });
+        await ctx.request('GET', '/aged1', { as: null });
+
+        const { logEvent } = require('../src/middleware/logger');
+        const sweeper = new RetentionSweeper({ getRepository: () => ctx.repository, logEvent, clickRetentionDays: 30, rollupClicks: true });
+        await sweeper.runOnce();
+
+        const res = await ctx.request('GET', '/shorturls/aged1');
+        assert.equal(res.body.total_clicks, 2);
+        assert.equal(res.body.detailed_clicks.length, 1);
+        assert.deepEqual(res.body.daily_rollups, [{ day: '2020-01-01', clicks: 1, unique_visitors: 1 }]);
+
+        for (let i = 0; i < 50 && !ctx.logServer.logs.some(entry => entry.package === 'cron'); i++) {
+            await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        const entry = ctx.logServer.logs.find(log => log.package === 'cron');
+        assert.match(entry.message, /cron_sweep_completed/);
+    });
+});
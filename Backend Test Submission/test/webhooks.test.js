@@ -0,0 +1,334 @@
+// test/webhooks.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { startTestApp } = require('./helpers/testApp');
+
+let ctx;
+let receiver;
+let webhooks;
+let WebhookDispatcher;
+
+/**
+ * A local webhook receiver that records every request. Responses are taken from `statuses`
+ * in order (200 once it runs out); 'hang' never answers.
+ */
+function startReceiver() {
+    const requests = [];
+    const statuses = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body, json: JSON.parse(body) });
+            const status = statuses.shift() || 200;
+            if (status === 'hang') return;
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end('ok');
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/hooks`,
+            requests,
+            statuses,
+            close() {
+                server.closeAllConnections();
+                return new Promise((done) => server.close(done));
+            }
+        }));
+    });
+}
+
+async function waitFor(condition) {
+    for (let i = 0; i < 100; i++) {
+        const value = condition();
+        if (value) return value;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting for a webhook delivery.');
+}
+
+// Polls the deliveries endpoint until the delivery for `shortcode` satisfies `condition`.
+async function deliveryFor(webhookId, shortcode, condition) {
+    for (let i = 0; i < 100; i++) {
+        const { body } = await ctx.request('GET', `/webhooks/${webhookId}/deliveries`);
+        const delivery = body.items.find(item => item.payload.data.shortcode === shortcode);
+        if (delivery && condition(delivery)) return delivery;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Timed out waiting for the delivery for ${shortcode}.`);
+}
+
+const received = (event) => receiver.requests.filter(request => request.json.event === event);
+
+before(async () => {
+    Object.assign(process.env, {
+        WEBHOOK_ALLOW_PRIVATE_URLS: 'true',
+        WEBHOOK_RETRIES: '3',
+        WEBHOOK_RETRY_BASE_DELAY_MS: '0'
+    });
+    receiver = await startReceiver();
+    ctx = await startTestApp();
+    ({ webhooks, WebhookDispatcher } = require('../src/services/webhookDispatcher'));
+});
+
+after(async () => {
+    await ctx.close();
+    await receiver.close();
+});
+
+describe('/webhooks', () => {
+    it('registers a webhook and returns its secret only once', async () => {
+        const created = await ctx.request('POST', '/webhooks', { body: { url: receiver.url, events: ['link.created'] } });
+
+        assert.equal(created.status, 201);
+        assert.match(created.body.id, /^wh_/);
+        assert.match(created.body.secret, /^whsec_/);
+        assert.deepEqual(created.body.events, ['link.created']);
+
+        const list = await ctx.request('GET', '/webhooks');
+        const listed = list.body.items.find(item => item.id === created.body.id);
+        assert.equal(listed.url, receiver.url);
+        assert.equal(listed.secret, undefined);
+
+        assert.equal((await ctx.request('DELETE', `/webhooks/${created.body.id}`)).status, 204);
+        assert.equal((await ctx.request('GET', `/webhooks/${created.body.id}/deliveries`)).status, 404);
+    });
+
+    it('rejects invalid subscriptions', async () => {
+        const bodies = [
+            {},
+            { url: 'ftp://example.com/hooks' },
+            { url: 'https://example.com/hooks', events: ['link.deleted'] },
+            { url: 'https://example.com/hooks', events: [] },
+            { url: 'https://example.com/hooks', secret: 'short' }
+        ];
+        for (const body of bodies) {
+            assert.equal((await ctx.request('POST', '/webhooks', { body })).status, 400, JSON.stringify(body));
+        }
+    });
+
+    it('refuses private receiver addresses unless they are allowed', async () => {
+        const config = require('../src/config');
+        config.webhooks.allowPrivateUrls = false;
+        try {
+            const res = await ctx.request('POST', '/webhooks', { body: { url: 'http://127.0.0.1:9/hooks' } });
+            assert.equal(res.status, 400);
+            assert.match(res.body.message, /private/);
+        } finally {
+            config.webhooks.allowPrivateUrls = true;
+        }
+    });
+
+    it('never registers more webhooks than the limit, even when requests arrive together', async () => {
+        const config = require('../src/config');
+        const maxPerOwner = config.webhooks.maxPerOwner;
+        config.webhooks.maxPerOwner = (await ctx.request('GET', '/webhooks', { as: 'bob' })).body.items.length + 2;
+        const results = await Promise.all(
+            Array.from({ length: 5 }, () => ctx.request('POST', '/webhooks', { body: { url: receiver.url }, as: 'bob' }))
+        );
+        try {
+            assert.deepEqual(results.map(res => res.status).sort(), [201, 201, 400, 400, 400]);
+            assert.match(results.find(res => res.status === 400).body.message, /At most/);
+            assert.equal((await ctx.request('GET', '/webhooks', { as: 'bob' })).body.items.length, config.webhooks.maxPerOwner);
+        } finally {
+            config.webhooks.maxPerOwner = maxPerOwner;
+            for (const res of results.filter(res => res.status === 201)) {
+                await ctx.request('DELETE', `/webhooks/${res.body.id}`, { as: 'bob' });
+            }
+        }
+    });
+
+    it("hides other owners' webhooks", async () => {
+        const created = await ctx.request('POST', '/webhooks', { body: { url: receiver.url }, as: 'bob' });
+
+        assert.equal((await ctx.request('GET', `/webhooks/${created.body.id}/deliveries`)).status, 404);
+        assert.equal((await ctx.request('DELETE', `/webhooks/${created.body.id}`)).status, 404);
+        assert.ok(!(await ctx.request('GET', '/webhooks')).body.items.some(item => item.id === created.body.id));
+        await ctx.request('DELETE', `/webhooks/${created.body.id}`, { as: 'bob' });
+    });
+});
+
+describe('webhook deliveries', () => {
+    let hook;
+
+    before(async () => {
+        hook = (await ctx.request('POST', '/webhooks', { body: { url: receiver.url, secret: 'a-test-secret-of-some-length' } })).body;
+    });
+
+    beforeEach(() => {
+        receiver.requests.length = 0;
+        receiver.statuses.length = 0;
+    });
+
+    it('sends signed link.created and link.clicked events', async () => {
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/hooked', shortcode: 'hook1' } });
+        const [created] = await waitFor(() => received('link.created').length > 0 && received('link.created'));
+
+        assert.equal(created.json.data.shortcode, 'hook1');
+        assert.equal(created.json.data.original_url, 'https://example.com/hooked');
+        assert.equal(created.headers['x-webhook-event'], 'link.created');
+        assert.equal(created.headers['x-webhook-id'], hook.id);
+        assert.equal(created.headers['x-webhook-delivery'], created.json.id);
+
+        const [, timestamp, signature] = created.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+        const expected = crypto.createHmac('sha256', 'a-test-secret-of-some-length').update(`${timestamp}.${created.body}`).digest('hex');
+        assert.equal(signature, expected);
+
+        await ctx.request('GET', '/hook1', { as: null, headers: { Referer: 'https://news.example/', 'X-Forwarded-For': '203.0.113.9' } });
+        const [clicked] = await waitFor(() => received('link.clicked').length > 0 && received('link.clicked'));
+        assert.equal(clicked.json.data.referrer, 'https://news.example/');
+        assert.ok(!clicked.body.includes('203.0.113.9'), 'the visitor IP is not sent');
+    });
+
+    it("does not deliver another owner's events", async () => {
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/bobs', shortcode: 'bobhook1' }, as: 'bob' });
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/mine', shortcode: 'hook2' } });
+
+        await waitFor(() => received('link.created').some(request => request.json.data.shortcode === 'hook2'));
+        assert.ok(!receiver.requests.some(request => request.json.data.shortcode === 'bobhook1'));
+    });
+
+    it('retries failed deliveries and lists them with their status', async () => {
+        receiver.statuses.push(503);
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/retry', shortcode: 'hook3' } });
+        let delivery = await deliveryFor(hook.id, 'hook3', (item) => item.attempts === 1);
+        assert.equal(delivery.status, 'pending');
+        assert.equal(delivery.response_status, 503);
+        assert.match(delivery.last_error, /503/);
+
+        await webhooks.processDue();
+
+        const deliveries = await ctx.request('GET', `/webhooks/${hook.id}/deliveries?limit=5`);
+        delivery = deliveries.body.items.find(item => item.payload.data.shortcode === 'hook3');
+        assert.equal(delivery.status, 'delivered');
+        assert.equal(delivery.attempts, 2);
+        assert.equal(delivery.response_status, 200);
+        assert.equal(receiver.requests[0].json.id, receiver.requests[1].json.id);
+    });
+
+    it('gives up at once on client errors and after the last attempt otherwise', async () => {
+        receiver.statuses.push(410);
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/gone', shortcode: 'hook4' } });
+        await deliveryFor(hook.id, 'hook4', (item) => item.attempts === 1);
+        await webhooks.processDue();
+
+        receiver.statuses.push(500, 500, 500);
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/down', shortcode: 'hook5' } });
+        await deliveryFor(hook.id, 'hook5', (item) => item.attempts === 1);
+        await webhooks.processDue();
+        await webhooks.processDue();
+        await webhooks.processDue();
+
+        const { body } = await ctx.request('GET', `/webhooks/${hook.id}/deliveries`);
+        const byShortcode = (shortcode) => body.items.find(item => item.payload.data.shortcode === shortcode);
+        assert.deepEqual([byShortcode('hook4').status, byShortcode('hook4').attempts], ['failed', 1]);
+        assert.deepEqual([byShortcode('hook5').status, byShortcode('hook5').attempts], ['failed', 3]);
+        assert.equal(receiver.requests.length, 4);
+    });
+
+    it('sends link.expiring and link.expired once each', async () => {
+        await ctx.request('POST', '/shorturls', { body: { url: 'https://example.com/soon', shortcode: 'hook6', validity: 5 } });
+        await waitFor(() => received('link.created').length > 0);
+
+        await webhooks.notifyExpiringLinks();
+        await webhooks.notifyExpiringLinks();
+        const forHook6 = (event) => received(event).filter(request => request.json.data.shortcode === 'hook6');
+        await waitFor(() => forHook6('link.expiring').length > 0);
+
+        await ctx.repository.updateLink('hook6', { expires_at: new Date(Date.now() - 1000).toISOString() });
+        await webhooks.notifyExpiringLinks();
+        await webhooks.notifyExpiringLinks();
+        await waitFor(() => forHook6('link.expired').length > 0);
+        await webhooks.processDue();
+
+        // Other links of this file expire within the hour too; each link gets each notice once.
+        assert.equal(forHook6('link.expiring').length, 1);
+        assert.equal(forHook6('link.expired').length, 1);
+    });
+});
+
+describe('webhook receiver addresses', () => {
+    // Resolves every name to the local receiver, like a public DNS name pointed at 127.0.0.1.
+    const rebindingLookup = (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]);
+
+    async function deliverTo(url, owner) {
+        await ctx.repository.insertWebhook({
+            id: `wh_${owner}`, owner, url, events: ['link.created'], secret: 'a-test-secret-of-some-length',
+            created_at: new Date().toISOString()
+        });
+        const dispatcher = new WebhookDispatcher({
+            getRepository: () => ctx.repository,
+            logEvent: () => {},
+            lookup: rebindingLookup,
+            retries: 3,
+            baseDelayMs: 0
+        });
+        await dispatcher.emit('link.created', { shortcode: `${owner}1`, owner, original_url: 'https://example.com/' });
+        await dispatcher.processDue();
+        const [delivery] = await ctx.repository.listDeliveries(`wh_${owner}`, 1);
+        return delivery;
+    }
+
+    beforeEach(() => {
+        receiver.requests.length = 0;
+    });
+
+    it('refuses a name that resolves to a private address at delivery time, without retrying', async () => {
+        const port = new URL(receiver.url).port;
+        const delivery = await deliverTo(`http://hooks.example.com:${port}/hooks`, 'carol');
+
+        assert.equal(delivery.status, 'failed');
+        assert.equal(delivery.attempts, 1);
+        assert.match(delivery.last_error, /hooks\.example\.com resolves to a loopback, private or internal address \(127\.0\.0\.1\)/);
+        assert.equal(receiver.requests.length, 0);
+    });
+
+    it('refuses private IP literals at delivery time', async () => {
+        const delivery = await deliverTo('http://169.254.169.254/latest/meta-data', 'dave');
+
+        assert.equal(delivery.status, 'failed');
+        assert.match(delivery.last_error, /169\.254\.169\.254/);
+    });
+});
+
+describe('delivery scheduling', () => {
+    it("doesn't hold up other webhooks behind a slow receiver", async () => {
+        const slowReceiver = await startReceiver();
+        slowReceiver.statuses.push('hang', 'hang');
+        receiver.requests.length = 0;
+        try {
+            for (const [id, url] of [['wh_slow', slowReceiver.url], ['wh_fast', receiver.url]]) {
+                await ctx.repository.insertWebhook({
+                    id, owner: 'erin', url, events: ['link.created'], secret: 'a-test-secret-of-some-length',
+                    created_at: new Date().toISOString()
+                });
+            }
+            const dispatcher = new WebhookDispatcher({
+                getRepository: () => ctx.repository,
+                logEvent: () => {},
+                allowPrivateUrls: true,
+                timeoutMs: 1000,
+                baseDelayMs: 60 * 1000
+            });
+            // Both webhooks get both events; the slow receiver's deliveries come first.
+            const queued = [];
+            for (const shortcode of ['sched1', 'sched2']) {
+                queued.push(dispatcher.emit('link.created', { shortcode, owner: 'erin', original_url: 'https://example.com/' }));
+            }
+            await Promise.all(queued);
+
+            await waitFor(() => receiver.requests.filter(request => request.json.data.shortcode.startsWith('sched')).length === 2);
+            // The fast receiver is done while the slow one is still on its first delivery.
+            assert.equal(slowReceiver.requests.length, 1);
+
+            await dispatcher.processDue();
+            const slow = await ctx.repository.listDeliveries('wh_slow', 10);
+            assert.deepEqual(slow.map(item => item.last_error), ['No response within 1000ms', 'No response within 1000ms']);
+        } finally {
+            await slowReceiver.close();
+        }
+    });
+});
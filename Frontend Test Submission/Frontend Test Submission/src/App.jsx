@@ -1,34 +1,41 @@
 import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
+import { Route, Routes } from 'react-router-dom'
+import { createShortUrl } from './api/shortUrls'
+import ApiKeyField from './components/ApiKeyField'
+import ShortenerPage from './pages/ShortenerPage'
+import StatsPage from './pages/StatsPage'
 import './App.css'
 
+let nextResultId = 1
+
 function App() {
-  const [count, setCount] = useState(0)
+  // Results live here rather than in ShortenerPage so they survive a visit to a stats page.
+  const [results, setResults] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleSubmit = async (entries) => {
+    setSubmitting(true)
+
+    // Each URL is its own POST /shorturls request; one failure must not hide the others.
+    const settled = await Promise.allSettled(entries.map(createShortUrl))
+    const batch = settled.map((outcome, i) => ({
+      id: nextResultId++,
+      url: entries[i].url.trim(),
+      ...(outcome.status === 'fulfilled' ? outcome.value : { error: outcome.reason.message }),
+    }))
+
+    setResults((prev) => [...batch, ...prev])
+    setSubmitting(false)
+  }
 
   return (
-    <>
-      <div>
-        <a href="https://vite.dev" target="_blank">
-          <img src={viteLogo} className="logo" alt="Vite logo" />
-        </a>
-        <a href="https://react.dev" target="_blank">
-          <img src={reactLogo} className="logo react" alt="React logo" />
-        </a>
-      </div>
-      <h1>Vite + React</h1>
-      <div className="card">
-        <button onClick={() => setCount((count) => count + 1)}>
-          count is {count}
-        </button>
-        <p>
-          Edit <code>src/App.jsx</code> and save to test HMR
-        </p>
-      </div>
-      <p className="read-the-docs">
-        Click on the Vite and React logos to learn more
-      </p>
-    </>
+    <main>
+      <ApiKeyField />
+      <Routes>
+        <Route path="/" element={<ShortenerPage results={results} submitting={submitting} onSubmit={handleSubmit} />} />
+        <Route path="/stats/:shortcode" element={<StatsPage />} />
+      </Routes>
+    </main>
   )
 }
 
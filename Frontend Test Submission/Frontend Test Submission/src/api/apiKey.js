@@ -0,0 +1,12 @@
+// The API key is kept in localStorage so each teammate can use their own key.
+// VITE_API_KEY provides a default for local development.
+const STORAGE_KEY = 'shortener.apiKey'
+
+export function getApiKey() {
+  return localStorage.getItem(STORAGE_KEY) || import.meta.env.VITE_API_KEY || ''
+}
+
+export function setApiKey(key) {
+  if (key) localStorage.setItem(STORAGE_KEY, key)
+  else localStorage.removeItem(STORAGE_KEY)
+}
@@ -0,0 +1,64 @@
+import { API_BASE_URL } from '../config'
+import { getApiKey } from './apiKey'
+
+async function request(path, options = {}) {
+  const res = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': getApiKey(), ...options.headers },
+  })
+  const data = await res.json().catch(() => ({}))
+
+  if (!res.ok) {
+    const error = new Error(data.message || `Request failed with status ${res.status}`)
+    error.status = res.status
+    throw error
+  }
+  return data
+}
+
+/**
+ * Creates one short link. Empty optional fields are left out of the body so
+ * the backend applies its own defaults.
+ * @returns {Promise<{ shortlink: string, expiry: string, password_protected?: boolean, max_clicks?: number }>}
+ */
+export function createShortUrl({ url, validity, shortcode, password = '', maxClicks = '' }) {
+  const body = { url: url.trim() }
+  if (validity.trim()) body.validity = parseInt(validity, 10)
+  if (shortcode.trim()) body.shortcode = shortcode.trim()
+  // Passwords are sent as typed; surrounding spaces may be intentional.
+  if (password) body.password = password
+  if (maxClicks.trim()) body.max_clicks = parseInt(maxClicks, 10)
+
+  return request('/shorturls', { method: 'POST', body: JSON.stringify(body) })
+}
+
+/**
+ * Fetches creation/expiry metadata and the raw click list for one shortcode.
+ * @returns {Promise<{ shortcode: string, original_url: string, creation_date: string,
+ *   expiry_date: string, total_clicks: number, detailed_clicks: object[] }>}
+ */
+export function getShortUrlStats(shortcode) {
+  return request(`/shorturls/${encodeURIComponent(shortcode)}`)
+}
+
+/**
+ * Fetches the QR code image for a shortcode. Images can't be loaded with a plain
+ * <img src> because the endpoint needs the API key header.
+ * @param {string} shortcode
+ * @param {{ format?: 'png' | 'svg', size?: number }} [options]
+ * @returns {Promise<Blob>}
+ */
+export async function getQrCode(shortcode, { format = 'png', size = 160 } = {}) {
+  const params = new URLSearchParams({ format, size: String(size) })
+  const res = await fetch(`${API_BASE_URL}/shorturls/${encodeURIComponent(shortcode)}/qr?${params}`, {
+    headers: { 'X-API-Key': getApiKey() },
+  })
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}))
+    const error = new Error(data.message || `Request failed with status ${res.status}`)
+    error.status = res.status
+    throw error
+  }
+  return res.blob()
+}
@@ -0,0 +1,32 @@
+import { useState } from 'react'
+import { getApiKey, setApiKey } from '../api/apiKey'
+
+function ApiKeyField() {
+  const [value, setValue] = useState(getApiKey)
+  const [saved, setSaved] = useState(false)
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    setApiKey(value.trim())
+    setSaved(true)
+    setTimeout(() => setSaved(false), 1500)
+  }
+
+  return (
+    <form className="api-key" onSubmit={handleSubmit}>
+      <label>
+        API key
+        <input
+          type="password"
+          value={value}
+          autoComplete="off"
+          placeholder="required for /shorturls"
+          onChange={(e) => setValue(e.target.value)}
+        />
+      </label>
+      <button type="submit" className="secondary">{saved ? 'Saved' : 'Save'}</button>
+    </form>
+  )
+}
+
+export default ApiKeyField
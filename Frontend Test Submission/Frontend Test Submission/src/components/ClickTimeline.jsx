@@ -0,0 +1,55 @@
+import { bucketClicks } from '../utils/stats'
+
+const WIDTH = 720
+const HEIGHT = 200
+const PADDING = { top: 10, right: 10, bottom: 30, left: 36 }
+
+function ClickTimeline({ clicks, since }) {
+  const { unit, buckets } = bucketClicks(clicks, since)
+  const max = Math.max(1, ...buckets.map((bucket) => bucket.count))
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const barWidth = plotWidth / buckets.length
+  const labelEvery = Math.ceil(buckets.length / 8)
+
+  const formatLabel = (date) => unit === 'hour'
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString([], { month: 'short', day: 'numeric' })
+
+  return (
+    <section className="stats-card">
+      <h2>Clicks over time <small>(per {unit})</small></h2>
+      <svg className="timeline" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={`Clicks per ${unit}`}>
+        <text x={PADDING.left - 6} y={PADDING.top + 4} textAnchor="end">{max}</text>
+        <text x={PADDING.left - 6} y={PADDING.top + plotHeight} textAnchor="end">0</text>
+        <line
+          x1={PADDING.left} y1={PADDING.top + plotHeight}
+          x2={WIDTH - PADDING.right} y2={PADDING.top + plotHeight}
+          className="axis"
+        />
+        {buckets.map((bucket, i) => {
+          const barHeight = (bucket.count / max) * plotHeight
+          const x = PADDING.left + i * barWidth
+          return (
+            <g key={bucket.start.getTime()}>
+              <rect
+                x={x + barWidth * 0.1}
+                y={PADDING.top + plotHeight - barHeight}
+                width={barWidth * 0.8}
+                height={barHeight}
+              >
+                <title>{`${bucket.start.toLocaleString()}: ${bucket.count} click(s)`}</title>
+              </rect>
+              {i % labelEvery === 0 && (
+                <text x={x + barWidth / 2} y={HEIGHT - 10} textAnchor="middle">{formatLabel(bucket.start)}</text>
+              )}
+            </g>
+          )
+        })}
+      </svg>
+    </section>
+  )
+}
+
+export default ClickTimeline
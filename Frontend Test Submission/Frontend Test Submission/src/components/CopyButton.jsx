@@ -0,0 +1,23 @@
+import { useState } from 'react'
+
+function CopyButton({ text }) {
+  const [copied, setCopied] = useState(false)
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    } catch {
+      setCopied(false)
+    }
+  }
+
+  return (
+    <button type="button" className="secondary" onClick={handleCopy}>
+      {copied ? 'Copied!' : 'Copy'}
+    </button>
+  )
+}
+
+export default CopyButton
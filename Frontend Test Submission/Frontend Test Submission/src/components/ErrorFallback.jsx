@@ -0,0 +1,14 @@
+// Shown by the error boundary in place of a part of the UI that crashed.
+function ErrorFallback({ reset }) {
+  return (
+    <div className="error-fallback" role="alert">
+      <h2>Something went wrong</h2>
+      <p>The error has been reported. You can try again.</p>
+      <button type="button" onClick={reset}>
+        Try again
+      </button>
+    </div>
+  )
+}
+
+export default ErrorFallback
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react'
+import { formatDuration } from '../utils/stats'
+
+function ExpiryCountdown({ expiry }) {
+  const expiresAt = new Date(expiry).getTime()
+  const [now, setNow] = useState(() => Date.now())
+  const remaining = expiresAt - now
+
+  useEffect(() => {
+    if (expiresAt <= Date.now()) return undefined
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [expiresAt])
+
+  return (
+    <div className={remaining > 0 ? 'countdown' : 'countdown expired'}>
+      {remaining > 0 ? `Expires in ${formatDuration(remaining)}` : 'Expired'}
+      <small>{new Date(expiry).toLocaleString()}</small>
+    </div>
+  )
+}
+
+export default ExpiryCountdown
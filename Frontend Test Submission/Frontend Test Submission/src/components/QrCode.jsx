@@ -0,0 +1,59 @@
+import { useEffect, useState } from 'react'
+import { getQrCode } from '../api/shortUrls'
+
+// Print-quality size for the downloaded file; the preview stays small.
+const DOWNLOAD_SIZE = 1024
+
+function QrCode({ shortcode }) {
+  const [imageUrl, setImageUrl] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let objectUrl = null
+    let cancelled = false
+
+    getQrCode(shortcode)
+      .then((blob) => {
+        if (cancelled) return
+        objectUrl = URL.createObjectURL(blob)
+        setImageUrl(objectUrl)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message)
+      })
+
+    return () => {
+      cancelled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [shortcode])
+
+  const handleDownload = async (format) => {
+    try {
+      const blob = await getQrCode(shortcode, { format, size: DOWNLOAD_SIZE })
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${shortcode}.${format}`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  if (error) return <div className="field-error">QR code unavailable: {error}</div>
+  if (!imageUrl) return <div className="qr-code placeholder" aria-busy="true" />
+
+  return (
+    <div className="qr-code">
+      <img src={imageUrl} alt={`QR code for ${shortcode}`} width="160" height="160" />
+      <div className="qr-actions">
+        <button type="button" className="secondary" onClick={() => handleDownload('png')}>PNG</button>
+        <button type="button" className="secondary" onClick={() => handleDownload('svg')}>SVG</button>
+      </div>
+    </div>
+  )
+}
+
+export default QrCode
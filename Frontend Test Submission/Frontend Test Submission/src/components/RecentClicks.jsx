@@ -0,0 +1,35 @@
+import { recentClicks } from '../utils/stats'
+
+function RecentClicks({ clicks }) {
+  const rows = recentClicks(clicks)
+
+  return (
+    <section className="stats-card">
+      <h2>Recent clicks</h2>
+      {rows.length === 0 ? (
+        <p className="muted">No clicks yet.</p>
+      ) : (
+        <table className="recent-clicks">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Referrer</th>
+              <th>IP</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((click, i) => (
+              <tr key={`${click.timestamp}-${i}`}>
+                <td>{new Date(click.timestamp).toLocaleString()}</td>
+                <td>{click.referrer || 'Direct'}</td>
+                <td>{click.location_ip || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  )
+}
+
+export default RecentClicks
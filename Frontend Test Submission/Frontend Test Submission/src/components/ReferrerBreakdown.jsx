@@ -0,0 +1,31 @@
+import { groupByReferrer } from '../utils/stats'
+
+function ReferrerBreakdown({ clicks }) {
+  const groups = groupByReferrer(clicks)
+  const total = clicks.length
+
+  return (
+    <section className="stats-card">
+      <h2>Referrers</h2>
+      {groups.length === 0 ? (
+        <p className="muted">No clicks yet.</p>
+      ) : (
+        <table className="referrers">
+          <tbody>
+            {groups.map(({ referrer, count }) => (
+              <tr key={referrer}>
+                <td className="referrer">{referrer}</td>
+                <td className="bar-cell">
+                  <span className="bar" style={{ width: `${(count / total) * 100}%` }} />
+                </td>
+                <td className="count">{count}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  )
+}
+
+export default ReferrerBreakdown
@@ -0,0 +1,45 @@
+import { Link } from 'react-router-dom'
+import CopyButton from './CopyButton'
+import QrCode from './QrCode'
+
+function ResultList({ results }) {
+  if (results.length === 0) return null
+
+  return (
+    <section className="results">
+      <h2>Your short links</h2>
+      <ul>
+        {results.map((result) => (
+          <li key={result.id} className={result.error ? 'result error' : 'result'}>
+            <div className="original" title={result.url}>{result.url}</div>
+            {result.error ? (
+              <div className="field-error">{result.error}</div>
+            ) : (
+              <>
+                <div className="shortlink">
+                  <a href={result.shortlink} target="_blank" rel="noreferrer">{result.shortlink}</a>
+                  <CopyButton text={result.shortlink} />
+                  <Link to={`/stats/${result.shortlink.split('/').pop()}`}>Stats</Link>
+                </div>
+                <div className="expiry">
+                  Expires {new Date(result.expiry).toLocaleString()}
+                  <CopyButton text={result.expiry} />
+                </div>
+                {(result.password_protected || result.max_clicks) && (
+                  <div className="link-options muted">
+                    {[result.password_protected && 'Password protected', result.max_clicks && `Max ${result.max_clicks} clicks`]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </div>
+                )}
+                <QrCode shortcode={result.shortlink.split('/').pop()} />
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  )
+}
+
+export default ResultList
@@ -0,0 +1,127 @@
+import { useState } from 'react'
+import { MAX_URLS_PER_SUBMIT } from '../config'
+import { validateEntry } from '../utils/validation'
+
+const emptyEntry = () => ({ url: '', validity: '', shortcode: '', password: '', maxClicks: '' })
+
+function ShortenForm({ onSubmit, submitting }) {
+  const [entries, setEntries] = useState([emptyEntry()])
+  const [errors, setErrors] = useState([{}])
+
+  const updateEntry = (index, field, value) => {
+    setEntries((prev) => prev.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)))
+    setErrors((prev) => prev.map((entryErrors, i) => (i === index ? { ...entryErrors, [field]: undefined } : entryErrors)))
+  }
+
+  const addEntry = () => {
+    setEntries((prev) => [...prev, emptyEntry()])
+    setErrors((prev) => [...prev, {}])
+  }
+
+  const removeEntry = (index) => {
+    setEntries((prev) => prev.filter((_, i) => i !== index))
+    setErrors((prev) => prev.filter((_, i) => i !== index))
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+
+    const nextErrors = entries.map(validateEntry)
+    setErrors(nextErrors)
+    if (nextErrors.some((entryErrors) => Object.keys(entryErrors).length > 0)) return
+
+    await onSubmit(entries)
+    setEntries([emptyEntry()])
+    setErrors([{}])
+  }
+
+  return (
+    <form className="shorten-form" onSubmit={handleSubmit} noValidate>
+      {entries.map((entry, index) => (
+        <fieldset key={index} className="entry">
+          <legend>URL {index + 1}</legend>
+
+          <label>
+            Long URL
+            <input
+              type="url"
+              value={entry.url}
+              placeholder="https://example.com/some/long/path"
+              onChange={(e) => updateEntry(index, 'url', e.target.value)}
+              aria-invalid={!!errors[index]?.url}
+            />
+            {errors[index]?.url && <span className="field-error">{errors[index].url}</span>}
+          </label>
+
+          <label>
+            Validity (minutes)
+            <input
+              type="text"
+              inputMode="numeric"
+              value={entry.validity}
+              placeholder="30"
+              onChange={(e) => updateEntry(index, 'validity', e.target.value)}
+              aria-invalid={!!errors[index]?.validity}
+            />
+            {errors[index]?.validity && <span className="field-error">{errors[index].validity}</span>}
+          </label>
+
+          <label>
+            Custom shortcode
+            <input
+              type="text"
+              value={entry.shortcode}
+              placeholder="optional"
+              onChange={(e) => updateEntry(index, 'shortcode', e.target.value)}
+              aria-invalid={!!errors[index]?.shortcode}
+            />
+            {errors[index]?.shortcode && <span className="field-error">{errors[index].shortcode}</span>}
+          </label>
+
+          <label>
+            Password
+            <input
+              type="password"
+              autoComplete="new-password"
+              value={entry.password}
+              placeholder="optional"
+              onChange={(e) => updateEntry(index, 'password', e.target.value)}
+              aria-invalid={!!errors[index]?.password}
+            />
+            {errors[index]?.password && <span className="field-error">{errors[index].password}</span>}
+          </label>
+
+          <label>
+            Max clicks
+            <input
+              type="text"
+              inputMode="numeric"
+              value={entry.maxClicks}
+              placeholder="unlimited"
+              onChange={(e) => updateEntry(index, 'maxClicks', e.target.value)}
+              aria-invalid={!!errors[index]?.maxClicks}
+            />
+            {errors[index]?.maxClicks && <span className="field-error">{errors[index].maxClicks}</span>}
+          </label>
+
+          {entries.length > 1 && (
+            <button type="button" className="secondary" onClick={() => removeEntry(index)}>
+              Remove
+            </button>
+          )}
+        </fieldset>
+      ))}
+
+      <div className="form-actions">
+        <button type="button" className="secondary" onClick={addEntry} disabled={entries.length >= MAX_URLS_PER_SUBMIT}>
+          Add another URL
+        </button>
+        <button type="submit" disabled={submitting}>
+          {submitting ? 'Shortening…' : 'Shorten'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default ShortenForm
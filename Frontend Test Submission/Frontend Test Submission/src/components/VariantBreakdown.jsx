@@ -0,0 +1,28 @@
+// Clicks per redirect target, for links with conditional or A/B targets.
+// "default" is the link's own URL, served when no target matched.
+function VariantBreakdown({ variants, targets, originalUrl }) {
+  const urls = Object.fromEntries([['default', originalUrl], ...targets.map((target) => [target.name, target.url])])
+  const rows = Object.entries(variants).sort((a, b) => b[1] - a[1])
+  const total = rows.reduce((sum, [, count]) => sum + count, 0)
+
+  return (
+    <section className="stats-card">
+      <h2>Targets</h2>
+      <table className="referrers">
+        <tbody>
+          {rows.map(([name, count]) => (
+            <tr key={name}>
+              <td className="referrer" title={urls[name]}>{name}</td>
+              <td className="bar-cell">
+                <span className="bar" style={{ width: `${total ? (count / total) * 100 : 0}%` }} />
+              </td>
+              <td className="count">{count}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  )
+}
+
+export default VariantBreakdown
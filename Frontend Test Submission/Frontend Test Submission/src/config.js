@@ -0,0 +1,6 @@
+// Base URL of the URL shortener backend. Left empty in development so requests
+// go through the Vite dev-server proxy (see vite.config.js).
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL ?? ''
+
+// How many URLs the form accepts in a single submission.
+export const MAX_URLS_PER_SUBMIT = 5
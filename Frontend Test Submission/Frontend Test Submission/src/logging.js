@@ -0,0 +1,20 @@
+import React from 'react'
+import {
+  BrowserLogger,
+  captureGlobalErrors,
+  createErrorBoundary,
+} from '@your-roll-number/logging-middleware'
+import { API_BASE_URL } from './config'
+
+// Entries are relayed through the backend, which holds the log server credentials.
+export const logger = new BrowserLogger({
+  endpoint: `${API_BASE_URL}/client-logs`,
+})
+
+// Wraps parts of the UI so render errors are logged and replaced by a fallback.
+export const LogErrorBoundary = createErrorBoundary(React, logger)
+
+// Reports uncaught errors and unhandled rejections; returns a function that stops it.
+export function startErrorCapture() {
+  return captureGlobalErrors(logger)
+}
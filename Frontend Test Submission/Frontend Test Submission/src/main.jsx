@@ -1,10 +1,19 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { BrowserRouter } from 'react-router-dom'
 import './index.css'
 import App from './App.jsx'
+import ErrorFallback from './components/ErrorFallback.jsx'
+import { LogErrorBoundary, startErrorCapture } from './logging'
+
+startErrorCapture()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <LogErrorBoundary fallback={({ reset }) => <ErrorFallback reset={reset} />}>
+      <BrowserRouter>
+        <App />
+      </BrowserRouter>
+    </LogErrorBoundary>
   </StrictMode>,
 )
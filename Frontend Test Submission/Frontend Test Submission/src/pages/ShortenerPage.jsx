@@ -0,0 +1,14 @@
+import ShortenForm from '../components/ShortenForm'
+import ResultList from '../components/ResultList'
+
+function ShortenerPage({ results, submitting, onSubmit }) {
+  return (
+    <>
+      <h1>URL Shortener</h1>
+      <ShortenForm onSubmit={onSubmit} submitting={submitting} />
+      <ResultList results={results} />
+    </>
+  )
+}
+
+export default ShortenerPage
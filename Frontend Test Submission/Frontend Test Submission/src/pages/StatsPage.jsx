@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { getShortUrlStats } from '../api/shortUrls'
+import ClickTimeline from '../components/ClickTimeline'
+import ReferrerBreakdown from '../components/ReferrerBreakdown'
+import RecentClicks from '../components/RecentClicks'
+import VariantBreakdown from '../components/VariantBreakdown'
+import ExpiryCountdown from '../components/ExpiryCountdown'
+
+function StatsPage() {
+  const { shortcode } = useParams()
+  const [state, setState] = useState({ loading: true, stats: null, error: null })
+
+  useEffect(() => {
+    let cancelled = false
+    setState({ loading: true, stats: null, error: null })
+
+    getShortUrlStats(shortcode)
+      .then((stats) => !cancelled && setState({ loading: false, stats, error: null }))
+      .catch((error) => !cancelled && setState({ loading: false, stats: null, error: error.message }))
+
+    return () => { cancelled = true }
+  }, [shortcode])
+
+  const { loading, stats, error } = state
+
+  return (
+    <div className="stats-page">
+      <Link to="/">← Back to shortener</Link>
+      <h1>Statistics for <code>{shortcode}</code></h1>
+
+      {loading && <p className="muted">Loading…</p>}
+      {error && <p className="field-error">{error}</p>}
+
+      {stats && (
+        <>
+          <section className="stats-summary">
+            <div>
+              <a href={stats.original_url} target="_blank" rel="noreferrer" className="original">{stats.original_url}</a>
+              <div className="muted">Created {new Date(stats.creation_date).toLocaleString()}</div>
+            </div>
+            <div className="total">
+              <strong>{stats.total_clicks}</strong>
+              <span>total clicks</span>
+            </div>
+            <ExpiryCountdown expiry={stats.expiry_date} />
+          </section>
+
+          <ClickTimeline clicks={stats.detailed_clicks} since={stats.creation_date} />
+          <div className="stats-grid">
+            <ReferrerBreakdown clicks={stats.detailed_clicks} />
+            {stats.variants && (
+              <VariantBreakdown variants={stats.variants} targets={stats.targets} originalUrl={stats.original_url} />
+            )}
+            <RecentClicks clicks={stats.detailed_clicks} />
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default StatsPage
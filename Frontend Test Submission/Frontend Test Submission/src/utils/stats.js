@@ -0,0 +1,88 @@
+// Pure helpers that turn the `detailed_clicks` list from GET /shorturls/:shortcode
+// into chart-friendly shapes.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Groups clicks into consecutive time buckets. Hourly buckets are used for
+ * spans up to two days, daily buckets beyond that. Empty buckets are kept so
+ * the timeline has no gaps.
+ * @returns {{ unit: 'hour' | 'day', buckets: { start: Date, count: number }[] }}
+ */
+export function bucketClicks(clicks, from, to = new Date()) {
+  const times = clicks.map((click) => new Date(click.timestamp).getTime())
+  const start = Math.min(new Date(from).getTime(), ...times)
+  const end = Math.max(to.getTime(), ...times)
+
+  const unit = end - start <= 2 * DAY_MS ? 'hour' : 'day'
+  const first = floorTo(start, unit)
+
+  const buckets = []
+  for (let t = first; t <= end; t = nextBucket(t, unit)) {
+    buckets.push({ start: new Date(t), count: 0 })
+  }
+  for (const time of times) {
+    const index = buckets.findLastIndex((bucket) => bucket.start.getTime() <= time)
+    if (buckets[index]) buckets[index].count++
+  }
+
+  return { unit, buckets }
+}
+
+function floorTo(time, unit) {
+  const date = new Date(time)
+  date.setMinutes(0, 0, 0)
+  if (unit === 'day') date.setHours(0)
+  return date.getTime()
+}
+
+function nextBucket(time, unit) {
+  const date = new Date(time)
+  if (unit === 'hour') date.setHours(date.getHours() + 1)
+  else date.setDate(date.getDate() + 1)
+  return date.getTime()
+}
+
+/**
+ * Counts clicks per referrer host, most frequent first. Clicks without a
+ * referrer are reported as "Direct".
+ * @returns {{ referrer: string, count: number }[]}
+ */
+export function groupByReferrer(clicks) {
+  const counts = new Map()
+  for (const click of clicks) {
+    const referrer = referrerLabel(click.referrer)
+    counts.set(referrer, (counts.get(referrer) || 0) + 1)
+  }
+  return [...counts.entries()]
+    .map(([referrer, count]) => ({ referrer, count }))
+    .sort((a, b) => b.count - a.count)
+}
+
+function referrerLabel(referrer) {
+  if (!referrer) return 'Direct'
+  try {
+    return new URL(referrer).host
+  } catch {
+    return referrer
+  }
+}
+
+/** Returns clicks sorted newest first, limited to `limit` entries. */
+export function recentClicks(clicks, limit = 20) {
+  return [...clicks]
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, limit)
+}
+
+/** Formats a millisecond duration as e.g. "2d 03h 15m 09s". */
+export function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000))
+  const days = Math.floor(totalSeconds / 86400)
+  const hours = Math.floor((totalSeconds % 86400) / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+  const pad = (n) => String(n).padStart(2, '0')
+
+  return `${days ? `${days}d ` : ''}${pad(hours)}h ${pad(minutes)}m ${pad(seconds)}s`
+}
@@ -0,0 +1,50 @@
+// Client-side validation rules. These mirror the backend's `config.urlRegex`,
+// `isShortcodeValid` and link option checks so the form rejects exactly what the API would.
+
+export const URL_REGEX =
+  /^(?:http|ftp)s?:\/\/(?:(?:[A-Z0-9](?:[A-Z0-9-]{0,61}[A-Z0-9])?\.)+(?:[A-Z]{2,6}\.?|[A-Z0-9-]{2,}\.?)|localhost|\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})(?::\d+)?(?:\/?|[/?]\S+)$/i
+
+export function isUrlValid(url) {
+  return URL_REGEX.test(url)
+}
+
+export function isShortcodeValid(shortcode) {
+  return /^[a-zA-Z0-9]+$/.test(shortcode) && shortcode.length >= 3 && shortcode.length <= 15
+}
+
+export function isValidityValid(validity) {
+  return /^\d+$/.test(validity) && parseInt(validity, 10) > 0
+}
+
+export const MIN_PASSWORD_LENGTH = 4
+export const MAX_PASSWORD_LENGTH = 128
+
+export function isPasswordValid(password) {
+  return password.length >= MIN_PASSWORD_LENGTH && password.length <= MAX_PASSWORD_LENGTH
+}
+
+/**
+ * Validates one form row and returns a map of field name to error message.
+ * An empty object means the row is valid.
+ */
+export function validateEntry({ url, validity, shortcode, password = '', maxClicks = '' }) {
+  const errors = {}
+
+  if (!url.trim() || !isUrlValid(url.trim())) {
+    errors.url = 'Enter a valid http(s) or ftp(s) URL.'
+  }
+  if (validity.trim() && !isValidityValid(validity.trim())) {
+    errors.validity = 'Validity must be a positive whole number of minutes.'
+  }
+  if (shortcode.trim() && !isShortcodeValid(shortcode.trim())) {
+    errors.shortcode = 'Shortcode must be alphanumeric, 3 to 15 characters.'
+  }
+  if (password && !isPasswordValid(password)) {
+    errors.password = `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters.`
+  }
+  if (maxClicks.trim() && !isValidityValid(maxClicks.trim())) {
+    errors.maxClicks = 'Max clicks must be a positive whole number.'
+  }
+
+  return errors
+}
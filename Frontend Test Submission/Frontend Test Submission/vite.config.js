@@ -4,4 +4,21 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The logging package is a linked CommonJS package, so it has to be pre-bundled
+  // (in dev) and converted by the CommonJS plugin (in builds) like a regular dependency.
+  optimizeDeps: {
+    include: ['@your-roll-number/logging-middleware'],
+  },
+  build: {
+    commonjsOptions: {
+      include: [/LoggingMiddleware/, /node_modules/],
+    },
+  },
+  server: {
+    // Forward API calls to the backend so the app can use relative URLs in development.
+    proxy: {
+      '/shorturls': 'http://localhost:3000',
+      '/client-logs': 'http://localhost:3000',
+    },
+  },
 })
@@ -1,130 +1,320 @@
 // src/auth.js
 // This module is responsible for fetching and caching the authorization token
 // required to interact with the Test Server's log API.
+// - Credentials come from pluggable providers: environment variables, a cred.json file,
+//   an injected object, or a chain of these (env first, then cred.json, by default).
+// - TokenManager caches the token, refreshes it shortly before expiry, and makes sure that
+//   concurrent callers share one refresh request instead of each starting their own.
 
+const fs = require('fs');
+const path = require('path');
 const http = require('http');
 const https = require('https');
 const { URL } = require('url');
 const dotenv = require('dotenv');
 
-// Load environment variables from the .env file.
-// Ensure you have a .env file at the root of your 'Logging Middleware' folder
-// with the necessary credentials.
+// Load environment variables from the .env file, if there is one.
+// Without a .env, credentials can still come from cred.json or be passed in directly.
 dotenv.config();
 
-// Base URL for the authentication API, typically loaded from environment variables
-const AUTH_URL = `${process.env.LOG_API_BASE_URL}/auth`;
+// The fields the auth API expects, and the environment variables they are read from.
+const CREDENTIAL_ENV_VARIABLES = {
+    email: 'MY_EMAIL',
+    name: 'MY_NAME',
+    rollNo: 'MY_ROLL_NO',
+    accessCode: 'MY_ACCESS_CODE',
+    clientID: 'MY_CLIENT_ID',
+    clientSecret: 'MY_CLIENT_SECRET'
+};
+const CREDENTIAL_FIELDS = Object.keys(CREDENTIAL_ENV_VARIABLES);
 
-let currentToken = null; // Stores the active authorization token
-let tokenExpiryTime = 0; // Stores the Unix timestamp (seconds) when the token expires
+// Refresh this many seconds before the token actually expires.
+const DEFAULT_REFRESH_MARGIN_SECONDS = 60;
 
 /**
- * Fetches a new authorization token from the test server.
- * Caches the token and its expiry time to avoid unnecessary API calls.
- * It will re-fetch the token if the current one is expired or nearly expired (within 60 seconds).
- *
- * @returns {Promise<string>} A promise that resolves with the authorization token.
- * @throws {Error} If authentication fails, required environment variables are missing,
- * or the server response is invalid.
+ * @typedef {object} CredentialProvider
+ * @property {string} name - Used in error messages.
+ * @property {() => Promise<object|null>} getCredentials - Resolves with complete credentials,
+ * or null if this source has none (so a chain can fall through to the next one).
+ */
+
+const missingFields = (credentials) => CREDENTIAL_FIELDS.filter((field) => !credentials || !credentials[field]);
+
+/**
+ * Reads credentials from the MY_* environment variables.
+ * @param {object} [env=process.env]
+ * @returns {CredentialProvider}
  */
-async function getAuthToken() {
-    const now = Math.floor(Date.now() / 1000); // Get current time in seconds
+function envCredentials(env = process.env) {
+    return {
+        name: 'env',
+        async getCredentials() {
+            const credentials = Object.fromEntries(CREDENTIAL_FIELDS.map((field) => [field, env[CREDENTIAL_ENV_VARIABLES[field]]]));
+            return missingFields(credentials).length === 0 ? credentials : null;
+        }
+    };
+}
 
-    // Check if a valid token already exists and hasn't expired (with a 60-second buffer for safety)
-    if (currentToken && tokenExpiryTime > now + 60) {
-        console.log('[Auth] Using cached authentication token.');
-        return currentToken;
+/**
+ * Reads credentials from a JSON file: either a credentials object, or an array (like the
+ * registration output saved in cred.json) whose first entry with a clientID is used.
+ * A missing file yields null; an unreadable or malformed one throws.
+ * @param {string} [filePath] - Defaults to LOG_CREDENTIALS_FILE, else cred.json in the working directory.
+ * @returns {CredentialProvider}
+ */
+function fileCredentials(filePath = process.env.LOG_CREDENTIALS_FILE || path.join(process.cwd(), 'cred.json')) {
+    return {
+        name: `file ${filePath}`,
+        async getCredentials() {
+            let content;
+            try {
+                content = await fs.promises.readFile(filePath, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw new Error(`Could not read credentials file ${filePath}: ${error.message}`);
+            }
+            const parsed = JSON.parse(content);
+            const credentials = Array.isArray(parsed) ? parsed.find((entry) => entry && entry.clientID) : parsed;
+            if (!credentials) return null;
+            const missing = missingFields(credentials);
+            if (missing.length > 0) {
+                throw new Error(`Credentials file ${filePath} is missing: ${missing.join(', ')}.`);
+            }
+            return credentials;
+        }
+    };
+}
+
+/**
+ * Uses credentials passed in by the caller, e.g. from a secrets manager.
+ * @param {object} credentials - { email, name, rollNo, accessCode, clientID, clientSecret }.
+ * @returns {CredentialProvider}
+ * @throws {Error} If a field is missing.
+ */
+function staticCredentials(credentials) {
+    const missing = missingFields(credentials);
+    if (missing.length > 0) {
+        throw new Error(`Injected credentials are missing: ${missing.join(', ')}.`);
     }
+    return { name: 'injected', getCredentials: async () => ({ ...credentials }) };
+}
 
-    console.log('[Auth] Fetching new authentication token...');
-    try {
-        // Prepare the payload with credentials from environment variables
-        const payload = {
-            email: process.env.MY_EMAIL,
-            name: process.env.MY_NAME,
-            rollNo: process.env.MY_ROLL_NO,
-            accessCode: process.env.MY_ACCESS_CODE,
-            clientID: process.env.MY_CLIENT_ID,
-            clientSecret: process.env.MY_CLIENT_SECRET,
-        };
-
-        // Validate that all required environment variables for authentication are present
-        for (const key in payload) {
-            if (!payload[key]) {
-                throw new Error(`Missing environment variable for authentication: ${key.toUpperCase()}. Please ensure your .env file is correctly configured.`);
+/**
+ * Tries providers in order and uses the first one that has credentials.
+ * @param {CredentialProvider[]} providers
+ * @returns {CredentialProvider}
+ */
+function chainCredentials(providers) {
+    return {
+        name: providers.map((provider) => provider.name).join(' → '),
+        async getCredentials() {
+            for (const provider of providers) {
+                const credentials = await provider.getCredentials();
+                if (credentials) return credentials;
             }
+            return null;
         }
+    };
+}
+
+/**
+ * Normalizes whatever was configured as a credential source into a provider:
+ * nothing (env, then cred.json), a provider, a function, a file path, or a credentials object.
+ * @param {CredentialProvider|Function|string|object} [source]
+ * @returns {CredentialProvider}
+ */
+function resolveCredentialProvider(source) {
+    if (!source) return chainCredentials([envCredentials(), fileCredentials()]);
+    if (typeof source.getCredentials === 'function') return source;
+    if (typeof source === 'function') return { name: source.name || 'custom', getCredentials: async () => source() };
+    if (typeof source === 'string') return fileCredentials(source);
+    return staticCredentials(source);
+}
+
+/**
+ * Converts the auth API's `expires_in` into an absolute Unix time in seconds.
+ * The Test Server sends an absolute timestamp, while OAuth-style servers send a lifetime in
+ * seconds; values that only make sense as a timestamp (after 2001) are treated as one,
+ * and millisecond timestamps are scaled down.
+ *
+ * @param {number|string} expiresIn
+ * @param {number} nowSeconds - Current Unix time in seconds.
+ * @returns {number}
+ * @throws {Error} If the value is not a positive number.
+ */
+function toExpiryTime(expiresIn, nowSeconds) {
+    const value = Number(expiresIn);
+    if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Auth API returned an invalid "expires_in": ${expiresIn}`);
+    }
+    if (value >= 1e12) return Math.floor(value / 1000); // Unix time in milliseconds
+    if (value >= 1e9) return value;                     // Unix time in seconds
+    return nowSeconds + value;                          // Lifetime in seconds
+}
 
-        // Parse the authentication URL to determine protocol (http/https) and host details
-        const url = new URL(AUTH_URL);
-        const isHttps = url.protocol === 'https:';
-        const httpModule = isHttps ? https : http; // Use appropriate module based on protocol
-
-        const postData = JSON.stringify(payload); // Convert payload to JSON string
-
-        // Define request options for the HTTP/HTTPS call
-        const options = {
-            hostname: url.hostname,
-            port: url.port || (isHttps ? 443 : 80), // Default ports for HTTPS (443) and HTTP (80)
-            path: url.pathname,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(postData), // Set content length for POST request
-            },
-            timeout: 5000 // Timeout for the request in milliseconds
-        };
-
-        // Execute the HTTP/HTTPS request and return a Promise
-        const tokenResponse = await new Promise((resolve, reject) => {
-            const req = httpModule.request(options, (res) => {
-                let data = '';
-                res.on('data', (chunk) => data += chunk); // Accumulate response data
-                res.on('end', () => {
-                    try {
-                        const response = JSON.parse(data); // Parse the JSON response
-                        // --- Accept both 200 and 201 status codes ---
-                        if (res.statusCode === 200 || res.statusCode === 201) {
-                            resolve(response); // Resolve with the parsed response if successful
-                        } else {
-                            // Reject if the server returned a non-200/201 status code
-                            reject(new Error(`Auth API failed with status ${res.statusCode}: ${data}`));
-                        }
-                    } catch (error) {
-                        // Reject if JSON parsing fails
-                        reject(new Error(`Failed to parse auth response: ${error.message}`));
+/**
+ * POSTs credentials to the auth endpoint and resolves with the parsed response.
+ */
+function requestToken(authUrl, credentials, timeout) {
+    // Parse the authentication URL to determine protocol (http/https) and host details
+    const url = new URL(authUrl);
+    const isHttps = url.protocol === 'https:';
+    const httpModule = isHttps ? https : http; // Use appropriate module based on protocol
+
+    const postData = JSON.stringify(credentials); // Convert payload to JSON string
+
+    // Define request options for the HTTP/HTTPS call
+    const options = {
+        hostname: url.hostname,
+        port: url.port || (isHttps ? 443 : 80), // Default ports for HTTPS (443) and HTTP (80)
+        path: url.pathname,
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(postData), // Set content length for POST request
+        },
+        timeout
+    };
+
+    return new Promise((resolve, reject) => {
+        const req = httpModule.request(options, (res) => {
+            let data = '';
+            res.on('data', (chunk) => data += chunk); // Accumulate response data
+            res.on('end', () => {
+                try {
+                    const response = JSON.parse(data); // Parse the JSON response
+                    // --- Accept both 200 and 201 status codes ---
+                    if (res.statusCode === 200 || res.statusCode === 201) {
+                        resolve(response); // Resolve with the parsed response if successful
+                    } else {
+                        // Reject if the server returned a non-200/201 status code
+                        reject(new Error(`Auth API failed with status ${res.statusCode}: ${data}`));
                     }
-                });
+                } catch (error) {
+                    // Reject if JSON parsing fails
+                    reject(new Error(`Failed to parse auth response: ${error.message}`));
+                }
             });
+        });
+
+        req.on('error', (error) => reject(new Error(`Auth request failed: ${error.message}`))); // Handle network errors
+        req.on('timeout', () => {
+            req.destroy(); // Destroy the request on timeout
+            reject(new Error('Auth request timeout')); // Reject with timeout error
+        });
+
+        req.write(postData); // Send the request body
+        req.end(); // End the request
+    });
+}
+
+class TokenManager {
+    #token = null;     // The active authorization token
+    #expiresAt = 0;    // Unix time (seconds) when the token expires
+    #pending = null;   // The in-flight refresh, shared by concurrent callers
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.authUrl] - Auth endpoint; defaults to `${LOG_API_BASE_URL}/auth`.
+     * @param {CredentialProvider|Function|string|object} [options.credentials] - See resolveCredentialProvider.
+     * @param {number} [options.timeout=5000] - Auth request timeout in ms.
+     * @param {number} [options.refreshMarginSeconds=60] - Refresh this long before expiry.
+     * @param {() => number} [options.now] - Clock in milliseconds, for tests.
+     */
+    constructor(options = {}) {
+        this.authUrl = options.authUrl || `${process.env.LOG_API_BASE_URL}/auth`;
+        this.credentials = resolveCredentialProvider(options.credentials);
+        this.timeout = options.timeout || 5000;
+        this.refreshMarginSeconds = options.refreshMarginSeconds ?? DEFAULT_REFRESH_MARGIN_SECONDS;
+        this.now = options.now || Date.now;
+    }
+
+    /**
+     * Resolves with a valid token, fetching a new one if needed.
+     *
+     * @param {object} [options]
+     * @param {boolean} [options.forceRefresh=false] - Fetch a new token even if the cached one looks valid.
+     * @param {string} [options.rejectedToken] - A token the log API just refused (401). It is only
+     * replaced if it is still the cached one, so a burst of 401s triggers a single refresh.
+     * @returns {Promise<string>}
+     * @throws {Error} If authentication fails.
+     */
+    async getToken(options = {}) {
+        const { forceRefresh = false, rejectedToken } = options;
+        if (rejectedToken && rejectedToken === this.#token) {
+            this.invalidate();
+        }
 
-            req.on('error', (error) => reject(new Error(`Auth request failed: ${error.message}`))); // Handle network errors
-            req.on('timeout', () => {
-                req.destroy(); // Destroy the request on timeout
-                reject(new Error('Auth request timeout')); // Reject with timeout error
+        const nowSeconds = Math.floor(this.now() / 1000);
+        // Check if a valid token already exists and hasn't expired (with a safety margin)
+        if (!forceRefresh && this.#token && this.#expiresAt > nowSeconds + this.refreshMarginSeconds) {
+            return this.#token;
+        }
+
+        if (!this.#pending) {
+            this.#pending = this.#fetchToken().finally(() => {
+                this.#pending = null;
             });
+        }
+        return this.#pending;
+    }
 
-            req.write(postData); // Send the request body
-            req.end(); // End the request
-        });
+    /** Drops the cached token so the next getToken() fetches a new one. */
+    invalidate() {
+        this.#token = null;
+        this.#expiresAt = 0;
+    }
+
+    async #fetchToken() {
+        console.log('[Auth] Fetching new authentication token...');
+        try {
+            const credentials = await this.credentials.getCredentials();
+            if (!credentials) {
+                throw new Error(`No credentials found (tried: ${this.credentials.name}). Set the MY_* environment variables, provide cred.json, or pass credentials to the Logger.`);
+            }
 
-        // --- FIX APPLIED HERE: Correctly access 'access_token' and 'expires_in' ---
-        if (tokenResponse && tokenResponse.access_token && tokenResponse.expires_in) {
-            currentToken = tokenResponse.access_token;
-            tokenExpiryTime = tokenResponse.expires_in; // Server provides expiry as a Unix timestamp
+            const tokenResponse = await requestToken(this.authUrl, credentials, this.timeout);
+            if (!tokenResponse || !tokenResponse.access_token || !tokenResponse.expires_in) {
+                // If response structure is unexpected
+                throw new Error('Auth API response missing "access_token" or "expires_in" information.');
+            }
+
+            this.#expiresAt = toExpiryTime(tokenResponse.expires_in, Math.floor(this.now() / 1000));
+            this.#token = tokenResponse.access_token;
             console.log('[Auth] Successfully obtained new authorization token.');
-            return currentToken;
-        } else {
-            // If response structure is unexpected
-            throw new Error('Auth API response missing "access_token" or "expires_in" information.');
+            return this.#token;
+        } catch (error) {
+            // Log the detailed error for debugging purposes
+            console.error('[Auth] Error obtaining authorization token:', error.message);
+            // Re-throw the error for the calling function to handle
+            throw new Error(`Authentication failed: ${error.message}`);
         }
+    }
+}
 
-    } catch (error) {
-        // Log the detailed error for debugging purposes
-        console.error('[Auth] Error obtaining authorization token:', error.message);
-        // Re-throw the error for the calling function to handle
-        throw new Error(`Authentication failed: ${error.message}`);
+// The manager behind getAuthToken(), created on first use so that environment changes made
+// after this module is loaded (e.g. in tests) are still picked up.
+let defaultTokenManager = null;
+
+/**
+ * Resolves with a token from the shared, environment-configured TokenManager.
+ * @param {object} [options] - See TokenManager#getToken.
+ * @returns {Promise<string>}
+ */
+async function getAuthToken(options) {
+    if (!defaultTokenManager) {
+        defaultTokenManager = new TokenManager();
     }
+    return defaultTokenManager.getToken(options);
 }
 
 // Export the function for use in other modules
-module.exports = { getAuthToken };
+module.exports = {
+    getAuthToken,
+    TokenManager,
+    envCredentials,
+    fileCredentials,
+    staticCredentials,
+    chainCredentials,
+    toExpiryTime
+};
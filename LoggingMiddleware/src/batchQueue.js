@@ -0,0 +1,189 @@
+// src/batchQueue.js
+// Buffers log entries in memory and delivers them in the background.
+// Entries that cannot be delivered (or that overflow the in-memory queue) are persisted to a
+// disk spool when one is configured, and replayed, oldest first, on the next successful flush.
+
+const { appendToSpool, readSpool, writeSpool } = require('./spool');
+const { LogValidationError, LogCircuitOpenError } = require('./errors');
+
+const DEFAULT_BATCH_OPTIONS = {
+    maxBatchSize: 20,        // Flush as soon as this many entries are queued
+    flushIntervalMs: 2000,   // ...or at least this often
+    maxQueueSize: 1000,      // In-memory bound; overflow goes to the spool (or is dropped)
+    spoolPath: null,         // JSON-lines file for undelivered entries; null disables the spool
+    maxSpoolEntries: 10000   // Disk bound; the oldest spooled entries are dropped first
+};
+
+class LogBatcher {
+    #queue = [];
+    #timer = null;
+    #flushChain = Promise.resolve();
+    #spoolChain = Promise.resolve();
+    #closed = false;
+
+    /**
+     * @param {object} options - See DEFAULT_BATCH_OPTIONS.
+     * @param {(entry: object) => Promise<any>} options.send - Delivers one entry; must reject on failure.
+     */
+    constructor(options) {
+        this.options = { ...DEFAULT_BATCH_OPTIONS, ...options };
+        this.send = options.send;
+        this.dropped = 0; // Entries lost because every buffer was full
+
+        this.#timer = setInterval(() => this.flush().catch(() => {}), this.options.flushIntervalMs);
+        // The flush timer alone must never keep the process alive.
+        this.#timer.unref();
+    }
+
+    /** Number of entries currently waiting in memory. */
+    get size() {
+        return this.#queue.length;
+    }
+
+    /**
+     * Adds an entry to the queue and triggers a flush once the batch size is reached.
+     * @param {object} entry - A validated log payload.
+     * @throws {Error} If the batcher has been closed.
+     */
+    enqueue(entry) {
+        if (this.#closed) {
+            throw new Error('Logger has been closed; no further log entries are accepted.');
+        }
+
+        this.#queue.push(entry);
+
+        const overflow = this.#queue.length - this.options.maxQueueSize;
+        if (overflow > 0) {
+            this.#spillOrDrop(this.#queue.splice(0, overflow));
+        }
+
+        if (this.#queue.length >= this.options.maxBatchSize) {
+            this.flush().catch(() => {});
+        }
+    }
+
+    /**
+     * Delivers spooled entries and then everything queued. Calls are serialized, so concurrent
+     * callers each wait for a complete pass.
+     * @returns {Promise<{sent: number, failed: number}>} Counts for this pass; failed entries were re-buffered.
+     */
+    flush() {
+        const pass = this.#flushChain.then(() => this.#drain());
+        this.#flushChain = pass.catch(() => {});
+        return pass;
+    }
+
+    /**
+     * Stops the timer, flushes, and persists anything still undelivered to the spool.
+     * After close() resolves no entry is held in memory only.
+     * @returns {Promise<{sent: number, failed: number}>}
+     */
+    async close() {
+        this.#closed = true;
+        clearInterval(this.#timer);
+        const result = await this.flush();
+        if (this.#queue.length > 0 && this.options.spoolPath) {
+            await this.#appendToSpool(this.#queue.splice(0));
+        }
+        return result;
+    }
+
+    async #drain() {
+        let sent = 0;
+
+        // Older, spooled entries go first so the log server sees entries roughly in order.
+        if (this.options.spoolPath) {
+            let spoolBlocked = false;
+            await this.#spool(async (spooled) => {
+                const { processed, delivered } = await this.#sendSequentially(spooled);
+                sent += delivered;
+                spoolBlocked = processed < spooled.length;
+                return spooled.slice(processed);
+            });
+            if (spoolBlocked) {
+                // The server is still unreachable; don't hammer it with the queue as well.
+                return { sent, failed: this.#queue.length };
+            }
+        }
+
+        const batch = this.#queue.splice(0);
+        const { processed, delivered } = await this.#sendSequentially(batch);
+        sent += delivered;
+
+        const undelivered = batch.slice(processed);
+        if (undelivered.length > 0) {
+            if (this.options.spoolPath) {
+                await this.#appendToSpool(undelivered);
+            } else {
+                // No spool: put the entries back in front of anything queued meanwhile, within bounds.
+                this.#queue.unshift(...undelivered);
+                const overflow = this.#queue.length - this.options.maxQueueSize;
+                if (overflow > 0) this.#drop(this.#queue.splice(0, overflow).length);
+            }
+        }
+
+        return { sent, failed: undelivered.length };
+    }
+
+    // Sends entries in order and stops at the first delivery failure. Entries the transport
+    // rejects as invalid are discarded, since resending them can never succeed.
+    // Resolves with how many entries were processed (delivered or discarded) and delivered.
+    async #sendSequentially(entries) {
+        let delivered = 0;
+        for (let i = 0; i < entries.length; i++) {
+            try {
+                await this.send(entries[i]);
+                delivered++;
+            } catch (error) {
+                if (error instanceof LogValidationError) {
+                    console.warn(`[Logger] Discarding rejected log entry: ${error.message}`);
+                    continue;
+                }
+                // An open circuit breaker has already announced the outage; stay quiet until it closes.
+                if (!(error instanceof LogCircuitOpenError)) {
+                    console.warn(`[Logger] Batch delivery paused after ${i} of ${entries.length} entries: ${error.message}`);
+                }
+                return { processed: i, delivered };
+            }
+        }
+        return { processed: entries.length, delivered };
+    }
+
+    #spillOrDrop(entries) {
+        if (this.options.spoolPath) {
+            this.#appendToSpool(entries).catch((error) => {
+                console.error('[Logger] Failed to spool log entries:', error.message);
+                this.#drop(entries.length);
+            });
+        } else {
+            this.#drop(entries.length);
+        }
+    }
+
+    #drop(count) {
+        this.dropped += count;
+        console.warn(`[Logger] Log queue full; dropped ${count} entr${count === 1 ? 'y' : 'ies'} (${this.dropped} total).`);
+    }
+
+    // Spool file operations are serialized so appends never interleave with a replay's rewrite.
+    #appendToSpool(entries) {
+        const operation = this.#spoolChain.then(() => appendToSpool(this.options.spoolPath, entries));
+        this.#spoolChain = operation.catch(() => {});
+        return operation;
+    }
+
+    // Read-modify-write cycle on the spool file. `update` receives the current entries and
+    // returns (or resolves with) the entries to keep; the result is trimmed to maxSpoolEntries.
+    #spool(update) {
+        const operation = this.#spoolChain.then(async () => {
+            const { spoolPath, maxSpoolEntries } = this.options;
+            const next = await update(await readSpool(spoolPath));
+            const dropped = await writeSpool(spoolPath, next, maxSpoolEntries);
+            if (dropped > 0) this.#drop(dropped);
+        });
+        this.#spoolChain = operation.catch(() => {});
+        return operation;
+    }
+}
+
+module.exports = { LogBatcher, DEFAULT_BATCH_OPTIONS };
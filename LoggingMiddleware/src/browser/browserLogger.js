@@ -0,0 +1,259 @@
+// src/browser/browserLogger.js
+// The Logger for browsers. It uses the same validation schema and message formatting as the Node
+// Logger, but delivers with `fetch` and buffers entries so a page doesn't make one request per
+// log line. When the page is hidden or unloaded, whatever is still queued goes out with
+// `navigator.sendBeacon`, which the browser completes even after the page is gone.
+//
+// Browsers can't keep the log API's client secret, so `endpoint` is usually a relay on your own
+// backend. Note that beacons cannot carry an Authorization header.
+
+const { resolveSchema, validateEntry } = require('../schema');
+const { formatMessages, composeMessage } = require('../messageFormat');
+const { LogDeliveryError } = require('../errors');
+
+// Browsers cap the total size of queued beacons (commonly 64 KiB); stay well below it.
+const MAX_BEACON_BYTES = 60 * 1024;
+
+const DEFAULT_BROWSER_OPTIONS = {
+    endpoint: '/logs',      // Where entries are POSTed
+    sendBatches: true,      // POST JSON arrays; false sends one entry per request (the Test Server's /logs)
+    maxBatchSize: 10,       // Flush as soon as this many entries are queued
+    flushIntervalMs: 5000,  // ...or at least this often
+    maxQueueSize: 500       // In-memory bound; the oldest entries are dropped first
+};
+
+class BrowserLogger {
+    #queue = [];
+    #timer = null;
+    #flushChain = Promise.resolve();
+    #onPageHide = null;
+    #onVisibilityChange = null;
+
+    /**
+     * @param {object} [config] - See DEFAULT_BROWSER_OPTIONS, plus:
+     * @param {() => Promise<string|null>} [config.getToken] - Bearer token for fetch requests.
+     * @param {object} [config.schema] - Validation schema definition (see schema.js).
+     * @param {boolean} [config.strict=false] - Reject over-long messages instead of splitting them.
+     * @param {'split'|'truncate'} [config.overflow='split']
+     * @param {Function} [config.fetch] - fetch implementation; the global one by default.
+     * @param {object} [config.navigator] - For sendBeacon; the global navigator by default.
+     * @param {object} [config.window] - For unload listeners; the global window by default.
+     */
+    constructor(config = {}) {
+        this.options = { ...DEFAULT_BROWSER_OPTIONS, ...config };
+        this.getToken = config.getToken || null;
+        this.schema = resolveSchema(config.schema);
+        this.strict = config.strict === true;
+        this.overflow = config.overflow || 'split';
+        this.fetch = config.fetch || ((...args) => globalThis.fetch(...args));
+        this.navigator = config.navigator || globalThis.navigator;
+        this.window = config.window || (typeof window !== 'undefined' ? window : null);
+        this.dropped = 0; // Entries lost because the queue was full
+
+        if (this.options.flushIntervalMs > 0) {
+            this.#timer = setInterval(() => this.flush().catch(() => {}), this.options.flushIntervalMs);
+            // Under Node (SSR, tests) the timer alone must not keep the process alive.
+            if (typeof this.#timer.unref === 'function') this.#timer.unref();
+        }
+
+        if (this.window) {
+            // 'pagehide' fires on unload and bfcache entry; 'visibilitychange' covers mobile
+            // browsers that kill hidden tabs without unloading them.
+            this.#onPageHide = () => this.flushWithBeacon();
+            this.#onVisibilityChange = () => {
+                if (this.window.document.visibilityState === 'hidden') this.flushWithBeacon();
+            };
+            this.window.addEventListener('pagehide', this.#onPageHide);
+            if (this.window.document) this.window.document.addEventListener('visibilitychange', this.#onVisibilityChange);
+        }
+    }
+
+    /** Number of entries waiting to be sent. */
+    get size() {
+        return this.#queue.length;
+    }
+
+    /**
+     * Validates an entry and queues it (split into correlated chunks if it is too long).
+     *
+     * @param {string} stack - Usually "frontend".
+     * @param {string} level
+     * @param {string} packageName - For the frontend stack: "auth", "config" or "middleware".
+     * @param {string} message
+     * @param {object} [fields] - Structured context, appended to the message as key=value pairs.
+     * @returns {{queued: true, correlationId?: string}|null} null if the entry was invalid.
+     */
+    Log(stack, level, packageName, message, fields) {
+        let prepared;
+        try {
+            prepared = this.#prepareMessages(stack, level, packageName, message, fields);
+        } catch (error) {
+            console.error('[Logger] Log entry rejected:', error.message);
+            return null;
+        }
+
+        for (const text of prepared.messages) {
+            this.#queue.push({
+                stack: stack.toLowerCase(),
+                level: level.toLowerCase(),
+                package: packageName.toLowerCase(),
+                message: text
+            });
+        }
+        const overflow = this.#queue.length - this.options.maxQueueSize;
+        if (overflow > 0) {
+            this.#queue.splice(0, overflow);
+            this.dropped += overflow;
+        }
+
+        if (this.#queue.length >= this.options.maxBatchSize) {
+            this.flush().catch(() => {});
+        }
+        return prepared.correlationId ? { queued: true, correlationId: prepared.correlationId } : { queued: true };
+    }
+
+    /**
+     * Sends everything queued with fetch. Calls are serialized; entries that fail to send are put
+     * back at the front of the queue for the next flush.
+     * @returns {Promise<{sent: number, failed: number}>}
+     */
+    flush() {
+        const pass = this.#flushChain.then(() => this.#drain());
+        this.#flushChain = pass.catch(() => {});
+        return pass;
+    }
+
+    /**
+     * Hands everything queued to navigator.sendBeacon, for use while the page is going away.
+     * Falls back to a keepalive fetch for anything the browser refuses to queue.
+     * @returns {number} How many entries were handed over.
+     */
+    flushWithBeacon() {
+        const entries = this.#queue.splice(0);
+        if (entries.length === 0) return 0;
+
+        const canBeacon = this.navigator && typeof this.navigator.sendBeacon === 'function';
+        const payloads = this.options.sendBatches ? BrowserLogger.#packBeacons(entries) : entries.map((entry) => [entry]);
+
+        let handed = 0;
+        for (const payload of payloads) {
+            const body = JSON.stringify(this.options.sendBatches ? payload : payload[0]);
+            const queued = canBeacon && this.navigator.sendBeacon(this.options.endpoint, new Blob([body], { type: 'application/json' }));
+            if (!queued) {
+                this.fetch(this.options.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: true
+                }).catch(() => {});
+            }
+            handed += payload.length;
+        }
+        return handed;
+    }
+
+    /**
+     * Stops the timer and unload listeners, then flushes.
+     * @returns {Promise<{sent: number, failed: number}>}
+     */
+    async close() {
+        clearInterval(this.#timer);
+        if (this.window) {
+            this.window.removeEventListener('pagehide', this.#onPageHide);
+            if (this.window.document) this.window.document.removeEventListener('visibilitychange', this.#onVisibilityChange);
+        }
+        return this.flush();
+    }
+
+    #prepareMessages(stack, level, packageName, message, fields) {
+        if (this.strict) {
+            const text = fields ? composeMessage(message, fields) : message;
+            validateEntry(this.schema, stack, level, packageName, text);
+            return { messages: [text], correlationId: null };
+        }
+        validateEntry(this.schema, stack, level, packageName, message, { checkLength: false });
+        return formatMessages(message, fields, { maxLength: this.schema.message.maxLength, overflow: this.overflow });
+    }
+
+    async #drain() {
+        const entries = this.#queue.splice(0);
+        const size = this.options.sendBatches ? this.options.maxBatchSize : 1;
+
+        let sent = 0;
+        for (let start = 0; start < entries.length; start += size) {
+            const batch = entries.slice(start, start + size);
+            try {
+                await this.#post(this.options.sendBatches ? batch : batch[0]);
+                sent += batch.length;
+            } catch (error) {
+                if (BrowserLogger.#isRejection(error)) {
+                    // The endpoint refused these entries; resending them can't help.
+                    console.warn(`[Logger] Log endpoint rejected ${batch.length} entries: ${error.message}`);
+                    continue;
+                }
+                console.warn(`[Logger] Log delivery failed, will retry: ${error.message}`);
+                const unsent = entries.slice(start);
+                this.#queue.unshift(...unsent);
+                const overflow = this.#queue.length - this.options.maxQueueSize;
+                if (overflow > 0) {
+                    this.#queue.splice(0, overflow);
+                    this.dropped += overflow;
+                }
+                return { sent, failed: unsent.length };
+            }
+        }
+        return { sent, failed: 0 };
+    }
+
+    async #post(body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.getToken) {
+            const token = await this.getToken();
+            if (token) headers.Authorization = `Bearer ${token}`;
+        }
+
+        let response;
+        try {
+            response = await this.fetch(this.options.endpoint, { method: 'POST', headers, body: JSON.stringify(body) });
+        } catch (error) {
+            throw new LogDeliveryError(`Log request failed: ${error.message}`, { cause: error });
+        }
+        if (!response.ok) {
+            throw new LogDeliveryError(`Log endpoint answered with status ${response.status}`, { status: response.status });
+        }
+        return response;
+    }
+
+    // 4xx other than timeout/rate limiting means the entries themselves were refused.
+    static #isRejection(error) {
+        return error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+    }
+
+    // Groups entries into arrays whose JSON stays under the beacon size limit.
+    static #packBeacons(entries) {
+        const payloads = [];
+        let current = [];
+        let bytes = 2; // The surrounding []
+        for (const entry of entries) {
+            const entryBytes = JSON.stringify(entry).length + 1;
+            if (current.length > 0 && bytes + entryBytes > MAX_BEACON_BYTES) {
+                payloads.push(current);
+                current = [];
+                bytes = 2;
+            }
+            current.push(entry);
+            bytes += entryBytes;
+        }
+        if (current.length > 0) payloads.push(current);
+        return payloads;
+    }
+
+    // Convenience methods for specific log levels, matching the Node Logger
+    debug(stack, packageName, message, fields) { return this.Log(stack, 'debug', packageName, message, fields); }
+    info(stack, packageName, message, fields) { return this.Log(stack, 'info', packageName, message, fields); }
+    warn(stack, packageName, message, fields) { return this.Log(stack, 'warn', packageName, message, fields); }
+    error(stack, packageName, message, fields) { return this.Log(stack, 'error', packageName, message, fields); }
+    fatal(stack, packageName, message, fields) { return this.Log(stack, 'fatal', packageName, message, fields); }
+}
+
+module.exports = { BrowserLogger, DEFAULT_BROWSER_OPTIONS };
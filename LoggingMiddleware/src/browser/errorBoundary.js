@@ -0,0 +1,60 @@
+// src/browser/errorBoundary.js
+// A React error boundary that logs render errors. React is passed in rather than required,
+// so this package doesn't depend on it (and works with whichever copy the app bundles).
+
+const { describeError } = require('./globalHandlers');
+
+// The frontend stack may only use the common packages.
+const BOUNDARY_PACKAGES = ['auth', 'config', 'middleware'];
+
+/**
+ * Creates an error-boundary component class.
+ *
+ * @param {object} React - The app's React module.
+ * @param {object} logger - A BrowserLogger (or anything with a Log method).
+ * @param {object} [options]
+ * @param {string} [options.stack='frontend']
+ * @param {string} [options.packageName='middleware'] - Default package; a `packageName` prop overrides it.
+ * @returns {Function} A component taking `fallback` (element, or `({ error, reset }) => element`),
+ * optional `packageName` and `onError(error, info)` props.
+ */
+function createErrorBoundary(React, logger, options = {}) {
+    const stack = options.stack || 'frontend';
+    const defaultPackage = options.packageName || 'middleware';
+    if (!BOUNDARY_PACKAGES.includes(defaultPackage)) {
+        throw new Error(`Error boundary package must be one of: ${BOUNDARY_PACKAGES.join(', ')}.`);
+    }
+
+    class LogErrorBoundary extends React.Component {
+        constructor(props) {
+            super(props);
+            this.state = { error: null };
+            this.reset = () => this.setState({ error: null });
+        }
+
+        static getDerivedStateFromError(error) {
+            return { error };
+        }
+
+        componentDidCatch(error, info) {
+            const packageName = BOUNDARY_PACKAGES.includes(this.props.packageName) ? this.props.packageName : defaultPackage;
+            // The first line of the component stack names the component that threw.
+            const component = info && info.componentStack ? info.componentStack.trim().split('\n')[0].trim() : undefined;
+            logger.Log(stack, 'error', packageName, 'render error', { error: describeError(error), component });
+            if (this.props.onError) this.props.onError(error, info);
+        }
+
+        render() {
+            if (this.state.error) {
+                const { fallback } = this.props;
+                if (typeof fallback === 'function') return fallback({ error: this.state.error, reset: this.reset });
+                return fallback === undefined ? null : fallback;
+            }
+            return this.props.children;
+        }
+    }
+
+    return LogErrorBoundary;
+}
+
+module.exports = { createErrorBoundary };
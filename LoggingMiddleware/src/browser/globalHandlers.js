@@ -0,0 +1,53 @@
+// src/browser/globalHandlers.js
+// Reports uncaught errors and unhandled promise rejections from the page to a BrowserLogger.
+
+/**
+ * Describes an error-ish value in one line, without assuming it is an Error.
+ * @param {*} reason
+ * @returns {string}
+ */
+function describeError(reason) {
+    if (reason instanceof Error) return `${reason.name}: ${reason.message}`;
+    if (typeof reason === 'string') return reason;
+    try {
+        return JSON.stringify(reason);
+    } catch {
+        return String(reason);
+    }
+}
+
+/**
+ * Listens for `error` and `unhandledrejection` events and logs them at error level.
+ *
+ * @param {object} logger - A BrowserLogger (or anything with a Log method).
+ * @param {object} [options]
+ * @param {string} [options.stack='frontend']
+ * @param {string} [options.packageName='middleware'] - One of the common packages.
+ * @param {object} [options.target] - Event target; the global window by default.
+ * @returns {() => void} Removes the listeners again.
+ */
+function captureGlobalErrors(logger, options = {}) {
+    const stack = options.stack || 'frontend';
+    const packageName = options.packageName || 'middleware';
+    const target = options.target || (typeof window !== 'undefined' ? window : null);
+    if (!target) return () => {};
+
+    const onError = (event) => {
+        logger.Log(stack, 'error', packageName, 'uncaught error', {
+            error: describeError(event.error || event.message),
+            source: event.filename ? `${event.filename}:${event.lineno}:${event.colno}` : undefined
+        });
+    };
+    const onRejection = (event) => {
+        logger.Log(stack, 'error', packageName, 'unhandled rejection', { reason: describeError(event.reason) });
+    };
+
+    target.addEventListener('error', onError);
+    target.addEventListener('unhandledrejection', onRejection);
+    return () => {
+        target.removeEventListener('error', onError);
+        target.removeEventListener('unhandledrejection', onRejection);
+    };
+}
+
+module.exports = { captureGlobalErrors, describeError };
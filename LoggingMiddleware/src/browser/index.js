@@ -0,0 +1,23 @@
+// src/browser/index.js
+// Entry point of the browser build (picked through the "browser" field of package.json).
+// It has no Node dependencies: delivery uses fetch and sendBeacon instead of http/https,
+// and there is no dotenv, Buffer or file system access.
+
+const { BrowserLogger, DEFAULT_BROWSER_OPTIONS } = require('./browserLogger');
+const { captureGlobalErrors } = require('./globalHandlers');
+const { createErrorBoundary } = require('./errorBoundary');
+const { DEFAULT_SCHEMA, compileSchema } = require('../schema');
+const { LogValidationError, LogSchemaError, LogDeliveryError } = require('../errors');
+
+module.exports = {
+    BrowserLogger,
+    Logger: BrowserLogger, // Same name as the Node entry, so shared code can import either
+    DEFAULT_BROWSER_OPTIONS,
+    captureGlobalErrors,
+    createErrorBoundary,
+    DEFAULT_SCHEMA,
+    compileSchema,
+    LogValidationError,
+    LogSchemaError,
+    LogDeliveryError
+};
@@ -0,0 +1,111 @@
+// src/circuitBreaker.js
+// Stops calling the log server while it is unhealthy, so callers fail fast instead of each
+// waiting through their own retries and timeouts.
+// - closed:    calls go through; consecutive failures are counted.
+// - open:      after `failureThreshold` consecutive failures, calls are refused for `resetTimeoutMs`.
+// - half_open: then a single trial call is let through; success closes the breaker, failure
+//              opens it again.
+// State changes are emitted as 'open', 'half_open' and 'close' events, plus a 'stateChange'
+// event ({ from, to, failures }) and the optional `onStateChange` hook.
+
+const { EventEmitter } = require('events');
+const { LogCircuitOpenError } = require('./errors');
+
+const DEFAULT_BREAKER_OPTIONS = {
+    failureThreshold: 5,
+    resetTimeoutMs: 30000
+};
+
+class CircuitBreaker extends EventEmitter {
+    #state = 'closed';
+    #failures = 0;
+    #openedAt = 0;
+    #trialInFlight = false;
+
+    /**
+     * @param {object} [options] - See DEFAULT_BREAKER_OPTIONS.
+     * @param {(change: {from: string, to: string, failures: number}) => void} [options.onStateChange]
+     * @param {() => number} [options.now] - Clock in milliseconds, for tests.
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_BREAKER_OPTIONS, ...options };
+        this.now = options.now || Date.now;
+        if (options.onStateChange) this.on('stateChange', options.onStateChange);
+    }
+
+    /** 'closed', 'open' or 'half_open'. Reading it may move an expired open breaker to half_open. */
+    get state() {
+        if (this.#state === 'open' && this.now() - this.#openedAt >= this.options.resetTimeoutMs) {
+            this.#transition('half_open');
+        }
+        return this.#state;
+    }
+
+    /** Consecutive failures counted so far. */
+    get failures() {
+        return this.#failures;
+    }
+
+    /**
+     * Runs `operation` through the breaker.
+     * @param {() => Promise<any>} operation
+     * @param {(error: Error) => boolean} [countsAsFailure] - Which errors mean the server is unhealthy;
+     * by default every error does.
+     * @returns {Promise<any>}
+     * @throws {LogCircuitOpenError} Without calling `operation`, while open (or while a half-open trial runs).
+     */
+    async execute(operation, countsAsFailure = () => true) {
+        const state = this.state;
+        if (state === 'open' || (state === 'half_open' && this.#trialInFlight)) {
+            throw new LogCircuitOpenError(this.#openedAt + this.options.resetTimeoutMs);
+        }
+
+        const isTrial = state === 'half_open';
+        if (isTrial) this.#trialInFlight = true;
+        try {
+            const result = await operation();
+            this.#recordSuccess();
+            return result;
+        } catch (error) {
+            if (countsAsFailure(error)) {
+                this.#recordFailure();
+            } else if (isTrial) {
+                // The server answered, just not to our liking; that's proof enough it is back.
+                this.#recordSuccess();
+            }
+            throw error;
+        } finally {
+            if (isTrial) this.#trialInFlight = false;
+        }
+    }
+
+    /** Forces the breaker closed and clears the failure count. */
+    reset() {
+        this.#failures = 0;
+        if (this.#state !== 'closed') this.#transition('closed');
+    }
+
+    #recordSuccess() {
+        this.#failures = 0;
+        if (this.#state !== 'closed') this.#transition('closed');
+    }
+
+    #recordFailure() {
+        this.#failures++;
+        if (this.#state === 'half_open' || (this.#state === 'closed' && this.#failures >= this.options.failureThreshold)) {
+            this.#openedAt = this.now();
+            this.#transition('open');
+        }
+    }
+
+    #transition(to) {
+        const from = this.#state;
+        this.#state = to;
+        const change = { from, to, failures: this.#failures };
+        this.emit(to === 'closed' ? 'close' : to, change);
+        this.emit('stateChange', change);
+    }
+}
+
+module.exports = { CircuitBreaker, DEFAULT_BREAKER_OPTIONS };
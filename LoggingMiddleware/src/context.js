@@ -0,0 +1,39 @@
+// src/context.js
+// Request-scoped logging context (e.g. a request ID) carried through async calls with
+// AsyncLocalStorage, so code deep inside a request handler logs with the request's context
+// without passing it around. The Logger merges the current context into every entry's fields.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with `context` added to the current logging context (nested calls inherit and can
+ * extend the outer context).
+ * @param {object} context - Fields to attach to every entry logged inside `fn`, e.g. { requestId }.
+ * @param {Function} fn
+ * @returns {*} Whatever `fn` returns.
+ */
+function runWithContext(context, fn) {
+    return storage.run({ ...storage.getStore(), ...context }, fn);
+}
+
+/**
+ * The logging context of the current async call chain.
+ * @returns {object} Empty outside of runWithContext.
+ */
+function getContext() {
+    return storage.getStore() || {};
+}
+
+/**
+ * A short random ID for correlating the entries of one request: 8 hex digits keeps log lines
+ * within the API's tight length limit while still being unique enough across concurrent requests.
+ * @returns {string}
+ */
+function generateRequestId() {
+    return crypto.randomBytes(4).toString('hex');
+}
+
+module.exports = { runWithContext, getContext, generateRequestId };
@@ -0,0 +1,70 @@
+// src/errors.js
+// Error types raised by the logging package, so callers can tell a rejected entry
+// (fix the call site) apart from a failed delivery (the log server or network is at fault).
+
+/**
+ * A log entry broke a schema rule (unknown stack/level/package, bad message).
+ * Never retried: sending the same entry again cannot succeed.
+ */
+class LogValidationError extends Error {
+    /**
+     * @param {string} message - Human-readable description.
+     * @param {object} details
+     * @param {string} details.code - Machine-readable rule, e.g. 'invalid_stack' or 'message_too_long'.
+     * @param {string} details.field - The offending parameter: 'stack', 'level', 'package' or 'message'.
+     * @param {*} [details.value] - The rejected value.
+     */
+    constructor(message, { code, field, value } = {}) {
+        super(message);
+        this.name = 'LogValidationError';
+        this.code = code;
+        this.field = field;
+        this.value = value;
+    }
+}
+
+/**
+ * A validation schema itself is malformed (bad JSON file, missing sections, wrong types).
+ */
+class LogSchemaError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'LogSchemaError';
+    }
+}
+
+/**
+ * A transport could not deliver an entry: network error, timeout, auth failure or an
+ * unexpected response. `status` is set when the server answered with an HTTP error.
+ */
+class LogDeliveryError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {number} [details.status] - HTTP status returned by the log server, if any.
+     * @param {Error} [details.cause] - The underlying error.
+     */
+    constructor(message, { status, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'LogDeliveryError';
+        this.status = status;
+    }
+}
+
+/**
+ * The circuit breaker refused to call the log server because it recently kept failing
+ * (see circuitBreaker.js). Never retried; `retryAt` is when the next trial call is allowed.
+ */
+class LogCircuitOpenError extends LogDeliveryError {
+    /**
+     * @param {number} retryAt - Time (ms since epoch) the breaker lets a trial call through.
+     */
+    constructor(retryAt) {
+        super(`Log server circuit is open; not sending until ${new Date(retryAt).toISOString()}.`);
+        this.name = 'LogCircuitOpenError';
+        this.retryable = false;
+        this.retryAt = retryAt;
+    }
+}
+
+module.exports = { LogValidationError, LogSchemaError, LogDeliveryError, LogCircuitOpenError };
@@ -0,0 +1,168 @@
+// src/expressMiddleware.js
+// Ready-made Express integration for the Logger:
+// - createRequestLogger(): middleware that logs method, path, status and latency per response.
+// - createEventLogger(): a logEvent(event, shortcode, details) helper mapping structured
+//   application events onto Logger.Log with the right level and package tags.
+// - createRequestContext(): middleware that gives each request an ID and makes it part of every
+//   entry logged while handling the request (see context.js).
+// Both are fire-and-forget; the Logger reports its own failures and never throws at the caller.
+
+const Logger = require('./logger');
+const { runWithContext, getContext, generateRequestId } = require('./context');
+
+// Incoming request IDs are reused only if they look like IDs, not arbitrary text for the logs.
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+// Suffix conventions used when an event has no explicit level.
+const ERROR_EVENT = /(^|_)error$/;
+const WARN_EVENT = /_(failed|denied|rejected|limited)$/;
+
+// Prefix conventions used when an event has no explicit package.
+const DEFAULT_EVENT_PACKAGES = {
+    database_: 'repository',
+    auth_: 'auth',
+    cache_: 'cache',
+    cron_: 'cron'
+};
+
+/**
+ * Trims a composed message to the length the logger's schema accepts.
+ * @param {Logger} logger
+ * @param {string} message
+ * @returns {string}
+ */
+function fitMessage(logger, message) {
+    return message.slice(0, logger.maxMessageLength ?? Logger.MAX_MESSAGE_LENGTH);
+}
+
+/**
+ * Picks the level for an HTTP status: 5xx → error, 4xx → warn, everything else → info.
+ * @param {number} status
+ * @returns {string}
+ */
+function levelForStatus(status) {
+    if (status >= 500) return 'error';
+    if (status >= 400) return 'warn';
+    return 'info';
+}
+
+/**
+ * Creates an Express middleware that logs each request once its response has finished
+ * (or the connection closed early), as "METHOD path status Nms".
+ *
+ * @param {object} [options]
+ * @param {Logger} [options.logger] - Logger instance to use; a new one is created by default.
+ * @param {string} [options.stack='backend'] - Stack tag for every entry.
+ * @param {string} [options.packageName='middleware'] - Package tag for every entry.
+ * @param {(req: object, res: object) => boolean} [options.skip] - Return true to not log a request.
+ * @returns {Function} Express middleware `(req, res, next)`.
+ */
+function createRequestLogger(options = {}) {
+    const logger = options.logger || new Logger();
+    const stack = options.stack || 'backend';
+    const packageName = options.packageName || 'middleware';
+    const skip = options.skip || (() => false);
+
+    return function requestLogger(req, res, next) {
+        const start = process.hrtime.bigint();
+        // 'finish' and 'close' fire outside the request's async context; carry it over by hand.
+        const context = getContext();
+        let logged = false;
+
+        const logRequest = () => {
+            // 'close' also fires after 'finish'; only the first one counts.
+            if (logged || skip(req, res)) return;
+            logged = true;
+
+            const durationMs = Math.round(Number(process.hrtime.bigint() - start) / 1e6);
+            // res.writableFinished is false when the client went away before the response was sent.
+            const status = res.writableFinished ? res.statusCode : 'aborted';
+            const level = res.writableFinished ? levelForStatus(res.statusCode) : 'warn';
+            const path = (req.originalUrl || req.url).split('?')[0];
+            runWithContext(context, () => {
+                logger.Log(stack, level, packageName, fitMessage(logger, `${req.method} ${path} ${status} ${durationMs}ms`));
+            });
+        };
+
+        res.on('finish', logRequest);
+        res.on('close', logRequest);
+        next();
+    };
+}
+
+/**
+ * Creates a logEvent(event, shortcode, details) helper.
+ *
+ * The level comes from `levels[event]`, else from the event name: "error"/"*_error" → error,
+ * "*_failed", "*_denied", "*_rejected", "*_limited" → warn, anything else → info.
+ * The package comes from `packages[event]`, else from the first matching prefix
+ * (database_ → repository, auth_ → auth, cache_ → cache, cron_ → cron), else `defaultPackage`.
+ * The message is "<event> <shortcode>"; `details` travel as structured fields, so the Logger
+ * splits or summarizes the entry as configured rather than dropping what does not fit.
+ *
+ * @param {object} [options]
+ * @param {Logger} [options.logger] - Logger instance to use; a new one is created by default.
+ * @param {string} [options.stack='backend'] - Stack tag for every entry.
+ * @param {Object<string, string>} [options.levels] - Explicit event → level overrides.
+ * @param {Object<string, string>} [options.packages] - Explicit event → package overrides.
+ * @param {string} [options.defaultPackage='controller'] - Package for events matching no rule.
+ * @returns {(event: string, shortcode?: string|null, details?: object) => Promise<object|null>}
+ */
+function createEventLogger(options = {}) {
+    const logger = options.logger || new Logger();
+    const stack = options.stack || 'backend';
+    const levels = options.levels || {};
+    const packages = options.packages || {};
+    const defaultPackage = options.defaultPackage || 'controller';
+
+    const levelFor = (event) => {
+        if (levels[event]) return levels[event];
+        if (ERROR_EVENT.test(event)) return 'error';
+        if (WARN_EVENT.test(event)) return 'warn';
+        return 'info';
+    };
+
+    const packageFor = (event) => {
+        if (packages[event]) return packages[event];
+        const prefix = Object.keys(DEFAULT_EVENT_PACKAGES).find((candidate) => event.startsWith(candidate));
+        return prefix ? DEFAULT_EVENT_PACKAGES[prefix] : defaultPackage;
+    };
+
+    return function logEvent(event, shortcode = null, details = {}) {
+        const message = [event, shortcode].filter(Boolean).join(' ');
+        return logger.Log(stack, levelFor(event), packageFor(event), message, details);
+    };
+}
+
+/**
+ * Creates an Express middleware that assigns each request an ID and runs the rest of the
+ * request inside a logging context holding it, so every entry logged while handling the
+ * request (by any Logger using the async context) carries `requestId=...`. Mount it first.
+ *
+ * The ID is taken from the request header when it looks valid (so IDs from a proxy or the
+ * frontend are kept), else generated; it is echoed in the response header and set as `req.requestId`.
+ *
+ * @param {object} [options]
+ * @param {string} [options.header='x-request-id'] - Header to read and echo the ID in.
+ * @param {boolean} [options.trustHeader=true] - Reuse an incoming ID; false always generates one.
+ * @param {() => string} [options.generateId] - ID generator; 8 random hex digits by default.
+ * @returns {Function} Express middleware `(req, res, next)`.
+ */
+function createRequestContext(options = {}) {
+    const header = (options.header || 'x-request-id').toLowerCase();
+    const trustHeader = options.trustHeader !== false;
+    const generateId = options.generateId || generateRequestId;
+
+    return function requestContext(req, res, next) {
+        const incoming = req.headers[header];
+        const requestId = trustHeader && typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+            ? incoming
+            : generateId();
+
+        req.requestId = requestId;
+        res.setHeader(header, requestId);
+        runWithContext({ requestId }, next);
+    };
+}
+
+module.exports = { createRequestLogger, createEventLogger, createRequestContext };
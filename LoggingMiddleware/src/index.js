@@ -1,8 +1,30 @@
 // src/index.js
 // This is the main entry point for the Logging Middleware package.
-// It exports the Logger class.
+// It exports the Logger class, with the Express helpers, transports, error types, schema helpers,
+// retry/circuit-breaker building blocks and credential providers attached as static properties
+// so that both `require(pkg)` (the class) and `const { Logger, createRequestLogger } = require(pkg)` work.
 
 const Logger = require('./logger'); // Import the Logger class from logger.js
+const { createRequestLogger, createEventLogger, createRequestContext } = require('./expressMiddleware');
+const { runWithContext, getContext } = require('./context');
+const transports = require('./transports');
+const errors = require('./errors');
+const { DEFAULT_SCHEMA, compileSchema } = require('./schema');
+const { loadSchema } = require('./schemaFile');
+const { CircuitBreaker } = require('./circuitBreaker');
+const { createRetryPolicy } = require('./retryPolicy');
+const { TokenManager, envCredentials, fileCredentials, staticCredentials, chainCredentials } = require('./auth');
+
+Logger.Logger = Logger;
+Logger.createRequestLogger = createRequestLogger;
+Logger.createEventLogger = createEventLogger;
+Logger.createRequestContext = createRequestContext;
+Object.assign(Logger, { runWithContext, getContext });
+Object.assign(Logger, transports); // Transport, HttpTransport, ConsoleTransport, FileTransport, FanoutTransport
+Object.assign(Logger, errors); // LogValidationError, LogSchemaError, LogDeliveryError, LogCircuitOpenError
+Object.assign(Logger, { DEFAULT_SCHEMA, compileSchema, loadSchema });
+Object.assign(Logger, { CircuitBreaker, createRetryPolicy });
+Object.assign(Logger, { TokenManager, envCredentials, fileCredentials, staticCredentials, chainCredentials });
 
 // Export the Logger class as the primary interface of this package.
 module.exports = Logger;
@@ -0,0 +1,70 @@
+// src/levels.js
+// Severity ordering for log levels, shared by transports and level filters.
+
+// Higher numbers are more severe; a minimum level lets through itself and everything above.
+const LEVEL_SEVERITY = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    fatal: 50
+};
+
+/**
+ * Checks whether an entry at `level` passes a `minLevel` threshold.
+ * @param {string} level - The entry's level.
+ * @param {string} [minLevel='debug'] - The threshold; unknown levels let everything through.
+ * @param {Object<string, number>} [severities=LEVEL_SEVERITY] - Level name → severity, e.g. a schema's levels.
+ * @returns {boolean}
+ */
+function isLevelEnabled(level, minLevel = 'debug', severities = LEVEL_SEVERITY) {
+    const severity = severities[String(level).toLowerCase()];
+    const threshold = severities[String(minLevel).toLowerCase()];
+    if (severity === undefined || threshold === undefined) return true;
+    return severity >= threshold;
+}
+
+/**
+ * Builds the Logger's entry filter: a minimum level, per-package minimum levels, and sampling.
+ *
+ * @param {object} [options]
+ * @param {string} [options.level] - Minimum level for every package; everything passes by default.
+ * @param {Object<string, string>} [options.packageLevels] - Package → minimum level, overriding `level`.
+ * @param {Object<string, number>} [options.sampling] - Level → share of entries to keep (0..1),
+ * e.g. { debug: 0.1 } keeps about one debug entry in ten. Levels not listed are always kept.
+ * @param {Object<string, number>} [options.severities=LEVEL_SEVERITY] - Known levels and their severities.
+ * @param {() => number} [options.random] - Random source in [0, 1), for tests.
+ * @returns {(level: string, packageName: string) => boolean} Whether an entry should be logged.
+ * @throws {Error} If a configured level is unknown or a sample rate is outside 0..1.
+ */
+function createLevelFilter(options = {}) {
+    const severities = options.severities || LEVEL_SEVERITY;
+    const random = options.random || Math.random;
+    const checkLevel = (level, setting) => {
+        const name = String(level).toLowerCase();
+        if (severities[name] === undefined) {
+            throw new Error(`Invalid ${setting}: '${level}'. Must be one of: ${Object.keys(severities).join(', ')}.`);
+        }
+        return name;
+    };
+
+    const minLevel = options.level ? checkLevel(options.level, 'log level') : null;
+    const packageLevels = Object.fromEntries(Object.entries(options.packageLevels || {})
+        .map(([packageName, level]) => [packageName.toLowerCase(), checkLevel(level, `log level for package '${packageName}'`)]));
+    const sampling = Object.fromEntries(Object.entries(options.sampling || {}).map(([level, rate]) => {
+        if (!(typeof rate === 'number' && rate >= 0 && rate <= 1)) {
+            throw new Error(`Invalid sample rate for '${level}': ${rate}. Must be a number from 0 to 1.`);
+        }
+        return [checkLevel(level, 'sampled level'), rate];
+    }));
+
+    return (level, packageName) => {
+        const name = String(level).toLowerCase();
+        const threshold = packageLevels[String(packageName).toLowerCase()] || minLevel;
+        if (threshold && !isLevelEnabled(name, threshold, severities)) return false;
+        const rate = sampling[name];
+        return rate === undefined || random() < rate;
+    };
+}
+
+module.exports = { LEVEL_SEVERITY, isLevelEnabled, createLevelFilter };
@@ -1,166 +1,246 @@
 // src/logger.js
 // This module defines the Logger class, which handles:
-// - Validation of log parameters.
-// - Making API calls to the logging endpoint.
-// - Implementing retry logic for failed log attempts.
-// - Interacting with the auth module to get an authorization token.
-
-const http = require('http');
-const https = require('https');
-const { URL } = require('url');
-const { getAuthToken } = require('./auth'); // Import the token acquisition function
+// - Validation of log parameters against a configurable schema (see schema.js).
+// - Appending structured fields and fitting long messages to the API limit (see messageFormat.js).
+// - Delivering entries through a transport (the log API by default; see transports/).
+// - Retrying transient delivery failures with backoff (see retryPolicy.js), and failing fast
+//   while the log server keeps failing (see circuitBreaker.js).
+// - Optionally batching entries in the background (see batchQueue.js).
+// - Filtering entries by level, per package, and by sampling (see levels.js).
+// - Attaching context to entries: fields bound with child(), and the request context
+//   propagated with AsyncLocalStorage (see context.js).
+
+const { LogBatcher } = require('./batchQueue');
+const { composeMessage, formatMessages } = require('./messageFormat');
+const { HttpTransport, ConsoleTransport, FanoutTransport } = require('./transports');
+const { DEFAULT_SCHEMA, validateEntry } = require('./schema');
+const { resolveSchemaOrFile } = require('./schemaFile');
+const { createRetryPolicy } = require('./retryPolicy');
+const { CircuitBreaker } = require('./circuitBreaker');
+const { LogCircuitOpenError } = require('./errors');
+const { createLevelFilter } = require('./levels');
+const { getContext } = require('./context');
 const dotenv = require('dotenv'); // Make sure dotenv is installed and configured
 
 dotenv.config(); // Ensure environment variables are loaded for LOG_API_BASE_URL
 
-// Base URL for the logging API endpoint
-const LOG_API_URL = `${process.env.LOG_API_BASE_URL}/logs`;
+// Longest message the default schema (and the Test Server) accepts.
+const MAX_MESSAGE_LENGTH = DEFAULT_SCHEMA.message.maxLength;
 
-// Define allowed values for 'stack', 'level', and 'package' as per guidelines
-// These are constants and do not need to be part of the class instance.
-const ALLOWED_STACKS = ["backend", "frontend"];
-const ALLOWED_LEVELS = ["debug", "info", "warn", "error", "fatal"];
-const ALLOWED_BACKEND_PACKAGES = ["cache", "controller", "cron", "domain", "handler", "repository", "route", "service"];
-const ALLOWED_COMMON_PACKAGES = ["auth", "config", "middleware"]; // Packages usable by both backend and frontend
+// Constructor key through which child() hands its parent to the new Logger.
+const PARENT = Symbol('parentLogger');
 
 class Logger {
+    // Longest message the log API accepts under the default schema; see maxMessageLength for
+    // the limit of a Logger with a custom schema.
+    static MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
+
     constructor(config = {}) {
-        // API URL for logging
-        this.logApiUrl = LOG_API_URL;
+        // A child shares everything with its parent (transport, batcher, breaker, filters) and
+        // only adds its own bound fields.
+        if (config[PARENT]) {
+            Object.assign(this, config[PARENT]);
+            this.bindings = { ...config[PARENT].bindings, ...config.bindings };
+            if (config.useAsyncContext !== undefined) this.useAsyncContext = config.useAsyncContext;
+            return;
+        }
 
         // Configurable options (can be overridden by constructor config)
         this.timeout = config.timeout || 5000; // Request timeout in ms
-        this.retries = config.retries || 3;   // Number of retry attempts
 
-        // No need to store ALLOWED lists on 'this' as they are constants defined globally.
-        // Authentication credentials are handled by auth.js now.
+        // Retry policy: `retries` (total attempts) plus `retry` options ({ baseDelayMs, factor,
+        // maxDelayMs, jitter, retryableStatuses, isRetryable }). Validation errors and 4xx
+        // responses other than 408/425/429 are never retried.
+        this.retryPolicy = createRetryPolicy({ ...config.retry, ...(config.retries ? { retries: config.retries } : {}) });
+        this.retries = this.retryPolicy.maxAttempts; // Number of attempts per entry
+
+        // Circuit breaker: after `failureThreshold` consecutive retryable failures, calls fail
+        // immediately for `resetTimeoutMs` (batched entries stay queued or go to the spool) instead
+        // of every caller waiting through its own retries. Pass options ({ failureThreshold,
+        // resetTimeoutMs, onStateChange }) or `false` to disable; subscribe to the breaker's
+        // 'open', 'half_open', 'close' and 'stateChange' events to monitor it.
+        this.circuitBreaker = config.circuitBreaker === false
+            ? null
+            : new CircuitBreaker(config.circuitBreaker === true ? {} : config.circuitBreaker);
+        if (this.circuitBreaker) {
+            this.circuitBreaker.on('open', () => console.warn('[Logger] Log server keeps failing; pausing delivery.'));
+            this.circuitBreaker.on('close', () => console.log('[Logger] Log server recovered; delivery resumed.'));
+        }
+
+        // Messages longer than the API limit are split into correlated chunks ('split') or
+        // shortened with an ellipsis ('truncate'). `strict: true` restores the old behaviour of
+        // rejecting them outright.
+        this.strict = config.strict === true;
+        this.overflow = config.overflow || 'split';
+        this.maxChunks = config.maxChunks;
+
+        // Validation rules: a schema object, a path to a JSON schema file, or the default rules
+        // (Test Server stacks, levels and packages, 48-character messages). Throws LogSchemaError
+        // straight away if the schema is malformed.
+        this.schema = resolveSchemaOrFile(config.schema);
+
+        // Opt-in batching: `batch: true` for defaults, or an options object
+        // ({ maxBatchSize, flushIntervalMs, maxQueueSize, spoolPath, maxSpoolEntries }).
+        // Each queued entry is delivered with a single attempt; failures are kept and retried
+        // on a later flush instead of being retried inline.
+        this.batcher = config.batch
+            ? new LogBatcher({ ...(config.batch === true ? {} : config.batch), send: (logData) => this.#sendLogData(logData) })
+            : null;
+
+        // Where entries go: `transport` (one Transport), `transports` (several, fanned out), or by
+        // default the log API — or the console when LOG_API_BASE_URL is not set, so local
+        // development without a log server doesn't drown in retry noise.
+        // `apiBaseUrl` and `credentials` (see auth.js) configure the log API without a .env.
+        this.transport = Logger.#resolveTransport(config, this.timeout);
+
+        // Which entries are worth sending: `level` (minimum level), `packageLevels` (per-package
+        // minimum levels, e.g. { repository: 'debug' } while the rest stays at 'info') and
+        // `sampling` (share of entries kept per level, e.g. { debug: 0.1 }). Filtered entries
+        // never reach the network. Levels are ranked by the schema's severities.
+        this.shouldLog = createLevelFilter({
+            level: config.level,
+            packageLevels: config.packageLevels,
+            sampling: config.sampling,
+            severities: this.schema.levels,
+            random: config.random
+        });
+
+        // Fields added to every entry (see child()), and whether the request context set up with
+        // runWithContext() (e.g. by createRequestContext()) is added too.
+        this.bindings = {};
+        this.useAsyncContext = config.useAsyncContext !== false;
+
+        // Authentication credentials are handled by auth.js (via HttpTransport).
+    }
+
+    static #warnedAboutConsoleFallback = false;
+
+    static #resolveTransport(config, timeout) {
+        if (config.transport) return config.transport;
+        if (config.transports) return new FanoutTransport(config.transports);
+        if (config.apiBaseUrl || process.env.LOG_API_BASE_URL) {
+            return new HttpTransport({ baseUrl: config.apiBaseUrl, credentials: config.credentials, timeout });
+        }
+
+        if (!Logger.#warnedAboutConsoleFallback) {
+            Logger.#warnedAboutConsoleFallback = true;
+            console.warn('[Logger] LOG_API_BASE_URL is not set; writing logs to the console instead.');
+        }
+        return new ConsoleTransport();
     }
 
     /**
-     * Validates the input parameters for the log function against predefined constraints.
-     * Inputs are converted to lowercase for case-insensitive validation against allowed lists.
-     * This is a static method as it doesn't depend on the Logger instance's state.
+     * Validates the input parameters for the log function against a schema (the default one
+     * unless `options.schema` is given). Inputs are compared case-insensitively.
+     * This is a static method as it doesn't depend on the Logger instance's state; see
+     * validate() for the instance's own schema.
      *
-     * @param {string} stack - The origin of the log ("backend" or "frontend").
-     * @param {string} level - The severity level of the log ("debug", "info", "warn", "error", "fatal").
+     * @param {string} stack - The origin of the log, e.g. "backend" or "frontend".
+     * @param {string} level - The severity level of the log, e.g. "info".
      * @param {string} packageName - The specific module/package where the log originated.
      * @param {string} message - The log message content.
-     * @throws {Error} If any validation rule is violated.
+     * @param {object} [options]
+     * @param {boolean} [options.checkLength=true] - Whether to enforce the message length limit.
+     * @param {object|string} [options.schema] - Schema definition, compiled schema or JSON file path.
+     * @returns {true}
+     * @throws {LogValidationError} If any validation rule is violated.
      */
-    static validateLogParams(stack, level, packageName, message) {
-        // Convert inputs to lowercase for consistent validation
-        const lowerStack = stack.toLowerCase();
-        const lowerLevel = level.toLowerCase();
-        const lowerPackageName = packageName.toLowerCase();
-
-        // Validate 'stack' against ALLOWED_STACKS
-        if (!ALLOWED_STACKS.includes(lowerStack)) {
-            throw new Error(`Invalid 'stack' value: '${stack}'. Must be one of: ${ALLOWED_STACKS.join(', ')} (all lowercase).`);
-        }
-        // Validate 'level' against ALLOWED_LEVELS
-        if (!ALLOWED_LEVELS.includes(lowerLevel)) {
-            throw new Error(`Invalid 'level' value: '${level}'. Must be one of: ${ALLOWED_LEVELS.join(', ')} (all lowercase).`);
-        }
+    static validateLogParams(stack, level, packageName, message, options = {}) {
+        return validateEntry(resolveSchemaOrFile(options.schema), stack, level, packageName, message, options);
+    }
 
-        // Validate 'packageName' based on the 'stack'
-        if (lowerStack === 'backend') {
-            // Backend can use packages from ALLOWED_BACKEND_PACKAGES or ALLOWED_COMMON_PACKAGES
-            if (!ALLOWED_BACKEND_PACKAGES.includes(lowerPackageName) && !ALLOWED_COMMON_PACKAGES.includes(lowerPackageName)) {
-                throw new Error(`Invalid 'package' value: '${packageName}' for 'backend' stack. Must be one of: ${[...ALLOWED_BACKEND_PACKAGES, ...ALLOWED_COMMON_PACKAGES].join(', ')} (all lowercase).`);
-            }
-        } else if (lowerStack === 'frontend') {
-            // Frontend can ONLY use packages from ALLOWED_COMMON_PACKAGES
-            if (!ALLOWED_COMMON_PACKAGES.includes(lowerPackageName)) {
-                throw new Error(`Invalid 'package' value: '${packageName}' for 'frontend' stack. Must be one of: ${ALLOWED_COMMON_PACKAGES.join(', ')} (all lowercase).`);
-            }
-        }
+    /**
+     * Validates parameters against this Logger's schema.
+     * @returns {true}
+     * @throws {LogValidationError} If any validation rule is violated.
+     */
+    validate(stack, level, packageName, message, options = {}) {
+        return validateEntry(this.schema, stack, level, packageName, message, options);
+    }
 
-        // Validate 'message' to ensure it's a non-empty string
-        if (typeof message !== 'string' || message.trim().length === 0) {
-            throw new Error('Message must be a non-empty string.');
-        }
+    /** The message length limit of this Logger's schema. */
+    get maxMessageLength() {
+        return this.schema.message.maxLength;
+    }
+
+    /**
+     * Creates a Logger that adds `bindings` to the fields of every entry, e.g.
+     * `logger.child({ requestId, shortcode })`. The child shares the parent's transport,
+     * batching and settings, so closing the parent is enough; children can be nested.
+     *
+     * @param {object} bindings - Fields to attach; fields passed to a Log call take precedence.
+     * @param {object} [options]
+     * @param {boolean} [options.useAsyncContext] - Override whether the request context is added,
+     * e.g. false for entries relayed on behalf of another system.
+     * @returns {Logger}
+     */
+    child(bindings, options = {}) {
+        return new Logger({ [PARENT]: this, bindings, useAsyncContext: options.useAsyncContext });
+    }
+
+    /**
+     * Merges the call's fields with the bound and request context. The call's own fields come
+     * first so the start of a split message still carries the interesting part.
+     */
+    #withContext(fields) {
+        const context = this.useAsyncContext ? { ...getContext(), ...this.bindings } : this.bindings;
+        const own = fields || {};
+        const extra = Object.entries(context).filter(([key]) => !(key in own));
+        if (extra.length === 0) return fields;
+        return { ...own, ...Object.fromEntries(extra) };
+    }
 
-        // Add a check for message length if the server consistently returns 400 with a length error
-        // As per the server error: "has to be at most 48 characters"
-        if (message.length > 48) {
-            throw new Error(`Message length exceeds 48 characters. Current length: ${message.length}.`);
+    /**
+     * Validates the parameters and turns message + fields into the message(s) to send.
+     * In strict mode the composed message must fit the limit; otherwise it is split or truncated.
+     *
+     * @returns {{messages: string[], correlationId: string|null}}
+     * @throws {Error} If validation fails.
+     */
+    #prepareMessages(stack, level, packageName, message, fields) {
+        if (this.strict) {
+            const text = fields ? composeMessage(message, fields) : message;
+            this.validate(stack, level, packageName, text);
+            return { messages: [text], correlationId: null };
         }
 
+        this.validate(stack, level, packageName, message, { checkLength: false });
+        return formatMessages(message, fields, {
+            maxLength: this.maxMessageLength,
+            overflow: this.overflow,
+            maxChunks: this.maxChunks
+        });
+    }
 
-        return true; // Return true if all validations pass
+    /**
+     * Builds the API payload (lowercased for API compliance) from validated parameters.
+     */
+    static #buildLogData(stack, level, packageName, message) {
+        return {
+            stack: stack.toLowerCase(),
+            level: level.toLowerCase(),
+            package: packageName.toLowerCase(),
+            message: message
+        };
     }
 
     /**
-     * Makes the actual API call to the logging endpoint using Node.js's native http/https modules.
-     * This function is used internally by logWithRetry.
+     * Sends one prepared payload through the transport with a single attempt, via the circuit
+     * breaker when there is one. Only failures the retry policy considers transient count
+     * against the breaker; a 4xx means the server is up, just unhappy with the request.
      *
-     * @param {object} logData - The log payload object to send (e.g., { stack, level, package, message }).
-     * @param {string} token - The authorization token obtained from the authentication API.
-     * @returns {Promise<object>} A promise that resolves with the API response data if successful.
-     * @throws {Error} If the API call fails (non-200/201 status code) or the response is invalid.
+     * @param {object} logData - The payload built by #buildLogData.
+     * @returns {Promise<object>} The transport's response (the API response for HttpTransport).
+     * @throws {Error} If delivery fails; LogCircuitOpenError without trying while the breaker is open.
      */
-    async #makeLogApiCall(logData, token) { // Private method using # prefix (Node.js 12.x+ / ES2020)
-        return new Promise((resolve, reject) => {
-            const url = new URL(this.logApiUrl); // Parse the logging API URL
-            const isHttps = url.protocol === 'https:';
-            const httpModule = isHttps ? https : http; // Select http or https module
-
-            const postData = JSON.stringify(logData); // Stringify the log data for the request body
-
-            // Define request options
-            const options = {
-                hostname: url.hostname,
-                port: url.port || (isHttps ? 443 : 80), // Use default ports if not specified
-                path: url.pathname,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(postData), // Required for POST requests
-                    'Authorization': `Bearer ${token}` // Use the dynamically obtained token for authorization
-                },
-                timeout: this.timeout // Use instance's timeout
-            };
-
-            // Create the HTTP/HTTPS request
-            const req = httpModule.request(options, (res) => {
-                let data = '';
-                res.on('data', (chunk) => data += chunk); // Accumulate response data
-                res.on('end', () => {
-                    try {
-                        const response = JSON.parse(data); // Parse the JSON response
-                        // --- FIX APPLIED HERE: Accept both 200 and 201 status codes for log API ---
-                        if (res.statusCode === 200 || res.statusCode === 201) {
-                            resolve(response); // Resolve if status is 200 or 201 (OK/Created)
-                        } else {
-                            // Reject if API call failed with a non-200/201 status code
-                            reject(new Error(`Log API call failed with status ${res.statusCode}: ${data}`));
-                        }
-                    } catch (error) {
-                        // Reject if JSON parsing fails (e.g., non-JSON response)
-                        reject(new Error(`Failed to parse log API response: ${error.message}`));
-                    }
-                });
-            });
-
-            // Handle request errors (e.g., network issues)
-            req.on('error', (error) => {
-                reject(new Error(`Log API request failed: ${error.message}`));
-            });
-
-            // Handle request timeout
-            req.on('timeout', () => {
-                req.destroy(); // Destroy the request to stop it
-                reject(new Error('Log API request timeout'));
-            });
-
-            req.write(postData); // Send the request body
-            req.end(); // End the request
-        });
+    async #sendLogData(logData) {
+        if (!this.circuitBreaker) return this.transport.send(logData);
+        return this.circuitBreaker.execute(() => this.transport.send(logData), this.retryPolicy.shouldRetry);
     }
 
     /**
      * Attempts to send a log entry, with a retry mechanism for transient failures.
-     * It will retry up to 'this.retries' times with exponential backoff.
+     * It makes up to 'this.retries' attempts, waiting as the retry policy says in between.
      *
      * @param {string} stack - The origin of the log.
      * @param {string} level - The severity level of the log.
@@ -173,34 +253,22 @@ class Logger {
     async #logWithRetry(stack, level, packageName, message, attempt = 1) { // Private method
         try {
             // Validate parameters first; validation errors are not retried
-            Logger.validateLogParams(stack, level, packageName, message); // Call static validation method
-
-            // Prepare log data payload (ensure lowercase for API compliance)
-            const logData = {
-                stack: stack.toLowerCase(),
-                level: level.toLowerCase(),
-                package: packageName.toLowerCase(),
-                message: message
-            };
-
-            // Get the authorization token before each attempt to ensure it's valid/fresh.
-            // getAuthToken handles its own caching and re-fetching logic.
-            const token = await getAuthToken(); // Call the imported getAuthToken function
-            if (!token) {
-                // If getAuthToken returns null or throws, it means auth failed.
-                // No point in retrying the log API call if we can't authenticate.
-                throw new Error("Failed to acquire authentication token for logging.");
-            }
+            this.validate(stack, level, packageName, message);
 
             // Make the actual log API call
-            const response = await this.#makeLogApiCall(logData, token); // Call private method
+            const response = await this.#sendLogData(Logger.#buildLogData(stack, level, packageName, message));
             return response; // Resolve with the successful response
         } catch (error) {
+            // A rejected entry will be rejected again, and an open breaker means "not now";
+            // only transient delivery failures are worth retrying
+            if (!this.retryPolicy.shouldRetry(error)) {
+                throw error;
+            }
             // If an error occurs and we still have retries left
             if (attempt < this.retries) { // Use instance's retries
                 console.warn(`[Logger] Log attempt ${attempt} failed, retrying... Error: ${error.message}`);
-                // Exponential backoff: delay increases with each attempt (1s, 2s, 4s, etc.)
-                await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+                // Exponential backoff with jitter, capped at the policy's maximum delay
+                await new Promise(resolve => setTimeout(resolve, this.retryPolicy.delayFor(attempt)));
                 // Recursively call #logWithRetry for the next attempt
                 return this.#logWithRetry(stack, level, packageName, message, attempt + 1);
             } else {
@@ -219,28 +287,90 @@ class Logger {
      * @param {string} level - The severity level of the log ("debug", "info", "warn", "error", "fatal").
      * @param {string} packageName - The specific module/package where the log originated.
      * @param {string} message - The actual log message.
+     * @param {object} [fields] - Structured context, appended to the message as key=value pairs
+     * after this Logger's bound fields and the current request context are merged in.
      * @returns {Promise<object|null>} The API response object if successful, otherwise null.
+     * A message split into chunks resolves with `{ correlationId, responses }` instead.
+     * In batching mode, resolves with `{ queued: true }` (plus `correlationId` when split) once the
+     * entry is buffered, or null if it was invalid. Resolves with `{ skipped: true }` when the
+     * level filters, sampling or the transport's minimum level leave the entry out.
      */
-    async Log(stack, level, packageName, message) {
+    async Log(stack, level, packageName, message, fields) {
+        let prepared;
+        try {
+            prepared = this.#prepareMessages(stack, level, packageName, message, this.#withContext(fields));
+        } catch (error) {
+            console.error('[Logger] Log entry rejected:', error.message);
+            return null;
+        }
+        const { messages, correlationId } = prepared;
+
+        if (!this.shouldLog(level, packageName) || !this.transport.accepts(level)) {
+            return { skipped: true };
+        }
+
+        if (this.batcher) {
+            try {
+                for (const text of messages) {
+                    this.batcher.enqueue(Logger.#buildLogData(stack, level, packageName, text));
+                }
+                return correlationId ? { queued: true, correlationId } : { queued: true };
+            } catch (error) {
+                console.error('[Logger] Log entry rejected:', error.message);
+                return null;
+            }
+        }
+
         try {
-            // Call the private retry mechanism
-            const response = await this.#logWithRetry(stack, level, packageName, message);
-            // Corrected access to logID from response.logId to response.logID (as per API spec)
-            console.log(`[Logger] Log sent successfully. LogID: ${response.logID}`);
-            return response;
+            // Call the private retry mechanism; chunks go out in order, one after the other
+            const responses = [];
+            for (const text of messages) {
+                const response = await this.#logWithRetry(stack, level, packageName, text);
+                // Corrected access to logID from response.logId to response.logID (as per API spec)
+                if (response && response.logID) console.log(`[Logger] Log sent successfully. LogID: ${response.logID}`);
+                responses.push(response);
+            }
+            return correlationId ? { correlationId, responses } : responses[0];
         } catch (error) {
-            console.error('[Logger] Final logging attempt failed:', error.message);
+            // The breaker already announced the outage once; don't repeat it for every entry.
+            if (!(error instanceof LogCircuitOpenError)) {
+                console.error('[Logger] Final logging attempt failed:', error.message);
+            }
             return null; // Return null to indicate complete failure
         }
     }
 
+    /**
+     * Delivers everything buffered in batching mode, including spooled entries.
+     * A no-op without batching, since entries are then sent immediately.
+     *
+     * @returns {Promise<{sent: number, failed: number}>}
+     */
+    async flush() {
+        return this.batcher ? this.batcher.flush() : { sent: 0, failed: 0 };
+    }
+
+    /**
+     * Flushes and stops the batching timer; anything still undelivered is written to the spool
+     * (when configured) so it can be replayed by the next Logger using the same spool file.
+     * Then closes the transport (e.g. waits for pending file writes).
+     * Call this during graceful shutdown.
+     *
+     * @returns {Promise<{sent: number, failed: number}>}
+     */
+    async close() {
+        const result = this.batcher ? await this.batcher.close() : { sent: 0, failed: 0 };
+        await this.transport.close();
+        return result;
+    }
+
     // Convenience methods for specific log levels
     // These methods internally call the main Log method of the instance.
-    debug(stack, packageName, message) { return this.Log(stack, 'debug', packageName, message); }
-    info(stack, packageName, message) { return this.Log(stack, 'info', packageName, message); }
-    warn(stack, packageName, message) { return this.Log(stack, 'warn', packageName, message); }
-    error(stack, packageName, message) { return this.Log(stack, 'error', packageName, message); }
-    fatal(stack, packageName, message) { return this.Log(stack, 'fatal', packageName, message); }
+    debug(stack, packageName, message, fields) { return this.Log(stack, 'debug', packageName, message, fields); }
+    info(stack, packageName, message, fields) { return this.Log(stack, 'info', packageName, message, fields); }
+    warn(stack, packageName, message, fields) { return this.Log(stack, 'warn', packageName, message, fields); }
+    error(stack, packageName, message, fields) { return this.Log(stack, 'error', packageName, message, fields); }
+    fatal(stack, packageName, message, fields) { return this.Log(stack, 'fatal', packageName, message, fields); }
 }
 
 // Export the Logger class as the primary export of this module.
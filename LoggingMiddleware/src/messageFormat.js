@@ -0,0 +1,115 @@
+// src/messageFormat.js
+// Turns a message plus structured fields into one or more strings that fit the log API's
+// message length limit. Two overflow strategies are supported:
+// - 'split':    cut the text into chunks, each prefixed with a shared correlation ID and its
+//               position (e.g. "[9f3a 2/3] ..."), so the server-side entries can be stitched back.
+// - 'truncate': keep a single entry and end it with an ellipsis (a one-line summary).
+// No Node dependencies, so the browser build shares this module.
+
+const ELLIPSIS = '…';
+
+// Upper bound on chunks per Log call; anything beyond is summarized in the last chunk.
+const DEFAULT_MAX_CHUNKS = 20;
+
+// Four hex digits: enough to tell apart the split messages that are in flight at the same time.
+function randomId() {
+    const bytes = globalThis.crypto.getRandomValues(new Uint8Array(2));
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Renders one field value compactly: errors as their message, strings bare unless they contain
+ * whitespace or quotes, everything else as JSON.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value instanceof Error) return formatValue(value.message);
+    if (typeof value === 'string') return /[\s"=]/.test(value) || value === '' ? JSON.stringify(value) : value;
+    if (value instanceof Date) return value.toISOString();
+    try {
+        return JSON.stringify(value) ?? String(value);
+    } catch {
+        return String(value); // Circular structures and the like
+    }
+}
+
+/**
+ * Appends `key=value` pairs for every defined field to the message.
+ * @param {string} message
+ * @param {object} [fields]
+ * @returns {string}
+ */
+function composeMessage(message, fields = {}) {
+    const pairs = Object.entries(fields || {})
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${formatValue(value)}`);
+    return [message, ...pairs].filter((part) => part !== '').join(' ');
+}
+
+/**
+ * Shortens text to `maxLength` characters, marking the cut with an ellipsis.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncateMessage(text, maxLength) {
+    return text.length <= maxLength ? text : text.slice(0, maxLength - ELLIPSIS.length) + ELLIPSIS;
+}
+
+/**
+ * Splits text into chunks of at most `maxLength` characters including their "[id i/n] " prefix.
+ * @param {string} text
+ * @param {number} maxLength
+ * @param {object} [options]
+ * @param {string} [options.correlationId] - Shared ID; a random 4-hex-digit ID by default.
+ * @param {number} [options.maxChunks=DEFAULT_MAX_CHUNKS]
+ * @returns {{correlationId: string, chunks: string[]}}
+ */
+function splitMessage(text, maxLength, options = {}) {
+    const correlationId = options.correlationId || randomId();
+    const maxChunks = options.maxChunks || DEFAULT_MAX_CHUNKS;
+
+    // The prefix width depends on the chunk count, which depends on the prefix width; settle it.
+    let count = 1;
+    let room;
+    for (;;) {
+        room = maxLength - `[${correlationId} ${count}/${count}] `.length;
+        if (room <= 0) throw new Error(`Message limit of ${maxLength} characters leaves no room for chunk prefixes.`);
+        const needed = Math.min(Math.ceil(text.length / room), maxChunks);
+        if (needed <= count) break;
+        count = needed;
+    }
+
+    const chunks = [];
+    for (let i = 0; i < count; i++) {
+        const isLast = i === count - 1;
+        const body = isLast ? truncateMessage(text.slice(i * room), room) : text.slice(i * room, (i + 1) * room);
+        chunks.push(`[${correlationId} ${i + 1}/${count}] ${body}`);
+    }
+    return { correlationId, chunks };
+}
+
+/**
+ * Produces the message(s) to send for one Log call.
+ * @param {string} message
+ * @param {object} [fields] - Structured context appended as key=value pairs.
+ * @param {object} options
+ * @param {number} options.maxLength - The API's message length limit.
+ * @param {'split'|'truncate'} [options.overflow='split'] - What to do with text over the limit.
+ * @param {number} [options.maxChunks]
+ * @returns {{messages: string[], correlationId: string|null}}
+ */
+function formatMessages(message, fields, options) {
+    const text = composeMessage(message, fields);
+    if (text.length <= options.maxLength) {
+        return { messages: [text], correlationId: null };
+    }
+    if (options.overflow === 'truncate') {
+        return { messages: [truncateMessage(text, options.maxLength)], correlationId: null };
+    }
+    const { correlationId, chunks } = splitMessage(text, options.maxLength, options);
+    return { messages: chunks, correlationId };
+}
+
+module.exports = { composeMessage, truncateMessage, splitMessage, formatMessages, DEFAULT_MAX_CHUNKS };
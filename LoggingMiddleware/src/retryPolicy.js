@@ -0,0 +1,56 @@
+// src/retryPolicy.js
+// Decides whether a failed delivery is retried and how long to wait before the next attempt.
+// Delays grow exponentially up to a cap, with jitter so that many callers failing at the same
+// moment don't all retry at the same moment too.
+
+const { LogValidationError } = require('./errors');
+
+const DEFAULT_RETRY_POLICY = {
+    retries: 3,              // Total attempts, including the first
+    baseDelayMs: 500,        // Delay before the second attempt (before jitter)
+    factor: 2,               // Growth per attempt
+    maxDelayMs: 10000,       // Cap on any single delay
+    jitter: 'full',          // 'full' (random 0..delay), 'equal' (delay/2 + random 0..delay/2) or 'none'
+    // Statuses worth retrying: timeouts, rate limiting and transient server errors.
+    retryableStatuses: [408, 425, 429, 500, 502, 503, 504]
+};
+
+/**
+ * Builds a retry policy from options (see DEFAULT_RETRY_POLICY).
+ *
+ * Never retried: validation errors, 4xx responses not listed in `retryableStatuses`, and errors
+ * flagged `retryable: false` (e.g. an open circuit breaker). Network errors and timeouts, which
+ * carry no status, are retried.
+ *
+ * @param {object} [options]
+ * @param {(error: Error) => boolean|undefined} [options.isRetryable] - Overrides the classification;
+ * return undefined to fall back to the default rules.
+ * @param {() => number} [options.random] - Random source in [0, 1), for tests.
+ * @returns {{maxAttempts: number, shouldRetry: (error: Error) => boolean, delayFor: (attempt: number) => number}}
+ */
+function createRetryPolicy(options = {}) {
+    const settings = { ...DEFAULT_RETRY_POLICY, ...options };
+    const retryableStatuses = new Set(settings.retryableStatuses);
+    const random = settings.random || Math.random;
+
+    const shouldRetry = (error) => {
+        const custom = settings.isRetryable ? settings.isRetryable(error) : undefined;
+        if (custom !== undefined) return custom;
+
+        if (error instanceof LogValidationError || error.retryable === false) return false;
+        if (typeof error.status === 'number') return retryableStatuses.has(error.status);
+        return true;
+    };
+
+    // `attempt` is the attempt that just failed (1-based).
+    const delayFor = (attempt) => {
+        const exponential = Math.min(settings.maxDelayMs, settings.baseDelayMs * settings.factor ** (attempt - 1));
+        if (settings.jitter === 'none') return exponential;
+        if (settings.jitter === 'equal') return exponential / 2 + random() * (exponential / 2);
+        return random() * exponential;
+    };
+
+    return { maxAttempts: Math.max(1, settings.retries), shouldRetry, delayFor };
+}
+
+module.exports = { createRetryPolicy, DEFAULT_RETRY_POLICY };
@@ -0,0 +1,161 @@
+// src/schema.js
+// The validation schema behind Logger.validateLogParams: which stacks exist, which levels
+// (and how severe they are), which packages each stack may use, and what a message must look like.
+// The default mirrors the Test Server's rules; teams can pass their own object (or, in Node,
+// a JSON file — see schemaFile.js). This module has no Node dependencies so the browser build
+// shares it.
+
+const { LogValidationError, LogSchemaError } = require('./errors');
+const { LEVEL_SEVERITY } = require('./levels');
+
+/*
+ * Schema shape (also the JSON file format):
+ * {
+ *   "levels": { "debug": 10, "info": 20, ... },          // name → numeric severity
+ *   "stacks": { "backend": ["cache", ...], "frontend": [] }, // stack → its own packages
+ *   "commonPackages": ["auth", "config", "middleware"],   // usable from every stack
+ *   "message": { "maxLength": 48, "pattern": "^[^\\n]*$" } // pattern is optional
+ * }
+ */
+const DEFAULT_SCHEMA = {
+    levels: { ...LEVEL_SEVERITY },
+    stacks: {
+        backend: ["cache", "controller", "cron", "domain", "handler", "repository", "route", "service"],
+        frontend: [] // Frontend can ONLY use the common packages
+    },
+    commonPackages: ["auth", "config", "middleware"],
+    message: {
+        // As per the server error: "has to be at most 48 characters"
+        maxLength: 48
+    }
+};
+
+// Marks objects produced by compileSchema, so they can be passed around without recompiling.
+const COMPILED = Symbol('compiledLogSchema');
+
+const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string' && item.trim() !== '');
+const lower = (items) => items.map((item) => item.toLowerCase());
+
+/**
+ * Checks a schema definition and converts it into the lookup form used by validateEntry.
+ * Names are case-insensitive and stored lowercased.
+ *
+ * @param {object} definition - A schema in the shape documented above.
+ * @returns {object} The compiled schema: `{ levels, stacks, commonPackages, message, definition }`.
+ * @throws {LogSchemaError} If the definition is malformed.
+ */
+function compileSchema(definition) {
+    if (!definition || typeof definition !== 'object') {
+        throw new LogSchemaError('Log schema must be an object.');
+    }
+    const { levels, stacks, commonPackages = [], message = {} } = definition;
+
+    if (!levels || typeof levels !== 'object' || Object.keys(levels).length === 0) {
+        throw new LogSchemaError("Log schema needs a non-empty 'levels' object mapping level names to severities.");
+    }
+    for (const [name, severity] of Object.entries(levels)) {
+        if (!Number.isFinite(severity)) {
+            throw new LogSchemaError(`Log schema level '${name}' must have a numeric severity.`);
+        }
+    }
+    if (!stacks || typeof stacks !== 'object' || Object.keys(stacks).length === 0) {
+        throw new LogSchemaError("Log schema needs a non-empty 'stacks' object mapping stacks to package lists.");
+    }
+    for (const [name, packages] of Object.entries(stacks)) {
+        if (!Array.isArray(packages) || (packages.length > 0 && !isStringArray(packages))) {
+            throw new LogSchemaError(`Log schema stack '${name}' must list its packages as an array of strings.`);
+        }
+    }
+    if (!Array.isArray(commonPackages) || (commonPackages.length > 0 && !isStringArray(commonPackages))) {
+        throw new LogSchemaError("Log schema 'commonPackages' must be an array of strings.");
+    }
+    if (message.maxLength !== undefined && !(Number.isInteger(message.maxLength) && message.maxLength > 0)) {
+        throw new LogSchemaError("Log schema 'message.maxLength' must be a positive integer.");
+    }
+
+    let pattern = null;
+    if (message.pattern !== undefined && message.pattern !== null) {
+        try {
+            pattern = new RegExp(message.pattern);
+        } catch (error) {
+            throw new LogSchemaError(`Log schema 'message.pattern' is not a valid regular expression: ${error.message}`, { cause: error });
+        }
+    }
+
+    return {
+        levels: Object.fromEntries(Object.entries(levels).map(([name, severity]) => [name.toLowerCase(), severity])),
+        stacks: Object.fromEntries(Object.entries(stacks).map(([name, packages]) => [name.toLowerCase(), lower(packages)])),
+        commonPackages: lower(commonPackages),
+        message: { maxLength: message.maxLength ?? Infinity, pattern },
+        definition,
+        [COMPILED]: true
+    };
+}
+
+/**
+ * Accepts whatever was passed as `schema`: nothing (the default), a definition object, or an
+ * already compiled schema.
+ * @param {object} [schema]
+ * @returns {object} The compiled schema.
+ */
+function resolveSchema(schema) {
+    if (schema === undefined || schema === null) return COMPILED_DEFAULT_SCHEMA;
+    if (schema[COMPILED]) return schema;
+    return compileSchema(schema);
+}
+
+/**
+ * Validates one entry against a compiled schema. Inputs are compared case-insensitively.
+ *
+ * @param {object} schema - A compiled schema.
+ * @param {string} stack
+ * @param {string} level
+ * @param {string} packageName
+ * @param {string} message
+ * @param {object} [options]
+ * @param {boolean} [options.checkLength=true] - Whether to enforce message.maxLength.
+ * @returns {true}
+ * @throws {LogValidationError} On the first rule that is broken.
+ */
+function validateEntry(schema, stack, level, packageName, message, options = {}) {
+    const stacks = Object.keys(schema.stacks);
+    const levels = Object.keys(schema.levels);
+
+    // Validate 'stack' against the schema's stacks
+    if (typeof stack !== 'string' || !stacks.includes(stack.toLowerCase())) {
+        throw new LogValidationError(`Invalid 'stack' value: '${stack}'. Must be one of: ${stacks.join(', ')} (all lowercase).`,
+            { code: 'invalid_stack', field: 'stack', value: stack });
+    }
+    // Validate 'level' against the schema's levels
+    if (typeof level !== 'string' || !levels.includes(level.toLowerCase())) {
+        throw new LogValidationError(`Invalid 'level' value: '${level}'. Must be one of: ${levels.join(', ')} (all lowercase).`,
+            { code: 'invalid_level', field: 'level', value: level });
+    }
+
+    // Validate 'packageName' against the stack's own packages plus the common ones
+    const lowerStack = stack.toLowerCase();
+    const packages = [...schema.stacks[lowerStack], ...schema.commonPackages];
+    if (typeof packageName !== 'string' || !packages.includes(packageName.toLowerCase())) {
+        throw new LogValidationError(`Invalid 'package' value: '${packageName}' for '${lowerStack}' stack. Must be one of: ${packages.join(', ')} (all lowercase).`,
+            { code: 'invalid_package', field: 'package', value: packageName });
+    }
+
+    // Validate 'message' to ensure it's a non-empty string
+    if (typeof message !== 'string' || message.trim().length === 0) {
+        throw new LogValidationError('Message must be a non-empty string.', { code: 'invalid_message', field: 'message', value: message });
+    }
+    if (options.checkLength !== false && message.length > schema.message.maxLength) {
+        throw new LogValidationError(`Message length exceeds ${schema.message.maxLength} characters. Current length: ${message.length}.`,
+            { code: 'message_too_long', field: 'message', value: message });
+    }
+    if (schema.message.pattern && !schema.message.pattern.test(message)) {
+        throw new LogValidationError(`Message does not match the required pattern ${schema.message.pattern}.`,
+            { code: 'message_pattern', field: 'message', value: message });
+    }
+
+    return true;
+}
+
+const COMPILED_DEFAULT_SCHEMA = compileSchema(DEFAULT_SCHEMA);
+
+module.exports = { DEFAULT_SCHEMA, compileSchema, resolveSchema, validateEntry };
@@ -0,0 +1,33 @@
+// src/schemaFile.js
+// Node-only schema helpers: loading a validation schema from a JSON file.
+
+const fs = require('fs');
+const { compileSchema, resolveSchema } = require('./schema');
+const { LogSchemaError } = require('./errors');
+
+/**
+ * Reads and compiles a schema from a JSON file.
+ * @param {string} path
+ * @returns {object} The compiled schema.
+ * @throws {LogSchemaError} If the file cannot be read, parsed or compiled.
+ */
+function loadSchema(path) {
+    let definition;
+    try {
+        definition = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+        throw new LogSchemaError(`Could not load log schema from ${path}: ${error.message}`, { cause: error });
+    }
+    return compileSchema(definition);
+}
+
+/**
+ * Like schema.resolveSchema, but also accepts the path of a JSON schema file.
+ * @param {string|object} [schema]
+ * @returns {object} The compiled schema.
+ */
+function resolveSchemaOrFile(schema) {
+    return typeof schema === 'string' ? loadSchema(schema) : resolveSchema(schema);
+}
+
+module.exports = { loadSchema, resolveSchemaOrFile };
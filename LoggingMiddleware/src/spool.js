@@ -0,0 +1,68 @@
+// src/spool.js
+// A disk-backed spool for log entries that could not be delivered.
+// Entries are stored as JSON lines so a partially written file loses at most its last line.
+
+const fs = require('fs/promises');
+
+/**
+ * Appends entries to the spool file, creating it if needed.
+ * @param {string} spoolPath - Path of the JSON-lines spool file.
+ * @param {object[]} entries - Log payloads to persist.
+ * @returns {Promise<void>}
+ */
+async function appendToSpool(spoolPath, entries) {
+    if (entries.length === 0) return;
+    const lines = entries.map((entry) => JSON.stringify(entry)).join('\n') + '\n';
+    await fs.appendFile(spoolPath, lines, 'utf8');
+}
+
+/**
+ * Reads every entry from the spool file. Unparseable lines (e.g. from a crash mid-write) are skipped.
+ * @param {string} spoolPath - Path of the JSON-lines spool file.
+ * @returns {Promise<object[]>} The spooled entries, oldest first; empty if the file does not exist.
+ */
+async function readSpool(spoolPath) {
+    let content;
+    try {
+        content = await fs.readFile(spoolPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            console.warn(`[Logger] Skipping corrupt spool line: ${error.message}`);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Replaces the spool contents, keeping only the newest `maxEntries`. Writes to a temporary file
+ * first and renames it, so a crash never leaves a half-written spool behind.
+ * @param {string} spoolPath - Path of the JSON-lines spool file.
+ * @param {object[]} entries - The entries that should remain spooled.
+ * @param {number} [maxEntries=Infinity] - Upper bound on spooled entries; the oldest are dropped first.
+ * @returns {Promise<number>} How many entries were dropped to respect `maxEntries`.
+ */
+async function writeSpool(spoolPath, entries, maxEntries = Infinity) {
+    const dropped = Math.max(0, entries.length - maxEntries);
+    const kept = dropped > 0 ? entries.slice(dropped) : entries;
+
+    if (kept.length === 0) {
+        await fs.rm(spoolPath, { force: true });
+        return dropped;
+    }
+
+    const tempPath = `${spoolPath}.tmp`;
+    await fs.writeFile(tempPath, kept.map((entry) => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+    await fs.rename(tempPath, spoolPath);
+    return dropped;
+}
+
+module.exports = { appendToSpool, readSpool, writeSpool };
@@ -0,0 +1,54 @@
+// src/transports/consoleTransport.js
+// Pretty-prints entries to the terminal: "HH:MM:SS.mmm LEVEL stack/package message".
+// Useful for local development and tests where no log server is running.
+
+const Transport = require('./transport');
+
+const LEVEL_COLORS = {
+    debug: '\x1b[90m', // grey
+    info: '\x1b[36m',  // cyan
+    warn: '\x1b[33m',  // yellow
+    error: '\x1b[31m', // red
+    fatal: '\x1b[35m'  // magenta
+};
+const RESET = '\x1b[0m';
+
+class ConsoleTransport extends Transport {
+    /**
+     * @param {object} [options] - Also accepts the base Transport options.
+     * @param {NodeJS.WritableStream} [options.stream] - Destination for debug/info; stdout by default.
+     * @param {NodeJS.WritableStream} [options.errorStream] - Destination for warn and above; stderr by default.
+     * @param {boolean} [options.colors] - ANSI colors; on when the destination is a TTY.
+     * @param {() => Date} [options.now] - Clock, for tests.
+     */
+    constructor(options = {}) {
+        super(options);
+        this.stream = options.stream || process.stdout;
+        this.errorStream = options.errorStream || options.stream || process.stderr;
+        this.colors = options.colors;
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Formats an entry as one line, without the trailing newline.
+     * @param {object} logData
+     * @param {boolean} [colors=false]
+     * @returns {string}
+     */
+    format(logData, colors = false) {
+        const time = this.now().toISOString().slice(11, 23);
+        const level = logData.level.toUpperCase().padEnd(5);
+        const source = `${logData.stack}/${logData.package}`;
+        const paint = (text) => colors ? `${LEVEL_COLORS[logData.level] || ''}${text}${RESET}` : text;
+        return `${time} ${paint(level)} ${source} ${logData.message}`;
+    }
+
+    async send(logData) {
+        const stream = ['warn', 'error', 'fatal'].includes(logData.level) ? this.errorStream : this.stream;
+        const colors = this.colors ?? Boolean(stream.isTTY);
+        stream.write(this.format(logData, colors) + '\n');
+        return { transport: 'console' };
+    }
+}
+
+module.exports = ConsoleTransport;
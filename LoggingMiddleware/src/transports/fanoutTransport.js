@@ -0,0 +1,51 @@
+// src/transports/fanoutTransport.js
+// Sends each entry to several transports at once, each filtering by its own minimum level.
+// One sink failing does not stop the others; the send only fails when every sink that accepted
+// the entry failed, so the Logger's retries never duplicate entries on the sinks that worked.
+
+const Transport = require('./transport');
+
+class FanoutTransport extends Transport {
+    /**
+     * @param {Transport[]} transports - The sinks to deliver to.
+     * @param {object} [options] - Base Transport options; the fan-out's own level is checked first.
+     */
+    constructor(transports, options = {}) {
+        super(options);
+        if (!Array.isArray(transports) || transports.length === 0) {
+            throw new Error('FanoutTransport requires at least one transport.');
+        }
+        this.transports = transports;
+    }
+
+    accepts(level) {
+        return super.accepts(level) && this.transports.some((transport) => transport.accepts(level));
+    }
+
+    /**
+     * @returns {Promise<{results: object[]}>} One `{ transport, response }` or `{ transport, error }` per sink that accepted the entry.
+     */
+    async send(logData) {
+        const targets = this.transports.filter((transport) => transport.accepts(logData.level));
+        const settled = await Promise.allSettled(targets.map((transport) => transport.send(logData)));
+
+        const results = settled.map((outcome, i) => outcome.status === 'fulfilled'
+            ? { transport: targets[i].name, response: outcome.value }
+            : { transport: targets[i].name, error: outcome.reason.message });
+
+        const failures = results.filter((result) => result.error);
+        if (failures.length > 0 && failures.length === results.length) {
+            throw new Error(`All log transports failed: ${failures.map((f) => `${f.transport}: ${f.error}`).join('; ')}`);
+        }
+        for (const failure of failures) {
+            console.warn(`[Logger] Transport ${failure.transport} failed: ${failure.error}`);
+        }
+        return { results };
+    }
+
+    async close() {
+        await Promise.all(this.transports.map((transport) => transport.close()));
+    }
+}
+
+module.exports = FanoutTransport;
@@ -0,0 +1,78 @@
+// src/transports/fileTransport.js
+// Appends entries as JSON lines ({ time, stack, level, package, message }) and rotates by size:
+// app.log → app.log.1 → app.log.2 …, keeping at most `maxFiles` rotated files.
+
+const fs = require('fs/promises');
+const path = require('path');
+const Transport = require('./transport');
+
+class FileTransport extends Transport {
+    #size = null; // Bytes in the current file; read lazily on the first write
+    #chain = Promise.resolve(); // Writes and rotations are serialized
+
+    /**
+     * @param {object} options - Also accepts the base Transport options.
+     * @param {string} options.path - The active log file.
+     * @param {number} [options.maxBytes=5242880] - Rotate once the file would grow past this size.
+     * @param {number} [options.maxFiles=5] - Rotated files to keep; older ones are deleted.
+     * @param {() => Date} [options.now] - Clock, for tests.
+     */
+    constructor(options = {}) {
+        super(options);
+        if (!options.path) {
+            throw new Error('FileTransport requires a `path`.');
+        }
+        this.path = options.path;
+        this.maxBytes = options.maxBytes || 5 * 1024 * 1024;
+        this.maxFiles = options.maxFiles ?? 5;
+        this.now = options.now || (() => new Date());
+    }
+
+    send(logData) {
+        const line = JSON.stringify({ time: this.now().toISOString(), ...logData }) + '\n';
+        const operation = this.#chain.then(() => this.#write(line));
+        this.#chain = operation.catch(() => {});
+        return operation;
+    }
+
+    async close() {
+        await this.#chain;
+    }
+
+    async #write(line) {
+        const bytes = Buffer.byteLength(line);
+
+        if (this.#size === null) {
+            await fs.mkdir(path.dirname(this.path), { recursive: true });
+            this.#size = await fs.stat(this.path).then((stat) => stat.size, () => 0);
+        }
+
+        // A single oversized line still gets written, to a fresh file of its own.
+        if (this.#size > 0 && this.#size + bytes > this.maxBytes) {
+            await this.#rotate();
+        }
+
+        await fs.appendFile(this.path, line, 'utf8');
+        this.#size += bytes;
+        return { transport: 'file', path: this.path };
+    }
+
+    async #rotate() {
+        const rotated = (index) => `${this.path}.${index}`;
+
+        if (this.maxFiles < 1) {
+            await fs.rm(this.path, { force: true });
+        } else {
+            await fs.rm(rotated(this.maxFiles), { force: true });
+            for (let index = this.maxFiles - 1; index >= 1; index--) {
+                await fs.rename(rotated(index), rotated(index + 1)).catch((error) => {
+                    if (error.code !== 'ENOENT') throw error;
+                });
+            }
+            await fs.rename(this.path, rotated(1));
+        }
+        this.#size = 0;
+    }
+}
+
+module.exports = FileTransport;
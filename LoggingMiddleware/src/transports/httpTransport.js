@@ -0,0 +1,142 @@
+// src/transports/httpTransport.js
+// Sends entries to the Test Server's log API (POST <base>/logs) with a bearer token from auth.js.
+// This is the Logger's original delivery path. A 401 means the token was revoked or expired
+// early: the transport then refreshes it once and repeats the call.
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const Transport = require('./transport');
+const { getAuthToken, TokenManager } = require('../auth'); // Import the token acquisition helpers
+const { LogDeliveryError } = require('../errors');
+
+class HttpTransport extends Transport {
+    /**
+     * @param {object} [options] - Also accepts the base Transport options.
+     * @param {string} [options.baseUrl] - Log API base URL; defaults to LOG_API_BASE_URL.
+     * @param {string} [options.url] - Full log endpoint; defaults to `${baseUrl}/logs`.
+     * @param {number} [options.timeout=5000] - Request timeout in ms.
+     * @param {*} [options.credentials] - Credential source for a dedicated TokenManager
+     * (see auth.js); without it, and without a custom baseUrl, the shared getAuthToken() is used.
+     * @param {(options?: object) => Promise<string>} [options.getToken] - Custom token source.
+     * Receives `{ rejectedToken }` after a 401.
+     */
+    constructor(options = {}) {
+        super(options);
+        const baseUrl = options.baseUrl || process.env.LOG_API_BASE_URL;
+        this.url = options.url || `${baseUrl}/logs`;
+        this.timeout = options.timeout || 5000;
+
+        if (options.getToken) {
+            this.getToken = options.getToken;
+        } else if (options.credentials || options.baseUrl) {
+            const tokens = new TokenManager({ authUrl: `${baseUrl}/auth`, credentials: options.credentials, timeout: this.timeout });
+            this.getToken = (tokenOptions) => tokens.getToken(tokenOptions);
+        } else {
+            this.getToken = getAuthToken;
+        }
+    }
+
+    /**
+     * Sends one payload with a single attempt: fetches a token, then calls the log API.
+     *
+     * @param {object} logData - The payload built by the Logger.
+     * @returns {Promise<object>} The API response (includes `logID`).
+     * @throws {LogDeliveryError} If authentication or the API call fails.
+     */
+    async send(logData) {
+        const token = await this.#token();
+        try {
+            return await this.#post(logData, token);
+        } catch (error) {
+            if (error.status !== 401) throw error;
+            // The token was refused: replace it (once, however many calls hit the 401) and retry.
+            return this.#post(logData, await this.#token({ rejectedToken: token }));
+        }
+    }
+
+    async #token(options) {
+        // Get the authorization token before each attempt to ensure it's valid/fresh.
+        // The token source handles its own caching and re-fetching logic.
+        let token;
+        try {
+            token = await this.getToken(options);
+        } catch (error) {
+            throw new LogDeliveryError(`Failed to acquire authentication token for logging: ${error.message}`, { cause: error });
+        }
+        if (!token) {
+            // If getAuthToken returns null, it means auth failed.
+            throw new LogDeliveryError("Failed to acquire authentication token for logging.");
+        }
+        return token;
+    }
+
+    /**
+     * Makes the actual API call to the logging endpoint using Node.js's native http/https modules.
+     *
+     * @param {object} logData - The log payload object to send (e.g., { stack, level, package, message }).
+     * @param {string} token - The authorization token obtained from the authentication API.
+     * @returns {Promise<object>} A promise that resolves with the API response data if successful.
+     * @throws {LogDeliveryError} If the API call fails (non-200/201 status code) or the response is invalid.
+     */
+    #post(logData, token) {
+        return new Promise((resolve, reject) => {
+            const url = new URL(this.url); // Parse the logging API URL
+            const isHttps = url.protocol === 'https:';
+            const httpModule = isHttps ? https : http; // Select http or https module
+
+            const postData = JSON.stringify(logData); // Stringify the log data for the request body
+
+            // Define request options
+            const options = {
+                hostname: url.hostname,
+                port: url.port || (isHttps ? 443 : 80), // Use default ports if not specified
+                path: url.pathname,
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(postData), // Required for POST requests
+                    'Authorization': `Bearer ${token}` // Use the dynamically obtained token for authorization
+                },
+                timeout: this.timeout
+            };
+
+            // Create the HTTP/HTTPS request
+            const req = httpModule.request(options, (res) => {
+                let data = '';
+                res.on('data', (chunk) => data += chunk); // Accumulate response data
+                res.on('end', () => {
+                    try {
+                        const response = JSON.parse(data); // Parse the JSON response
+                        // Accept both 200 and 201 status codes for log API
+                        if (res.statusCode === 200 || res.statusCode === 201) {
+                            resolve(response); // Resolve if status is 200 or 201 (OK/Created)
+                        } else {
+                            // Reject if API call failed with a non-200/201 status code
+                            reject(new LogDeliveryError(`Log API call failed with status ${res.statusCode}: ${data}`, { status: res.statusCode }));
+                        }
+                    } catch (error) {
+                        // Reject if JSON parsing fails (e.g., non-JSON response)
+                        reject(new LogDeliveryError(`Failed to parse log API response: ${error.message}`, { status: res.statusCode, cause: error }));
+                    }
+                });
+            });
+
+            // Handle request errors (e.g., network issues)
+            req.on('error', (error) => {
+                reject(new LogDeliveryError(`Log API request failed: ${error.message}`, { cause: error }));
+            });
+
+            // Handle request timeout
+            req.on('timeout', () => {
+                req.destroy(); // Destroy the request to stop it
+                reject(new LogDeliveryError('Log API request timeout'));
+            });
+
+            req.write(postData); // Send the request body
+            req.end(); // End the request
+        });
+    }
+}
+
+module.exports = HttpTransport;
@@ -0,0 +1,10 @@
+// src/transports/index.js
+// Built-in transports for the Logger.
+
+module.exports = {
+    Transport: require('./transport'),
+    HttpTransport: require('./httpTransport'),
+    ConsoleTransport: require('./consoleTransport'),
+    FileTransport: require('./fileTransport'),
+    FanoutTransport: require('./fanoutTransport')
+};
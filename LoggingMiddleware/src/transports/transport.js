@@ -0,0 +1,48 @@
+// src/transports/transport.js
+// Base class for log transports. A transport delivers one prepared payload
+// ({ stack, level, package, message }) somewhere and applies its own minimum level.
+
+const { LEVEL_SEVERITY, isLevelEnabled } = require('../levels');
+
+class Transport {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.level='debug'] - Minimum level this transport delivers.
+     * @param {string} [options.name] - Label used in warnings; defaults to the class name.
+     */
+    constructor(options = {}) {
+        const level = (options.level || 'debug').toLowerCase();
+        if (LEVEL_SEVERITY[level] === undefined) {
+            throw new Error(`Invalid transport level: '${options.level}'. Must be one of: ${Object.keys(LEVEL_SEVERITY).join(', ')}.`);
+        }
+        this.level = level;
+        this.name = options.name || this.constructor.name;
+    }
+
+    /**
+     * Whether an entry at `level` should be delivered by this transport.
+     * @param {string} level
+     * @returns {boolean}
+     */
+    accepts(level) {
+        return isLevelEnabled(level, this.level);
+    }
+
+    /**
+     * Delivers one payload. Subclasses must implement this and reject on failure so the Logger
+     * can retry or re-buffer the entry.
+     * @param {object} logData
+     * @returns {Promise<object>} Transport-specific result.
+     */
+    async send(logData) {
+        throw new Error(`${this.name} does not implement send().`);
+    }
+
+    /**
+     * Releases resources (open files, sockets). Optional.
+     * @returns {Promise<void>}
+     */
+    async close() {}
+}
+
+module.exports = Transport;
@@ -0,0 +1,151 @@
+// test/auth.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startStubLogServer } = require('./helpers/stubLogServer');
+const {
+    TokenManager,
+    envCredentials,
+    fileCredentials,
+    staticCredentials,
+    chainCredentials,
+    toExpiryTime
+} = require('../src/auth');
+
+const CREDENTIALS = {
+    email: 'test@example.com',
+    name: 'test',
+    rollNo: '0000',
+    accessCode: 'code',
+    clientID: 'client',
+    clientSecret: 'secret'
+};
+
+let logServer;
+let tmpDir;
+
+before(async () => {
+    logServer = await startStubLogServer();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-auth-'));
+});
+
+after(() => {
+    logServer.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => logServer.setExpiresIn(() => Math.floor(Date.now() / 1000) + 3600));
+
+const newManager = (options = {}) => new TokenManager({ authUrl: `${logServer.url}/auth`, credentials: CREDENTIALS, ...options });
+
+describe('toExpiryTime', () => {
+    const now = 1_700_000_000;
+
+    it('treats small values as a lifetime in seconds', () => {
+        assert.equal(toExpiryTime(3600, now), now + 3600);
+        assert.equal(toExpiryTime('300', now), now + 300);
+    });
+
+    it('treats timestamp-sized values as absolute, scaling milliseconds down', () => {
+        assert.equal(toExpiryTime(now + 60, now), now + 60);
+        assert.equal(toExpiryTime((now + 60) * 1000, now), now + 60);
+    });
+
+    it('rejects missing or non-positive values', () => {
+        assert.throws(() => toExpiryTime('soon', now), /invalid "expires_in"/);
+        assert.throws(() => toExpiryTime(0, now), /invalid "expires_in"/);
+    });
+});
+
+describe('TokenManager', () => {
+    it('shares one auth request between concurrent callers', async () => {
+        const tokens = newManager();
+        const before = logServer.authRequests;
+
+        const results = await Promise.all(Array.from({ length: 10 }, () => tokens.getToken()));
+
+        assert.equal(logServer.authRequests, before + 1);
+        assert.ok(results.every((token) => token === results[0]));
+    });
+
+    it('caches relative expiries and refreshes once inside the margin', async () => {
+        let now = Date.now();
+        const tokens = newManager({ now: () => now, refreshMarginSeconds: 60 });
+        logServer.setExpiresIn(() => 300); // A lifetime, not a timestamp
+        const before = logServer.authRequests;
+
+        await tokens.getToken();
+        now += 200 * 1000;
+        await tokens.getToken();
+        assert.equal(logServer.authRequests, before + 1);
+
+        now += 60 * 1000; // 40s left, inside the 60s margin
+        await tokens.getToken();
+        assert.equal(logServer.authRequests, before + 2);
+    });
+
+    it('replaces a rejected token only once for a burst of 401s', async () => {
+        const tokens = newManager();
+        const rejected = await tokens.getToken();
+        logServer.revokeToken();
+        const before = logServer.authRequests;
+
+        const replacements = await Promise.all(Array.from({ length: 5 }, () => tokens.getToken({ rejectedToken: rejected })));
+        const later = await tokens.getToken({ rejectedToken: rejected });
+
+        assert.equal(logServer.authRequests, before + 1);
+        assert.notEqual(replacements[0], rejected);
+        assert.equal(later, replacements[0]);
+    });
+
+    it('reports missing credentials clearly', async () => {
+        const tokens = newManager({ credentials: chainCredentials([envCredentials({})]) });
+        await assert.rejects(tokens.getToken(), /No credentials found \(tried: env\)/);
+    });
+});
+
+describe('credential providers', () => {
+    it('reads the MY_* environment variables', async () => {
+        const env = { MY_EMAIL: 'a@b.c', MY_NAME: 'n', MY_ROLL_NO: '1', MY_ACCESS_CODE: 'x', MY_CLIENT_ID: 'id', MY_CLIENT_SECRET: 's' };
+        assert.deepEqual(await envCredentials(env).getCredentials(), {
+            email: 'a@b.c', name: 'n', rollNo: '1', accessCode: 'x', clientID: 'id', clientSecret: 's'
+        });
+        assert.equal(await envCredentials({ MY_EMAIL: 'a@b.c' }).getCredentials(), null);
+    });
+
+    it('reads cred.json in either object or registration-array form', async () => {
+        const objectFile = path.join(tmpDir, 'object.json');
+        const arrayFile = path.join(tmpDir, 'array.json');
+        fs.writeFileSync(objectFile, JSON.stringify(CREDENTIALS));
+        fs.writeFileSync(arrayFile, JSON.stringify([CREDENTIALS, { token_type: 'Bearer', access_token: 'old', expires_in: 1 }]));
+
+        assert.deepEqual(await fileCredentials(objectFile).getCredentials(), CREDENTIALS);
+        assert.deepEqual(await fileCredentials(arrayFile).getCredentials(), CREDENTIALS);
+        assert.equal(await fileCredentials(path.join(tmpDir, 'missing.json')).getCredentials(), null);
+    });
+
+    it('validates injected objects up front', () => {
+        assert.throws(() => staticCredentials({ email: 'a@b.c' }), /missing: name, rollNo/);
+    });
+
+    it('falls through a chain to the first source with credentials', async () => {
+        const chain = chainCredentials([envCredentials({}), fileCredentials(path.join(tmpDir, 'missing.json')), staticCredentials(CREDENTIALS)]);
+        assert.deepEqual(await chain.getCredentials(), CREDENTIALS);
+    });
+});
+
+describe('Logger without a .env', () => {
+    it('authenticates with injected credentials and recovers from a revoked token', async () => {
+        const Logger = require('../src/index');
+        const logger = new Logger({ apiBaseUrl: logServer.url, credentials: CREDENTIALS, retries: 1 });
+
+        await logger.info('backend', 'config', 'first');
+        logServer.revokeToken();
+        const response = await logger.info('backend', 'config', 'after revoke');
+
+        assert.ok(response && response.logID);
+        assert.equal(logServer.logs.at(-1).message, 'after revoke');
+    });
+});
@@ -0,0 +1,114 @@
+// test/batching.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startStubLogServer, useStubLogServer } = require('./helpers/stubLogServer');
+const { readSpool } = require('../src/spool');
+
+let logServer;
+let Logger;
+let tmpDir;
+
+before(async () => {
+    logServer = await startStubLogServer();
+    useStubLogServer(logServer.url);
+    Logger = require('../src/index');
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-spool-'));
+});
+
+after(() => {
+    logServer.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    logServer.logs.length = 0;
+    logServer.failNextLogs(0);
+});
+
+describe('Logger batching', () => {
+    it('queues entries without a round-trip and sends them on flush()', async () => {
+        const logger = new Logger({ batch: { flushIntervalMs: 60000 } });
+
+        assert.deepEqual(await logger.info('backend', 'handler', 'queued one'), { queued: true });
+        await logger.info('backend', 'handler', 'queued two');
+        assert.equal(logServer.logs.length, 0);
+
+        assert.deepEqual(await logger.flush(), { sent: 2, failed: 0 });
+        assert.deepEqual(logServer.logs.map((entry) => entry.message), ['queued one', 'queued two']);
+        await logger.close();
+    });
+
+    it('flushes automatically once maxBatchSize entries are queued', async () => {
+        const logger = new Logger({ batch: { maxBatchSize: 3, flushIntervalMs: 60000 } });
+
+        for (let i = 0; i < 3; i++) await logger.debug('backend', 'service', `entry ${i}`);
+        await logger.flush();
+
+        assert.equal(logServer.logs.length, 3);
+        await logger.close();
+    });
+
+    it('rejects invalid entries up front instead of queueing them', async () => {
+        const logger = new Logger({ batch: true });
+        assert.equal(await logger.info('backend', 'nope', 'msg'), null);
+        assert.equal(logger.batcher.size, 0);
+        await logger.close();
+    });
+
+    it('spools entries during an outage and replays them in order once the server is back', async () => {
+        const spoolPath = path.join(tmpDir, 'outage.jsonl');
+        const logger = new Logger({ batch: { spoolPath, flushIntervalMs: 60000 } });
+
+        logServer.failNextLogs(1, 503);
+        await logger.warn('backend', 'repository', 'first');
+        await logger.warn('backend', 'repository', 'second');
+        assert.deepEqual(await logger.flush(), { sent: 0, failed: 2 });
+        assert.deepEqual((await readSpool(spoolPath)).map((entry) => entry.message), ['first', 'second']);
+
+        await logger.warn('backend', 'repository', 'third');
+        assert.deepEqual(await logger.flush(), { sent: 3, failed: 0 });
+        assert.deepEqual(logServer.logs.map((entry) => entry.message), ['first', 'second', 'third']);
+        assert.equal(fs.existsSync(spoolPath), false);
+        await logger.close();
+    });
+
+    it('persists leftovers on close() so the next Logger delivers them', async () => {
+        const spoolPath = path.join(tmpDir, 'restart.jsonl');
+        const first = new Logger({ batch: { spoolPath, flushIntervalMs: 60000 } });
+
+        logServer.failNextLogs(1);
+        await first.error('backend', 'handler', 'survives restart');
+        await first.close();
+        assert.equal(await first.info('backend', 'handler', 'too late'), null);
+        assert.equal((await readSpool(spoolPath)).length, 1);
+
+        const second = new Logger({ batch: { spoolPath, flushIntervalMs: 60000 } });
+        await second.flush();
+        assert.deepEqual(logServer.logs.map((entry) => entry.message), ['survives restart']);
+        await second.close();
+    });
+
+    it('drops the oldest entries when the queue is full and there is no spool', async () => {
+        const logger = new Logger({ batch: { maxQueueSize: 2, maxBatchSize: 100, flushIntervalMs: 60000 } });
+
+        await logger.info('backend', 'cache', 'a');
+        await logger.info('backend', 'cache', 'b');
+        await logger.info('backend', 'cache', 'c');
+        await logger.flush();
+
+        assert.equal(logger.batcher.dropped, 1);
+        assert.deepEqual(logServer.logs.map((entry) => entry.message), ['b', 'c']);
+        await logger.close();
+    });
+});
+
+describe('Logger.flush/close without batching', () => {
+    it('resolve immediately', async () => {
+        const logger = new Logger();
+        assert.deepEqual(await logger.flush(), { sent: 0, failed: 0 });
+        assert.deepEqual(await logger.close(), { sent: 0, failed: 0 });
+    });
+});
@@ -0,0 +1,173 @@
+// test/browser.test.js
+// Exercises the browser build under Node with fake fetch, navigator and window objects.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { BrowserLogger, captureGlobalErrors, createErrorBoundary } = require('../src/browser');
+
+// Records fetch calls; `status` controls the response.
+function fakeFetch(status = 202) {
+    const calls = [];
+    const fetch = async (url, init) => {
+        calls.push({ url, init, body: JSON.parse(init.body) });
+        if (status === 'network') throw new TypeError('Failed to fetch');
+        return { ok: status < 400, status };
+    };
+    fetch.calls = calls;
+    return fetch;
+}
+
+// A window whose document can be hidden, plus a navigator recording beacons.
+function fakePage() {
+    const window = new EventTarget();
+    window.document = new EventTarget();
+    window.document.visibilityState = 'visible';
+    const beacons = [];
+    const navigator = {
+        sendBeacon(url, blob) {
+            beacons.push({ url, blob });
+            return true;
+        }
+    };
+    return { window, navigator, beacons };
+}
+
+const newLogger = (options = {}) => new BrowserLogger({ flushIntervalMs: 0, window: null, ...options });
+
+describe('BrowserLogger', () => {
+    it('queues validated entries and posts them in batches with fetch', async () => {
+        const fetch = fakeFetch();
+        const logger = newLogger({ fetch, endpoint: '/client-logs', getToken: async () => 'tok' });
+
+        assert.deepEqual(logger.info('frontend', 'config', 'loaded'), { queued: true });
+        logger.warn('frontend', 'auth', 'key missing');
+        assert.equal(fetch.calls.length, 0);
+
+        assert.deepEqual(await logger.flush(), { sent: 2, failed: 0 });
+        assert.equal(fetch.calls.length, 1);
+        assert.equal(fetch.calls[0].url, '/client-logs');
+        assert.equal(fetch.calls[0].init.headers.Authorization, 'Bearer tok');
+        assert.deepEqual(fetch.calls[0].body, [
+            { stack: 'frontend', level: 'info', package: 'config', message: 'loaded' },
+            { stack: 'frontend', level: 'warn', package: 'auth', message: 'key missing' }
+        ]);
+    });
+
+    it('applies the frontend package rules', () => {
+        const logger = newLogger({ fetch: fakeFetch() });
+        assert.equal(logger.info('frontend', 'handler', 'not allowed'), null);
+        assert.equal(logger.size, 0);
+    });
+
+    it('splits long messages and can send entries one per request', async () => {
+        const fetch = fakeFetch();
+        const logger = newLogger({ fetch, sendBatches: false });
+
+        const { correlationId } = logger.error('frontend', 'middleware', 'request failed', { url: `https://example.com/${'x'.repeat(60)}` });
+        await logger.flush();
+
+        assert.ok(correlationId);
+        assert.ok(fetch.calls.length > 1);
+        assert.ok(fetch.calls.every((call) => !Array.isArray(call.body) && call.body.message.startsWith(`[${correlationId} `)));
+    });
+
+    it('keeps entries for the next flush when the network fails, and drops rejected ones', async () => {
+        const offline = newLogger({ fetch: fakeFetch('network') });
+        offline.info('frontend', 'config', 'one');
+        assert.deepEqual(await offline.flush(), { sent: 0, failed: 1 });
+        assert.equal(offline.size, 1);
+
+        const refused = newLogger({ fetch: fakeFetch(400) });
+        refused.info('frontend', 'config', 'one');
+        assert.deepEqual(await refused.flush(), { sent: 0, failed: 0 });
+        assert.equal(refused.size, 0);
+    });
+
+    it('flushes automatically once maxBatchSize entries are queued', async () => {
+        const fetch = fakeFetch();
+        const logger = newLogger({ fetch, maxBatchSize: 2 });
+        logger.debug('frontend', 'config', 'a');
+        logger.debug('frontend', 'config', 'b');
+        await logger.flush();
+        assert.equal(fetch.calls[0].body.length, 2);
+    });
+
+    it('hands queued entries to sendBeacon when the page is hidden or unloaded', async () => {
+        const { window, navigator, beacons } = fakePage();
+        const logger = new BrowserLogger({ flushIntervalMs: 0, window, navigator, fetch: fakeFetch(), endpoint: '/client-logs' });
+
+        logger.info('frontend', 'config', 'before hide');
+        window.document.visibilityState = 'hidden';
+        window.document.dispatchEvent(new Event('visibilitychange'));
+
+        logger.info('frontend', 'config', 'before unload');
+        window.dispatchEvent(new Event('pagehide'));
+
+        assert.equal(beacons.length, 2);
+        assert.equal(beacons[0].url, '/client-logs');
+        assert.equal(beacons[0].blob.type, 'application/json');
+        assert.deepEqual(JSON.parse(await beacons[1].blob.text()).map((entry) => entry.message), ['before unload']);
+        assert.equal(logger.size, 0);
+
+        await logger.close();
+        logger.info('frontend', 'config', 'after close');
+        window.dispatchEvent(new Event('pagehide'));
+        assert.equal(beacons.length, 2);
+    });
+
+    it('falls back to a keepalive fetch when sendBeacon refuses', () => {
+        const fetch = fakeFetch();
+        const logger = newLogger({ fetch, navigator: { sendBeacon: () => false } });
+        logger.info('frontend', 'config', 'bye');
+
+        assert.equal(logger.flushWithBeacon(), 1);
+        assert.equal(fetch.calls[0].init.keepalive, true);
+    });
+});
+
+describe('captureGlobalErrors', () => {
+    it('logs uncaught errors and unhandled rejections until removed', () => {
+        const target = new EventTarget();
+        const calls = [];
+        const logger = { Log: (...args) => calls.push(args) };
+        const remove = captureGlobalErrors(logger, { target });
+
+        const errorEvent = new Event('error');
+        Object.assign(errorEvent, { error: new TypeError('x is undefined'), filename: 'app.js', lineno: 3, colno: 7 });
+        target.dispatchEvent(errorEvent);
+        const rejection = new Event('unhandledrejection');
+        rejection.reason = 'timeout';
+        target.dispatchEvent(rejection);
+        remove();
+        target.dispatchEvent(rejection);
+
+        assert.deepEqual(calls, [
+            ['frontend', 'error', 'middleware', 'uncaught error', { error: 'TypeError: x is undefined', source: 'app.js:3:7' }],
+            ['frontend', 'error', 'middleware', 'unhandled rejection', { reason: 'timeout' }]
+        ]);
+    });
+});
+
+describe('createErrorBoundary', () => {
+    // Just enough of React for the boundary's class to be exercised directly.
+    const React = { Component: class { constructor(props) { this.props = props; } setState(update) { Object.assign(this.state, update); } } };
+
+    it('logs caught render errors under a common package and renders the fallback', () => {
+        const calls = [];
+        const Boundary = createErrorBoundary(React, { Log: (...args) => calls.push(args) });
+        const boundary = new Boundary({ packageName: 'auth', fallback: ({ error }) => `failed: ${error.message}`, children: 'ok' });
+
+        assert.equal(boundary.render(), 'ok');
+        const error = new Error('boom');
+        Object.assign(boundary.state, Boundary.getDerivedStateFromError(error));
+        boundary.componentDidCatch(error, { componentStack: '\n    at Profile\n    at App' });
+
+        assert.equal(boundary.render(), 'failed: boom');
+        assert.deepEqual(calls, [['frontend', 'error', 'auth', 'render error', { error: 'Error: boom', component: 'at Profile' }]]);
+        boundary.reset();
+        assert.equal(boundary.render(), 'ok');
+    });
+
+    it('only allows the common packages', () => {
+        assert.throws(() => createErrorBoundary(React, { Log() {} }, { packageName: 'handler' }), /must be one of/);
+    });
+});
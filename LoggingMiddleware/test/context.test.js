@@ -0,0 +1,120 @@
+// test/context.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Logger = require('../src/index');
+
+// Roomy messages so context fields don't get split into chunks.
+const ROOMY_SCHEMA = { ...Logger.DEFAULT_SCHEMA, message: { maxLength: 500 } };
+
+// Collects delivered payloads in memory.
+function recordingTransport() {
+    const transport = new Logger.Transport();
+    transport.entries = [];
+    transport.send = async (logData) => {
+        transport.entries.push(logData);
+        return { logID: String(transport.entries.length) };
+    };
+    return transport;
+}
+
+function createLogger(config = {}) {
+    const transport = recordingTransport();
+    return { transport, logger: new Logger({ transport, schema: ROOMY_SCHEMA, ...config }) };
+}
+
+describe('Logger level filtering', () => {
+    it('drops entries below the minimum level before they are sent', async () => {
+        const { transport, logger } = createLogger({ level: 'warn' });
+
+        assert.deepEqual(await logger.info('backend', 'service', 'chatty'), { skipped: true });
+        await logger.error('backend', 'service', 'important');
+
+        assert.deepEqual(transport.entries.map((entry) => entry.message), ['important']);
+    });
+
+    it('lets packageLevels override the minimum level per package', async () => {
+        const { transport, logger } = createLogger({ level: 'info', packageLevels: { Repository: 'debug', route: 'error' } });
+
+        await logger.debug('backend', 'repository', 'query plan');
+        await logger.debug('backend', 'service', 'filtered');
+        await logger.warn('backend', 'route', 'filtered too');
+
+        assert.deepEqual(transport.entries.map((entry) => entry.message), ['query plan']);
+    });
+
+    it('ranks levels by the schema severities', async () => {
+        const schema = { ...ROOMY_SCHEMA, levels: { trace: 5, info: 20, alert: 60 } };
+        const { transport, logger } = createLogger({ schema, level: 'info' });
+
+        await logger.Log('backend', 'trace', 'service', 'filtered');
+        await logger.Log('backend', 'alert', 'service', 'kept');
+
+        assert.deepEqual(transport.entries.map((entry) => entry.message), ['kept']);
+    });
+
+    it('samples the configured levels only', async () => {
+        const draws = [0.05, 0.5, 0.09, 0.99];
+        const { transport, logger } = createLogger({ sampling: { debug: 0.1 }, random: () => draws.shift() });
+
+        for (let i = 1; i <= 4; i++) await logger.debug('backend', 'service', `debug ${i}`);
+        await logger.info('backend', 'service', 'always');
+
+        assert.deepEqual(transport.entries.map((entry) => entry.message), ['debug 1', 'debug 3', 'always']);
+    });
+
+    it('rejects unknown levels and invalid sample rates', () => {
+        assert.throws(() => createLogger({ level: 'verbose' }), /Invalid log level: 'verbose'/);
+        assert.throws(() => createLogger({ packageLevels: { cache: 'loud' } }), /package 'cache'/);
+        assert.throws(() => createLogger({ sampling: { debug: 2 } }), /Invalid sample rate/);
+    });
+});
+
+describe('Logger.child', () => {
+    it('adds bound fields after the call fields, which win on conflicts', async () => {
+        const { transport, logger } = createLogger();
+        const child = logger.child({ requestId: 'r1', shortcode: 'abc123' });
+
+        await child.info('backend', 'controller', 'url_clicked', { referrer: 'news', shortcode: 'override' });
+
+        assert.equal(transport.entries[0].message, 'url_clicked referrer=news shortcode=override requestId=r1');
+    });
+
+    it('nests, shares the parent transport and leaves the parent untouched', async () => {
+        const { transport, logger } = createLogger({ level: 'info' });
+        const grandchild = logger.child({ requestId: 'r1' }).child({ shortcode: 'abc123' });
+
+        await grandchild.info('backend', 'controller', 'nested');
+        await grandchild.debug('backend', 'controller', 'still filtered');
+        await logger.info('backend', 'controller', 'plain');
+
+        assert.deepEqual(transport.entries.map((entry) => entry.message), ['nested requestId=r1 shortcode=abc123', 'plain']);
+        assert.ok(grandchild instanceof Logger);
+    });
+});
+
+describe('Logger request context', () => {
+    it('adds the context set with runWithContext across awaits', async () => {
+        const { transport, logger } = createLogger();
+
+        await Logger.runWithContext({ requestId: 'r42' }, async () => {
+            await new Promise((resolve) => setTimeout(resolve, 1));
+            await logger.info('backend', 'controller', 'deep inside');
+        });
+        await logger.info('backend', 'controller', 'outside');
+
+        assert.deepEqual(transport.entries.map((entry) => entry.message), ['deep inside requestId=r42', 'outside']);
+    });
+
+    it('lets bound fields override the request context, and can be turned off', async () => {
+        const { transport, logger } = createLogger();
+        const detached = new Logger({ transport, schema: ROOMY_SCHEMA, useAsyncContext: false });
+
+        await Logger.runWithContext({ requestId: 'r1', shortcode: 'ctx' }, async () => {
+            await logger.child({ shortcode: 'bound' }).info('backend', 'controller', 'merged');
+            await detached.info('backend', 'controller', 'detached');
+            await logger.child({}, { useAsyncContext: false }).info('backend', 'controller', 'detached child');
+        });
+
+        assert.deepEqual(transport.entries.map((entry) => entry.message), ['merged requestId=r1 shortcode=bound', 'detached', 'detached child']);
+    });
+});
@@ -0,0 +1,156 @@
+// test/expressMiddleware.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createRequestLogger, createEventLogger, createRequestContext, getContext, Logger } = require('../src/index');
+
+// Records Log() calls instead of sending them anywhere.
+function recordingLogger() {
+    const calls = [];
+    return {
+        calls,
+        Log(stack, level, packageName, message, fields) {
+            calls.push({ stack, level, package: packageName, message, fields });
+            return Promise.resolve({ logID: 'test' });
+        }
+    };
+}
+
+// Runs the middleware in front of a plain http handler; Express uses the same req/res objects.
+// Resolves with the fetch response.
+async function requestThrough(middleware, status, path = '/abc123?utm=x', handler = () => {}, headers = {}) {
+    const server = http.createServer((req, res) => {
+        middleware(req, res, async () => {
+            await handler(req, res);
+            res.statusCode = status;
+            res.end('ok');
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+        return await fetch(`http://127.0.0.1:${server.address().port}${path}`, { headers });
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+    }
+}
+
+describe('package exports', () => {
+    it('keeps the Logger class as the default export', () => {
+        assert.equal(typeof Logger, 'function');
+        assert.equal(require('../src/index'), Logger);
+    });
+});
+
+describe('createRequestLogger', () => {
+    it('logs method, path without query, status and latency under the middleware package', async () => {
+        const logger = recordingLogger();
+        await requestThrough(createRequestLogger({ logger }), 302);
+
+        assert.equal(logger.calls.length, 1);
+        const [call] = logger.calls;
+        assert.equal(call.stack, 'backend');
+        assert.equal(call.package, 'middleware');
+        assert.equal(call.level, 'info');
+        assert.match(call.message, /^GET \/abc123 302 \d+ms$/);
+    });
+
+    it('uses warn for 4xx and error for 5xx', async () => {
+        const logger = recordingLogger();
+        const middleware = createRequestLogger({ logger });
+        await requestThrough(middleware, 404);
+        await requestThrough(middleware, 503);
+
+        assert.deepEqual(logger.calls.map((call) => call.level), ['warn', 'error']);
+    });
+
+    it('honours skip()', async () => {
+        const logger = recordingLogger();
+        await requestThrough(createRequestLogger({ logger, skip: (req) => req.url === '/health' }), 200, '/health');
+        assert.equal(logger.calls.length, 0);
+    });
+
+    it('trims long paths to the API message limit', async () => {
+        const logger = recordingLogger();
+        await requestThrough(createRequestLogger({ logger }), 200, `/${'a'.repeat(80)}`);
+        assert.equal(logger.calls[0].message.length, Logger.MAX_MESSAGE_LENGTH);
+    });
+});
+
+describe('createEventLogger', () => {
+    it('infers level and package from the event name', () => {
+        const logger = recordingLogger();
+        const logEvent = createEventLogger({ logger });
+
+        logEvent('url_created', 'abc123');
+        logEvent('auth_failed', null, { reason: 'missing_key' });
+        logEvent('database_error', null, { message: 'disk full' });
+        logEvent('error', 'abc123', { event: 'redirect_error' });
+
+        assert.deepEqual(logger.calls.map(({ level, package: packageName, message }) => [level, packageName, message]), [
+            ['info', 'controller', 'url_created abc123'],
+            ['warn', 'auth', 'auth_failed'],
+            ['error', 'repository', 'database_error'],
+            ['error', 'controller', 'error abc123']
+        ]);
+    });
+
+    it('applies explicit level and package overrides', () => {
+        const logger = recordingLogger();
+        const logEvent = createEventLogger({
+            logger,
+            levels: { database_error: 'fatal' },
+            packages: { url_clicked: 'handler' }
+        });
+
+        logEvent('database_error');
+        logEvent('url_clicked', 'abc123');
+
+        assert.deepEqual(logger.calls.map((call) => [call.level, call.package]), [['fatal', 'repository'], ['info', 'handler']]);
+    });
+
+    it('passes details through as structured fields', () => {
+        const logger = recordingLogger();
+        const details = { reason: 'blocked_domain', message: 'x'.repeat(100) };
+        createEventLogger({ logger })('url_rejected', 'abc123', details);
+        assert.equal(logger.calls[0].message, 'url_rejected abc123');
+        assert.deepEqual(logger.calls[0].fields, details);
+    });
+});
+
+describe('createRequestContext', () => {
+    it('generates a request ID, echoes it and exposes it to async handlers', async () => {
+        let seen;
+        const response = await requestThrough(createRequestContext({ generateId: () => 'gen1' }), 200, '/', async (req) => {
+            await new Promise((resolve) => setTimeout(resolve, 1));
+            seen = { fromContext: getContext().requestId, fromRequest: req.requestId };
+        });
+
+        assert.deepEqual(seen, { fromContext: 'gen1', fromRequest: 'gen1' });
+        assert.equal(response.headers.get('x-request-id'), 'gen1');
+    });
+
+    it('reuses a well-formed incoming ID and replaces a malformed one', async () => {
+        const middleware = createRequestContext({ generateId: () => 'gen1' });
+        const kept = await requestThrough(middleware, 200, '/', undefined, { 'X-Request-ID': 'proxy-7f3a' });
+        const replaced = await requestThrough(middleware, 200, '/', undefined, { 'X-Request-ID': 'not an id' });
+
+        assert.equal(kept.headers.get('x-request-id'), 'proxy-7f3a');
+        assert.equal(replaced.headers.get('x-request-id'), 'gen1');
+    });
+
+    it('carries the request ID into the request log line', async () => {
+        const logger = recordingLogger();
+        const requestContext = createRequestContext({ generateId: () => 'gen1' });
+        const requestLogger = createRequestLogger({ logger });
+        let contextAtLog;
+        logger.Log = (...args) => {
+            contextAtLog = getContext();
+            logger.calls.push(args);
+        };
+
+        await requestThrough((req, res, next) => requestContext(req, res, () => requestLogger(req, res, next)), 200);
+
+        assert.equal(logger.calls.length, 1);
+        assert.deepEqual(contextAtLog, { requestId: 'gen1' });
+    });
+});
@@ -0,0 +1,100 @@
+// test/helpers/stubLogServer.js
+// A local stand-in for the Test Server's /auth and /logs endpoints.
+
+const http = require('http');
+
+/**
+ * Starts the stub on a random free port.
+ * @returns {Promise<object>} Handle with the base `url`, the recorded `logs` and `authRequests`,
+ * `failNextLogs(count, status)` to make upcoming /logs calls fail, `revokeToken()` to make /logs
+ * refuse the current token with 401 (the next /auth issues a new one), `setExpiresIn(fn)` to
+ * control the `expires_in` returned by /auth, and `close()`.
+ */
+function startStubLogServer() {
+    const state = {
+        logs: [],
+        authRequests: 0,
+        failuresLeft: 0,
+        failureStatus: 500,
+        generation: 0,
+        validToken: 'stub-token',
+        expiresIn: () => Math.floor(Date.now() / 1000) + 3600 // Absolute, like the Test Server
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            const send = (status, payload) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            };
+
+            if (req.method === 'POST' && req.url === '/auth') {
+                state.authRequests++;
+                return send(201, {
+                    token_type: 'Bearer',
+                    access_token: state.validToken,
+                    expires_in: state.expiresIn()
+                });
+            }
+
+            if (req.method === 'POST' && req.url === '/logs') {
+                if (req.headers.authorization !== `Bearer ${state.validToken}`) {
+                    return send(401, { message: 'invalid token' });
+                }
+                if (state.failuresLeft > 0) {
+                    state.failuresLeft--;
+                    return send(state.failureStatus, { message: 'stub failure' });
+                }
+                const entry = JSON.parse(body);
+                state.logs.push(entry);
+                return send(200, { logID: `log-${state.logs.length}`, message: 'log created successfully' });
+            }
+
+            send(404, { message: 'not found' });
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                get logs() { return state.logs; },
+                get authRequests() { return state.authRequests; },
+                failNextLogs(count, status = 500) {
+                    state.failuresLeft = count;
+                    state.failureStatus = status;
+                },
+                revokeToken() {
+                    state.generation++;
+                    state.validToken = `stub-token-${state.generation}`;
+                },
+                setExpiresIn(expiresIn) {
+                    state.expiresIn = expiresIn;
+                },
+                close() {
+                    server.closeAllConnections();
+                    return new Promise((done) => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Points the Logger at a stub server through the environment. Must run before the first Logger
+ * is created, because transports and the shared token manager read their URLs on creation.
+ * @param {string} baseUrl - The stub server's base URL.
+ */
+function useStubLogServer(baseUrl) {
+    process.env.LOG_API_BASE_URL = baseUrl;
+    process.env.MY_EMAIL = 'test@example.com';
+    process.env.MY_NAME = 'test';
+    process.env.MY_ROLL_NO = '0000';
+    process.env.MY_ACCESS_CODE = 'code';
+    process.env.MY_CLIENT_ID = 'client';
+    process.env.MY_CLIENT_SECRET = 'secret';
+}
+
+module.exports = { startStubLogServer, useStubLogServer };
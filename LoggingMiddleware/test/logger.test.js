@@ -0,0 +1,143 @@
+// test/logger.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubLogServer, useStubLogServer } = require('./helpers/stubLogServer');
+
+let logServer;
+let Logger;
+
+before(async () => {
+    logServer = await startStubLogServer();
+    useStubLogServer(logServer.url);
+    Logger = require('../src/index');
+});
+
+after(() => logServer.close());
+
+describe('Logger.validateLogParams', () => {
+    it('accepts valid backend and frontend entries, case-insensitively', () => {
+        assert.equal(Logger.validateLogParams('backend', 'info', 'handler', 'ok'), true);
+        assert.equal(Logger.validateLogParams('Frontend', 'DEBUG', 'middleware', 'ok'), true);
+    });
+
+    it('rejects an unknown stack', () => {
+        assert.throws(() => Logger.validateLogParams('server', 'info', 'config', 'msg'), /Invalid 'stack' value/);
+    });
+
+    it('rejects an unknown level', () => {
+        assert.throws(() => Logger.validateLogParams('backend', 'verbose', 'controller', 'msg'), /Invalid 'level' value/);
+    });
+
+    it('rejects packages outside the stack allowlist', () => {
+        assert.throws(() => Logger.validateLogParams('backend', 'warn', 'api', 'msg'), /Invalid 'package' value/);
+        assert.throws(() => Logger.validateLogParams('frontend', 'fatal', 'repository', 'msg'), /for 'frontend' stack/);
+    });
+
+    it('rejects empty and over-long messages', () => {
+        assert.throws(() => Logger.validateLogParams('backend', 'debug', 'route', '  '), /non-empty string/);
+        assert.throws(() => Logger.validateLogParams('backend', 'debug', 'route', 'x'.repeat(49)), /exceeds 48 characters/);
+    });
+});
+
+describe('Logger.Log', () => {
+    beforeEach(() => logServer.failNextLogs(0));
+
+    it('sends a lowercased entry with the bearer token and returns the API response', async () => {
+        const logger = new Logger();
+        const response = await logger.Log('Backend', 'INFO', 'Handler', 'User login initiated.');
+
+        assert.match(response.logID, /^log-\d+$/);
+        assert.deepEqual(logServer.logs.at(-1), {
+            stack: 'backend',
+            level: 'info',
+            package: 'handler',
+            message: 'User login initiated.'
+        });
+    });
+
+    it('reuses the cached auth token across calls', async () => {
+        const logger = new Logger();
+        await logger.info('backend', 'service', 'first');
+        const authRequestsBefore = logServer.authRequests;
+        await logger.info('backend', 'service', 'second');
+
+        assert.equal(logServer.authRequests, authRequestsBefore);
+    });
+
+    it('retries a failed call and succeeds on a later attempt', async () => {
+        const logger = new Logger({ retries: 2 });
+        const logsBefore = logServer.logs.length;
+        logServer.failNextLogs(1);
+
+        const response = await logger.error('backend', 'service', 'retry me');
+
+        assert.ok(response);
+        assert.equal(logServer.logs.length, logsBefore + 1);
+        assert.equal(logServer.logs.at(-1).message, 'retry me');
+    });
+
+    it('returns null once every retry has failed', async () => {
+        const logger = new Logger({ retries: 2 });
+        logServer.failNextLogs(2);
+
+        assert.equal(await logger.warn('backend', 'cron', 'never delivered'), null);
+    });
+
+    it('returns null instead of throwing for invalid parameters', async () => {
+        const logger = new Logger({ retries: 1 });
+        const logsBefore = logServer.logs.length;
+
+        assert.equal(await logger.Log('server', 'info', 'config', 'bad stack'), null);
+        assert.equal(logServer.logs.length, logsBefore);
+    });
+});
+
+describe('Logger.Log with long messages and fields', () => {
+    beforeEach(() => logServer.failNextLogs(0));
+
+    it('appends structured fields to the message', async () => {
+        const logger = new Logger();
+        await logger.info('backend', 'service', 'cache warmed', { entries: 12, ok: true });
+
+        assert.equal(logServer.logs.at(-1).message, 'cache warmed entries=12 ok=true');
+    });
+
+    it('splits long content into correlated chunks that reassemble to the original', async () => {
+        const logger = new Logger();
+        const logsBefore = logServer.logs.length;
+        const url = `https://example.com/${'segment/'.repeat(12)}`;
+
+        const result = await logger.error('backend', 'handler', 'redirect failed', { url, exception: new Error('ECONNRESET') });
+
+        const chunks = logServer.logs.slice(logsBefore).map((entry) => entry.message);
+        assert.equal(chunks.length, result.responses.length);
+        assert.ok(chunks.length > 1);
+        const pattern = new RegExp(`^\\[${result.correlationId} (\\d+)/${chunks.length}\\] `);
+        chunks.forEach((chunk, i) => {
+            assert.ok(chunk.length <= Logger.MAX_MESSAGE_LENGTH);
+            assert.equal(chunk.match(pattern)[1], String(i + 1));
+        });
+        assert.equal(
+            chunks.map((chunk) => chunk.replace(pattern, '')).join(''),
+            `redirect failed url=${url} exception=ECONNRESET`
+        );
+    });
+
+    it("summarizes instead of splitting with overflow: 'truncate'", async () => {
+        const logger = new Logger({ overflow: 'truncate' });
+        await logger.warn('backend', 'service', 'x'.repeat(80));
+
+        const { message } = logServer.logs.at(-1);
+        assert.equal(message.length, Logger.MAX_MESSAGE_LENGTH);
+        assert.ok(message.endsWith('…'));
+    });
+
+    it('rejects over-long messages in strict mode, as before', async () => {
+        const logger = new Logger({ strict: true, retries: 1 });
+        const logsBefore = logServer.logs.length;
+
+        assert.equal(await logger.info('backend', 'service', 'x'.repeat(49)), null);
+        assert.equal(await logger.info('backend', 'service', 'short', { detail: 'y'.repeat(48) }), null);
+        assert.equal(logServer.logs.length, logsBefore);
+    });
+});
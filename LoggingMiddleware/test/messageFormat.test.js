@@ -0,0 +1,49 @@
+// test/messageFormat.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { composeMessage, truncateMessage, splitMessage, formatMessages } = require('../src/messageFormat');
+
+describe('composeMessage', () => {
+    it('renders fields as key=value, quoting strings with spaces and skipping undefined', () => {
+        assert.equal(
+            composeMessage('failed', { status: 500, reason: 'disk full', code: 'E1', skipped: undefined, tags: ['a'] }),
+            'failed status=500 reason="disk full" code=E1 tags=["a"]'
+        );
+    });
+
+    it('uses the message of Error values', () => {
+        assert.equal(composeMessage('oops', { exception: new Error('boom') }), 'oops exception=boom');
+    });
+});
+
+describe('truncateMessage', () => {
+    it('leaves short text alone and marks cuts with an ellipsis', () => {
+        assert.equal(truncateMessage('short', 10), 'short');
+        assert.equal(truncateMessage('0123456789abc', 10), '012345678…');
+    });
+});
+
+describe('splitMessage', () => {
+    it('keeps every chunk within the limit, including two-digit chunk counts', () => {
+        const text = 'z'.repeat(400);
+        const { correlationId, chunks } = splitMessage(text, 48, { correlationId: 'beef' });
+
+        assert.ok(chunks.length >= 10);
+        assert.ok(chunks.every((chunk) => chunk.length <= 48));
+        assert.ok(chunks[0].startsWith(`[${correlationId} 1/${chunks.length}] `));
+        assert.equal(chunks.map((chunk) => chunk.replace(/^\[beef \d+\/\d+\] /, '')).join(''), text);
+    });
+
+    it('caps the number of chunks and summarizes the remainder', () => {
+        const { chunks } = splitMessage('q'.repeat(1000), 48, { maxChunks: 3 });
+
+        assert.equal(chunks.length, 3);
+        assert.ok(chunks[2].endsWith('…'));
+    });
+});
+
+describe('formatMessages', () => {
+    it('returns a single uncorrelated message when it fits', () => {
+        assert.deepEqual(formatMessages('ok', { n: 1 }, { maxLength: 48 }), { messages: ['ok n=1'], correlationId: null });
+    });
+});
@@ -0,0 +1,194 @@
+// test/retry.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubLogServer, useStubLogServer } = require('./helpers/stubLogServer');
+
+let logServer;
+let Logger;
+
+// Keeps the tests fast: retries wait a millisecond instead of seconds.
+const FAST_RETRY = { baseDelayMs: 1, jitter: 'none' };
+
+before(async () => {
+    logServer = await startStubLogServer();
+    useStubLogServer(logServer.url);
+    Logger = require('../src/index');
+});
+
+after(() => logServer.close());
+
+// A transport that fails with the given errors, in order, then succeeds.
+function flakyTransport(...errors) {
+    const transport = new Logger.Transport();
+    transport.calls = 0;
+    transport.send = async () => {
+        const error = errors[transport.calls++];
+        if (error) throw error;
+        return { logID: `log-${transport.calls}` };
+    };
+    return transport;
+}
+
+const serverError = (status) => new Logger.LogDeliveryError(`status ${status}`, { status });
+
+describe('createRetryPolicy', () => {
+    it('grows delays exponentially up to the cap', () => {
+        const policy = Logger.createRetryPolicy({ baseDelayMs: 100, factor: 2, maxDelayMs: 350, jitter: 'none' });
+        assert.deepEqual([1, 2, 3, 4].map(policy.delayFor), [100, 200, 350, 350]);
+    });
+
+    it('applies full and equal jitter', () => {
+        const full = Logger.createRetryPolicy({ baseDelayMs: 100, jitter: 'full', random: () => 0.25 });
+        const equal = Logger.createRetryPolicy({ baseDelayMs: 100, jitter: 'equal', random: () => 0.25 });
+        assert.equal(full.delayFor(2), 50);
+        assert.equal(equal.delayFor(2), 125);
+    });
+
+    it('retries network errors, timeouts, rate limiting and 5xx but not validation errors or other 4xx', () => {
+        const policy = Logger.createRetryPolicy();
+        assert.equal(policy.shouldRetry(new Logger.LogDeliveryError('Log API request timeout')), true);
+        assert.equal(policy.shouldRetry(serverError(503)), true);
+        assert.equal(policy.shouldRetry(serverError(429)), true);
+        assert.equal(policy.shouldRetry(serverError(400)), false);
+        assert.equal(policy.shouldRetry(serverError(403)), false);
+        assert.equal(policy.shouldRetry(new Logger.LogValidationError('bad', { code: 'invalid_level' })), false);
+        assert.equal(policy.shouldRetry(new Logger.LogCircuitOpenError(Date.now())), false);
+    });
+
+    it('lets isRetryable override the classification', () => {
+        const policy = Logger.createRetryPolicy({ isRetryable: (error) => (error.status === 400 ? true : undefined) });
+        assert.equal(policy.shouldRetry(serverError(400)), true);
+        assert.equal(policy.shouldRetry(serverError(404)), false);
+    });
+});
+
+describe('Logger retries', () => {
+    beforeEach(() => logServer.failNextLogs(0));
+
+    it('retries server errors with the configured policy', async () => {
+        const transport = flakyTransport(serverError(502), serverError(503));
+        const logger = new Logger({ transport, retries: 3, retry: FAST_RETRY });
+
+        assert.deepEqual(await logger.info('backend', 'service', 'third time lucky'), { logID: 'log-3' });
+        assert.equal(transport.calls, 3);
+    });
+
+    it('does not retry 4xx responses', async () => {
+        const transport = flakyTransport(serverError(400));
+        const logger = new Logger({ transport, retries: 3, retry: FAST_RETRY });
+
+        assert.equal(await logger.info('backend', 'service', 'refused'), null);
+        assert.equal(transport.calls, 1);
+    });
+
+    it('retries failed calls to the log API', async () => {
+        const logger = new Logger({ retries: 3, retry: FAST_RETRY });
+        const logsBefore = logServer.logs.length;
+        logServer.failNextLogs(2, 503);
+
+        assert.ok(await logger.warn('backend', 'cron', 'delivered eventually'));
+        assert.equal(logServer.logs.length, logsBefore + 1);
+    });
+});
+
+describe('CircuitBreaker', () => {
+    it('opens after the failure threshold, half-opens after the reset timeout, and closes on success', async () => {
+        let now = 0;
+        const changes = [];
+        const breaker = new Logger.CircuitBreaker({
+            failureThreshold: 2,
+            resetTimeoutMs: 1000,
+            now: () => now,
+            onStateChange: ({ from, to }) => changes.push(`${from}->${to}`)
+        });
+        const fail = () => Promise.reject(new Error('down'));
+
+        await assert.rejects(breaker.execute(fail), /down/);
+        assert.equal(breaker.state, 'closed');
+        await assert.rejects(breaker.execute(fail), /down/);
+        assert.equal(breaker.state, 'open');
+
+        let called = false;
+        await assert.rejects(breaker.execute(async () => { called = true; }), Logger.LogCircuitOpenError);
+        assert.equal(called, false);
+
+        now += 1000;
+        assert.equal(breaker.state, 'half_open');
+        assert.equal(await breaker.execute(async () => 'ok'), 'ok');
+        assert.equal(breaker.state, 'closed');
+        assert.deepEqual(changes, ['closed->open', 'open->half_open', 'half_open->closed']);
+    });
+
+    it('reopens when the half-open trial fails', async () => {
+        let now = 0;
+        const breaker = new Logger.CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 100, now: () => now });
+        const opened = [];
+        breaker.on('open', () => opened.push(now));
+
+        await assert.rejects(breaker.execute(() => Promise.reject(new Error('down'))));
+        now += 100;
+        await assert.rejects(breaker.execute(() => Promise.reject(new Error('still down'))), /still down/);
+
+        assert.equal(breaker.state, 'open');
+        assert.deepEqual(opened, [0, 100]);
+    });
+
+    it('ignores errors that countsAsFailure does not count', async () => {
+        const breaker = new Logger.CircuitBreaker({ failureThreshold: 1 });
+        await assert.rejects(breaker.execute(() => Promise.reject(serverError(400)), (error) => error.status >= 500));
+        assert.equal(breaker.state, 'closed');
+    });
+});
+
+describe('Logger with a circuit breaker', () => {
+    it('fails fast without calling the transport while the breaker is open', async () => {
+        const transport = flakyTransport(serverError(503), serverError(503), serverError(503));
+        const states = [];
+        const logger = new Logger({
+            transport,
+            retries: 2,
+            retry: FAST_RETRY,
+            circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 60000, onStateChange: ({ to }) => states.push(to) }
+        });
+
+        assert.equal(await logger.error('backend', 'service', 'server down'), null);
+        assert.equal(transport.calls, 2);
+        assert.equal(logger.circuitBreaker.state, 'open');
+
+        assert.equal(await logger.error('backend', 'service', 'fails fast'), null);
+        assert.equal(transport.calls, 2);
+        assert.deepEqual(states, ['open']);
+    });
+
+    it('does not count 4xx responses against the breaker', async () => {
+        const transport = flakyTransport(serverError(400), serverError(400));
+        const logger = new Logger({ transport, circuitBreaker: { failureThreshold: 2 } });
+
+        await logger.info('backend', 'service', 'one');
+        await logger.info('backend', 'service', 'two');
+        assert.equal(logger.circuitBreaker.state, 'closed');
+    });
+
+    it('keeps batched entries queued while open', async () => {
+        const transport = flakyTransport(serverError(503));
+        const logger = new Logger({
+            transport,
+            batch: { flushIntervalMs: 60000 },
+            circuitBreaker: { failureThreshold: 1, resetTimeoutMs: 60000 }
+        });
+
+        logger.info('backend', 'service', 'first');
+        logger.info('backend', 'service', 'second');
+        assert.deepEqual(await logger.flush(), { sent: 0, failed: 2 });
+        assert.deepEqual(await logger.flush(), { sent: 0, failed: 2 });
+        assert.equal(transport.calls, 1);
+        assert.equal(logger.batcher.size, 2);
+
+        logger.circuitBreaker.reset();
+        assert.deepEqual(await logger.close(), { sent: 2, failed: 0 });
+    });
+
+    it('can be disabled', () => {
+        assert.equal(new Logger({ transport: flakyTransport(), circuitBreaker: false }).circuitBreaker, null);
+    });
+});
@@ -0,0 +1,118 @@
+// test/schema.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startStubLogServer, useStubLogServer } = require('./helpers/stubLogServer');
+
+let logServer;
+let Logger;
+let tmpDir;
+
+const TEAM_SCHEMA = {
+    levels: { trace: 5, info: 20, alert: 60 },
+    stacks: { payments: ['ledger', 'Gateway'], mobile: [] },
+    commonPackages: ['auth'],
+    message: { maxLength: 32, pattern: '^[^\\n]*$' }
+};
+
+before(async () => {
+    logServer = await startStubLogServer();
+    useStubLogServer(logServer.url);
+    Logger = require('../src/index');
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-schema-'));
+});
+
+after(() => {
+    logServer.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('validation errors', () => {
+    it('are LogValidationErrors carrying the broken rule and field', () => {
+        const cases = [
+            [['server', 'info', 'config', 'msg'], 'invalid_stack', 'stack'],
+            [['backend', 'verbose', 'config', 'msg'], 'invalid_level', 'level'],
+            [['frontend', 'info', 'handler', 'msg'], 'invalid_package', 'package'],
+            [['backend', 'info', 'config', ''], 'invalid_message', 'message'],
+            [['backend', 'info', 'config', 'x'.repeat(49)], 'message_too_long', 'message']
+        ];
+        for (const [args, code, field] of cases) {
+            assert.throws(() => Logger.validateLogParams(...args), (error) => {
+                assert.ok(error instanceof Logger.LogValidationError);
+                assert.equal(error.code, code);
+                assert.equal(error.field, field);
+                return true;
+            });
+        }
+    });
+
+    it('reject non-string parameters instead of crashing', () => {
+        assert.throws(() => Logger.validateLogParams(undefined, 'info', 'config', 'msg'), Logger.LogValidationError);
+    });
+});
+
+describe('custom schemas', () => {
+    it('replace stacks, levels, packages and message rules', () => {
+        const logger = new Logger({ schema: TEAM_SCHEMA });
+
+        assert.equal(logger.validate('payments', 'alert', 'gateway', 'settled'), true);
+        assert.equal(logger.validate('mobile', 'TRACE', 'auth', 'login'), true);
+        assert.throws(() => logger.validate('backend', 'info', 'auth', 'msg'), { code: 'invalid_stack' });
+        assert.throws(() => logger.validate('payments', 'debug', 'ledger', 'msg'), { code: 'invalid_level' });
+        assert.throws(() => logger.validate('mobile', 'info', 'ledger', 'msg'), { code: 'invalid_package' });
+        assert.throws(() => logger.validate('payments', 'info', 'ledger', 'x'.repeat(33)), { code: 'message_too_long' });
+        assert.throws(() => logger.validate('payments', 'info', 'ledger', 'two\nlines'), { code: 'message_pattern' });
+        assert.equal(logger.maxMessageLength, 32);
+    });
+
+    it('can be loaded from a JSON file', async () => {
+        const schemaPath = path.join(tmpDir, 'schema.json');
+        fs.writeFileSync(schemaPath, JSON.stringify(TEAM_SCHEMA));
+        const logger = new Logger({ schema: schemaPath });
+
+        const result = await logger.Log('payments', 'alert', 'ledger', 'balance mismatch', { account: 'acc-1' });
+
+        assert.ok(result);
+        assert.deepEqual(logServer.logs.at(-1), {
+            stack: 'payments',
+            level: 'alert',
+            package: 'ledger',
+            message: 'balance mismatch account=acc-1'
+        });
+    });
+
+    it('are checked when the Logger is created', () => {
+        assert.throws(() => new Logger({ schema: { stacks: { backend: [] } } }), Logger.LogSchemaError);
+        assert.throws(() => new Logger({ schema: { levels: { info: 'high' }, stacks: { backend: [] } } }), /numeric severity/);
+        assert.throws(() => new Logger({ schema: path.join(tmpDir, 'missing.json') }), Logger.LogSchemaError);
+    });
+});
+
+describe('delivery errors', () => {
+    it('are LogDeliveryErrors with the HTTP status, distinct from validation errors', async () => {
+        const transport = new Logger.HttpTransport();
+        logServer.failNextLogs(1, 503);
+
+        await assert.rejects(transport.send({ stack: 'backend', level: 'info', package: 'config', message: 'x' }), (error) => {
+            assert.ok(error instanceof Logger.LogDeliveryError);
+            assert.ok(!(error instanceof Logger.LogValidationError));
+            assert.equal(error.status, 503);
+            return true;
+        });
+    });
+
+    it('are retried while validation errors are not', async () => {
+        let attempts = 0;
+        const transport = new Logger.Transport();
+        transport.send = async () => {
+            attempts++;
+            throw new Logger.LogValidationError('rejected by a downstream schema', { code: 'invalid_package', field: 'package' });
+        };
+        const logger = new Logger({ transport, retries: 3 });
+
+        assert.equal(await logger.info('backend', 'config', 'not retried'), null);
+        assert.equal(attempts, 1);
+    });
+});
@@ -0,0 +1,143 @@
+// test/transports.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const Logger = require('../src/index');
+const { Transport, ConsoleTransport, FileTransport, FanoutTransport } = Logger;
+
+// Collects everything written to it.
+function memoryStream() {
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            stream.output += chunk.toString();
+            callback();
+        }
+    });
+    stream.output = '';
+    return stream;
+}
+
+// Records payloads, optionally failing every send.
+class RecordingTransport extends Transport {
+    constructor(options = {}) {
+        super(options);
+        this.sent = [];
+        this.fail = options.fail || false;
+    }
+
+    async send(logData) {
+        if (this.fail) throw new Error('sink down');
+        this.sent.push(logData);
+        return { ok: true };
+    }
+}
+
+const entry = (level, message = 'hello') => ({ stack: 'backend', level, package: 'service', message });
+
+let tmpDir;
+before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-transports-'));
+});
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+describe('Transport', () => {
+    it('filters by its minimum level', () => {
+        const transport = new RecordingTransport({ level: 'warn' });
+        assert.equal(transport.accepts('info'), false);
+        assert.equal(transport.accepts('warn'), true);
+        assert.equal(transport.accepts('fatal'), true);
+    });
+
+    it('rejects unknown levels', () => {
+        assert.throws(() => new RecordingTransport({ level: 'verbose' }), /Invalid transport level/);
+    });
+});
+
+describe('ConsoleTransport', () => {
+    it('prints one line per entry, sending warn and above to the error stream', async () => {
+        const stream = memoryStream();
+        const errorStream = memoryStream();
+        const now = () => new Date('2026-01-02T03:04:05.678Z');
+        const transport = new ConsoleTransport({ stream, errorStream, now, colors: false });
+
+        await transport.send(entry('info', 'started'));
+        await transport.send(entry('error', 'crashed'));
+
+        assert.equal(stream.output, '03:04:05.678 INFO  backend/service started\n');
+        assert.equal(errorStream.output, '03:04:05.678 ERROR backend/service crashed\n');
+    });
+});
+
+describe('FileTransport', () => {
+    it('writes JSON lines and rotates by size, keeping maxFiles old files', async () => {
+        const file = path.join(tmpDir, 'logs', 'app.log');
+        const transport = new FileTransport({ path: file, maxBytes: 200, maxFiles: 2 });
+
+        for (let i = 0; i < 12; i++) {
+            await transport.send(entry('info', `line ${i} ${'x'.repeat(20)}`));
+        }
+        await transport.close();
+
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+        assert.equal(lines.at(-1).message.startsWith('line 11'), true);
+        assert.ok(lines[0].time);
+        assert.ok(fs.existsSync(`${file}.1`));
+        assert.ok(fs.existsSync(`${file}.2`));
+        assert.equal(fs.existsSync(`${file}.3`), false);
+        for (const name of [file, `${file}.1`, `${file}.2`]) {
+            assert.ok(fs.statSync(name).size <= 200);
+        }
+    });
+
+    it('requires a path', () => {
+        assert.throws(() => new FileTransport(), /requires a `path`/);
+    });
+});
+
+describe('FanoutTransport', () => {
+    it('delivers to every sink whose level accepts the entry', async () => {
+        const all = new RecordingTransport();
+        const errorsOnly = new RecordingTransport({ level: 'error' });
+        const fanout = new FanoutTransport([all, errorsOnly]);
+
+        await fanout.send(entry('info'));
+        await fanout.send(entry('error'));
+
+        assert.equal(all.sent.length, 2);
+        assert.deepEqual(errorsOnly.sent.map((logData) => logData.level), ['error']);
+    });
+
+    it('succeeds if any sink succeeds and fails only when all of them fail', async () => {
+        const ok = new RecordingTransport();
+        const down = new RecordingTransport({ fail: true });
+
+        const { results } = await new FanoutTransport([ok, down]).send(entry('warn'));
+        assert.deepEqual(results.map((result) => Boolean(result.error)), [false, true]);
+
+        await assert.rejects(new FanoutTransport([down]).send(entry('warn')), /All log transports failed/);
+    });
+});
+
+describe('Logger with transports', () => {
+    it('sends through the configured transport and skips levels it filters out', async () => {
+        const transport = new RecordingTransport({ level: 'warn' });
+        const logger = new Logger({ transport });
+
+        assert.deepEqual(await logger.info('backend', 'service', 'ignored'), { skipped: true });
+        assert.deepEqual(await logger.warn('backend', 'service', 'kept'), { ok: true });
+        assert.deepEqual(transport.sent, [entry('warn', 'kept')]);
+    });
+
+    it('fans out when given several transports', async () => {
+        const first = new RecordingTransport();
+        const second = new RecordingTransport();
+        const logger = new Logger({ transports: [first, second] });
+
+        await logger.error('backend', 'service', 'both');
+        assert.equal(first.sent.length, 1);
+        assert.equal(second.sent.length, 1);
+    });
+});